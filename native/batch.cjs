@@ -0,0 +1,427 @@
+/**
+ * Batch workflow runner for surf-cli
+ *
+ * Executes batch actions with:
+ * - ${var} substitution from workflow vars, captures and loop variables
+ * - if / repeat / forEach blocks
+ * - assert steps (text present, URL matches, element exists)
+ * - per-step capture and continueOnError
+ *
+ * The runner is transport-agnostic: the host passes a runAction(action)
+ * callback that executes a single leaf action (any host tool, see
+ * toToolCall) and resolves with the raw tool result.
+ */
+
+const VAR_PATTERN = /\$\{([A-Za-z_][\w.]*)\}/g;
+const EXACT_VAR_PATTERN = /^\$\{([A-Za-z_][\w.]*)\}$/;
+
+// Nested step lists are substituted when they run, not when the parent does
+const BLOCK_KEYS = new Set(["actions", "else"]);
+
+// Shorthand step types from the original batch format
+const SHORTHAND_TOOLS = {
+  click: "left_click",
+  type: "type",
+  key: "key",
+  wait: "wait",
+  scroll: "scroll",
+  screenshot: "screenshot",
+  navigate: "navigate",
+};
+
+// Same aliases the CLI accepts
+const TOOL_ALIASES = {
+  snap: "screenshot",
+  read: "page.read",
+  find: "search",
+  go: "navigate",
+  net: "network",
+  "network.dump": "network.get",
+};
+
+const CONTROL_TYPES = new Set(["set", "assert", "if", "repeat", "forEach"]);
+
+const DEFAULT_DELAY_MS = 100;
+const MAX_ITERATIONS = 1000;
+// A leaf step may take as long as the same tool called on its own
+const STEP_TIMEOUT = 30000;
+
+function lookupVar(vars, name) {
+  let value = vars;
+  for (const part of name.split(".")) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Replace ${name} references in strings, arrays and objects.
+ * A string that is exactly "${name}" resolves to the raw value (so arrays and
+ * numbers survive); unknown names are left untouched so JS template literals
+ * in `js` steps keep working.
+ */
+function substitute(value, vars) {
+  if (typeof value === "string") {
+    const exact = value.match(EXACT_VAR_PATTERN);
+    if (exact) {
+      const resolved = lookupVar(vars, exact[1]);
+      return resolved === undefined ? value : resolved;
+    }
+    return value.replace(VAR_PATTERN, (match, name) => {
+      const resolved = lookupVar(vars, name);
+      if (resolved === undefined) return match;
+      return typeof resolved === "string" ? resolved : JSON.stringify(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => substitute(v, vars));
+  }
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      out[key] = BLOCK_KEYS.has(key) ? v : substitute(v, vars);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Build page-side JS for a check, or null if the check only uses vars.
+ * The script returns { pass, actual }.
+ */
+function buildCheckScript(check) {
+  if (check.text !== undefined) {
+    return `const actual = document.body ? document.body.innerText : "";
+return { pass: actual.includes(${JSON.stringify(String(check.text))}), actual: actual.slice(0, 200) };`;
+  }
+  if (check.url !== undefined) {
+    const pattern = String(check.url);
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    const test = regex
+      ? `new RegExp(${JSON.stringify(regex[1])}, ${JSON.stringify(regex[2])}).test(actual)`
+      : `actual.includes(${JSON.stringify(pattern)})`;
+    return `const actual = location.href;
+return { pass: ${test}, actual };`;
+  }
+  if (check.exists !== undefined) {
+    return `const count = document.querySelectorAll(${JSON.stringify(String(check.exists))}).length;
+return { pass: count > 0, actual: count + " matching elements" };`;
+  }
+  return null;
+}
+
+function describeCheck(check) {
+  if (check.text !== undefined) return `text "${check.text}" present`;
+  if (check.url !== undefined) return `URL matches ${check.url}`;
+  if (check.exists !== undefined) return `element ${check.exists} exists`;
+  if (check.equals !== undefined) return `${JSON.stringify(check.equals[0])} equals ${JSON.stringify(check.equals[1])}`;
+  if (check.var !== undefined) return `var ${check.var} is set`;
+  return "check";
+}
+
+/**
+ * Evaluate a condition ({text}, {url}, {exists}, {equals: [a, b]}, {var})
+ * optionally inverted with {not: true}. Page checks run via runAction as a js step.
+ */
+async function evaluateCheck(check, vars, runAction) {
+  if (!check || typeof check !== "object") {
+    throw new Error("condition must be an object");
+  }
+  let pass;
+  let actual;
+  const script = buildCheckScript(check);
+  if (script) {
+    const result = await runAction({ type: "js", code: script });
+    if (result?.error) throw new Error(result.error);
+    const value = parseOutput(result?.output);
+    pass = !!value?.pass;
+    actual = value?.actual;
+  } else if (check.equals !== undefined) {
+    if (!Array.isArray(check.equals) || check.equals.length !== 2) {
+      throw new Error("equals must be a [left, right] pair");
+    }
+    const [left, right] = check.equals;
+    pass = JSON.stringify(left) === JSON.stringify(right);
+    actual = left;
+  } else if (check.var !== undefined) {
+    actual = lookupVar(vars, check.var);
+    pass = !!actual;
+  } else {
+    throw new Error("condition needs one of: text, url, exists, equals, var");
+  }
+  if (check.not) pass = !pass;
+  return { pass, actual, description: `${check.not ? "not " : ""}${describeCheck(check)}` };
+}
+
+function parseOutput(output) {
+  if (typeof output !== "string") return output;
+  try {
+    return JSON.parse(output);
+  } catch {
+    return output;
+  }
+}
+
+// Transport details that are not part of a tool's output
+const INTERNAL_RESULT_KEYS = new Set(["success", "base64", "_resolvedTabId", "_hint", "hint"]);
+
+/**
+ * The value a step reports and exposes to `capture`: the tool's primary
+ * value (js output, page text, tree, saved-file message) or, for structured
+ * results, the result object without transport fields. Undefined for a bare
+ * {success: true}.
+ */
+function getStepOutput(result) {
+  if (!result || typeof result !== "object") return result;
+  if (result.output !== undefined) return parseOutput(result.output);
+  if (result.pageContent !== undefined) return result.pageContent;
+  if (result.text !== undefined) return result.text;
+  if (result.message !== undefined) return result.message;
+  const output = {};
+  for (const [key, value] of Object.entries(result)) {
+    if (!INTERNAL_RESULT_KEYS.has(key)) output[key] = value;
+  }
+  return Object.keys(output).length > 0 ? output : undefined;
+}
+
+// Semantic locator and auto-wait args shared by click and type steps
+const TARGET_ARGS = ["role", "name", "label", "placeholder", "testid", "nth", "exact", "within", "timeout", "force"];
+
+function targetArgs(step) {
+  const args = {};
+  for (const key of TARGET_ARGS) {
+    if (step[key] !== undefined) args[key] = step[key];
+  }
+  return args;
+}
+
+/**
+ * Map a batch step to a host tool call.
+ * Steps are either {type: "<tool>", ...args} or {tool: "<tool>", args: {...}}
+ * for tools whose arguments include a `type` key (e.g. network --type).
+ */
+function toToolCall(action) {
+  if (action.tool) {
+    return { tool: TOOL_ALIASES[action.tool] || action.tool, args: { ...(action.args || {}) } };
+  }
+  const { type, ...rest } = action;
+  switch (type) {
+    case "click":
+      return { tool: SHORTHAND_TOOLS.click, args: { ref: rest.ref, selector: rest.selector, ...targetArgs(rest), text: rest.text, x: rest.x, y: rest.y, tabId: rest.tabId } };
+    case "type":
+      return { tool: SHORTHAND_TOOLS.type, args: { text: rest.text, ref: rest.ref, selector: rest.selector, ...targetArgs(rest), tabId: rest.tabId } };
+    case "wait": {
+      const seconds = rest.ms !== undefined ? rest.ms / 1000 : (rest.duration ?? 1);
+      return { tool: SHORTHAND_TOOLS.wait, args: { duration: seconds } };
+    }
+    case "scroll":
+      return { tool: SHORTHAND_TOOLS.scroll, args: { ...rest, scroll_direction: rest.direction || rest.scroll_direction } };
+    case "screenshot":
+      return { tool: SHORTHAND_TOOLS.screenshot, args: { ...rest, savePath: rest.output || rest.savePath } };
+    default:
+      return { tool: TOOL_ALIASES[type] || type, args: rest };
+  }
+}
+
+function delay(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * Longest a workflow can run: every step's own budget plus the pause between
+ * steps, with loops at their iteration count. Loops whose count comes from a
+ * variable are assumed to run the maximum number of times.
+ *
+ * @param {Array|Object} actions - Top-level steps, or a {vars, actions} workflow
+ * @param {number} [delayMs] - Pause between steps
+ * @returns {number} Milliseconds
+ */
+function estimateDuration(actions, delayMs = DEFAULT_DELAY_MS) {
+  const steps = actions && !Array.isArray(actions) && typeof actions === "object" ? actions.actions : actions;
+  const iterations = (count) => {
+    const n = Number(count);
+    return Number.isFinite(n) && n >= 0 ? Math.min(n, MAX_ITERATIONS) : MAX_ITERATIONS;
+  };
+  const block = (list) => (Array.isArray(list) ? list.reduce((total, step) => total + delayMs + stepTime(step), 0) : 0);
+  const stepTime = (step) => {
+    if (!step || typeof step !== "object") return 0;
+    switch (step.type) {
+      case "set":
+        return 0;
+      case "if":
+        return STEP_TIMEOUT + Math.max(block(step.actions), block(step.else));
+      case "repeat":
+        return iterations(step.times) * block(step.actions);
+      case "forEach":
+        return iterations(Array.isArray(step.items) ? step.items.length : undefined) * block(step.actions);
+      case "wait": {
+        const ms = step.ms !== undefined ? Number(step.ms) : Number(step.duration ?? 1) * 1000;
+        return Number.isFinite(ms) ? ms + 1000 : STEP_TIMEOUT;
+      }
+      default:
+        // Auto-wait and wait.* timeouts are in ms and may exceed the default
+        return Math.max(STEP_TIMEOUT, Number(step.timeout ?? step.args?.timeout) || 0);
+    }
+  };
+  return block(steps);
+}
+
+/**
+ * Run a batch workflow.
+ *
+ * @param {Array} actions - Top-level steps
+ * @param {Object} options
+ * @param {Function} options.runAction - (action) => Promise<extension response>
+ * @param {Object} [options.vars] - Initial variables
+ * @param {number} [options.delayMs] - Pause between steps
+ * @returns {Promise<{success, completedActions, totalActions, results, vars, error?}>}
+ */
+async function runBatch(actions, options) {
+  const { runAction, delayMs = DEFAULT_DELAY_MS } = options;
+  const vars = { ...(options.vars || {}) };
+  const results = [];
+  let stepCount = 0;
+  let completed = 0;
+
+  async function runSteps(steps, prefix) {
+    if (!Array.isArray(steps)) {
+      throw new Error(`${prefix || "actions"} must be an array`);
+    }
+    for (let i = 0; i < steps.length; i++) {
+      const index = prefix ? `${prefix}.${i}` : i;
+      const error = await runStep(steps[i], index);
+      if (error) return error;
+      if (!prefix) completed = i + 1;
+    }
+    return null;
+  }
+
+  async function runStep(rawStep, index) {
+    if (!rawStep || typeof rawStep !== "object" || !(rawStep.type || rawStep.tool)) {
+      results.push({ index, type: undefined, success: false, error: "Step must be an object with a type or tool" });
+      return `Action ${index} failed: step must be an object with a type or tool`;
+    }
+    if (stepCount++ > 0) await delay(delayMs);
+
+    const step = substitute(rawStep, vars);
+    const entry = { index, type: step.type || step.tool };
+    results.push(entry);
+
+    try {
+      const output = await executeStep(step, index);
+      entry.success = true;
+      if (output !== undefined && !CONTROL_TYPES.has(step.type)) {
+        entry.output = output;
+      }
+      if (output !== undefined && step.capture) {
+        vars[step.capture] = output;
+        entry.captured = step.capture;
+      }
+      return null;
+    } catch (err) {
+      entry.success = false;
+      entry.error = err.message;
+      if (step.continueOnError) {
+        entry.continued = true;
+        return null;
+      }
+      return err.nested ? err.message : `Action ${index} failed: ${err.message}`;
+    }
+  }
+
+  async function runBlock(steps, index) {
+    const error = await runSteps(steps || [], String(index));
+    if (error) {
+      const err = new Error(error);
+      err.nested = true;
+      throw err;
+    }
+  }
+
+  async function executeStep(step, index) {
+    switch (step.type) {
+      case "set": {
+        if (!step.vars || typeof step.vars !== "object") {
+          throw new Error("set requires a vars object");
+        }
+        Object.assign(vars, step.vars);
+        return undefined;
+      }
+      case "assert": {
+        const { pass, actual, description } = await evaluateCheck(step, vars, runAction);
+        if (!pass) {
+          const detail = actual !== undefined ? ` (actual: ${typeof actual === "string" ? actual : JSON.stringify(actual)})` : "";
+          throw new Error(step.message || `Assertion failed: ${description}${detail}`);
+        }
+        return pass;
+      }
+      case "if": {
+        if (!step.condition) throw new Error("if requires a condition");
+        const { pass } = await evaluateCheck(step.condition, vars, runAction);
+        await runBlock(pass ? step.actions : step.else, index);
+        return pass;
+      }
+      case "repeat": {
+        const times = parseInt(step.times, 10);
+        if (!Number.isFinite(times) || times < 0) throw new Error("repeat requires a non-negative times");
+        if (times > MAX_ITERATIONS) throw new Error(`repeat is limited to ${MAX_ITERATIONS} iterations`);
+        const indexVar = step.indexAs || "index";
+        for (let n = 0; n < times; n++) {
+          vars[indexVar] = n;
+          await runBlock(step.actions, `${index}[${n}]`);
+        }
+        return times;
+      }
+      case "forEach": {
+        const items = step.items;
+        if (!Array.isArray(items)) throw new Error("forEach items must be an array or an array variable");
+        if (items.length > MAX_ITERATIONS) throw new Error(`forEach is limited to ${MAX_ITERATIONS} items`);
+        const itemVar = step.as || "item";
+        const indexVar = step.indexAs || "index";
+        for (let n = 0; n < items.length; n++) {
+          vars[itemVar] = items[n];
+          vars[indexVar] = n;
+          await runBlock(step.actions, `${index}[${n}]`);
+        }
+        return items.length;
+      }
+      default: {
+        const action = { ...step };
+        delete action.capture;
+        delete action.continueOnError;
+        const result = await runAction(action);
+        if (result?.error) throw new Error(result.error);
+        return getStepOutput(result);
+      }
+    }
+  }
+
+  let error = null;
+  try {
+    error = await runSteps(actions, "");
+  } catch (err) {
+    error = err.message;
+  }
+
+  const response = {
+    success: !error,
+    completedActions: completed,
+    totalActions: Array.isArray(actions) ? actions.length : 0,
+    results,
+  };
+  if (Object.keys(vars).length > 0) response.vars = vars;
+  if (error) response.error = error;
+  return response;
+}
+
+module.exports = {
+  runBatch,
+  estimateDuration,
+  toToolCall,
+  substitute,
+  evaluateCheck,
+  buildCheckScript,
+  getStepOutput,
+};
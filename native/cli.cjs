@@ -1,12 +1,31 @@
 #!/usr/bin/env node
 const net = require("net");
 const fs = require("fs");
+const path = require("path");
 const { execSync } = require("child_process");
-const { loadConfig, getConfigPath, createStarterConfig } = require("./config.cjs");
+const { loadConfig, getConfigPath, createStarterConfig, saveRouteGroup } = require("./config.cjs");
 const networkFormatters = require("./formatters/network.cjs");
+const a11yFormatters = require("./formatters/a11y.cjs");
+const extractFormatters = require("./formatters/extract.cjs");
+const tableFormatters = require("./formatters/table.cjs");
 const networkStore = require("./network-store.cjs");
-
-const SOCKET_PATH = "/tmp/surf.sock";
+const hostRegistry = require("./host-registry.cjs");
+const completion = require("./completion.cjs");
+const smokeReport = require("./smoke-report.cjs");
+const crawl = require("./crawl.cjs");
+const { prepareToolArgs } = require("./tool-args.cjs");
+const {
+  TOOLS,
+  ALIASES,
+  REMOVED_COMMANDS,
+  ALL_SOCKET_TOOLS,
+  BOOLEAN_FLAGS,
+  PRIMARY_ARG_MAP,
+  getCommandParams,
+  validateArgs,
+  getRequestTimeout,
+  formatUsage,
+} = require("./commands.cjs");
 
 // Cross-platform image resize (macOS: sips, Linux: ImageMagick)
 function resizeImage(filePath, maxSize) {
@@ -45,700 +64,28 @@ function resizeImage(filePath, maxSize) {
 const args = process.argv.slice(2);
 const VERSION = "2.0.0";
 
-const ALIASES = {
-  snap: "screenshot",
-  read: "page.read",
-  find: "search",
-  go: "navigate",
-  net: "network",
-  "network.dump": "network.get",
-};
-
-const REMOVED_COMMANDS = {
-  read_page: "page.read",
-  get_page_text: "page.text",
-  page_state: "page.state",
-  list_tabs: "tab.list",
-  new_tab: "tab.new",
-  switch_tab: "tab.switch",
-  close_tab: "tab.close",
-  scroll_to: "scroll.to",
-  scroll_to_position: "scroll.to",
-  get_scroll_info: "scroll.info",
-  wait_for_element: "wait.element",
-  wait_for_url: "wait.url",
-  wait_for_network_idle: "wait.network",
-  javascript_tool: "js",
-  read_console_messages: "console",
-  read_network_requests: "network",
-  tabs_context: "tab.list",
-  tabs_create: "tab.new",
-  tabs_register: "tab.name",
-  tabs_unregister: "tab.unname",
-  tabs_get_by_name: "tab.switch",
-  tabs_list_named: "tab.named",
-  upload_image: "upload",
-  resize_window: "resize",
-  type_submit: "type --submit",
-  left_click: "click",
-  right_click: "click --button right",
-  double_click: "click --button double",
-  triple_click: "click --button triple",
-  left_click_drag: "drag",
-};
+// --browser picks which running browser to talk to (install/uninstall use it
+// for the browsers to set up instead; __complete sees it as a word)
+let browserSelector;
+if (args[0] !== "install" && args[0] !== "uninstall" && args[0] !== "__complete") {
+  const browserIdx = args.indexOf("--browser");
+  if (browserIdx !== -1) {
+    browserSelector = args[browserIdx + 1];
+    args.splice(browserIdx, 2);
+  }
+}
 
-const TOOLS = {
-  ai: {
-    desc: "AI assistants (ChatGPT, Gemini)",
-    commands: {
-      "chatgpt": { 
-        desc: "Send prompt to ChatGPT (uses browser cookies)", 
-        args: ["query"], 
-        opts: { 
-          "with-page": "Include current page context",
-          model: "Model: gpt-4o, o1, etc.",
-          file: "Attach file",
-          timeout: "Timeout in seconds (default: 2700 = 45min)"
-        },
-        examples: [
-          { cmd: 'chatgpt "explain this code"', desc: "Basic query" },
-          { cmd: 'chatgpt "summarize" --with-page', desc: "With page context" },
-          { cmd: 'chatgpt "review" --file code.ts', desc: "With file" },
-          { cmd: 'chatgpt "analyze" --model gpt-4o', desc: "Specify model" },
-        ]
-      },
-      "gemini": { 
-        desc: "Send prompt to Gemini (uses browser cookies)", 
-        args: ["query"], 
-        opts: { 
-          "with-page": "Include current page context",
-          model: "Model: gemini-3-pro (default), gemini-2.5-pro, gemini-2.5-flash",
-          file: "Attach file to analyze",
-          "generate-image": "Generate image and save to path",
-          "edit-image": "Edit existing image (use with --output)",
-          output: "Output file path for image operations",
-          youtube: "YouTube video URL to analyze",
-          "aspect-ratio": "Aspect ratio for image generation (e.g., 1:1, 16:9)",
-          timeout: "Timeout in seconds (default: 300)"
-        },
-        examples: [
-          { cmd: 'gemini "explain quantum computing"', desc: "Basic query" },
-          { cmd: 'gemini "summarize" --with-page', desc: "With page context" },
-          { cmd: 'gemini "analyze" --file data.csv', desc: "With file attachment" },
-          { cmd: 'gemini "a robot surfing" --generate-image /tmp/robot.png', desc: "Generate image" },
-          { cmd: 'gemini "add sunglasses" --edit-image photo.jpg --output out.jpg', desc: "Edit image" },
-          { cmd: 'gemini "summarize this video" --youtube "https://youtube.com/..."', desc: "YouTube analysis" },
-        ]
-      },
-      "perplexity": {
-        desc: "Search with Perplexity AI (uses browser session)",
-        args: ["query"],
-        opts: {
-          "with-page": "Include current page context",
-          mode: "Mode: search (default), research",
-          model: "Model (Pro users): sonar, gpt-4o, claude, etc.",
-          timeout: "Timeout in seconds (default: 120)"
-        },
-        examples: [
-          { cmd: 'perplexity "what is quantum computing"', desc: "Basic search" },
-          { cmd: 'perplexity "explain this page" --with-page', desc: "With page context" },
-          { cmd: 'perplexity "deep dive into transformers" --mode research', desc: "Research mode" },
-          { cmd: 'perplexity "latest AI news" --model sonar', desc: "Specify model (Pro)" },
-        ]
-      },
-      "ai": { 
-        desc: "Analyze page with AI (requires GOOGLE_API_KEY)", 
-        args: ["query"], 
-        opts: { mode: "Query mode: find|summary|extract (auto-detected)" },
-        examples: [
-          { cmd: 'ai "find the login button"', desc: "Find element" },
-          { cmd: 'ai "summarize this page"', desc: "Get summary" },
-          { cmd: 'ai "extract all links as json"', desc: "Extract data" },
-        ]
-      },
-    }
-  },
-  tab: {
-    desc: "Tab management",
-    commands: {
-      "tab.list": { desc: "List all open tabs", args: [], examples: [{ cmd: "tab.list", desc: "Show all tabs" }] },
-      "tab.new": { 
-        desc: "Open new tab", 
-        args: ["url"], 
-        opts: { urls: "Open multiple URLs" },
-        examples: [
-          { cmd: 'tab.new "https://google.com"', desc: "Open single tab" },
-          { cmd: 'tab.new --urls "https://a.com" "https://b.com"', desc: "Open multiple" },
-        ]
-      },
-      "tab.switch": { 
-        desc: "Switch to tab by ID or name", 
-        args: ["id"],
-        examples: [
-          { cmd: "tab.switch 123", desc: "Switch by ID" },
-          { cmd: 'tab.switch "myTab"', desc: "Switch by name" },
-        ]
-      },
-      "tab.close": { 
-        desc: "Close tab by ID or name", 
-        args: ["id"], 
-        opts: { ids: "Close multiple tabs" },
-        examples: [{ cmd: "tab.close 123", desc: "Close tab" }]
-      },
-      "tab.name": { 
-        desc: "Register current tab with a name", 
-        args: ["name"],
-        examples: [{ cmd: 'tab.name "dashboard"', desc: "Name current tab" }]
-      },
-      "tab.unname": { desc: "Unregister a named tab", args: ["name"] },
-      "tab.named": { desc: "List all named tabs", args: [] },
-      "tab.group": { 
-        desc: "Create/add to tab group", 
-        args: [], 
-        opts: { name: "Group name", tabs: "Tab IDs (comma-separated)", color: "Group color" },
-        examples: [
-          { cmd: 'tab.group --name "Work" --color blue', desc: "Group current tab" },
-          { cmd: 'tab.group --name "Research" --tabs 1,2,3', desc: "Group multiple" },
-        ]
-      },
-      "tab.ungroup": { desc: "Remove tabs from group", args: [], opts: { tabs: "Tab IDs (comma-separated)" } },
-      "tab.groups": { desc: "List all tab groups", args: [] },
-      "tab.reload": { 
-        desc: "Reload current tab", 
-        args: [], 
-        opts: { hard: "Bypass cache" },
-        examples: [
-          { cmd: "tab.reload", desc: "Soft reload" },
-          { cmd: "tab.reload --hard", desc: "Hard reload (bypass cache)" },
-        ]
-      },
-    }
-  },
-  nav: {
-    desc: "Navigation",
-    commands: {
-      "navigate": { 
-        desc: "Go to URL", 
-        args: ["url"],
-        examples: [{ cmd: 'navigate "https://example.com"', desc: "Go to URL" }]
-      },
-      "go": { desc: "Alias for navigate", args: ["url"], alias: "navigate" },
-      "back": { 
-        desc: "Go back in history", 
-        args: [],
-        examples: [{ cmd: "back", desc: "Browser back" }]
-      },
-      "forward": { 
-        desc: "Go forward in history", 
-        args: [],
-        examples: [{ cmd: "forward", desc: "Browser forward" }]
-      },
-      "screenshot": { 
-        desc: "Capture screenshot (auto-resized for LLM by default)", 
-        args: [], 
-        opts: { 
-          output: "Save to file", 
-          selector: "Capture specific element", 
-          annotate: "Draw element labels", 
-          fullpage: "Capture full page", 
-          "max-height": "Max height for fullpage (default: 4000)",
-          full: "Skip resize, save at full resolution",
-          "max-size": "Max dimension in px (default: 1200)" 
-        },
-        examples: [
-          { cmd: "screenshot --output /tmp/shot.png", desc: "Save to file (auto-resized)" },
-          { cmd: "screenshot --full --output /tmp/shot.png", desc: "Full resolution" },
-          { cmd: "screenshot --max-size 800 --output /tmp/small.png", desc: "Custom max size" },
-          { cmd: "screenshot --annotate --output /tmp/annotated.png", desc: "With element labels" },
-          { cmd: "snap", desc: "Auto-save to /tmp (resized)" },
-        ]
-      },
-      "snap": { desc: "Alias for screenshot (auto-saves to /tmp)", args: [], alias: "screenshot" },
-    }
-  },
-  scroll: {
-    desc: "Scrolling",
-    commands: {
-      "scroll": { 
-        desc: "Scroll in direction", 
-        args: [], 
-        opts: { direction: "up|down|left|right", amount: "Scroll amount (1-10)" },
-        examples: [{ cmd: "scroll --direction down --amount 3", desc: "Scroll down" }]
-      },
-      "scroll.top": { desc: "Scroll to top of page", args: [], opts: { selector: "Target specific container" } },
-      "scroll.bottom": { desc: "Scroll to bottom of page", args: [], opts: { selector: "Target specific container" } },
-      "scroll.to": { 
-        desc: "Scroll element into view", 
-        args: [], 
-        opts: { ref: "Element ref" },
-        examples: [{ cmd: "scroll.to --ref e5", desc: "Scroll to element" }]
-      },
-      "scroll.info": { desc: "Get scroll position info", args: [], opts: { selector: "Target specific container" } },
-    }
-  },
-  page: {
-    desc: "Page inspection",
-    commands: {
-      "page.read": { 
-        desc: "Get accessibility tree + visible text", 
-        args: [], 
-        opts: { all: "Include all elements", ref: "Get specific element", "no-text": "Exclude visible text content" },
-        examples: [
-          { cmd: "page.read", desc: "Interactive elements + text content" },
-          { cmd: "page.read --all", desc: "All elements + text" },
-          { cmd: "page.read --no-text", desc: "Interactive elements only (no text)" },
-          { cmd: "read", desc: "Alias" },
-        ]
-      },
-      "read": { desc: "Alias for page.read", args: [], alias: "page.read" },
-      "page.text": { desc: "Extract all text from page", args: [] },
-      "page.state": { desc: "Get page state (modals, loading, etc.)", args: [] },
-    }
-  },
-  wait: {
-    desc: "Waiting",
-    commands: {
-      "wait": { 
-        desc: "Wait N seconds", 
-        args: ["duration"],
-        examples: [{ cmd: "wait 2", desc: "Wait 2 seconds" }]
-      },
-      "wait.element": { 
-        desc: "Wait for element to appear", 
-        args: ["selector"], 
-        opts: { timeout: "Timeout in ms" },
-        examples: [
-          { cmd: 'wait.element ".loading"', desc: "Wait for element" },
-          { cmd: 'wait.element "#result" --timeout 10000', desc: "With timeout" },
-        ]
-      },
-      "wait.network": { desc: "Wait for network idle", args: [], opts: { timeout: "Timeout in ms" } },
-      "wait.url": { 
-        desc: "Wait for URL to match", 
-        args: ["pattern"], 
-        opts: { timeout: "Timeout in ms" },
-        examples: [{ cmd: 'wait.url "/dashboard"', desc: "Wait for URL pattern" }]
-      },
-      "wait.dom": { desc: "Wait for DOM to stabilize", args: [], opts: { stable: "Stability window in ms (default: 100)", timeout: "Max wait time in ms" } },
-      "wait.load": { desc: "Wait for page to fully load", args: [], opts: { timeout: "Max wait time in ms (default: 30000)" } },
-    }
-  },
-  input: {
-    desc: "Input actions",
-    commands: {
-      "click": { 
-        desc: "Click element or coordinates", 
-        args: ["ref"], 
-        opts: { 
-          ref: "Element ref", 
-          x: "X coordinate", 
-          y: "Y coordinate", 
-          button: "left|right|double|triple", 
-          selector: "CSS selector", 
-          index: "Which match (0-indexed) for selector",
-        },
-        examples: [
-          { cmd: "click e5", desc: "Click by ref" },
-          { cmd: 'click --selector ".btn"', desc: "Click by selector" },
-          { cmd: 'click --selector ".item" --index 2', desc: "Click 3rd match" },
-          { cmd: "click --x 100 --y 200", desc: "Click coordinates" },
-        ]
-      },
-      "type": { 
-        desc: "Type text (uses form.fill when --ref provided for better modal/form support)", 
-        args: ["text"], 
-        opts: { 
-          into: "Target selector",
-          ref: "Element ref (uses JS DOM method, more reliable for modals)", 
-          submit: "Press enter after", 
-          clear: "Clear first", 
-          method: "cdp|js (default: cdp, but ref uses JS automatically)" 
-        },
-        examples: [
-          { cmd: 'type "hello world"', desc: "Type at cursor (CDP events)" },
-          { cmd: 'type "user@example.com" --ref e5', desc: "Type into element by ref (JS DOM)" },
-          { cmd: 'type "search query" --submit', desc: "Type and press Enter" },
-        ]
-      },
-      "smart_type": { desc: "Type into specific element (js method)", args: [], opts: { selector: "CSS selector", text: "Text to type", clear: "Clear first (default: true)", submit: "Submit after" } },
-      "key": { 
-        desc: "Press key", 
-        args: ["key"], 
-        examples: [
-          { cmd: "key Enter", desc: "Press Enter" },
-          { cmd: "key Escape", desc: "Press Escape" },
-          { cmd: "key cmd+a", desc: "Select all (Mac)" },
-          { cmd: "key ctrl+shift+p", desc: "Key combo" },
-        ]
-      },
-      "hover": { desc: "Hover over element", args: [], opts: { ref: "Element ref", x: "X coordinate", y: "Y coordinate" } },
-      "drag": { desc: "Drag between points", args: [], opts: { from: "Start x,y", to: "End x,y" } },
-    }
-  },
-  js: {
-    desc: "JavaScript execution",
-    commands: {
-      "js": { 
-        desc: "Execute JavaScript (use 'return' for values)", 
-        args: ["code"], 
-        opts: { file: "Run JS from file" },
-        examples: [
-          { cmd: 'js "return document.title"', desc: "Get title" },
-          { cmd: 'js "document.body.style.background = \'red\'"', desc: "Run code" },
-          { cmd: "js --file script.js", desc: "Run file" },
-        ]
-      },
-    }
-  },
-  dev: {
-    desc: "Dev tools",
-    commands: {
-      "console": { 
-        desc: "Read console messages", 
-        args: [], 
-        opts: { clear: "Clear after reading", stream: "Continuous output", level: "Filter by level (log,warn,error)", limit: "Max messages" },
-        examples: [
-          { cmd: "console", desc: "Get recent messages" },
-          { cmd: "console --level error", desc: "Only errors" },
-          { cmd: "console --stream", desc: "Stream live" },
-        ]
-      },
-    }
-  },
-  network: {
-    desc: "Network capture",
-    commands: {
-      "network": { 
-        desc: "List captured network requests", 
-        args: [], 
-        opts: { 
-          origin: "Filter by origin (domain)",
-          method: "Filter by method (GET,POST,...)",
-          status: "Filter by status (200, 4xx, 5xx)",
-          type: "Filter by content type (json, html, proto)",
-          since: "Show requests since (5m, 1h, timestamp)",
-          last: "Show last N requests",
-          "has-body": "Only requests with body",
-          "exclude-static": "Exclude images/fonts/css/js",
-          filter: "URL pattern filter",
-          format: "Output format: compact, urls, curl, raw",
-          all: "Show all (no limit)",
-          v: "Verbose output",
-          vv: "Very verbose output",
-          clear: "Clear after reading",
-          stream: "Continuous output"
-        },
-        examples: [
-          { cmd: "network", desc: "Show recent requests" },
-          { cmd: "network --origin api.github.com", desc: "Filter by origin" },
-          { cmd: "network --method POST --type json", desc: "POST JSON requests" },
-          { cmd: "network --format curl", desc: "Output as curl commands" },
-          { cmd: "network -v", desc: "Verbose with headers" },
-        ]
-      },
-      "network.get": { 
-        desc: "Get full details for a request", 
-        args: ["id"],
-        opts: {},
-        examples: [
-          { cmd: "network.get r_001", desc: "Get request details" }
-        ]
-      },
-      "network.body": { 
-        desc: "Get response body (for piping)", 
-        args: ["id"],
-        opts: { request: "Get request body instead" },
-        examples: [
-          { cmd: "network.body r_001", desc: "Get response body" },
-          { cmd: "network.body r_001 | jq .", desc: "Pipe JSON to jq" }
-        ]
-      },
-      "network.curl": { 
-        desc: "Generate curl command for request", 
-        args: ["id"],
-        opts: {},
-        examples: [
-          { cmd: "network.curl r_001", desc: "Generate curl" }
-        ]
-      },
-      "network.origins": { 
-        desc: "List captured origins with stats", 
-        args: [],
-        opts: { "by-tab": "Group by tab" },
-        examples: [
-          { cmd: "network.origins", desc: "List origins" }
-        ]
-      },
-      "network.clear": { 
-        desc: "Clear captured requests", 
-        args: [],
-        opts: { before: "Clear before timestamp/duration", origin: "Clear specific origin" },
-        examples: [
-          { cmd: "network.clear", desc: "Clear all" },
-          { cmd: "network.clear --before 1h", desc: "Clear older than 1 hour" }
-        ]
-      },
-      "network.stats": { 
-        desc: "Show capture statistics", 
-        args: [],
-        opts: {},
-        examples: [
-          { cmd: "network.stats", desc: "Show stats" }
-        ]
-      },
-      "network.export": { 
-        desc: "Export captured requests", 
-        args: [],
-        opts: { jsonl: "Export as JSONL", output: "Output file path" },
-        examples: [
-          { cmd: "network.export --jsonl --output /tmp/requests.jsonl", desc: "Export as JSONL" }
-        ]
-      },
-      "network.path": { 
-        desc: "Get file paths for request data", 
-        args: ["id"],
-        opts: {},
-        examples: [
-          { cmd: "network.path r_001", desc: "Get file paths" }
-        ]
-      },
-    }
-  },
-  health: {
-    desc: "Health checks",
-    commands: {
-      "health": { 
-        desc: "Wait for URL or element", 
-        args: [], 
-        opts: { url: "URL to check (expects 200)", selector: "CSS selector to wait for", expect: "Expected status code (default: 200)", timeout: "Timeout in ms" },
-        examples: [
-          { cmd: 'health --url "https://api.example.com"', desc: "Check URL" },
-          { cmd: 'health --selector ".loaded"', desc: "Wait for element" },
-        ]
-      },
-    }
-  },
-  smoke: {
-    desc: "Smoke testing",
-    commands: {
-      "smoke": { desc: "Run smoke tests on URLs", args: [], opts: { urls: "URLs to test (space-separated)", routes: "Route group from config", screenshot: "Directory to save screenshots", "fail-fast": "Stop on first error" } },
-    }
-  },
-  dialog: {
-    desc: "Browser dialog handling",
-    commands: {
-      "dialog.accept": { desc: "Accept current dialog", args: [], opts: { text: "Text for prompt input" } },
-      "dialog.dismiss": { 
-        desc: "Dismiss current dialog", 
-        args: [], 
-        opts: { all: "Dismiss all dialogs repeatedly" },
-        examples: [
-          { cmd: "dialog.dismiss", desc: "Dismiss once" },
-          { cmd: "dialog.dismiss --all", desc: "Dismiss all" },
-        ]
-      },
-      "dialog.info": { desc: "Get current dialog info", args: [] },
-    }
-  },
-  emulate: {
-    desc: "Device/network emulation",
-    commands: {
-      "emulate.network": { desc: "Emulate network conditions", args: ["preset"], opts: {} },
-      "emulate.cpu": { desc: "CPU throttling (rate >= 1)", args: ["rate"], opts: {} },
-      "emulate.geo": { desc: "Override geolocation", args: [], opts: { lat: "Latitude", lon: "Longitude", accuracy: "Accuracy in meters (default: 100)", clear: "Clear override" } },
-    }
-  },
-  form: {
-    desc: "Form automation",
-    commands: {
-      "form.fill": { desc: "Batch fill form fields", args: [], opts: { data: "JSON array of {ref, value}" } },
-    }
-  },
-  perf: {
-    desc: "Performance tracing",
-    commands: {
-      "perf.start": { desc: "Start performance trace", args: [], opts: { categories: "Trace categories (comma-separated)" } },
-      "perf.stop": { desc: "Stop trace and get metrics", args: [] },
-      "perf.metrics": { desc: "Get current performance metrics", args: [] },
-    }
-  },
-  upload: {
-    desc: "File upload",
-    commands: {
-      "upload": { 
-        desc: "Upload file(s) to input", 
-        args: [], 
-        opts: { ref: "Element ref", files: "File path(s) comma-separated" },
-        examples: [{ cmd: 'upload --ref e5 --files "/path/to/file.pdf"', desc: "Upload file" }]
-      },
-    }
-  },
-  frame: {
-    desc: "Iframe handling",
-    commands: {
-      "frame.list": { desc: "List all frames in page", args: [] },
-      "frame.js": { desc: "Execute JS in specific frame", args: [], opts: { id: "Frame ID from frame.list", code: "JavaScript code" } },
-    }
-  },
-  cookie: {
-    desc: "Cookie management",
-    commands: {
-      "cookie.list": { 
-        desc: "List all cookies for current tab's domain", 
-        args: [],
-        examples: [{ cmd: "cookie.list", desc: "Show all cookies" }]
-      },
-      "cookie.get": { desc: "Get specific cookie", args: [], opts: { name: "Cookie name" } },
-      "cookie.set": { 
-        desc: "Set a cookie", 
-        args: [], 
-        opts: { name: "Cookie name", value: "Cookie value", expires: "Expiry date (optional)" },
-        examples: [{ cmd: 'cookie.set --name "session" --value "abc123"', desc: "Set cookie" }]
-      },
-      "cookie.clear": { 
-        desc: "Clear cookies", 
-        args: [], 
-        opts: { name: "Specific cookie (optional)", all: "Clear all for domain" },
-        examples: [
-          { cmd: 'cookie.clear --name "session"', desc: "Clear one" },
-          { cmd: "cookie.clear --all", desc: "Clear all" },
-        ]
-      },
-    }
-  },
-  search: {
-    desc: "Text search",
-    commands: {
-      "search": { 
-        desc: "Search for text in page", 
-        args: ["term"], 
-        opts: { "case-sensitive": "Case-sensitive match", limit: "Max results" },
-        examples: [
-          { cmd: 'search "login"', desc: "Find text" },
-          { cmd: 'search "Error" --case-sensitive', desc: "Case sensitive" },
-          { cmd: 'find "button"', desc: "Using alias" },
-        ]
-      },
-      "find": { desc: "Alias for search", args: ["term"], alias: "search" },
-    }
-  },
-  batch: {
-    desc: "Batch execution",
-    commands: {
-      "batch": { 
-        desc: "Execute multiple actions", 
-        args: [], 
-        opts: { actions: "JSON array of actions", file: "Path to actions JSON file" },
-        examples: [
-          { cmd: 'batch --actions \'[{"type":"click","ref":"e1"},{"type":"wait","ms":500}]\'', desc: "Inline actions" },
-          { cmd: "batch --file workflow.json", desc: "From file" },
-        ]
-      },
-    }
-  },
-  zoom: {
-    desc: "Zoom control",
-    commands: {
-      "zoom": { 
-        desc: "Get or set zoom level", 
-        args: [], 
-        opts: { level: "Zoom level (e.g., 1.5 for 150%)", reset: "Reset to default zoom" },
-        examples: [
-          { cmd: "zoom", desc: "Get current zoom" },
-          { cmd: "zoom 1.5", desc: "Set to 150%" },
-          { cmd: "zoom --reset", desc: "Reset to 100%" },
-        ]
-      },
-    }
-  },
-  resize: {
-    desc: "Window management",
-    commands: {
-      "resize": { 
-        desc: "Resize browser window", 
-        args: [], 
-        opts: { width: "Window width", height: "Window height" },
-        examples: [{ cmd: "resize --width 1280 --height 720", desc: "Set size" }]
-      },
-    }
-  },
-  bookmark: {
-    desc: "Bookmark management",
-    commands: {
-      "bookmark.add": { desc: "Bookmark current page", args: [], opts: { folder: "Folder name" } },
-      "bookmark.remove": { desc: "Remove bookmark for current page", args: [] },
-      "bookmark.list": { desc: "List bookmarks", args: [], opts: { folder: "Folder name", limit: "Max results" } },
-    }
-  },
-  history: {
-    desc: "Browser history",
-    commands: {
-      "history.list": { 
-        desc: "Recent history", 
-        args: [], 
-        opts: { limit: "Max results" },
-        examples: [{ cmd: "history.list --limit 20", desc: "Last 20 items" }]
-      },
-      "history.search": { 
-        desc: "Search history", 
-        args: ["query"],
-        examples: [{ cmd: 'history.search "github"', desc: "Search history" }]
-      },
-    }
-  },
-  window: {
-    desc: "Window management (isolate agent from your browsing)",
-    commands: {
-      "window.new": { 
-        desc: "Create new browser window", 
-        args: ["url"], 
-        opts: { 
-          width: "Window width",
-          height: "Window height",
-          incognito: "Open incognito window",
-          unfocused: "Don't focus the new window"
-        },
-        examples: [
-          { cmd: 'window.new "https://example.com"', desc: "New window with URL" },
-          { cmd: 'window.new --width 1280 --height 720', desc: "Sized window" },
-          { cmd: 'window.new --incognito', desc: "Incognito window" },
-        ]
-      },
-      "window.list": { 
-        desc: "List all browser windows", 
-        args: [],
-        opts: { tabs: "Include tab details" },
-        examples: [{ cmd: "window.list", desc: "Show all windows" }]
-      },
-      "window.focus": { 
-        desc: "Focus a window by ID", 
-        args: ["id"],
-        examples: [{ cmd: "window.focus 123", desc: "Focus window" }]
-      },
-      "window.close": { 
-        desc: "Close a window by ID", 
-        args: ["id"],
-        examples: [{ cmd: "window.close 123", desc: "Close window" }]
-      },
-      "window.resize": { 
-        desc: "Resize or reposition a window", 
-        args: [], 
-        opts: { 
-          id: "Window ID (required)", 
-          width: "Window width", 
-          height: "Window height",
-          left: "Window X position",
-          top: "Window Y position",
-          state: "Window state: normal, minimized, maximized, fullscreen"
-        },
-        examples: [
-          { cmd: "window.resize --id 123 --width 1920 --height 1080", desc: "Resize" },
-          { cmd: "window.resize --id 123 --left 0 --top 0", desc: "Move to corner" },
-          { cmd: "window.resize --id 123 --state maximized", desc: "Maximize" },
-        ]
-      },
+let socketPath;
+const getSocketPath = () => {
+  if (!socketPath) {
+    try {
+      socketPath = hostRegistry.resolveSocketPath({ browser: browserSelector });
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
     }
-  },
+  }
+  return socketPath;
 };
 
 const HELP_TOPICS = {
@@ -766,6 +113,31 @@ Examples:
 
 Use --index to select from multiple matches:
   click --selector ".item" --index 2   # 3rd match (0-indexed)`
+  },
+  locators: {
+    title: "Semantic Locators",
+    content: `click, type, hover and scroll.to can find elements the way a user would,
+without a ref from page.read:
+
+  click --role button --name "Save"      Role and accessible name (as page.read shows them)
+  click --text "Sign in"                 Visible text
+  type "me@example.com" --label Email    Form control label
+  type "shoes" --placeholder Search      Placeholder
+  click --testid submit                  data-testid attribute
+
+Names and text match case-insensitively as substrings; --exact matches the
+whole string. When several elements match, the command fails unless --nth
+picks one (0-indexed, -1 for the last).
+
+--within limits the search to another locator. Chain parts with >>:
+  click --role button --name Delete --within 'role=dialog[name="Confirm"]'
+  click --text Edit --within 'testid=row-42'
+  click --role link --within 'css=nav >> nth=1'
+
+A quoted value in --within matches exactly. Hidden elements are skipped.
+
+Actions wait up to --timeout ms (default 5000) for the element to be
+visible, stable, enabled and not covered; --force acts immediately.`
   },
   cookies: {
     title: "Cookie Management",
@@ -793,11 +165,51 @@ JSON format:
     {"type": "key", "key": "Enter"}
   ]
 
-Supported types: click, type, key, wait, scroll, screenshot, navigate
+Shorthand types: click, type, key, wait, scroll, screenshot, navigate
+Any other surf command works as a step with its options as keys, e.g.
+  {"type": "wait.element", "selector": ".loaded"}
+  {"type": "cookie.set", "name": "seen", "value": "1"}
+  {"type": "tab.new", "url": "https://example.com", "capture": "tab"}
+Use {"tool": "network", "args": {"type": "json"}} when an option is named "type".
+Control steps: set, assert, if, repeat, forEach
+
+Each step's result includes the command's output.
+
+click and type accept ref, selector, role and name. The ref is used only
+while it still matches role/name, then selector, then role + name. Without
+a ref or selector they take semantic locators (role, name, text, label,
+placeholder, testid, nth, exact, within); see --help-topic locators.
+
+Workflow files can also be an object with variables:
+  {
+    "vars": {"base": "https://example.com", "users": ["a", "b"]},
+    "actions": [
+      {"type": "navigate", "url": "\${base}/login"},
+      {"type": "assert", "exists": "#login-form"},
+      {"type": "js", "code": "return document.title", "capture": "title"},
+      {"type": "if", "condition": {"text": "Welcome"}, "actions": [...], "else": [...]},
+      {"type": "forEach", "items": "\${users}", "as": "user", "actions": [
+        {"type": "type", "selector": "#name", "text": "\${user}"}
+      ]},
+      {"type": "repeat", "times": 3, "actions": [{"type": "scroll", "direction": "down"}]},
+      {"type": "click", "selector": ".banner-close", "continueOnError": true}
+    ]
+  }
+
+Conditions (assert, if): text, url (substring or /regex/), exists (CSS
+selector), equals [a, b], var; add "not": true to invert.
+"capture": "name" stores a step's output as \${name} for later steps.
+"continueOnError": true records a failure and keeps going.
 
 Options:
   --actions '[...]'    Inline JSON
-  --file workflow.json Load from file`
+  --file workflow.json Load from file
+  --vars '{...}'       Variables (override the file's vars)
+
+Recording:
+  surf record start                        Capture clicks, typing, keys, navigation
+  surf record stop --output workflow.json  Save for batch --file
+Typed passwords are saved as \${password}; supply them with --vars.`
   },
   screenshots: {
     title: "Screenshots",
@@ -866,38 +278,6 @@ Tips:
   },
 };
 
-const ALL_SOCKET_TOOLS = [
-  "ai", "screenshot", "navigate",
-  "form_input", "find_and_type", "autocomplete", "set_value", "smart_type",
-  "scroll_to_position", "get_scroll_info", "close_dialogs", "page_state",
-  "javascript_tool", "health", "smoke",
-  "click_type", "click_type_submit", "type", "key", "type_submit",
-  "scroll", "scroll_to", "hover", "left_click_drag", "drag", "wait",
-  "computer",
-  "page.read", "page.text", "page.state",
-  "tab.list", "tab.new", "tab.switch", "tab.close", "tab.name", "tab.unname", "tab.named",
-  "tab.group", "tab.ungroup", "tab.groups", "tab.reload",
-  "scroll.top", "scroll.bottom", "scroll.to", "scroll.info",
-  "wait.element", "wait.network", "wait.url", "wait.dom", "wait.load",
-  "click", "hover", "drag",
-  "js", "console", "network", 
-  "network.get", "network.body", "network.curl", "network.origins", 
-  "network.clear", "network.stats", "network.export", "network.path",
-  "dialog.accept", "dialog.dismiss", "dialog.info",
-  "emulate.network", "emulate.cpu", "emulate.geo",
-  "form.fill",
-  "perf.start", "perf.stop", "perf.metrics",
-  "upload",
-  "frame.list", "frame.js",
-  "cookie.list", "cookie.get", "cookie.set", "cookie.clear",
-  "search", "batch",
-  "zoom", "resize",
-  "back", "forward",
-  "bookmark.add", "bookmark.remove", "bookmark.list",
-  "history.list", "history.search",
-  "window.new", "window.list", "window.focus", "window.close", "window.resize",
-];
-
 const showBasicHelp = () => {
   console.log(`surf v${VERSION} - Browser automation CLI
 
@@ -921,7 +301,7 @@ Quick Examples:
 
 More Help:
   surf --help-full           All commands
-  surf --help-topic <topic>  Topic guide (refs, selectors, cookies, batch, screenshots, automation)
+  surf --help-topic <topic>  Topic guide (refs, selectors, locators, cookies, batch, screenshots, automation)
   surf <command> --help      Command details
   surf --find <query>        Search for commands
   surf --about <topic>       Learn about a topic
@@ -938,8 +318,7 @@ Usage: surf <command> [args] [options]
     console.log(`${groupName.toUpperCase()} - ${group.desc}`);
     for (const [cmd, info] of Object.entries(group.commands)) {
       if (info.alias) continue;
-      const argStr = info.args?.length ? `<${info.args.join("> <")}>` : "";
-      const line = `  ${cmd} ${argStr}`.padEnd(32);
+      const line = `  ${formatUsage(cmd, { name: cmd, ...info })} `.padEnd(32);
       console.log(`${line}${info.desc}`);
     }
     console.log();
@@ -949,6 +328,7 @@ Usage: surf <command> [args] [options]
 Options:
   --tab-id <id>     Target specific tab
   --window-id <id>  Target specific window (isolate from your browsing)
+  --browser <name>  Target a browser/profile when several run surf (see: surf browsers)
   --json            Output raw JSON
   --auto-capture    On error: capture screenshot + console to /tmp
   --soft-fail       On error: warn and exit 0 (for non-critical commands)
@@ -956,6 +336,15 @@ Options:
 Script Mode:
   surf --script <file>     Run workflow from JSON
   surf --script <file> --dry-run
+
+HTTP API:
+  surf serve [--port <n>]  Serve commands over localhost HTTP/WebSocket
+
+Browsers:
+  surf browsers            List running browsers and their sockets
+
+Shell Completion:
+  surf completion <shell>  Print bash, zsh or fish completion script
 `);
 };
 
@@ -969,6 +358,28 @@ const showHelpTopic = (topic) => {
   console.log(`\n${t.title}\n${"=".repeat(t.title.length)}\n\n${t.content}\n`);
 };
 
+const formatFlag = (param) =>
+  param.type === "boolean" ? `--${param.name}`
+  : param.flag ? `--${param.name} [${param.type}]`
+  : `--${param.name} <${param.type}>`;
+
+const formatParamDesc = (param) => {
+  let text = param.description;
+  if (param.enum) text += ` (${param.enum.join("|")})`;
+  if (param.default !== undefined) text += ` (default: ${param.default})`;
+  if (param.required) text += " (required)";
+  return text;
+};
+
+// Options in the order TOOLS lists them, including ones that double as positional args
+const getOptionParams = (cmd, info) => {
+  const params = getCommandParams(cmd, { name: cmd, ...info });
+  return Object.keys(info.opts || {}).map((opt) => {
+    const param = params.find((p) => p.name === opt);
+    return param.positional ? { ...param, required: false } : param;
+  });
+};
+
 const showGroupHelp = (groupName) => {
   const group = TOOLS[groupName];
   if (!group) {
@@ -982,13 +393,10 @@ const showGroupHelp = (groupName) => {
       console.log(`  ${cmd} -> ${info.alias}\n`);
       continue;
     }
-    const argStr = info.args?.length ? `<${info.args.join("> <")}>` : "";
-    console.log(`  ${cmd} ${argStr}`);
+    console.log(`  ${formatUsage(cmd, { name: cmd, ...info })}`);
     console.log(`      ${info.desc}`);
-    if (info.opts) {
-      for (const [opt, desc] of Object.entries(info.opts)) {
-        console.log(`      --${opt.padEnd(14)} ${desc}`);
-      }
+    for (const param of getOptionParams(cmd, info)) {
+      console.log(`      ${formatFlag(param).padEnd(22)} ${formatParamDesc(param)}`);
     }
     if (info.examples?.length) {
       console.log("      Examples:");
@@ -1009,20 +417,22 @@ const showToolHelp = (toolName) => {
         showToolHelp(info.alias);
         return;
       }
-      const argStr = info.args?.length ? `<${info.args.join("> <")}>` : "";
+      const command = { name: toolName, ...info };
+      const positional = getCommandParams(toolName, command).filter((p) => p.positional);
+      const options = getOptionParams(toolName, info);
       console.log(`\n${toolName} - ${info.desc}\n`);
-      console.log(`Usage: surf ${toolName} ${argStr}\n`);
-      if (info.args?.length) {
+      console.log(`Usage: surf ${formatUsage(toolName, command)}\n`);
+      if (positional.length) {
         console.log("Arguments:");
-        for (const arg of info.args) {
-          console.log(`  <${arg}>`);
+        for (const param of positional) {
+          console.log(`  ${`<${param.label}>`.padEnd(26)} ${formatParamDesc(param)}`);
         }
         console.log();
       }
-      if (info.opts) {
+      if (options.length) {
         console.log("Options:");
-        for (const [opt, desc] of Object.entries(info.opts)) {
-          console.log(`  --${opt.padEnd(18)} ${desc}`);
+        for (const param of options) {
+          console.log(`  ${formatFlag(param).padEnd(26)} ${formatParamDesc(param)}`);
         }
         console.log();
       }
@@ -1142,16 +552,51 @@ if (args[0] === "--about" && args[1]) {
   process.exit(0);
 }
 
+if (args[0] === "__complete") {
+  completion.getCompletions(args.slice(1)).then((candidates) => {
+    if (candidates.length > 0) console.log(completion.formatCandidates(candidates));
+    process.exit(0);
+  });
+  return;
+}
+
+if (args[0] === "completion") {
+  const shell = args[1];
+  if (!shell || shell === "--help" || shell === "-h") {
+    console.log(`
+Usage: surf completion <bash|zsh|fish>
+
+Print a shell completion script. Completes commands and options, plus tab
+IDs/names, window IDs and network request IDs when the browser is running,
+and element refs from the last page.read.
+
+Setup:
+  bash  echo 'eval "$(surf completion bash)"' >> ~/.bashrc
+  zsh   echo 'eval "$(surf completion zsh)"' >> ~/.zshrc
+  fish  surf completion fish > ~/.config/fish/completions/surf.fish
+`);
+    process.exit(shell ? 0 : 1);
+  }
+  try {
+    process.stdout.write(completion.getScript(shell));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
 if (args[0] === "server") {
   if (args.includes("--help") || args.includes("-h")) {
-    console.log("Usage: surf server");
+    console.log("Usage: surf server [--browser <name>]");
     console.log("");
     console.log("Start MCP server for Claude Desktop/Cursor integration.");
     console.log("Communicates via stdio using the Model Context Protocol.");
+    console.log("--browser (or SURF_BROWSER / SURF_SOCKET) picks the browser to drive.");
     process.exit(0);
   }
   const { PiChromeMcpServer } = require("./mcp-server.cjs");
-  const server = new PiChromeMcpServer();
+  const server = new PiChromeMcpServer({ browser: browserSelector });
   server.start().catch((err) => {
     console.error("MCP Server error:", err.message);
     process.exit(1);
@@ -1159,8 +604,114 @@ if (args[0] === "server") {
   return;
 }
 
+if (args[0] === "browsers") {
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+Usage: surf browsers [--json]
+
+List browsers with a running surf native host. Pick one for any command with
+--browser <browser>[:<profile>], or set SURF_BROWSER (selector) or SURF_SOCKET
+(socket path). Without either, commands use the most recently started browser
+(marked *). Name a profile in the extension options page.
+
+Examples:
+  surf browsers
+  surf go "https://example.com" --browser brave
+  surf read --browser chrome:work
+`);
+    process.exit(0);
+  }
+  const instances = hostRegistry.listInstances();
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(instances, null, 2));
+    process.exit(0);
+  }
+  if (instances.length === 0) {
+    console.log("No browsers connected. Is the surf extension installed? (see 'surf install --help')");
+    process.exit(0);
+  }
+  const defaultTarget = hostRegistry.getDefaultTarget();
+  const rows = instances.map((entry) => [
+    entry.socket === defaultTarget ? "*" : " ",
+    entry.profile ? `${entry.browser}:${entry.profile}` : entry.browser,
+    String(entry.pid),
+    entry.socket,
+  ]);
+  const width = Math.max(7, ...rows.map((r) => r[1].length));
+  console.log(`  ${"BROWSER".padEnd(width)}  ${"PID".padEnd(7)}  SOCKET`);
+  for (const [mark, name, pid, sock] of rows) {
+    console.log(`${mark} ${name.padEnd(width)}  ${pid.padEnd(7)}  ${sock}`);
+  }
+  process.exit(0);
+}
+
+if (args[0] === "serve") {
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+Usage: surf serve [options]
+
+Start a local HTTP server that forwards requests to the native host socket.
+
+Options:
+  --port <n>      Port to listen on (default: 7777)
+  --host <addr>   Address to bind (default: 127.0.0.1)
+  --token <t>     Bearer token (default: $SURF_TOKEN, or generated)
+  --browser <b>   Browser to forward to (see 'surf browsers')
+
+Endpoints:
+  POST /v1/tools/<command>   Run a command; JSON body holds its options
+  POST /v1/tool_request      Forward a raw tool_request message
+  GET  /v1/stream            WebSocket for console/network streams
+  GET  /openapi.json         OpenAPI document for all commands
+  GET  /health               Liveness check (no token)
+
+Examples:
+  surf serve --port 7777
+  curl -H "Authorization: Bearer $SURF_TOKEN" -d '{"url":"https://example.com"}' \\
+    http://127.0.0.1:7777/v1/tools/navigate
+`);
+    process.exit(0);
+  }
+  const httpServer = require("./http-server.cjs");
+  const optValue = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const port = parseInt(optValue("port") || httpServer.DEFAULT_PORT, 10);
+  const host = optValue("host") || httpServer.DEFAULT_HOST;
+  const explicitToken = optValue("token") || process.env.SURF_TOKEN;
+  const token = explicitToken || httpServer.generateToken();
+  if (isNaN(port)) {
+    console.error("Error: --port must be a number");
+    process.exit(1);
+  }
+
+  const server = httpServer.createServer({
+    socketPath: () => hostRegistry.resolveSocketPath({ browser: browserSelector }),
+    token,
+    tools: TOOLS,
+    include: ALL_SOCKET_TOOLS,
+    aliases: ALIASES,
+    version: VERSION,
+    log: (msg) => console.log(`[serve] ${msg}`),
+  });
+  server.on("error", (err) => {
+    console.error("Error:", err.code === "EADDRINUSE" ? `Port ${port} is already in use` : err.message);
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    console.log(`surf serve listening on http://${host}:${port}`);
+    if (!explicitToken) console.log(`Token: ${token}`);
+    console.log(`OpenAPI: http://${host}:${port}/openapi.json`);
+  });
+  process.on("SIGINT", () => {
+    server.close();
+    process.exit(0);
+  });
+  return;
+}
+
 if (args[0] === "extension-path" || args[0] === "path") {
-  const path = require("path");
   const distPath = path.resolve(__dirname, "../dist");
   console.log(distPath);
   process.exit(0);
@@ -1326,7 +877,7 @@ if (args.includes("--script")) {
 
   const sendScriptRequest = (toolName, toolArgs = {}) => {
     return new Promise((resolve, reject) => {
-      const sock = net.createConnection(SOCKET_PATH, () => {
+      const sock = net.createConnection(getSocketPath(), () => {
         const req = {
           type: "tool_request",
           method: "execute_tool",
@@ -1426,17 +977,17 @@ if (args.includes("--script")) {
   return;
 }
 
-const BOOLEAN_FLAGS = ["auto-capture", "json", "stream", "dry-run", "stop-on-error", "fail-fast", "clear", "submit", "all", "case-sensitive", "hard", "annotate", "fullpage", "reset", "no-screenshot", "full", "soft-fail", "has-body", "exclude-static", "v", "vv", "request", "by-tab", "har", "jsonl"];
-
 const AUTO_SCREENSHOT_TOOLS = ["click", "type", "key", "smart_type", "form.fill", "form_input", "drag", "hover", "scroll", "scroll.top", "scroll.bottom", "scroll.to", "dialog.accept", "dialog.dismiss", "js", "eval"];
 
 const parseArgs = (rawArgs) => {
   const result = { positional: [], options: {} };
+  // Options the command declares as booleans never take a value either
+  let commandFlags = [];
   for (let i = 0; i < rawArgs.length; i++) {
     const arg = rawArgs[i];
     if (arg.startsWith("--")) {
       const key = arg.slice(2);
-      if (BOOLEAN_FLAGS.includes(key)) {
+      if (BOOLEAN_FLAGS.includes(key) || commandFlags.includes(key)) {
         result.options[key] = true;
       } else {
         const next = rawArgs[i + 1];
@@ -1460,6 +1011,9 @@ const parseArgs = (rawArgs) => {
       // Short flag like -n, -f
       result.options[arg.slice(1)] = true;
     } else {
+      if (result.positional.length === 0) {
+        commandFlags = getCommandParams(arg).filter((p) => p.type === "boolean").map((p) => p.name);
+      }
       result.positional.push(arg);
     }
   }
@@ -1515,50 +1069,10 @@ if (tool === "smoke") {
   }
 }
 
-const PRIMARY_ARG_MAP = {
-  ai: "query",
-  gemini: "query",
-  chatgpt: "query",
-  perplexity: "query",
-  navigate: "url",
-  go: "url",
-  js: "code",
-  javascript_tool: "code",
-  key: "key",
-  wait: "duration",
-  health: "url",
-  new_tab: "url",
-  "tab.new": "url",
-  switch_tab: "tab_id",
-  "tab.switch": "id",
-  close_tab: "tab_id",
-  "tab.close": "id",
-  "tab.name": "name",
-  "tab.unname": "name",
-  scroll_to_position: "position",
-  type: "text",
-  smart_type: "text",
-  "emulate.network": "preset",
-  "emulate.cpu": "rate",
-  search: "term",
-  find: "term",
-  "wait.element": "selector",
-  "wait.url": "pattern",
-  zoom: "level",
-  "history.search": "query",
-  "network.get": "id",
-  "network.body": "id",
-  "network.curl": "id",
-  "network.path": "id",
-  "window.new": "url",
-  "window.focus": "id",
-  "window.close": "id",
-};
-
-const toolArgs = { ...options };
+let toolArgs = { ...options };
 
 if (tool === "click" && firstArg) {
-  if (/^e\d+$/.test(firstArg)) {
+  if (/^(f\d+:)?e\d+$/.test(firstArg)) {
     toolArgs.ref = firstArg;
     firstArg = undefined;
   } else if (/^\d+$/.test(firstArg) && positional[2] && /^\d+$/.test(positional[2])) {
@@ -1579,14 +1093,24 @@ if (firstArg !== undefined) {
   }
 }
 
-if (tool === "js" && toolArgs.file) {
-  try {
-    toolArgs.code = fs.readFileSync(toolArgs.file, "utf8");
-    delete toolArgs.file;
-  } catch (e) {
-    console.error(`Error: Failed to read file: ${e.message}`);
-    process.exit(1);
-  }
+if (tool === "network.mock" && positional[2] !== undefined && toolArgs.id === undefined) {
+  toolArgs.id = positional[2];
+}
+
+if (tool === "storage.set" && positional[2] !== undefined && toolArgs.value === undefined) {
+  toolArgs.value = positional[2];
+}
+
+if (tool === "screenshot.diff" && positional[2] !== undefined && toolArgs.current === undefined) {
+  toolArgs.current = positional[2];
+}
+
+// The host can't see our working directory: read files and resolve paths here
+try {
+  toolArgs = prepareToolArgs(tool, toolArgs);
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
 }
 
 if (toolArgs.into && !toolArgs.selector) {
@@ -1617,6 +1141,15 @@ if (toolArgs["network-path"] !== undefined) {
   networkStore.setBasePath(toolArgs["network-path"]);
   delete toolArgs["network-path"];
 }
+
+// Catch bad arguments before anything reaches the browser
+try {
+  Object.assign(toolArgs, validateArgs(tool, toolArgs));
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  console.error(`Usage: surf ${formatUsage(tool)}`);
+  process.exit(1);
+}
 const wantJson = toolArgs.json === true;
 delete toolArgs.json;
 
@@ -1634,7 +1167,7 @@ if (!noScreenshot && AUTO_SCREENSHOT_TOOLS.includes(tool)) {
 }
 
 const outputPath = toolArgs.output;
-delete toolArgs.output;
+if (tool !== "screenshot.diff") delete toolArgs.output;
 
 if ((tool === "screenshot" || tool === "snap") && outputPath) {
   if (typeof outputPath !== "string") {
@@ -1646,9 +1179,94 @@ if ((tool === "screenshot" || tool === "snap") && outputPath) {
   if (options["max-size"]) toolArgs["max-size"] = options["max-size"];
 }
 
+// Commands served from the on-disk network store (no browser needed)
+const STORE_TOOLS = ["network.export", "network.import"];
+const OFFLINE_TOOLS = ["network", "network.get", "network.body", "network.curl"];
+
+const runStoreCommand = async () => {
+  if (tool === "network.import") {
+    const file = toolArgs.file;
+    if (!file || typeof file !== "string") {
+      throw new Error("network.import requires a HAR file path");
+    }
+    if (!fs.existsSync(file)) {
+      throw new Error(`File not found: ${file}`);
+    }
+    const result = await networkStore.importHar(fs.readFileSync(file, "utf8"));
+    const skipped = [
+      result.skipped && `${result.skipped} skipped`,
+      result.duplicates && `${result.duplicates} already in the store`,
+    ].filter(Boolean).join(", ");
+    console.log(`Imported ${result.imported} requests from ${file}${skipped ? ` (${skipped})` : ""}`);
+    console.log(`Store: ${networkStore.getBasePath()}`);
+    return;
+  }
+
+  if (tool === "network.export") {
+    const format = toolArgs.har ? "har" : toolArgs.format;
+    const entries = await networkStore.queryEntries(toolArgs);
+    const content = networkStore.formatExport(entries, format);
+    if (outputPath && typeof outputPath === "string") {
+      fs.writeFileSync(outputPath, content);
+      console.log(`Exported ${entries.length} requests to: ${outputPath}`);
+    } else {
+      process.stdout.write(content);
+    }
+    return;
+  }
+
+  if (tool === "network") {
+    const entries = await networkStore.queryEntries(toolArgs);
+    if (entries.length === 0) {
+      console.log("No network requests stored");
+    } else if (toolArgs.format === "raw") {
+      console.log(JSON.stringify(entries.map(networkStore.withBodies), null, 2));
+    } else if (toolArgs.format === "curl") {
+      console.log(networkFormatters.formatCurlBatch(entries.map(networkStore.withBodies)));
+    } else if (toolArgs.format === "urls") {
+      console.log(networkFormatters.formatUrls(entries));
+    } else if (toolArgs.v || toolArgs.vv) {
+      console.log(networkFormatters.formatVerbose(entries.map(networkStore.withBodies), toolArgs.vv ? 2 : 1));
+    } else {
+      for (const req of entries) {
+        const status = req.status || '-';
+        const method = (req.method || 'GET').padEnd(6);
+        const type = (req.type || '').padEnd(10);
+        console.log(`${req.id} ${status} ${method} ${type} ${req.url || ''}`);
+      }
+    }
+    return;
+  }
+
+  const id = toolArgs.id;
+  const entry = id ? await networkStore.getEntry(String(id)) : null;
+  if (!entry) {
+    throw new Error(`Entry not found in store: ${id}`);
+  }
+  if (tool === "network.body") {
+    const body = networkStore.getEntryBody(entry, !!toolArgs.request);
+    if (body) process.stdout.write(body);
+  } else if (tool === "network.curl") {
+    console.log(networkFormatters.formatCurl(networkStore.withBodies(entry)));
+  } else {
+    console.log(networkFormatters.formatEntry(networkStore.withBodies(entry)));
+  }
+};
+
+if (STORE_TOOLS.includes(tool) || (toolArgs.offline && OFFLINE_TOOLS.includes(tool))) {
+  runStoreCommand()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    });
+  return;
+}
+delete toolArgs.offline;
+
 const methodFlag = toolArgs.method;
-// Keep method for network filtering, only delete for other tools
-if (tool !== 'network' && tool !== 'get_network_entries') {
+// Keep method for network filtering and mock rules, only delete for other tools
+if (tool !== 'network' && tool !== 'get_network_entries' && tool !== 'network.mock') {
   delete toolArgs.method;
 }
 
@@ -1699,7 +1317,7 @@ if (streamMode && (tool === "console" || tool === "network")) {
   let connectionTimeout = null;
   let receivedData = false;
 
-  const sock = net.createConnection(SOCKET_PATH, () => {
+  const sock = net.createConnection(getSocketPath(), () => {
     const req = {
       type: "stream_request",
       streamType,
@@ -1789,7 +1407,7 @@ const request = {
 
 const sendRequest = (toolName, toolArgs = {}) => {
   return new Promise((resolve, reject) => {
-    const sock = net.createConnection(SOCKET_PATH, () => {
+    const sock = net.createConnection(getSocketPath(), () => {
       const req = {
         type: "tool_request",
         method: "execute_tool",
@@ -1864,12 +1482,11 @@ const performAutoCapture = async () => {
   }
 };
 
-const socket = net.createConnection(SOCKET_PATH, () => {
+const socket = net.createConnection(getSocketPath(), () => {
   socket.write(JSON.stringify(request) + "\n");
 });
 
-const AI_TOOLS = ["smoke", "chatgpt", "gemini", "perplexity", "ai"];
-const requestTimeout = AI_TOOLS.includes(tool) ? 300000 : 30000;
+const requestTimeout = getRequestTimeout(tool, toolArgs);
 const timeout = setTimeout(() => {
   console.error(`Error: Request timed out (${requestTimeout / 1000}s)`);
   socket.destroy();
@@ -1943,6 +1560,12 @@ async function handleResponse(response) {
   }
 
   const result = response.result?.content?.[0]?.text;
+
+  if (tool === "page.read" && typeof result === "string") {
+    try {
+      completion.saveRefs(result);
+    } catch {}
+  }
   
   let data;
   try {
@@ -1951,6 +1574,18 @@ async function handleResponse(response) {
     data = result || response.result;
   }
 
+  // Routes are saved in JSON mode too
+  let savedRoutes = null;
+  if (tool === "crawl" && toolArgs["save-routes"] && data?.pages) {
+    const group = String(toolArgs["save-routes"]);
+    const routes = crawl.discoveredRoutes(data);
+    try {
+      savedRoutes = `Saved ${routes.length} routes as "${group}" in ${saveRouteGroup(group, routes)}`;
+    } catch (e) {
+      console.error(`Error: Failed to save routes: ${e.message}`);
+    }
+  }
+
   if (wantJson) {
     console.log(JSON.stringify(data, null, 2));
     socket.end();
@@ -2046,21 +1681,39 @@ async function handleResponse(response) {
       const status = r.status === "pass" ? "PASS" : "FAIL";
       const timeStr = r.time ? ` (${r.time}ms)` : "";
       const ssStr = r.screenshot ? ` [${r.screenshot}]` : "";
-      console.log(`[${status}] ${r.url}${timeStr}${ssStr}`);
-      if (r.errors && r.errors.length > 0) {
-        for (const err of r.errors) {
-          console.log(`  - ${err}`);
-        }
+      const visualStr = r.visual?.created ? " (new baseline)" : r.visual?.passed ? ` (visual ${r.visual.mismatch}%)` : "";
+      console.log(`[${status}] ${r.url}${timeStr}${ssStr}${visualStr}`);
+      for (const issue of Object.values(smokeReport.resultIssues(r)).flat()) {
+        console.log(`  - ${issue}`);
       }
     }
     
     console.log("");
-    console.log(`Summary: ${summary.pass} passed, ${summary.fail} failed, ${summary.total} total`);
+    const skippedStr = summary.skipped ? `, ${summary.skipped} skipped` : "";
+    console.log(`Summary: ${summary.pass} passed, ${summary.fail} failed, ${summary.total} total${skippedStr}`);
+    for (const file of data.reports || []) {
+      console.log(`Report: ${file}`);
+    }
     
     if (summary.fail > 0) {
       socket.end();
       process.exit(1);
     }
+  } else if (tool === "crawl" && data?.pages) {
+    console.log(crawl.formatCrawlResult(data));
+    if (savedRoutes) console.log(savedRoutes);
+    
+    if (data.summary.broken > 0) {
+      socket.end();
+      process.exit(1);
+    }
+  } else if (tool === "a11y.audit" && data?.issues) {
+    console.log(a11yFormatters.formatAudit(data));
+    
+    if (data.summary?.error > 0) {
+      socket.end();
+      process.exit(1);
+    }
   } else if (tool === "zoom" && data?.zoom !== undefined) {
     console.log(`Zoom: ${Math.round(data.zoom * 100)}%`);
   } else if (tool === "back" || tool === "forward") {
@@ -2081,7 +1734,8 @@ async function handleResponse(response) {
         const method = (req.method || 'GET').padEnd(6);
         const type = (req.type || '').padEnd(10);
         const url = req.url || '';
-        console.log(`${status} ${method} ${type} ${url}`);
+        const mocked = req.mocked || req.flags?.includes('mocked') ? ' [mocked]' : '';
+        console.log(`${status} ${method} ${type} ${url}${mocked}`);
       }
     }
   } else if (tool === "network.get" && data?.entry) {
@@ -2100,7 +1754,13 @@ async function handleResponse(response) {
   } else if (tool === "network.clear" && data?.cleared !== undefined) {
     console.log(`Cleared ${data.cleared} requests`);
   } else if (tool === "network.export" && data?.path) {
-    console.log(`Exported to: ${data.path}`);
+    console.log(`Exported ${data.count} requests to: ${data.path}`);
+  } else if (tool === "network.import" && data?.imported !== undefined) {
+    const skipped = [
+      data.skipped && `${data.skipped} skipped`,
+      data.duplicates && `${data.duplicates} already in the store`,
+    ].filter(Boolean).join(", ");
+    console.log(`Imported ${data.imported} requests from ${data.file}${skipped ? ` (${skipped})` : ""}`);
   } else if (tool === "network.path" && data?.paths) {
     for (const [key, val] of Object.entries(data.paths)) {
       console.log(`${key}: ${val}`);
@@ -2140,6 +1800,56 @@ async function handleResponse(response) {
         console.log("\n[hint] Use --window-id <id> to isolate commands to a specific window");
       }
     }
+  } else if ((tool === "session.save" || tool === "session.load") && data?.name) {
+    if (tool === "session.save") {
+      console.log(`Saved session "${data.name}": ${data.cookies} cookies, ${data.tabs} tabs (${data.origins.join(", ")})`);
+      console.log(`File: ${data.path}`);
+    } else {
+      console.log(`Restored session "${data.name}" in window ${data.windowId}: ${data.cookies} cookies, ${data.origins} origins, ${data.tabs} tabs`);
+    }
+    for (const warning of data.warnings || []) {
+      console.log(`  warning: ${warning}`);
+    }
+    if (data.hint) console.log(`\n[hint] ${data.hint}`);
+  } else if (tool === "session.list" && data?.sessions) {
+    if (data.sessions.length === 0) {
+      console.log("No saved sessions. Use 'surf session.save <name>' to save one.");
+    }
+    for (const s of data.sessions) {
+      console.log(`${s.name}\t${s.savedAt}\t${s.cookies} cookies, ${s.tabs} tabs\t${s.origins.join(", ")}`);
+    }
+  } else if (tool === "session.delete" && data?.deleted) {
+    console.log(`Deleted session "${data.deleted}"`);
+  } else if (tool === "extract" && data?.records !== undefined) {
+    const output = extractFormatters.formatExtract(data, toolArgs.format);
+    if (typeof outputPath === "string") {
+      fs.writeFileSync(outputPath, output);
+      console.log(`Saved ${data.records} records from ${data.pages} page${data.pages === 1 ? "" : "s"} to: ${outputPath}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } else if (tool === "table.list" && Array.isArray(data?.tables)) {
+    console.log(tableFormatters.formatTableList(data.tables));
+  } else if (tool === "table.get" && Array.isArray(data?.rows)) {
+    const output = tableFormatters.formatTable(data, toolArgs.format);
+    if (typeof outputPath === "string") {
+      fs.writeFileSync(outputPath, output);
+      console.log(`Saved ${data.rows.length} rows to: ${outputPath}`);
+    } else {
+      process.stdout.write(output);
+    }
+    if (data.truncated) {
+      const of = data.total !== undefined ? ` of ${data.total}` : "";
+      console.error(`Warning: stopped at ${data.rows.length}${of} rows (raise --max-rows, or the grid took too long to scroll)`);
+    }
+  } else if (tool === "record" && Array.isArray(data) && outputPath) {
+    if (typeof outputPath !== "string") {
+      console.error("Error: --output requires a file path");
+      process.exit(1);
+    }
+    fs.writeFileSync(outputPath, JSON.stringify(data, null, 2) + "\n");
+    console.log(`Saved ${data.length} actions to: ${outputPath}`);
+    console.log(`Replay with: surf batch --file ${outputPath}`);
   } else if (typeof data === "string") {
     console.log(data);
   } else if (data?.success === true) {
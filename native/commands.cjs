@@ -0,0 +1,1383 @@
+/**
+ * Command registry shared by the CLI, the MCP server and the HTTP bridge
+ *
+ * TOOLS is the catalog of user-facing commands: each entry has a description,
+ * positional args, options and examples. An option is either a description
+ * or { desc, type, enum, default } where type is one of PARAM_TYPES; untyped
+ * options listed in BOOLEAN_FLAGS are flags and everything else is a string.
+ * `required` names the host args a command can't run without. Positional
+ * args become the host arg named in PRIMARY_ARG_MAP.
+ *
+ * validateArgs() checks host args against these specs before anything is
+ * sent to the extension; help, MCP schemas and OpenAPI are generated from
+ * the same entries.
+ */
+
+const { estimateDuration } = require("./batch.cjs");
+
+const ALIASES = {
+  snap: "screenshot",
+  read: "page.read",
+  find: "search",
+  go: "navigate",
+  net: "network",
+  "network.dump": "network.get",
+};
+
+const REMOVED_COMMANDS = {
+  read_page: "page.read",
+  get_page_text: "page.text",
+  page_state: "page.state",
+  list_tabs: "tab.list",
+  new_tab: "tab.new",
+  switch_tab: "tab.switch",
+  close_tab: "tab.close",
+  scroll_to: "scroll.to",
+  scroll_to_position: "scroll.to",
+  get_scroll_info: "scroll.info",
+  wait_for_element: "wait.element",
+  wait_for_url: "wait.url",
+  wait_for_network_idle: "wait.network",
+  javascript_tool: "js",
+  read_console_messages: "console",
+  read_network_requests: "network",
+  tabs_context: "tab.list",
+  tabs_create: "tab.new",
+  tabs_register: "tab.name",
+  tabs_unregister: "tab.unname",
+  tabs_get_by_name: "tab.switch",
+  tabs_list_named: "tab.named",
+  upload_image: "upload",
+  resize_window: "resize",
+  type_submit: "type --submit",
+  left_click: "click",
+  right_click: "click --button right",
+  double_click: "click --button double",
+  triple_click: "click --button triple",
+  left_click_drag: "drag",
+};
+
+// Semantic locators accepted by click, type, hover and scroll.to
+const LOCATOR_OPTS = {
+  role: "ARIA role (with --name)",
+  name: "Accessible name for --role",
+  text: "Visible text",
+  label: "Form control label",
+  placeholder: "Placeholder text",
+  testid: "data-testid value",
+  exact: { desc: "Match --name/--text/--label/--placeholder exactly", type: "boolean" },
+  nth: { desc: "Which match (0-indexed, -1 for last)", type: "number" },
+  within: 'Only inside this locator, e.g. role=dialog[name="Settings"]',
+};
+
+// Auto-wait for click, type, hover and form.fill
+const ACTION_WAIT_OPTS = {
+  timeout: { desc: "Max wait in ms for the target to be actionable", type: "number", default: 5000 },
+  force: { desc: "Skip actionability checks", type: "boolean" },
+};
+
+const TOOLS = {
+  ai: {
+    desc: "AI assistants (ChatGPT, Gemini)",
+    commands: {
+      "chatgpt": { 
+        desc: "Send prompt to ChatGPT (uses browser cookies)", 
+        args: ["query"],
+        required: ["query"],
+        opts: { 
+          "with-page": { desc: "Include current page context", type: "boolean" },
+          model: "Model: gpt-4o, o1, etc.",
+          file: "Attach file",
+          timeout: { desc: "Timeout in seconds", type: "number", default: 2700 }
+        },
+        examples: [
+          { cmd: 'chatgpt "explain this code"', desc: "Basic query" },
+          { cmd: 'chatgpt "summarize" --with-page', desc: "With page context" },
+          { cmd: 'chatgpt "review" --file code.ts', desc: "With file" },
+          { cmd: 'chatgpt "analyze" --model gpt-4o', desc: "Specify model" },
+        ]
+      },
+      "gemini": { 
+        desc: "Send prompt to Gemini (uses browser cookies)", 
+        args: ["query"], 
+        opts: { 
+          "with-page": { desc: "Include current page context", type: "boolean" },
+          model: "Model: gemini-3-pro (default), gemini-2.5-pro, gemini-2.5-flash",
+          file: "Attach file to analyze",
+          "generate-image": "Generate image and save to path",
+          "edit-image": "Edit existing image (use with --output)",
+          output: "Output file path for image operations",
+          youtube: "YouTube video URL to analyze",
+          "aspect-ratio": "Aspect ratio for image generation (e.g., 1:1, 16:9)",
+          timeout: { desc: "Timeout in seconds", type: "number", default: 300 }
+        },
+        examples: [
+          { cmd: 'gemini "explain quantum computing"', desc: "Basic query" },
+          { cmd: 'gemini "summarize" --with-page', desc: "With page context" },
+          { cmd: 'gemini "analyze" --file data.csv', desc: "With file attachment" },
+          { cmd: 'gemini "a robot surfing" --generate-image /tmp/robot.png', desc: "Generate image" },
+          { cmd: 'gemini "add sunglasses" --edit-image photo.jpg --output out.jpg', desc: "Edit image" },
+          { cmd: 'gemini "summarize this video" --youtube "https://youtube.com/..."', desc: "YouTube analysis" },
+        ]
+      },
+      "perplexity": {
+        desc: "Search with Perplexity AI (uses browser session)",
+        args: ["query"],
+        required: ["query"],
+        opts: {
+          "with-page": { desc: "Include current page context", type: "boolean" },
+          mode: { desc: "Search mode", enum: ["search", "research"], default: "search" },
+          model: "Model (Pro users): sonar, gpt-4o, claude, etc.",
+          timeout: { desc: "Timeout in seconds", type: "number", default: 120 }
+        },
+        examples: [
+          { cmd: 'perplexity "what is quantum computing"', desc: "Basic search" },
+          { cmd: 'perplexity "explain this page" --with-page', desc: "With page context" },
+          { cmd: 'perplexity "deep dive into transformers" --mode research', desc: "Research mode" },
+          { cmd: 'perplexity "latest AI news" --model sonar', desc: "Specify model (Pro)" },
+        ]
+      },
+      "ai": { 
+        desc: "Analyze page with AI (requires GOOGLE_API_KEY)", 
+        args: ["query"],
+        required: ["query"],
+        opts: { mode: { desc: "Query mode (auto-detected)", enum: ["find", "summary", "extract"] } },
+        examples: [
+          { cmd: 'ai "find the login button"', desc: "Find element" },
+          { cmd: 'ai "summarize this page"', desc: "Get summary" },
+          { cmd: 'ai "extract all links as json"', desc: "Extract data" },
+        ]
+      },
+    }
+  },
+  tab: {
+    desc: "Tab management",
+    commands: {
+      "tab.list": { desc: "List all open tabs", args: [], examples: [{ cmd: "tab.list", desc: "Show all tabs" }] },
+      "tab.new": { 
+        desc: "Open new tab", 
+        args: ["url"], 
+        opts: { urls: "Open multiple URLs" },
+        examples: [
+          { cmd: 'tab.new "https://google.com"', desc: "Open single tab" },
+          { cmd: 'tab.new --urls "https://a.com" "https://b.com"', desc: "Open multiple" },
+        ]
+      },
+      "tab.switch": { 
+        desc: "Switch to tab by ID or name", 
+        args: ["id"],
+        required: ["id"],
+        examples: [
+          { cmd: "tab.switch 123", desc: "Switch by ID" },
+          { cmd: 'tab.switch "myTab"', desc: "Switch by name" },
+        ]
+      },
+      "tab.close": { 
+        desc: "Close tab by ID or name", 
+        args: ["id"], 
+        opts: { ids: "Close multiple tabs" },
+        examples: [{ cmd: "tab.close 123", desc: "Close tab" }]
+      },
+      "tab.name": { 
+        desc: "Register current tab with a name", 
+        args: ["name"],
+        required: ["name"],
+        examples: [{ cmd: 'tab.name "dashboard"', desc: "Name current tab" }]
+      },
+      "tab.unname": { desc: "Unregister a named tab", args: ["name"], required: ["name"] },
+      "tab.named": { desc: "List all named tabs", args: [] },
+      "tab.group": { 
+        desc: "Create/add to tab group", 
+        args: [], 
+        opts: { name: "Group name", tabs: "Tab IDs (comma-separated)", color: "Group color" },
+        examples: [
+          { cmd: 'tab.group --name "Work" --color blue', desc: "Group current tab" },
+          { cmd: 'tab.group --name "Research" --tabs 1,2,3', desc: "Group multiple" },
+        ]
+      },
+      "tab.ungroup": { desc: "Remove tabs from group", args: [], opts: { tabs: "Tab IDs (comma-separated)" } },
+      "tab.groups": { desc: "List all tab groups", args: [] },
+      "tab.reload": { 
+        desc: "Reload current tab", 
+        args: [], 
+        opts: { hard: "Bypass cache" },
+        examples: [
+          { cmd: "tab.reload", desc: "Soft reload" },
+          { cmd: "tab.reload --hard", desc: "Hard reload (bypass cache)" },
+        ]
+      },
+    }
+  },
+  nav: {
+    desc: "Navigation",
+    commands: {
+      "navigate": { 
+        desc: "Go to URL", 
+        args: ["url"],
+        required: ["url"],
+        examples: [{ cmd: 'navigate "https://example.com"', desc: "Go to URL" }]
+      },
+      "go": { desc: "Alias for navigate", args: ["url"], alias: "navigate" },
+      "back": { 
+        desc: "Go back in history", 
+        args: [],
+        examples: [{ cmd: "back", desc: "Browser back" }]
+      },
+      "forward": { 
+        desc: "Go forward in history", 
+        args: [],
+        examples: [{ cmd: "forward", desc: "Browser forward" }]
+      },
+      "screenshot": { 
+        desc: "Capture screenshot (auto-resized for LLM by default)", 
+        args: [], 
+        opts: { 
+          output: "Save to file", 
+          selector: "Capture specific element", 
+          annotate: "Draw element labels", 
+          fullpage: "Capture full page", 
+          "max-height": { desc: "Max height for fullpage", type: "number", default: 4000 },
+          full: "Skip resize, save at full resolution",
+          "max-size": { desc: "Max dimension in px", type: "number", default: 1200 } 
+        },
+        examples: [
+          { cmd: "screenshot --output /tmp/shot.png", desc: "Save to file (auto-resized)" },
+          { cmd: "screenshot --full --output /tmp/shot.png", desc: "Full resolution" },
+          { cmd: "screenshot --max-size 800 --output /tmp/small.png", desc: "Custom max size" },
+          { cmd: "screenshot --annotate --output /tmp/annotated.png", desc: "With element labels" },
+          { cmd: "snap", desc: "Auto-save to /tmp (resized)" },
+        ]
+      },
+      "snap": { desc: "Alias for screenshot (auto-saves to /tmp)", args: [], alias: "screenshot" },
+      "screenshot.diff": {
+        desc: "Compare two screenshots and write a diff image",
+        args: ["baseline", "current"],
+        required: ["baseline", "current"],
+        opts: {
+          output: "Diff image path (default: <current>.diff.png)",
+          threshold: { desc: "Allowed mismatch in percent", type: "number", default: 0.1 },
+          tolerance: { desc: "Per-pixel color tolerance 0-1", type: "number", default: 0.1 },
+          ignore: { desc: "Selectors or refs to mask in the current tab, comma-separated", type: "array" }
+        },
+        examples: [
+          { cmd: "screenshot.diff base.png now.png", desc: "Diff to now.diff.png" },
+          { cmd: "screenshot.diff base.png now.png --threshold 1", desc: "Allow 1% of pixels to differ" },
+          { cmd: 'screenshot.diff base.png now.png --ignore ".ad,e12"', desc: "Mask dynamic regions" },
+        ]
+      },
+    }
+  },
+  scroll: {
+    desc: "Scrolling",
+    commands: {
+      "scroll": { 
+        desc: "Scroll in direction", 
+        args: [], 
+        opts: {
+          direction: { desc: "Scroll direction", enum: ["up", "down", "left", "right"] },
+          amount: { desc: "Scroll amount (1-10)", type: "number" },
+        },
+        examples: [{ cmd: "scroll --direction down --amount 3", desc: "Scroll down" }]
+      },
+      "scroll.top": { desc: "Scroll to top of page", args: [], opts: { selector: "Target specific container" } },
+      "scroll.bottom": { desc: "Scroll to bottom of page", args: [], opts: { selector: "Target specific container" } },
+      "scroll.to": { 
+        desc: "Scroll element into view", 
+        args: [], 
+        opts: { ref: "Element ref", ...LOCATOR_OPTS },
+        examples: [
+          { cmd: "scroll.to --ref e5", desc: "Scroll to element" },
+          { cmd: 'scroll.to --text "Pricing"', desc: "Scroll to text" },
+        ]
+      },
+      "scroll.info": { desc: "Get scroll position info", args: [], opts: { selector: "Target specific container" } },
+    }
+  },
+  page: {
+    desc: "Page inspection",
+    commands: {
+      "page.read": { 
+        desc: "Get accessibility tree + visible text", 
+        args: [], 
+        opts: { all: "Include all elements", ref: "Get specific element", "no-text": { desc: "Exclude visible text content", type: "boolean" } },
+        examples: [
+          { cmd: "page.read", desc: "Interactive elements + text content" },
+          { cmd: "page.read --all", desc: "All elements + text" },
+          { cmd: "page.read --no-text", desc: "Interactive elements only (no text)" },
+          { cmd: "read", desc: "Alias" },
+        ]
+      },
+      "read": { desc: "Alias for page.read", args: [], alias: "page.read" },
+      "page.text": { desc: "Extract all text from page", args: [] },
+      "page.state": { desc: "Get page state (modals, loading, etc.)", args: [] },
+      "extract": {
+        desc: "Extract structured data with a JSON schema",
+        args: [],
+        required: ["schema"],
+        opts: {
+          schema: { desc: "Schema file, or inline JSON", type: "json" },
+          format: { desc: "Output format (CLI)", enum: ["json", "csv"], default: "json" },
+          output: "Write to this file instead of stdout",
+          "max-pages": { desc: "Pages to follow with the schema's pagination (default: the schema's maxPages, else 10)", type: "number" },
+        },
+        examples: [
+          { cmd: "extract --schema products.json", desc: "Records as JSON" },
+          { cmd: "extract --schema products.json --format csv --output products.csv", desc: "CSV file" },
+          { cmd: `extract --schema '{"fields":{"title":"h1","price":{"selector":".price","type":"number"}}}'`, desc: "Inline schema" },
+        ]
+      },
+    }
+  },
+  table: {
+    desc: "Tables and data grids",
+    commands: {
+      "table.list": {
+        desc: "List tables and grids with refs",
+        args: [],
+        examples: [
+          { cmd: "table.list", desc: "Refs, sizes and headers" },
+        ]
+      },
+      "table.get": {
+        desc: "Read a table or grid by ref or selector",
+        args: ["ref"],
+        required: ["ref"],
+        opts: {
+          format: { desc: "Output format (CLI)", enum: ["csv", "json", "markdown"], default: "csv" },
+          output: "Write to this file instead of stdout",
+          "max-rows": { desc: "Stop after this many rows", type: "number", default: 5000 },
+          "no-scroll": { desc: "Don't scroll virtualized grids to load more rows", type: "boolean" },
+        },
+        examples: [
+          { cmd: "table.get e12", desc: "CSV with a header row" },
+          { cmd: "table.get e12 --format json", desc: "One object per row" },
+          { cmd: "table.get f2:e5 --format markdown", desc: "Table inside an iframe" },
+          { cmd: "table.get e12 --output orders.csv", desc: "Save to a file" },
+        ]
+      },
+    }
+  },
+  a11y: {
+    desc: "Accessibility",
+    commands: {
+      "a11y.audit": {
+        desc: "Audit the page for accessibility issues",
+        args: [],
+        opts: {
+          severity: { desc: "Lowest severity to report", enum: ["error", "warning", "info"], default: "info" },
+        },
+        examples: [
+          { cmd: "a11y.audit", desc: "All issues with element refs" },
+          { cmd: "a11y.audit --severity error", desc: "Errors only" },
+          { cmd: "a11y.audit --json", desc: "Machine-readable" },
+        ]
+      },
+    }
+  },
+  wait: {
+    desc: "Waiting",
+    commands: {
+      "wait": { 
+        desc: "Wait N seconds", 
+        args: ["duration"],
+        opts: { duration: { desc: "Seconds to wait", type: "number" } },
+        examples: [{ cmd: "wait 2", desc: "Wait 2 seconds" }]
+      },
+      "wait.element": { 
+        desc: "Wait for element to appear", 
+        args: ["selector"],
+        required: ["selector"],
+        opts: { timeout: { desc: "Timeout in ms", type: "number" } },
+        examples: [
+          { cmd: 'wait.element ".loading"', desc: "Wait for element" },
+          { cmd: 'wait.element "#result" --timeout 10000', desc: "With timeout" },
+        ]
+      },
+      "wait.network": { desc: "Wait for network idle", args: [], opts: { timeout: { desc: "Timeout in ms", type: "number" } } },
+      "wait.url": { 
+        desc: "Wait for URL to match", 
+        args: ["pattern"],
+        required: ["pattern"],
+        opts: { timeout: { desc: "Timeout in ms", type: "number" } },
+        examples: [{ cmd: 'wait.url "/dashboard"', desc: "Wait for URL pattern" }]
+      },
+      "wait.dom": {
+        desc: "Wait for DOM to stabilize",
+        args: [],
+        opts: {
+          stable: { desc: "Stability window in ms", type: "number", default: 100 },
+          timeout: { desc: "Max wait time in ms", type: "number" },
+        },
+      },
+      "wait.load": { desc: "Wait for page to fully load", args: [], opts: { timeout: { desc: "Max wait time in ms", type: "number", default: 30000 } } },
+    }
+  },
+  input: {
+    desc: "Input actions",
+    commands: {
+      "click": { 
+        desc: "Click element or coordinates", 
+        args: ["ref"], 
+        opts: { 
+          ref: "Element ref", 
+          x: { desc: "X coordinate", type: "number" }, 
+          y: { desc: "Y coordinate", type: "number" }, 
+          button: { desc: "Mouse button", enum: ["left", "right", "double", "triple"], default: "left" },
+          selector: "CSS selector", 
+          index: { desc: "Which match (0-indexed) for selector", type: "number" },
+          ...LOCATOR_OPTS,
+          ...ACTION_WAIT_OPTS,
+        },
+        examples: [
+          { cmd: "click e5", desc: "Click by ref" },
+          { cmd: 'click --selector ".btn"', desc: "Click by selector" },
+          { cmd: 'click --selector ".item" --index 2', desc: "Click 3rd match" },
+          { cmd: "click --x 100 --y 200", desc: "Click coordinates" },
+          { cmd: 'click --role button --name "Save"', desc: "Click by role and name" },
+          { cmd: 'click --text "Sign in"', desc: "Click by visible text" },
+          { cmd: 'click --role button --name Delete --within \'role=dialog[name="Confirm"]\'', desc: "Inside a dialog" },
+        ]
+      },
+      "type": { 
+        desc: "Type text (uses form.fill when --ref provided for better modal/form support)", 
+        args: ["text"],
+        required: ["text"],
+        opts: { 
+          into: "Target selector",
+          ref: "Element ref (uses JS DOM method, more reliable for modals)", 
+          submit: "Press enter after", 
+          clear: "Clear first", 
+          method: { desc: "Input method (--ref uses js automatically)", enum: ["cdp", "js"], default: "cdp" },
+          role: LOCATOR_OPTS.role,
+          name: LOCATOR_OPTS.name,
+          label: LOCATOR_OPTS.label,
+          placeholder: LOCATOR_OPTS.placeholder,
+          testid: LOCATOR_OPTS.testid,
+          exact: LOCATOR_OPTS.exact,
+          nth: LOCATOR_OPTS.nth,
+          within: LOCATOR_OPTS.within,
+          ...ACTION_WAIT_OPTS,
+        },
+        examples: [
+          { cmd: 'type "hello world"', desc: "Type at cursor (CDP events)" },
+          { cmd: 'type "user@example.com" --ref e5', desc: "Type into element by ref (JS DOM)" },
+          { cmd: 'type "user@example.com" --label Email', desc: "Type into the field labelled Email" },
+          { cmd: 'type "search query" --submit', desc: "Type and press Enter" },
+        ]
+      },
+      "smart_type": { desc: "Type into specific element (js method)", args: [], opts: { selector: "CSS selector", text: "Text to type", clear: { desc: "Clear first", type: "boolean", default: true }, submit: "Submit after" } },
+      "key": { 
+        desc: "Press key", 
+        args: ["key"],
+        required: ["key"],
+        examples: [
+          { cmd: "key Enter", desc: "Press Enter" },
+          { cmd: "key Escape", desc: "Press Escape" },
+          { cmd: "key cmd+a", desc: "Select all (Mac)" },
+          { cmd: "key ctrl+shift+p", desc: "Key combo" },
+        ]
+      },
+      "hover": { desc: "Hover over element", args: [], opts: { ref: "Element ref", x: { desc: "X coordinate", type: "number" }, y: { desc: "Y coordinate", type: "number" }, ...LOCATOR_OPTS, ...ACTION_WAIT_OPTS } },
+      "drag": { desc: "Drag between points", args: [], opts: { from: "Start x,y", to: "End x,y" } },
+    }
+  },
+  js: {
+    desc: "JavaScript execution",
+    commands: {
+      "js": { 
+        desc: "Execute JavaScript (use 'return' for values)", 
+        args: ["code"],
+        required: ["code"],
+        opts: { file: "Run JS from file" },
+        examples: [
+          { cmd: 'js "return document.title"', desc: "Get title" },
+          { cmd: 'js "document.body.style.background = \'red\'"', desc: "Run code" },
+          { cmd: "js --file script.js", desc: "Run file" },
+        ]
+      },
+    }
+  },
+  dev: {
+    desc: "Dev tools",
+    commands: {
+      "console": { 
+        desc: "Read console messages", 
+        args: [], 
+        opts: { clear: "Clear after reading", stream: "Continuous output", level: "Filter by level (log,warn,error)", limit: { desc: "Max messages", type: "number" } },
+        examples: [
+          { cmd: "console", desc: "Get recent messages" },
+          { cmd: "console --level error", desc: "Only errors" },
+          { cmd: "console --stream", desc: "Stream live" },
+        ]
+      },
+    }
+  },
+  network: {
+    desc: "Network capture",
+    commands: {
+      "network": { 
+        desc: "List captured network requests", 
+        args: [], 
+        opts: { 
+          origin: "Filter by origin (domain)",
+          method: "Filter by method (GET,POST,...)",
+          status: "Filter by status (200, 4xx, 5xx)",
+          type: "Filter by content type (json, html, proto)",
+          since: "Show requests since (5m, 1h, timestamp)",
+          last: { desc: "Show last N requests", type: "number" },
+          "has-body": "Only requests with body",
+          "exclude-static": "Exclude images/fonts/css/js",
+          filter: "URL pattern filter",
+          format: { desc: "Output format", enum: ["compact", "urls", "curl", "raw"] },
+          all: "Show all (no limit)",
+          v: "Verbose output",
+          vv: "Very verbose output",
+          clear: "Clear after reading",
+          stream: "Continuous output",
+          offline: "Read from the on-disk store instead of the browser"
+        },
+        examples: [
+          { cmd: "network", desc: "Show recent requests" },
+          { cmd: "network --origin api.github.com", desc: "Filter by origin" },
+          { cmd: "network --method POST --type json", desc: "POST JSON requests" },
+          { cmd: "network --format curl", desc: "Output as curl commands" },
+          { cmd: "network -v", desc: "Verbose with headers" },
+          { cmd: "network --offline", desc: "List stored/imported requests" },
+        ]
+      },
+      "network.get": { 
+        desc: "Get full details for a request", 
+        args: ["id"],
+        required: ["id"],
+        opts: { offline: "Read from the on-disk store instead of the browser" },
+        examples: [
+          { cmd: "network.get r_001", desc: "Get request details" }
+        ]
+      },
+      "network.body": { 
+        desc: "Get response body (for piping)", 
+        args: ["id"],
+        required: ["id"],
+        opts: { request: "Get request body instead", offline: "Read from the on-disk store instead of the browser" },
+        examples: [
+          { cmd: "network.body r_001", desc: "Get response body" },
+          { cmd: "network.body r_001 | jq .", desc: "Pipe JSON to jq" }
+        ]
+      },
+      "network.curl": { 
+        desc: "Generate curl command for request", 
+        args: ["id"],
+        required: ["id"],
+        opts: { offline: "Read from the on-disk store instead of the browser" },
+        examples: [
+          { cmd: "network.curl r_001", desc: "Generate curl" }
+        ]
+      },
+      "network.origins": { 
+        desc: "List captured origins with stats", 
+        args: [],
+        opts: { "by-tab": "Group by tab" },
+        examples: [
+          { cmd: "network.origins", desc: "List origins" }
+        ]
+      },
+      "network.clear": { 
+        desc: "Clear captured requests", 
+        args: [],
+        opts: { before: "Clear before timestamp/duration", origin: "Clear specific origin" },
+        examples: [
+          { cmd: "network.clear", desc: "Clear all" },
+          { cmd: "network.clear --before 1h", desc: "Clear older than 1 hour" }
+        ]
+      },
+      "network.stats": { 
+        desc: "Show capture statistics", 
+        args: [],
+        opts: {},
+        examples: [
+          { cmd: "network.stats", desc: "Show stats" }
+        ]
+      },
+      "network.export": { 
+        desc: "Export stored requests", 
+        args: [],
+        opts: {
+          format: { desc: "Export format", enum: ["jsonl", "har"], default: "jsonl" },
+          har: "Export as HAR 1.2 (same as --format har)",
+          jsonl: "Export as JSONL",
+          output: "Output file path (default: stdout)",
+          origin: "Filter by origin",
+          last: { desc: "Only the last N requests", type: "number" }
+        },
+        examples: [
+          { cmd: "network.export --jsonl --output /tmp/requests.jsonl", desc: "Export as JSONL" },
+          { cmd: "network.export --format har --output /tmp/capture.har", desc: "Export as HAR for DevTools/Charles" }
+        ]
+      },
+      "network.import": { 
+        desc: "Import a HAR file into the store", 
+        args: ["file"],
+        required: ["file"],
+        opts: {},
+        examples: [
+          { cmd: "network.import capture.har", desc: "Load a HAR for offline inspection" },
+          { cmd: "network --offline", desc: "Then list the imported requests" }
+        ]
+      },
+      "network.mock": { 
+        desc: "Mock responses for matching requests (per tab)", 
+        args: ["action", "id"],
+        required: ["action"],
+        opts: {
+          "url-pattern": "URL glob to intercept (* = any chars)",
+          method: "Only mock this HTTP method",
+          status: { desc: "Response status", type: "number", default: 200 },
+          body: "Response body",
+          "body-file": "Read response body from file",
+          "content-type": "Response content type (default: from file extension, else text/plain)"
+        },
+        examples: [
+          { cmd: "network.mock add --url-pattern '/api/users*' --status 200 --body-file users.json", desc: "Stub an endpoint" },
+          { cmd: "network.mock add --url-pattern '*/api/save' --method POST --status 500", desc: "Force a server error" },
+          { cmd: "network.mock list", desc: "List rules with hit counts" },
+          { cmd: "network.mock remove m1", desc: "Remove a rule" },
+          { cmd: "network.mock clear", desc: "Remove all rules for the tab" }
+        ]
+      },
+      "network.path": { 
+        desc: "Get file paths for request data", 
+        args: ["id"],
+        opts: {},
+        examples: [
+          { cmd: "network.path r_001", desc: "Get file paths" }
+        ]
+      },
+    }
+  },
+  health: {
+    desc: "Health checks",
+    commands: {
+      "health": { 
+        desc: "Wait for URL or element", 
+        args: [], 
+        opts: { url: "URL to check (expects 200)", selector: "CSS selector to wait for", expect: { desc: "Expected status code", type: "number", default: 200 }, timeout: { desc: "Timeout in ms", type: "number" } },
+        examples: [
+          { cmd: 'health --url "https://api.example.com"', desc: "Check URL" },
+          { cmd: 'health --selector ".loaded"', desc: "Wait for element" },
+        ]
+      },
+    }
+  },
+  smoke: {
+    desc: "Smoke testing",
+    commands: {
+      "smoke": { desc: "Run smoke tests on URLs", args: [], opts: { urls: { desc: "URLs to test (space-separated)", type: "array" }, routes: "Route group from config", screenshot: "Directory to save screenshots", "fail-fast": "Stop on first error", concurrency: { desc: "URLs to test in parallel tabs", type: "number", default: 1 }, "new-window": { desc: "Run in a dedicated background window", type: "boolean" }, settle: "How to wait before checking: network, dom, load or a delay in ms (default: 2000)", baseline: "Baseline screenshot directory; fail on visual changes", threshold: { desc: "Allowed visual mismatch in percent", type: "number", default: 0.1 }, tolerance: { desc: "Per-pixel color tolerance 0-1", type: "number", default: 0.1 }, ignore: { desc: "Selectors to mask before diffing, comma-separated", type: "array" }, report: { desc: "Write reports: junit, json, html (comma-separated)", type: "array" }, "report-path": { desc: "Report directory", default: "surf-report" }, "fail-on": { desc: "Issues that fail a URL: navigation, console, network, checks, visual or none (comma-separated)", type: "array", default: "navigation,console,checks,visual" } }, examples: [
+        { cmd: "smoke --urls https://example.com https://example.com/pricing", desc: "Check pages load without errors" },
+        { cmd: "smoke --urls https://example.com --report junit,html --report-path out/", desc: "Write CI reports" },
+        { cmd: "smoke --urls https://example.com --fail-on navigation,network", desc: "Fail on load errors and failed requests only" },
+        { cmd: "smoke --routes main --settle network", desc: "Run surf.json routes and their checks" },
+        { cmd: "smoke --routes main --concurrency 4 --new-window", desc: "Four tabs at a time in their own window" },
+      ] },
+      "crawl": {
+        desc: "Crawl a site: discover routes, find broken links and redirects",
+        args: ["url"],
+        required: ["url"],
+        opts: {
+          depth: { desc: "Link hops to follow from the start URL", type: "number", default: 2 },
+          "same-origin": { desc: "Only follow links on the start URL's origin", type: "boolean" },
+          include: { desc: "Only follow URLs matching these globs or /regex/ (comma-separated)", type: "array" },
+          exclude: { desc: "Skip URLs matching these globs or /regex/ (comma-separated)", type: "array" },
+          "max-pages": { desc: "Stop after this many pages", type: "number", default: 100 },
+          sitemap: { desc: "Also start from /sitemap.xml, or from this sitemap URL", flag: true },
+          concurrency: { desc: "Pages to load in parallel tabs", type: "number", default: 1 },
+          settle: "How to wait before collecting links: network, dom, load or a delay in ms (default: 2000)",
+          "save-routes": "Save the pages found as this route group in surf.json",
+        },
+        examples: [
+          { cmd: "crawl https://example.com --depth 3 --same-origin", desc: "Check every page within three clicks" },
+          { cmd: 'crawl https://example.com --same-origin --exclude "*/blog/*" --sitemap', desc: "Skip the blog, seed from sitemap.xml" },
+          { cmd: "crawl https://example.com --sitemap https://example.com/pages.xml", desc: "Seed from another sitemap" },
+          { cmd: "crawl http://localhost:3000 --same-origin --save-routes main", desc: "Discover routes for smoke --routes main" },
+        ]
+      },
+    }
+  },
+  session: {
+    desc: "Save and restore login state",
+    commands: {
+      "session.save": {
+        desc: "Save cookies, storage and open tabs under a name",
+        args: ["name"],
+        opts: { origins: { desc: "Origins to save (comma-separated; default: origins of the window's tabs)", type: "array" } },
+        required: ["name"],
+        examples: [
+          { cmd: "session.save admin", desc: "Save the current window's login state" },
+          { cmd: "session.save admin --origins https://app.example.com,https://auth.example.com", desc: "Save specific origins" },
+        ]
+      },
+      "session.load": {
+        desc: "Restore a saved session into a new window",
+        args: ["name"],
+        opts: { unfocused: { desc: "Don't focus the new window", type: "boolean" } },
+        required: ["name"],
+        examples: [{ cmd: "session.load admin", desc: "Open the saved tabs, logged in" }]
+      },
+      "session.list": { desc: "List saved sessions", args: [] },
+      "session.delete": { desc: "Delete a saved session", args: ["name"], required: ["name"] },
+    }
+  },
+  dialog: {
+    desc: "Browser dialog handling",
+    commands: {
+      "dialog.accept": { desc: "Accept current dialog", args: [], opts: { text: "Text for prompt input" } },
+      "dialog.dismiss": { 
+        desc: "Dismiss current dialog", 
+        args: [], 
+        opts: { all: "Dismiss all dialogs repeatedly" },
+        examples: [
+          { cmd: "dialog.dismiss", desc: "Dismiss once" },
+          { cmd: "dialog.dismiss --all", desc: "Dismiss all" },
+        ]
+      },
+      "dialog.info": { desc: "Get current dialog info", args: [] },
+    }
+  },
+  emulate: {
+    desc: "Device/network emulation",
+    commands: {
+      "emulate.network": { desc: "Emulate network conditions", args: ["preset"], required: ["preset"], opts: {} },
+      "emulate.cpu": { desc: "CPU throttling (rate >= 1)", args: ["rate"], required: ["rate"], opts: { rate: { desc: "Slowdown factor", type: "number" } } },
+      "emulate.geo": {
+        desc: "Override geolocation",
+        args: [],
+        opts: {
+          lat: { desc: "Latitude", type: "number" },
+          lon: { desc: "Longitude", type: "number" },
+          accuracy: { desc: "Accuracy in meters", type: "number", default: 100 },
+          clear: "Clear override",
+        },
+      },
+    }
+  },
+  form: {
+    desc: "Form automation",
+    commands: {
+      "form.fill": { desc: "Batch fill form fields", args: [], opts: { data: { desc: "JSON array of {ref, value}", type: "json" }, ...ACTION_WAIT_OPTS } },
+    }
+  },
+  perf: {
+    desc: "Performance tracing",
+    commands: {
+      "perf.start": { desc: "Start performance trace", args: [], opts: { categories: "Trace categories (comma-separated)" } },
+      "perf.stop": { desc: "Stop trace and get metrics", args: [] },
+      "perf.metrics": { desc: "Get current performance metrics", args: [] },
+    }
+  },
+  upload: {
+    desc: "File upload",
+    commands: {
+      "upload": { 
+        desc: "Upload file(s) to input", 
+        args: [], 
+        opts: { ref: "Element ref", files: "File path(s) comma-separated" },
+        examples: [{ cmd: 'upload --ref e5 --files "/path/to/file.pdf"', desc: "Upload file" }]
+      },
+    }
+  },
+  frame: {
+    desc: "Iframe handling",
+    commands: {
+      "frame.list": { desc: "List all frames in page", args: [] },
+      "frame.js": { desc: "Execute JS in specific frame", args: [], required: ["id", "code"], opts: { id: "Frame ID from frame.list", code: "JavaScript code" } },
+    }
+  },
+  cookie: {
+    desc: "Cookie management",
+    commands: {
+      "cookie.list": { 
+        desc: "List all cookies for current tab's domain", 
+        args: [],
+        examples: [{ cmd: "cookie.list", desc: "Show all cookies" }]
+      },
+      "cookie.get": { desc: "Get specific cookie", args: [], required: ["name"], opts: { name: "Cookie name" } },
+      "cookie.set": { 
+        desc: "Set a cookie", 
+        args: [],
+        required: ["name", "value"],
+        opts: { name: "Cookie name", value: "Cookie value", expires: "Expiry date (optional)" },
+        examples: [{ cmd: 'cookie.set --name "session" --value "abc123"', desc: "Set cookie" }]
+      },
+      "cookie.clear": { 
+        desc: "Clear cookies", 
+        args: [], 
+        opts: { name: "Specific cookie (optional)", all: "Clear all for domain" },
+        examples: [
+          { cmd: 'cookie.clear --name "session"', desc: "Clear one" },
+          { cmd: "cookie.clear --all", desc: "Clear all" },
+        ]
+      },
+    }
+  },
+  storage: {
+    desc: "Web storage and IndexedDB (current tab's origin)",
+    commands: {
+      "storage.list": {
+        desc: "List localStorage (or sessionStorage) items",
+        args: [],
+        opts: {
+          session: { desc: "Use sessionStorage", type: "boolean" },
+          origin: "Origin of a frame in the tab (default: the tab's)",
+        },
+        examples: [
+          { cmd: "storage.list", desc: "localStorage as JSON" },
+          { cmd: "storage.list --session", desc: "sessionStorage" },
+        ]
+      },
+      "storage.get": {
+        desc: "Get a storage item",
+        args: ["key"],
+        required: ["key"],
+        opts: { key: "Item key", session: { desc: "Use sessionStorage", type: "boolean" }, origin: "Origin of a frame in the tab" },
+        examples: [{ cmd: "storage.get theme", desc: "Read one item" }]
+      },
+      "storage.set": {
+        desc: "Set a storage item",
+        args: ["key", "value"],
+        required: ["key", "value"],
+        opts: { key: "Item key", value: "Item value", session: { desc: "Use sessionStorage", type: "boolean" }, origin: "Origin of a frame in the tab" },
+        examples: [{ cmd: "storage.set theme dark", desc: "Set an item" }]
+      },
+      "storage.remove": {
+        desc: "Remove a storage item",
+        args: ["key"],
+        required: ["key"],
+        opts: { key: "Item key", session: { desc: "Use sessionStorage", type: "boolean" }, origin: "Origin of a frame in the tab" },
+      },
+      "storage.clear": {
+        desc: "Clear localStorage (or sessionStorage)",
+        args: [],
+        opts: { session: { desc: "Use sessionStorage", type: "boolean" }, origin: "Origin of a frame in the tab" },
+      },
+      "storage.idb.list": {
+        desc: "List IndexedDB databases and object stores",
+        args: [],
+        opts: { origin: "Origin of a frame in the tab" },
+      },
+      "storage.idb.dump": {
+        desc: "Dump IndexedDB records",
+        args: ["database"],
+        required: ["database"],
+        opts: {
+          database: "Database name",
+          store: "Object store (default: all)",
+          limit: { desc: "Records per store", type: "number", default: 100 },
+          skip: { desc: "Records to skip", type: "number", default: 0 },
+          origin: "Origin of a frame in the tab",
+        },
+        examples: [
+          { cmd: "storage.idb.dump app-db", desc: "First 100 records of each store" },
+          { cmd: "storage.idb.dump app-db --store messages --limit 10", desc: "One store" },
+        ]
+      },
+    }
+  },
+  search: {
+    desc: "Text search",
+    commands: {
+      "search": { 
+        desc: "Search for text in page", 
+        args: ["term"],
+        required: ["term"],
+        opts: {
+          "case-sensitive": "Case-sensitive match",
+          limit: { desc: "Max results", type: "number" },
+          regex: { desc: "Treat the term as a regular expression", type: "boolean" },
+          fuzzy: { desc: "Allow approximate matches", type: "boolean" },
+          threshold: { desc: "Minimum fuzzy score, 0-1", type: "number", default: 0.8 },
+          within: "Only search inside this ref or selector",
+          highlight: { desc: "Draw the matches into the next screenshot", type: "boolean" },
+        },
+        examples: [
+          { cmd: 'search "login"', desc: "Find text" },
+          { cmd: 'search "Error" --case-sensitive', desc: "Case sensitive" },
+          { cmd: 'search "order #\\d+" --regex', desc: "Regular expression" },
+          { cmd: 'search "acount" --fuzzy --threshold 0.7', desc: "Tolerate typos" },
+          { cmd: 'search "Save" --within "[role=dialog]" --highlight', desc: "Scoped, then screenshot" },
+          { cmd: 'find "button"', desc: "Using alias" },
+        ]
+      },
+      "find": { desc: "Alias for search", args: ["term"], alias: "search" },
+    }
+  },
+  batch: {
+    desc: "Batch execution",
+    commands: {
+      "batch": { 
+        desc: "Execute multiple actions", 
+        args: [], 
+        opts: {
+          actions: { desc: "JSON array of actions", type: "json" },
+          file: "Path to actions JSON file",
+          vars: { desc: "JSON object of workflow variables", type: "json" },
+        },
+        examples: [
+          { cmd: 'batch --actions \'[{"type":"click","ref":"e1"},{"type":"wait","ms":500}]\'', desc: "Inline actions" },
+          { cmd: "batch --file workflow.json", desc: "From file" },
+          { cmd: 'batch --file login.json --vars \'{"user":"demo"}\'', desc: "With variables" },
+        ]
+      },
+      "record": {
+        desc: "Record clicks, typing and navigation as a batch workflow",
+        args: ["action"],
+        required: ["action"],
+        opts: {
+          action: { desc: "start or stop", enum: ["start", "stop"] },
+          output: { desc: "Write recorded actions to file (stop)", cliOnly: true },
+        },
+        examples: [
+          { cmd: "record start", desc: "Start recording the active tab" },
+          { cmd: "record stop --output workflow.json", desc: "Stop and save for batch --file" },
+        ]
+      },
+    }
+  },
+  zoom: {
+    desc: "Zoom control",
+    commands: {
+      "zoom": { 
+        desc: "Get or set zoom level", 
+        args: [], 
+        opts: { level: { desc: "Zoom level (e.g., 1.5 for 150%)", type: "number" }, reset: "Reset to default zoom" },
+        examples: [
+          { cmd: "zoom", desc: "Get current zoom" },
+          { cmd: "zoom 1.5", desc: "Set to 150%" },
+          { cmd: "zoom --reset", desc: "Reset to 100%" },
+        ]
+      },
+    }
+  },
+  resize: {
+    desc: "Window management",
+    commands: {
+      "resize": { 
+        desc: "Resize browser window", 
+        args: [], 
+        opts: { width: { desc: "Window width", type: "number" }, height: { desc: "Window height", type: "number" } },
+        examples: [{ cmd: "resize --width 1280 --height 720", desc: "Set size" }]
+      },
+    }
+  },
+  bookmark: {
+    desc: "Bookmark management",
+    commands: {
+      "bookmark.add": { desc: "Bookmark current page", args: [], opts: { folder: "Folder name" } },
+      "bookmark.remove": { desc: "Remove bookmark for current page", args: [] },
+      "bookmark.list": { desc: "List bookmarks", args: [], opts: { folder: "Folder name", limit: { desc: "Max results", type: "number" } } },
+    }
+  },
+  history: {
+    desc: "Browser history",
+    commands: {
+      "history.list": { 
+        desc: "Recent history", 
+        args: [], 
+        opts: { limit: { desc: "Max results", type: "number" } },
+        examples: [{ cmd: "history.list --limit 20", desc: "Last 20 items" }]
+      },
+      "history.search": { 
+        desc: "Search history", 
+        args: ["query"],
+        required: ["query"],
+        examples: [{ cmd: 'history.search "github"', desc: "Search history" }]
+      },
+    }
+  },
+  window: {
+    desc: "Window management (isolate agent from your browsing)",
+    commands: {
+      "window.new": { 
+        desc: "Create new browser window", 
+        args: ["url"], 
+        opts: { 
+          width: { desc: "Window width", type: "number" },
+          height: { desc: "Window height", type: "number" },
+          incognito: { desc: "Open incognito window", type: "boolean" },
+          unfocused: { desc: "Don't focus the new window", type: "boolean" },
+        },
+        examples: [
+          { cmd: 'window.new "https://example.com"', desc: "New window with URL" },
+          { cmd: 'window.new --width 1280 --height 720', desc: "Sized window" },
+          { cmd: 'window.new --incognito', desc: "Incognito window" },
+        ]
+      },
+      "window.list": { 
+        desc: "List all browser windows", 
+        args: [],
+        opts: { tabs: { desc: "Include tab details", type: "boolean" } },
+        examples: [{ cmd: "window.list", desc: "Show all windows" }]
+      },
+      "window.focus": { 
+        desc: "Focus a window by ID", 
+        args: ["id"],
+        opts: { id: { desc: "Window ID", type: "number" } },
+        required: ["id"],
+        examples: [{ cmd: "window.focus 123", desc: "Focus window" }]
+      },
+      "window.close": { 
+        desc: "Close a window by ID", 
+        args: ["id"],
+        opts: { id: { desc: "Window ID", type: "number" } },
+        required: ["id"],
+        examples: [{ cmd: "window.close 123", desc: "Close window" }]
+      },
+      "window.resize": { 
+        desc: "Resize or reposition a window", 
+        args: [],
+        required: ["id"],
+        opts: { 
+          id: { desc: "Window ID", type: "number" },
+          width: { desc: "Window width", type: "number" },
+          height: { desc: "Window height", type: "number" },
+          left: { desc: "Window X position", type: "number" },
+          top: { desc: "Window Y position", type: "number" },
+          state: { desc: "Window state", enum: ["normal", "minimized", "maximized", "fullscreen"] },
+        },
+        examples: [
+          { cmd: "window.resize --id 123 --width 1920 --height 1080", desc: "Resize" },
+          { cmd: "window.resize --id 123 --left 0 --top 0", desc: "Move to corner" },
+          { cmd: "window.resize --id 123 --state maximized", desc: "Maximize" },
+        ]
+      },
+    }
+  },
+};
+
+const ALL_SOCKET_TOOLS = [
+  "ai", "chatgpt", "gemini", "perplexity", "screenshot", "screenshot.diff", "navigate",
+  "form_input", "find_and_type", "autocomplete", "set_value", "smart_type",
+  "scroll_to_position", "get_scroll_info", "close_dialogs", "page_state",
+  "javascript_tool", "health", "smoke", "crawl",
+  "click_type", "click_type_submit", "type", "key", "type_submit",
+  "scroll", "scroll_to", "hover", "left_click_drag", "drag", "wait",
+  "computer",
+  "page.read", "page.text", "page.state",
+  "extract",
+  "table.list", "table.get",
+  "a11y.audit",
+  "tab.list", "tab.new", "tab.switch", "tab.close", "tab.name", "tab.unname", "tab.named",
+  "tab.group", "tab.ungroup", "tab.groups", "tab.reload",
+  "scroll.top", "scroll.bottom", "scroll.to", "scroll.info",
+  "wait.element", "wait.network", "wait.url", "wait.dom", "wait.load",
+  "click", "hover", "drag",
+  "js", "console", "network", 
+  "network.get", "network.body", "network.curl", "network.origins", 
+  "network.clear", "network.stats", "network.export", "network.import", "network.mock", "network.path",
+  "dialog.accept", "dialog.dismiss", "dialog.info",
+  "emulate.network", "emulate.cpu", "emulate.geo",
+  "form.fill",
+  "perf.start", "perf.stop", "perf.metrics",
+  "upload",
+  "frame.list", "frame.js",
+  "cookie.list", "cookie.get", "cookie.set", "cookie.clear",
+  "storage.list", "storage.get", "storage.set", "storage.remove", "storage.clear",
+  "storage.idb.list", "storage.idb.dump",
+  "search", "batch", "record",
+  "zoom", "resize",
+  "back", "forward",
+  "bookmark.add", "bookmark.remove", "bookmark.list",
+  "history.list", "history.search",
+  "window.new", "window.list", "window.focus", "window.close", "window.resize",
+  "session.save", "session.load", "session.list", "session.delete",
+];
+
+const BOOLEAN_FLAGS = ["auto-capture", "json", "stream", "dry-run", "stop-on-error", "fail-fast", "clear", "submit", "all", "case-sensitive", "hard", "annotate", "fullpage", "reset", "no-screenshot", "full", "soft-fail", "has-body", "exclude-static", "v", "vv", "request", "by-tab", "har", "jsonl", "offline"];
+
+const PRIMARY_ARG_MAP = {
+  ai: "query",
+  gemini: "query",
+  chatgpt: "query",
+  perplexity: "query",
+  navigate: "url",
+  go: "url",
+  js: "code",
+  javascript_tool: "code",
+  key: "key",
+  wait: "duration",
+  health: "url",
+  new_tab: "url",
+  "tab.new": "url",
+  switch_tab: "tab_id",
+  "tab.switch": "id",
+  close_tab: "tab_id",
+  "tab.close": "id",
+  "tab.name": "name",
+  "tab.unname": "name",
+  scroll_to_position: "position",
+  type: "text",
+  smart_type: "text",
+  "emulate.network": "preset",
+  "emulate.cpu": "rate",
+  search: "term",
+  record: "action",
+  find: "term",
+  "wait.element": "selector",
+  "wait.url": "pattern",
+  zoom: "level",
+  "history.search": "query",
+  "network.get": "id",
+  "network.body": "id",
+  "network.curl": "id",
+  "network.path": "id",
+  "network.import": "file",
+  "network.mock": "action",
+  "screenshot.diff": "baseline",
+  crawl: "url",
+  "table.get": "ref",
+  "session.save": "name",
+  "session.load": "name",
+  "session.delete": "name",
+  "storage.get": "key",
+  "storage.set": "key",
+  "storage.remove": "key",
+  "storage.idb.dump": "database",
+  "window.new": "url",
+  "window.focus": "id",
+  "window.close": "id",
+};
+
+const AI_TOOLS = ["smoke", "crawl", "session.save", "session.load", "chatgpt", "gemini", "perplexity", "ai"];
+
+/**
+ * Find a command in TOOLS, following aliases. Returns { name, group, ...info }.
+ */
+function getCommand(name) {
+  const target = ALIASES[name] || name;
+  for (const [group, def] of Object.entries(TOOLS)) {
+    const info = def.commands[target];
+    if (info && !info.alias) return { name: target, group, ...info };
+  }
+  return null;
+}
+
+const PARAM_TYPES = ["string", "number", "boolean", "json", "array"];
+
+/**
+ * Normalize an option spec: either a description string or
+ * { desc, type, enum, default, flag, cliOnly }. Untyped options are flags
+ * when listed in BOOLEAN_FLAGS and strings otherwise; `flag` lets a string
+ * option also be given bare, as true. `cliOnly` options are handled by the
+ * CLI itself and left out of the MCP and OpenAPI schemas.
+ */
+function normalizeParam(name, spec, extra = {}) {
+  const s = typeof spec === "string" || spec === undefined ? { desc: spec } : spec;
+  const type = s.type || (s.enum ? "string" : BOOLEAN_FLAGS.includes(name) ? "boolean" : "string");
+  if (!PARAM_TYPES.includes(type)) throw new Error(`Unknown param type for ${name}: ${type}`);
+  const param = { name, description: s.desc || "", type, required: false, ...extra };
+  if (s.enum) param.enum = s.enum;
+  if (s.default !== undefined) param.default = s.default;
+  if (s.flag) param.flag = true;
+  if (s.cliOnly) param.cliOnly = true;
+  return param;
+}
+
+/**
+ * Parameters a command accepts as host args: positional args (named via
+ * PRIMARY_ARG_MAP) followed by options, each normalized to
+ * { name, description, type, required, positional?, enum?, default?, flag?, cliOnly? }.
+ * A positional arg takes its spec from the option of the same name, if any.
+ * Pass `command` to describe a command that is not in TOOLS.
+ */
+function getCommandParams(name, command = getCommand(name)) {
+  if (!command) return [];
+  const required = new Set(command.required || []);
+  const opts = command.opts || {};
+  const params = [];
+  const seen = new Set();
+  (command.args || []).forEach((arg, i) => {
+    const key = i === 0 ? PRIMARY_ARG_MAP[command.name || name] || arg : arg;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const spec = opts[key] || `${arg} (positional argument)`;
+    params.push(normalizeParam(key, spec, { positional: true, label: arg, required: required.has(key) }));
+  });
+  for (const [opt, spec] of Object.entries(opts)) {
+    if (seen.has(opt)) continue;
+    seen.add(opt);
+    params.push(normalizeParam(opt, spec, { required: required.has(opt) }));
+  }
+  return params;
+}
+
+function formatValue(value) {
+  return typeof value === "string" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Check one value against its param spec. Returns { value } with the value
+ * coerced to the declared type, or { error }.
+ */
+function checkParam(param, value) {
+  const label = param.positional ? param.label : `--${param.name}`;
+  switch (param.type) {
+    case "boolean":
+      if (value === true || value === "true") return { value: true };
+      if (value === false || value === "false") return { value: false };
+      return { error: `${label} is a flag (got ${formatValue(value)})` };
+    case "number": {
+      const num = typeof value === "number" ? value : typeof value === "string" && value.trim() !== "" ? Number(value) : NaN;
+      if (Number.isNaN(num)) return { error: `${label} must be a number (got ${formatValue(value)})` };
+      return { value: num };
+    }
+    case "json":
+      if (typeof value === "string") {
+        try {
+          JSON.parse(value);
+        } catch {
+          return { error: `${label} must be valid JSON` };
+        }
+      } else if (typeof value !== "object" || value === null) {
+        return { error: `${label} must be valid JSON` };
+      }
+      return { value };
+    case "array":
+      if (Array.isArray(value) || typeof value === "string") return { value };
+      return { error: `${label} must be a list (got ${formatValue(value)})` };
+    default:
+      // A bare --opt without a value parses as true
+      if (value === true) return param.flag ? { value } : { error: `${label} requires a value` };
+      if (typeof value !== "string" && typeof value !== "number") {
+        return { error: `${label} must be a string (got ${formatValue(value)})` };
+      }
+      if (param.enum && !param.enum.includes(String(value))) {
+        return { error: `${label} must be one of: ${param.enum.join(", ")} (got ${formatValue(value)})` };
+      }
+      return { value };
+  }
+}
+
+/**
+ * Validate host args for a command against the registry before they are sent
+ * to the extension. Returns a copy with values coerced to their declared
+ * types and declared defaults filled in for missing options; throws with
+ * every problem found. Unknown commands and options pass through untouched.
+ */
+function validateArgs(name, args = {}) {
+  const params = getCommandParams(name);
+  const result = { ...(args || {}) };
+  const errors = [];
+  for (const param of params) {
+    let value = result[param.name];
+    if (value === undefined || value === null || value === "") {
+      if (param.required) errors.push(`${param.positional ? param.label : `--${param.name}`} required`);
+      if (param.default === undefined) continue;
+      value = param.default;
+    }
+    const checked = checkParam(param, value);
+    if (checked.error) errors.push(checked.error);
+    else result[param.name] = checked.value;
+  }
+  if (errors.length > 0) throw new Error(errors.join("; "));
+  return result;
+}
+
+// How long clients wait for the host to answer a tool request
+const REQUEST_TIMEOUT = 30000;
+const AI_REQUEST_TIMEOUT = 300000;
+// One page load: up to 30s navigation plus settling and checks
+const PAGE_LOAD_TIMEOUT = 45000;
+
+/**
+ * An option's value, or its registry default when it wasn't given.
+ */
+function optionValue(name, args, option) {
+  const value = args[option];
+  if (value !== undefined && value !== null && value !== "") return value;
+  return getCommandParams(name).find((p) => p.name === option)?.default;
+}
+
+/**
+ * Milliseconds a client should wait for a tool's response. Smoke runs,
+ * crawls and paginated extracts scale with the pages they load, batch
+ * workflows with their steps; AI tools get their own --timeout (seconds) plus
+ * room for the host to report it.
+ */
+function getRequestTimeout(name, args = {}) {
+  const option = (key) => optionValue(name, args, key);
+  const pageLoads = (pages, concurrency = 1) =>
+    Math.max(REQUEST_TIMEOUT, Math.ceil(pages / Math.max(1, Number(concurrency) || 1)) * PAGE_LOAD_TIMEOUT);
+  switch (name) {
+    case "smoke": {
+      const urls = Array.isArray(args.urls) ? args.urls : String(args.urls || "").split(/[\s,]+/).filter(Boolean);
+      return pageLoads(Math.max(1, urls.length), option("concurrency"));
+    }
+    case "crawl":
+      return pageLoads(Number(option("max-pages")) || 1, option("concurrency"));
+    case "batch": {
+      let actions = args.actions;
+      try {
+        if (typeof actions === "string") actions = JSON.parse(actions);
+      } catch {}
+      return Math.max(REQUEST_TIMEOUT, estimateDuration(actions));
+    }
+    case "extract": {
+      let schema = args.schema;
+      try {
+        if (typeof schema === "string") schema = JSON.parse(schema);
+      } catch {}
+      const pagination = schema && typeof schema === "object" ? schema.pagination : null;
+      return pageLoads(pagination ? Number(args["max-pages"] ?? pagination.maxPages ?? 10) || 1 : 1);
+    }
+    default: {
+      if (!AI_TOOLS.includes(name)) return REQUEST_TIMEOUT;
+      const seconds = Number(option("timeout"));
+      return Math.max(AI_REQUEST_TIMEOUT, seconds > 0 ? seconds * 1000 + 10000 : 0);
+    }
+  }
+}
+
+/**
+ * JSON Schema for a normalized param (used for OpenAPI).
+ */
+function paramToJsonSchema(param) {
+  const schema = { description: param.description };
+  switch (param.type) {
+    case "json":
+      schema.type = ["object", "array", "string"];
+      break;
+    case "array":
+      schema.type = ["array", "string"];
+      schema.items = { type: "string" };
+      break;
+    default:
+      schema.type = param.flag ? [param.type, "boolean"] : param.type;
+  }
+  if (param.enum) schema.enum = param.enum;
+  if (param.default !== undefined) schema.default = param.default;
+  return schema;
+}
+
+/**
+ * Usage line for help output: required positional args in <>, optional in [].
+ */
+function formatUsage(name, command = getCommand(name)) {
+  const positional = getCommandParams(name, command).filter((p) => p.positional);
+  const args = positional.map((p) => (p.required ? `<${p.label}>` : `[${p.label}]`));
+  return [name, ...args].join(" ");
+}
+
+module.exports = {
+  TOOLS,
+  ALIASES,
+  REMOVED_COMMANDS,
+  ALL_SOCKET_TOOLS,
+  BOOLEAN_FLAGS,
+  PRIMARY_ARG_MAP,
+  AI_TOOLS,
+  REQUEST_TIMEOUT,
+  getCommand,
+  getCommandParams,
+  validateArgs,
+  getRequestTimeout,
+  paramToJsonSchema,
+  formatUsage,
+};
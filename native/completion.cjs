@@ -0,0 +1,342 @@
+/**
+ * Shell completion for the surf CLI
+ *
+ * `surf completion <shell>` prints a bash, zsh or fish script. On each TAB the
+ * script runs `surf __complete <words...>`, which prints one candidate per
+ * line as "value<TAB>description". Command names and options come from the
+ * command registry; tab, window, ref and request values are looked up live
+ * and left out when the browser or the store isn't there.
+ */
+
+const fs = require("fs");
+const net = require("net");
+const { TOOLS, ALIASES, getCommand, getCommandParams } = require("./commands.cjs");
+const hostRegistry = require("./host-registry.cjs");
+const networkStore = require("./network-store.cjs");
+const sessionStore = require("./session-store.cjs");
+
+const SHELLS = ["bash", "zsh", "fish"];
+
+// Refs from the last page.read, written by the CLI
+const REFS_FILE = "/tmp/surf-refs.json";
+
+// Completion must stay responsive when the host is slow or gone
+const QUERY_TIMEOUT = 500;
+
+// Commands the CLI handles itself, outside the registry
+const LOCAL_COMMANDS = {
+  install: "Install the native host for a browser",
+  uninstall: "Remove the native host",
+  server: "Run the MCP server over stdio",
+  serve: "Serve commands over localhost HTTP/WebSocket",
+  browsers: "List running browsers",
+  config: "Show or create surf.json",
+  completion: "Print a shell completion script",
+  "extension-path": "Print the extension directory",
+};
+
+const GLOBAL_OPTS = [
+  { name: "tab-id", description: "Target specific tab", type: "number", source: "tabId" },
+  { name: "window-id", description: "Target specific window", type: "number", source: "window" },
+  { name: "browser", description: "Target a browser or browser:profile", type: "string", source: "browser" },
+  { name: "json", description: "Output raw JSON", type: "boolean" },
+  { name: "auto-capture", description: "On error: capture screenshot + console", type: "boolean" },
+  { name: "soft-fail", description: "On error: warn and exit 0", type: "boolean" },
+  { name: "no-screenshot", description: "Skip auto-screenshot after actions", type: "boolean" },
+  { name: "network-path", description: "Custom path for network logs", type: "string" },
+  { name: "help", description: "Command details", type: "boolean" },
+];
+
+// Params whose values come from the browser or the store, beyond `ref`
+const VALUE_SOURCES = {
+  "tab.switch": { id: "tab" },
+  "tab.close": { id: "tab" },
+  "tab.unname": { name: "named" },
+  "window.focus": { id: "window" },
+  "window.close": { id: "window" },
+  "window.resize": { id: "window" },
+  "network.get": { id: "request" },
+  "network.body": { id: "request" },
+  "network.curl": { id: "request" },
+  "network.path": { id: "request" },
+  search: { within: "ref" },
+  "session.save": { name: "session" },
+  "session.load": { name: "session" },
+  "session.delete": { name: "session" },
+};
+
+const LOCAL_PARAMS = {
+  completion: [{ name: "shell", description: "Shell", type: "string", positional: true, enum: SHELLS }],
+};
+
+/**
+ * Pull element refs out of page.read output and cache them for completion.
+ * Lines look like `button "Log in" [e2]`, `[f2:e14]` inside frames, or
+ * `- button "Log in" [ref=e2]` in the YAML format.
+ */
+function saveRefs(pageContent, { file = REFS_FILE } = {}) {
+  const refs = [];
+  for (const line of String(pageContent).split("\n")) {
+    const match = line.match(/\[(?:ref=)?((?:f\d+:)?e\d+)\]/);
+    if (!match) continue;
+    const label = line.slice(0, match.index).replace(/^\s*-\s*/, "").trim();
+    refs.push({ ref: match[1], label });
+  }
+  if (refs.length === 0) return;
+  fs.writeFileSync(file, JSON.stringify({ savedAt: new Date().toISOString(), refs }));
+}
+
+function readRefs({ file = REFS_FILE } = {}) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8")).refs || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Send one tool request to the host. Resolves with the parsed result, or null
+ * on any error or timeout.
+ */
+function queryHost(tool, args, socketPath, timeoutMs = QUERY_TIMEOUT) {
+  return new Promise((resolve) => {
+    let buffer = "";
+    const sock = net.createConnection(socketPath, () => {
+      sock.write(JSON.stringify({
+        type: "tool_request",
+        method: "execute_tool",
+        params: { tool, args },
+        id: `complete-${Date.now()}`,
+      }) + "\n");
+    });
+    const done = (value) => {
+      clearTimeout(timer);
+      sock.destroy();
+      resolve(value);
+    };
+    const timer = setTimeout(() => done(null), timeoutMs);
+    sock.on("data", (chunk) => {
+      buffer += chunk.toString();
+      const newline = buffer.indexOf("\n");
+      if (newline === -1) return;
+      try {
+        const response = JSON.parse(buffer.slice(0, newline));
+        const text = response.result?.content?.[0]?.text;
+        done(response.error ? null : text ? JSON.parse(text) : response.result);
+      } catch {
+        done(null);
+      }
+    });
+    sock.on("error", () => done(null));
+  });
+}
+
+function createSources({ browser } = {}) {
+  const query = (tool, args = {}) => {
+    let socketPath;
+    try {
+      socketPath = hostRegistry.resolveSocketPath({ browser });
+    } catch {
+      return Promise.resolve(null);
+    }
+    return queryHost(tool, args, socketPath);
+  };
+  const namedTabs = async () => {
+    const data = await query("tab.named");
+    const named = data?.tabs || data?.namedTabs || data;
+    return Array.isArray(named) ? named.map((t) => ({ value: t.name, description: `tab ${t.tabId}` })) : [];
+  };
+
+  const tabIds = async () => {
+    const data = await query("tab.list");
+    const tabs = data?.tabs || data;
+    return Array.isArray(tabs) ? tabs.map((t) => ({ value: String(t.id), description: t.title || t.url || "" })) : [];
+  };
+
+  return {
+    async tab() {
+      const [named, ids] = await Promise.all([namedTabs(), tabIds()]);
+      return [...named, ...ids];
+    },
+    tabId: tabIds,
+    named: namedTabs,
+    async window() {
+      const data = await query("window.list");
+      return (data?.windows || []).map((w) => ({ value: String(w.id), description: `${w.tabCount} tabs` }));
+    },
+    async ref() {
+      return readRefs().map((r) => ({ value: r.ref, description: r.label }));
+    },
+    async request() {
+      return networkStore.readEntriesSync({ last: 50 }).reverse()
+        .map((e) => ({ value: e.id, description: `${e.method} ${e.url}` }));
+    },
+    async session() {
+      return sessionStore.listSessions().map((s) => ({ value: s.name, description: s.origins.join(", ") }));
+    },
+    async browser() {
+      return hostRegistry.listInstances().map((e) => ({
+        value: e.profile ? `${e.browser}:${e.profile}` : e.browser,
+        description: `pid ${e.pid}`,
+      }));
+    },
+  };
+}
+
+function listCommands() {
+  const entries = [];
+  for (const group of Object.values(TOOLS)) {
+    for (const [name, info] of Object.entries(group.commands)) {
+      entries.push({ value: name, description: info.alias ? `Alias for ${info.alias}` : info.desc });
+    }
+  }
+  for (const [alias, target] of Object.entries(ALIASES)) {
+    if (!entries.some((e) => e.value === alias)) entries.push({ value: alias, description: `Alias for ${target}` });
+  }
+  for (const [name, description] of Object.entries(LOCAL_COMMANDS)) {
+    entries.push({ value: name, description });
+  }
+  return entries;
+}
+
+function sourceFor(command, param) {
+  if (param.source) return param.source;
+  if (param.name === "ref") return "ref";
+  return VALUE_SOURCES[command]?.[param.name] || null;
+}
+
+/**
+ * Completion candidates for the words after `surf`; the last word is the one
+ * being completed (possibly ""). Returns [{ value, description }].
+ */
+async function getCompletions(words, { sources } = {}) {
+  const current = words.length > 0 ? words[words.length - 1] : "";
+  const before = words.slice(0, -1);
+
+  let command = null;
+  let params = [];
+  let options = [];
+  const positional = [];
+  let pending = null;
+  let browser;
+  for (let i = 0; i < before.length; i++) {
+    const word = before[i];
+    if (word.startsWith("-")) {
+      const name = word.replace(/^--?/, "");
+      const param = [...params, ...GLOBAL_OPTS].find((p) => p.name === name);
+      if (param && param.type !== "boolean" && i + 1 < before.length) {
+        if (name === "browser") browser = before[i + 1];
+        i++;
+      }
+      continue;
+    }
+    if (!command) {
+      const info = getCommand(word);
+      command = info ? info.name : word;
+      params = LOCAL_PARAMS[command] || getCommandParams(command);
+      // Positional args that are also declared as options can be passed either way
+      const opts = info?.opts || {};
+      options = params.filter((p) => !p.positional || p.name in opts);
+    } else {
+      positional.push(word);
+    }
+  }
+
+  const previous = before[before.length - 1];
+  if (previous?.startsWith("--")) {
+    const param = [...params, ...GLOBAL_OPTS].find((p) => p.name === previous.slice(2));
+    if (param && param.type !== "boolean") pending = param;
+  }
+
+  let candidates = [];
+  if (pending) {
+    candidates = await valuesFor(command, pending, sources || createSources({ browser }));
+  } else if (current.startsWith("-")) {
+    candidates = [...options, ...GLOBAL_OPTS].map((p) => ({ value: `--${p.name}`, description: p.description }));
+  } else if (!command) {
+    candidates = listCommands();
+  } else {
+    const param = params.filter((p) => p.positional)[positional.length];
+    if (param) candidates = await valuesFor(command, param, sources || createSources({ browser }));
+  }
+
+  const seen = new Set();
+  return candidates.filter((c) => {
+    if (!c.value || !c.value.startsWith(current) || seen.has(c.value)) return false;
+    seen.add(c.value);
+    return true;
+  });
+}
+
+async function valuesFor(command, param, sources) {
+  if (param.enum) return param.enum.map((value) => ({ value }));
+  if (param.type === "boolean") return [{ value: "true" }, { value: "false" }];
+  const source = sourceFor(command, param);
+  if (!source || !sources[source]) return [];
+  try {
+    return await sources[source]();
+  } catch {
+    return [];
+  }
+}
+
+function formatCandidates(candidates) {
+  return candidates
+    .map((c) => (c.description ? `${c.value}\t${c.description.replace(/\s+/g, " ")}` : c.value))
+    .join("\n");
+}
+
+const SCRIPTS = {
+  bash: `# surf bash completion
+# Add to ~/.bashrc: eval "$(surf completion bash)"
+_surf_complete() {
+  local IFS=$'\\n'
+  local candidates
+  candidates=$(surf __complete "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null | cut -f1)
+  COMPREPLY=($(compgen -W "$candidates" -- "\${COMP_WORDS[COMP_CWORD]}"))
+}
+complete -o default -F _surf_complete surf
+`,
+  zsh: `#compdef surf
+# surf zsh completion
+# Add to ~/.zshrc: eval "$(surf completion zsh)"
+_surf() {
+  local -a candidates
+  candidates=("\${(@f)$(surf __complete "\${(@)words[2,CURRENT]}" 2>/dev/null)}")
+  candidates=("\${(@)candidates//:/\\\\:}")
+  candidates=("\${(@)candidates//$'\\t'/:}")
+  if [[ -n "\${candidates[1]}" ]]; then
+    _describe 'surf' candidates
+  else
+    _files
+  fi
+}
+compdef _surf surf
+`,
+  fish: `# surf fish completion
+# Install: surf completion fish > ~/.config/fish/completions/surf.fish
+function __surf_complete
+    set -l tokens (commandline -opc) (commandline -ct)
+    surf __complete $tokens[2..-1] 2>/dev/null
+end
+complete -c surf -f -a '(__surf_complete)'
+`,
+};
+
+function getScript(shell) {
+  const script = SCRIPTS[shell];
+  if (!script) throw new Error(`Unsupported shell: ${shell} (expected one of: ${SHELLS.join(", ")})`);
+  return script;
+}
+
+module.exports = {
+  SHELLS,
+  REFS_FILE,
+  saveRefs,
+  readRefs,
+  queryHost,
+  createSources,
+  getCompletions,
+  formatCandidates,
+  getScript,
+};
@@ -73,6 +73,78 @@ function createStarterConfig(targetDir = process.cwd()) {
   }
 }
 
+const SETTLE_STRATEGIES = ["network", "dom", "load"];
+const SMOKE_CHECKS = ["noFailedRequests", "budgets", "text", "selectors"];
+
+const toList = (value) => (value === undefined ? undefined : Array.isArray(value) ? value : [value]);
+
+function checkSettle(settle, where) {
+  if (settle === undefined || SETTLE_STRATEGIES.includes(settle) || (Number.isInteger(settle) && settle >= 0)) return;
+  throw new Error(`${where}: settle must be one of ${SETTLE_STRATEGIES.join(", ")} or a delay in ms`);
+}
+
+function normalizeChecks(checks = {}, where) {
+  const unknown = Object.keys(checks).filter((k) => !SMOKE_CHECKS.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`${where}: unknown check ${unknown.join(", ")} (expected ${SMOKE_CHECKS.join(", ")})`);
+  }
+  const budgets = checks.budgets;
+  if (budgets !== undefined) {
+    const bad = Object.entries(budgets || {}).filter(([, max]) => typeof max !== "number");
+    if (!budgets || typeof budgets !== "object" || bad.length > 0) {
+      throw new Error(`${where}: budgets must map metric names to numbers`);
+    }
+  }
+  const normalized = {};
+  if (checks.noFailedRequests !== undefined && checks.noFailedRequests !== false) {
+    normalized.noFailedRequests = checks.noFailedRequests === true ? true : toList(checks.noFailedRequests);
+  }
+  if (budgets) normalized.budgets = budgets;
+  if (checks.text !== undefined) normalized.text = toList(checks.text);
+  if (checks.selectors !== undefined) normalized.selectors = toList(checks.selectors);
+  return normalized;
+}
+
+/**
+ * Smoke targets for a route group. Entries are URLs or objects with `url`,
+ * `settle` and `checks`; the config's `smoke` block supplies defaults.
+ */
+function getSmokeRoutes(name, config = loadConfig()) {
+  const group = config.routes?.[name];
+  if (!Array.isArray(group)) {
+    const known = Object.keys(config.routes || {});
+    throw new Error(`No route group "${name}" in ${CONFIG_NAME}${known.length ? ` (have: ${known.join(", ")})` : ""}`);
+  }
+  const defaults = config.smoke || {};
+  checkSettle(defaults.settle, "smoke");
+  const defaultChecks = normalizeChecks(defaults.checks, "smoke.checks");
+  return group.map((entry, i) => {
+    const where = `routes.${name}[${i}]`;
+    const route = typeof entry === "string" ? { url: entry } : entry;
+    if (!route || typeof route.url !== "string") throw new Error(`${where}: url required`);
+    checkSettle(route.settle, where);
+    const checks = { ...defaultChecks, ...normalizeChecks(route.checks, `${where}.checks`) };
+    const settle = route.settle ?? defaults.settle;
+    return {
+      url: route.url,
+      ...(settle !== undefined && { settle }),
+      ...(Object.keys(checks).length > 0 && { checks }),
+    };
+  });
+}
+
+/**
+ * Write a route group to surf.json, replacing any group of the same name.
+ * Uses the config in effect, or creates surf.json in the working directory.
+ */
+function saveRouteGroup(name, urls, targetPath = getConfigPath() || path.join(process.cwd(), CONFIG_NAME)) {
+  const config = fs.existsSync(targetPath) ? JSON.parse(fs.readFileSync(targetPath, "utf-8")) : {};
+  config.routes = { ...config.routes, [name]: urls };
+  fs.writeFileSync(targetPath, JSON.stringify(config, null, 2) + "\n");
+  clearCache();
+  return targetPath;
+}
+
 function clearCache() {
   cachedConfig = null;
   cachedConfigPath = null;
@@ -82,6 +154,9 @@ module.exports = {
   loadConfig,
   getConfigPath,
   createStarterConfig,
+  getSmokeRoutes,
+  saveRouteGroup,
   clearCache,
+  SETTLE_STRATEGIES,
   STARTER_CONFIG,
 };
@@ -0,0 +1,276 @@
+/**
+ * Site crawler for surf-cli
+ *
+ * Walks links breadth-first from a start URL, one depth level at a time, and
+ * records each page's status, console errors and failed requests. Pages that
+ * fail to load or answer 4xx/5xx are reported as broken links along with the
+ * pages that link to them; document redirects are reported as chains. A page
+ * whose document response wasn't captured has an unknown status rather than
+ * counting as ok.
+ *
+ * The crawler is transport-agnostic: the host passes visit(url), which loads
+ * a page in a tab and resolves with the smoke result plus `document`,
+ * `finalUrl` and `links`, and fetchText(url) for sitemaps.
+ */
+
+const { matchesUrlPattern } = require("./network-store.cjs");
+
+const DEFAULT_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 100;
+
+/**
+ * Absolute http(s) URL without its fragment, or null.
+ */
+function normalizeUrl(href, base) {
+  let url;
+  try {
+    url = new URL(href, base);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+  url.hash = "";
+  return url.href;
+}
+
+const decodeXml = (value) =>
+  value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+/**
+ * The <loc> entries of a sitemap. For a sitemap index they are sitemaps,
+ * not pages.
+ */
+function parseSitemap(xml) {
+  const locs = [...String(xml).matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*<\/loc>/gs)]
+    .map((m) => decodeXml(m[1]));
+  return /<sitemapindex[\s>]/.test(xml) ? { urls: [], sitemaps: locs } : { urls: locs, sitemaps: [] };
+}
+
+async function readSitemap(sitemapUrl, fetchText) {
+  const fetchSitemap = async (url) => {
+    const res = await fetchText(url);
+    return res && !res.error && res.status < 400 ? parseSitemap(res.text || "") : { urls: [], sitemaps: [] };
+  };
+  const { urls, sitemaps } = await fetchSitemap(sitemapUrl);
+  // Sitemap indexes are followed one level deep
+  for (const nested of sitemaps) {
+    urls.push(...(await fetchSitemap(nested)).urls);
+  }
+  return urls;
+}
+
+async function mapPool(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+  return results;
+}
+
+function toPage(url, depth, result) {
+  const doc = result.document;
+  const status = doc?.status ?? null;
+  const error = result.errors?.[0] || (status >= 400 ? `HTTP ${status}` : null);
+  return {
+    url,
+    finalUrl: result.finalUrl || doc?.url || url,
+    status,
+    depth,
+    time: result.time,
+    consoleErrors: result.consoleErrors || [],
+    failedRequests: (result.failedRequests || [])
+      .map(({ method, url: reqUrl, status: reqStatus }) => ({ method, url: reqUrl, status: reqStatus })),
+    redirects: doc?.redirects || [],
+    links: (result.links || []).length,
+    ...(error && { error }),
+    ...(!error && !doc && { unknown: true }),
+  };
+}
+
+/**
+ * Crawl a site.
+ *
+ * @param {string} startUrl
+ * @param {Object} [options]
+ * @param {number} [options.depth] - Link hops to follow from the start URL
+ * @param {boolean} [options.sameOrigin] - Only follow links on the start URL's origin
+ * @param {string[]} [options.include] - Only follow URLs matching one of these patterns
+ * @param {string[]} [options.exclude] - Never follow URLs matching these patterns
+ * @param {number} [options.maxPages] - Stop after visiting this many pages
+ * @param {boolean|string} [options.sitemap] - Also seed from /sitemap.xml, or from this sitemap URL
+ * @param {number} [options.concurrency] - Pages to load at once
+ * @param {Object} callbacks - { visit(url), fetchText(url) }
+ */
+async function crawlSite(startUrl, options, { visit, fetchText }) {
+  const {
+    depth = DEFAULT_DEPTH,
+    sameOrigin = false,
+    include = [],
+    exclude = [],
+    maxPages = DEFAULT_MAX_PAGES,
+    sitemap = false,
+    concurrency = 1,
+  } = options || {};
+  const start = normalizeUrl(startUrl);
+  if (!start) throw new Error(`Invalid start URL: ${startUrl}`);
+  const origin = new URL(start).origin;
+
+  const inScope = (url) =>
+    (!sameOrigin || new URL(url).origin === origin) &&
+    (include.length === 0 || include.some((p) => matchesUrlPattern(url, p))) &&
+    !exclude.some((p) => matchesUrlPattern(url, p));
+
+  const seen = new Set([start]);
+  const linkedFrom = new Map();
+  const addLink = (url, from) => {
+    if (!linkedFrom.has(url)) linkedFrom.set(url, new Set());
+    linkedFrom.get(url).add(from);
+  };
+  const pages = [];
+  let skipped = 0;
+  let level = [start];
+
+  if (sitemap && fetchText) {
+    const sitemapUrl = typeof sitemap === "string" ? normalizeUrl(sitemap, start) : `${origin}/sitemap.xml`;
+    for (const loc of await readSitemap(sitemapUrl, fetchText)) {
+      const url = normalizeUrl(loc, sitemapUrl);
+      if (!url || !inScope(url)) continue;
+      addLink(url, sitemapUrl);
+      if (!seen.has(url)) {
+        seen.add(url);
+        level.push(url);
+      }
+    }
+  }
+
+  for (let d = 0; level.length > 0; d++) {
+    const room = Math.max(0, maxPages - pages.length);
+    skipped += Math.max(0, level.length - room);
+    const batch = level.slice(0, room);
+    const results = await mapPool(batch, concurrency, async (url) => {
+      try {
+        return await visit(url);
+      } catch (e) {
+        return { errors: [e.message] };
+      }
+    });
+
+    const next = [];
+    batch.forEach((url, i) => {
+      const result = results[i] || {};
+      const page = toPage(url, d, result);
+      pages.push(page);
+      const finalUrl = normalizeUrl(page.finalUrl);
+      if (finalUrl) seen.add(finalUrl);
+      // Pages at the depth limit are checked but their links aren't followed
+      const base = page.finalUrl;
+      for (const href of result.links || []) {
+        const link = normalizeUrl(href, base);
+        if (!link || !inScope(link)) continue;
+        addLink(link, url);
+        if (d < depth && !seen.has(link)) {
+          seen.add(link);
+          next.push(link);
+        }
+      }
+    });
+    level = next;
+  }
+
+  const brokenLinks = pages
+    .filter((p) => p.error)
+    .map((p) => ({
+      url: p.url,
+      status: p.status,
+      error: p.error,
+      linkedFrom: [...(linkedFrom.get(p.url) || [])],
+    }));
+  const redirects = pages
+    .filter((p) => p.redirects.length > 0)
+    .map((p) => ({ url: p.url, finalUrl: p.finalUrl, hops: p.redirects }));
+
+  const unknown = pages.filter((p) => p.unknown).length;
+
+  return {
+    startUrl: start,
+    pages,
+    brokenLinks,
+    redirects,
+    summary: {
+      pages: pages.length,
+      ok: pages.length - brokenLinks.length - unknown,
+      broken: brokenLinks.length,
+      unknown,
+      redirects: redirects.length,
+      consoleErrors: pages.filter((p) => p.consoleErrors.length > 0).length,
+      skipped,
+    },
+  };
+}
+
+/**
+ * URLs of the pages that loaded, for saving as a route group. Redirected
+ * pages are saved as their destination.
+ */
+function discoveredRoutes(result) {
+  const routes = new Set();
+  for (const page of result.pages) {
+    if (!page.error) routes.add(page.finalUrl || page.url);
+  }
+  return [...routes];
+}
+
+function formatCrawlResult(result) {
+  const lines = [];
+  for (const page of result.pages) {
+    const status = page.error ? "BROKEN" : page.unknown ? "UNKNOWN" : "OK";
+    const code = page.status ? ` ${page.status}` : "";
+    lines.push(`${status}${code} ${page.url} (${page.time || 0}ms, depth ${page.depth})`);
+    for (const hop of page.redirects) {
+      lines.push(`  redirect ${hop.status} ${hop.url}`);
+    }
+    if (page.redirects.length > 0) lines.push(`  -> ${page.finalUrl}`);
+    if (page.error) lines.push(`  ${page.error}`);
+    if (page.unknown) lines.push("  no document response captured");
+    for (const err of page.consoleErrors) lines.push(`  console: ${err}`);
+    for (const req of page.failedRequests) {
+      lines.push(`  request failed: ${req.status || "no response"} ${req.method || "GET"} ${req.url}`);
+    }
+  }
+  if (result.brokenLinks.length > 0) {
+    lines.push("", "Broken links:");
+    for (const link of result.brokenLinks) {
+      lines.push(`  ${link.url} (${link.error})`);
+      for (const from of link.linkedFrom) lines.push(`    linked from ${from}`);
+    }
+  }
+  const { pages, ok, broken, unknown, redirects, consoleErrors, skipped } = result.summary;
+  lines.push(
+    "",
+    `Crawled ${pages} pages: ${ok} ok, ${broken} broken, ` +
+      (unknown > 0 ? `${unknown} unknown, ` : "") +
+      `${redirects} redirected, ${consoleErrors} with console errors` +
+      (skipped > 0 ? ` (${skipped} not visited, --max-pages reached)` : ""),
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_DEPTH,
+  DEFAULT_MAX_PAGES,
+  normalizeUrl,
+  parseSitemap,
+  crawlSite,
+  discoveredRoutes,
+  formatCrawlResult,
+};
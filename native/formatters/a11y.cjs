@@ -0,0 +1,42 @@
+// Accessibility audit formatters for surf-cli
+
+const SEVERITIES = ["error", "warning", "info"];
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * One line per issue, grouped by severity, followed by a summary line
+ */
+function formatAudit(result) {
+  const issues = result.issues || [];
+  const lines = [];
+  for (const severity of SEVERITIES) {
+    const group = issues.filter(i => i.severity === severity);
+    if (group.length === 0) continue;
+    if (lines.length > 0) lines.push("");
+    lines.push(`${severity.toUpperCase()} (${group.length})`);
+    for (const issue of group) {
+      const ref = issue.ref ? `[${issue.ref}] ` : "";
+      const element = issue.role ? ` ${issue.role}${issue.name ? ` "${issue.name}"` : ""}` : "";
+      lines.push(`  ${ref}${issue.rule}: ${issue.message}`);
+      if (issue.selector) lines.push(`    at${element} ${issue.selector}`);
+    }
+  }
+
+  const summary = result.summary || {};
+  const counts = [
+    plural(summary.error || 0, "error"),
+    plural(summary.warning || 0, "warning"),
+    `${summary.info || 0} info`,
+  ];
+  if (issues.length === 0) lines.push(`No accessibility issues found on ${result.url || "page"}`);
+  else lines.push("", `${counts.join(", ")} on ${result.url || "page"}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  SEVERITIES,
+  formatAudit,
+};
@@ -0,0 +1,63 @@
+// Structured extraction formatters for surf-cli
+
+const EXTRACT_FORMATS = ["json", "csv"];
+
+/**
+ * Flatten a record into columns: nested objects become dotted keys, lists
+ * of values are joined with "; " and lists of records are kept as JSON.
+ */
+function flattenRecord(record, prefix = "", row = {}) {
+  if (record === null || typeof record !== "object" || Array.isArray(record)) {
+    row[prefix || "value"] = record;
+    return row;
+  }
+  for (const [key, value] of Object.entries(record)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value)) {
+      row[column] = value.some(v => v !== null && typeof v === "object") ? JSON.stringify(value) : value.join("; ");
+    } else if (value !== null && typeof value === "object") {
+      flattenRecord(value, column, row);
+    } else {
+      row[column] = value;
+    }
+  }
+  return row;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header row. Columns are every key seen, in first-seen order.
+ */
+function toCsv(data) {
+  const rows = (Array.isArray(data) ? data : [data]).map(record => flattenRecord(record));
+  const columns = [];
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column)) columns.push(column);
+    }
+  }
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * The extracted data as pretty JSON or CSV
+ */
+function formatExtract(result, format = "json") {
+  if (format === "csv") return toCsv(result.data);
+  return JSON.stringify(result.data, null, 2) + "\n";
+}
+
+module.exports = {
+  EXTRACT_FORMATS,
+  flattenRecord,
+  csvCell,
+  toCsv,
+  formatExtract,
+};
@@ -190,7 +190,8 @@ function formatVerbose(entries, level = 1) {
   for (const e of entries) {
     lines.push('═'.repeat(80));
     lines.push(`${e.method || 'GET'} ${e.url}`);
-    lines.push(`ID: ${e.requestId || e.id || '-'}  Status: ${e.status || 'pending'}  Time: ${formatDuration(e.duration || e.time)}`);
+    const mocked = e.mocked || e.flags?.includes('mocked') ? '  [mocked]' : '';
+    lines.push(`ID: ${e.requestId || e.id || '-'}  Status: ${e.status || 'pending'}  Time: ${formatDuration(e.duration || e.time)}${mocked}`);
     lines.push('');
     
     // Request headers
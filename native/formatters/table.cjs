@@ -0,0 +1,83 @@
+// Table formatters for surf-cli
+
+const { csvCell } = require("./extract.cjs");
+
+const TABLE_FORMATS = ["csv", "json", "markdown"];
+
+/**
+ * A unique name for every column: blank headers become "Column N" and
+ * repeats get a " (2)" suffix.
+ */
+function columnNames(headers, width) {
+  const seen = new Map();
+  return Array.from({ length: width }, (_, i) => {
+    const base = headers[i] || `Column ${i + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base} (${count})`;
+  });
+}
+
+function tableWidth(table) {
+  return Math.max(table.headers.length, ...table.rows.map(row => row.length), 0);
+}
+
+function toCsv(table) {
+  const lines = table.headers.length > 0 ? [table.headers.map(csvCell).join(",")] : [];
+  for (const row of table.rows) lines.push(row.map(csvCell).join(","));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * One object per row keyed by column name, or plain arrays when the table
+ * has no header row.
+ */
+function toJson(table) {
+  if (table.headers.length === 0) return JSON.stringify(table.rows, null, 2) + "\n";
+  const columns = columnNames(table.headers, tableWidth(table));
+  const records = table.rows.map(row => Object.fromEntries(columns.map((c, i) => [c, row[i] ?? ""])));
+  return JSON.stringify(records, null, 2) + "\n";
+}
+
+const markdownCell = (value) => String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+
+function toMarkdown(table) {
+  const width = tableWidth(table);
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => markdownCell(cells[i])).join(" | ")} |`;
+  const lines = [
+    line(columnNames(table.headers, width)),
+    `|${" --- |".repeat(width)}`,
+    ...table.rows.map(line),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+const RENDERERS = { csv: toCsv, json: toJson, markdown: toMarkdown };
+
+/**
+ * A table.get result as CSV, JSON or a Markdown table
+ */
+function formatTable(table, format = "csv") {
+  return (RENDERERS[format] || toCsv)({ headers: table.headers || [], rows: table.rows || [] });
+}
+
+/**
+ * One line per table: ref, role, name, size and column headers
+ */
+function formatTableList(tables) {
+  if (tables.length === 0) return "No tables found";
+  return tables.map(t => {
+    const name = t.name ? ` "${t.name}"` : "";
+    const total = t.total !== undefined && t.total > t.rows ? ` (${t.total} total)` : "";
+    const headers = t.headers.filter(Boolean);
+    return `[${t.ref}] ${t.role}${name} ${t.rows} rows${total} x ${t.columns} columns` +
+      (headers.length > 0 ? `: ${headers.join(", ")}` : "");
+  }).join("\n");
+}
+
+module.exports = {
+  TABLE_FORMATS,
+  columnNames,
+  formatTable,
+  formatTableList,
+};
@@ -1,6 +1,208 @@
 const fs = require("fs");
 const networkFormatters = require("./formatters/network.cjs");
 const networkStore = require("./network-store.cjs");
+const { formatDiffResult } = require("./image-diff.cjs");
+const { getSmokeRoutes } = require("./config.cjs");
+
+/**
+ * Split a comma-separated option into a list (arrays pass through)
+ * @param {string|Array|undefined} value
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  if (value === undefined || value === null || value === true) return [];
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+const LOCATOR_KINDS = ["role", "text", "label", "placeholder", "testid"];
+
+/**
+ * Parse a chained locator such as `role=dialog[name="Settings"] >> text=Save`.
+ * Each part is `kind=value` (role, text, label, placeholder, testid, css),
+ * `nth=<n>` for the previous part, an element ref or a CSS selector. A quoted
+ * value matches exactly.
+ * @param {string} expr
+ * @returns {Array<Object>} Locator steps, outermost first
+ */
+function parseLocator(expr) {
+  const steps = [];
+  for (const part of String(expr).split(">>").map((p) => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(role|text|label|placeholder|testid|css|nth)=(.*)$/s);
+    if (!match) {
+      steps.push(/^e\d+$/.test(part) ? { by: "ref", value: part } : { by: "css", value: part });
+      continue;
+    }
+    const [, kind, rest] = match;
+    if (kind === "nth") {
+      if (steps.length === 0) throw new Error(`nth= needs a locator before it: ${expr}`);
+      steps[steps.length - 1].nth = parseInt(rest, 10);
+      continue;
+    }
+    if (kind === "css") {
+      steps.push({ by: "css", value: rest });
+      continue;
+    }
+    let value = rest;
+    let name;
+    if (kind === "role") {
+      const roleMatch = rest.match(/^([\w-]+)\s*(?:\[\s*name\s*=\s*(.*?)\s*\])?$/s);
+      if (!roleMatch) throw new Error(`Invalid role locator: ${part}`);
+      value = roleMatch[1];
+      name = roleMatch[2];
+    }
+    const step = { by: kind, value };
+    const quoted = (kind === "role" ? name : value)?.match(/^(["'])(.*)\1$/s);
+    if (quoted) {
+      step.exact = true;
+      if (kind === "role") name = quoted[2];
+      else step.value = quoted[2];
+    }
+    if (name !== undefined) step.name = name;
+    steps.push(step);
+  }
+  if (steps.length === 0) throw new Error(`Empty locator: ${expr}`);
+  return steps;
+}
+
+/**
+ * Locator steps from --role/--name, --text, --label, --placeholder or --testid
+ * plus --nth, --exact and --within. Returns undefined when none are given, so
+ * refs, selectors and coordinates keep their own paths. With a ref or
+ * selector, --role and --name stay fallbacks for a stale ref.
+ * @param {Object} a - Tool args
+ * @param {Array<string>} [allowed] - Locator kinds the command accepts
+ * @returns {Array<Object>|undefined}
+ */
+function buildLocator(a, allowed = LOCATOR_KINDS) {
+  if (!a.within && (a.ref || a.selector)) return undefined;
+  const kinds = allowed.filter((k) => a[k] !== undefined && a[k] !== null && a[k] !== "");
+  if (kinds.length === 0) {
+    if (a.name !== undefined) throw new Error("--name requires --role");
+    if (!a.within) return undefined;
+  }
+  if (kinds.length > 1) throw new Error(`Use only one of ${kinds.map((k) => `--${k}`).join(", ")}`);
+
+  const steps = a.within ? parseLocator(a.within) : [];
+  if (kinds.length === 0) {
+    if (a.ref) steps.push({ by: "ref", value: String(a.ref) });
+    else if (a.selector) steps.push({ by: "css", value: String(a.selector) });
+    else throw new Error("--within needs a locator for the element inside it");
+  } else {
+    const kind = kinds[0];
+    const step = { by: kind, value: String(a[kind]) };
+    if (kind === "role" && a.name !== undefined) step.name = String(a.name);
+    if (a.exact) step.exact = true;
+    steps.push(step);
+  }
+  if (a.nth !== undefined) steps[steps.length - 1].nth = Number(a.nth);
+  return steps;
+}
+
+const EXTRACT_VALUE_TYPES = ["string", "number", "boolean"];
+const DEFAULT_EXTRACT_PAGES = 10;
+
+/**
+ * Locator steps for a schema target: a locator string (`h2.title`,
+ * `role=link[name="Next"]`, `e12`, chains with `>>`) or an object with
+ * `selector`, `ref`, `locator`, or role/name, text, label, placeholder or
+ * testid plus exact and nth.
+ */
+function schemaTarget(spec, path) {
+  try {
+    if (typeof spec === "string") return parseLocator(spec);
+    let steps;
+    if (spec.locator !== undefined) steps = parseLocator(spec.locator);
+    else if (spec.ref !== undefined) steps = [{ by: "ref", value: String(spec.ref) }];
+    else if (spec.selector !== undefined) steps = [{ by: "css", value: String(spec.selector) }];
+    else return buildLocator(spec);
+    if (spec.nth !== undefined) steps[steps.length - 1].nth = Number(spec.nth);
+    return steps;
+  } catch (e) {
+    throw new Error(`${path}: ${e.message.replace(/--/g, "")}`);
+  }
+}
+
+/**
+ * Normalize one schema field. A leaf field reads text (or `attr`) from its
+ * target, or from the enclosing item when it has none; `type` converts the
+ * value and `all` collects every match. A field with `fields` is a nested
+ * record, repeated for each `items` match when given.
+ */
+function normalizeExtractField(spec, path) {
+  if (typeof spec === "string") return { target: schemaTarget(spec, path) };
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error(`${path}: expected a locator string or an object`);
+  }
+  const field = {};
+  const target = schemaTarget(spec, path);
+  if (target) field.target = target;
+  if (spec.fields !== undefined) {
+    if (!spec.fields || typeof spec.fields !== "object" || Array.isArray(spec.fields)) {
+      throw new Error(`${path}.fields: expected an object`);
+    }
+    field.fields = {};
+    for (const [name, child] of Object.entries(spec.fields)) {
+      field.fields[name] = normalizeExtractField(child, `${path}.${name}`);
+    }
+    if (spec.items !== undefined) field.items = schemaTarget(spec.items, `${path}.items`);
+    return field;
+  }
+  if (spec.items !== undefined) throw new Error(`${path}: items needs fields`);
+  if (spec.attr !== undefined) field.attr = String(spec.attr);
+  if (spec.type !== undefined) {
+    if (!EXTRACT_VALUE_TYPES.includes(spec.type)) {
+      throw new Error(`${path}: type must be one of ${EXTRACT_VALUE_TYPES.join(", ")}`);
+    }
+    field.type = spec.type;
+  }
+  if (spec.all) field.all = true;
+  return field;
+}
+
+/**
+ * Validate an extraction schema (object or JSON string) and resolve its
+ * targets to locator steps for the content script.
+ * @param {Object|string} schema - { items?, fields, pagination?: { next, maxPages? } }
+ * @param {number} [maxPages] - Overrides pagination.maxPages
+ * @returns {{ spec: Object, pagination?: { next: Array<Object>, maxPages: number } }}
+ */
+function normalizeExtractSchema(schema, maxPages) {
+  if (typeof schema === "string") {
+    try {
+      schema = JSON.parse(schema);
+    } catch (e) {
+      throw new Error(`Invalid schema JSON: ${e.message}`);
+    }
+  }
+  if (!schema || typeof schema !== "object" || schema.fields === undefined) {
+    throw new Error("Schema needs a fields object");
+  }
+  const { pagination, ...rest } = schema;
+  const spec = normalizeExtractField(rest, "schema");
+  if (!pagination) return { spec };
+  if (!spec.items) throw new Error("schema.pagination needs items to collect across pages");
+  if (pagination.next === undefined) throw new Error("schema.pagination needs a next locator");
+  return {
+    spec,
+    pagination: {
+      next: schemaTarget(pagination.next, "schema.pagination.next"),
+      maxPages: Math.max(1, Number(maxPages ?? pagination.maxPages ?? DEFAULT_EXTRACT_PAGES)),
+    },
+  };
+}
+
+/**
+ * Format a network mock rule as a single line
+ * @param {Object} rule - Mock rule from the extension
+ * @returns {string}
+ */
+function formatMockRule(rule) {
+  const method = (rule.method || "*").padEnd(6);
+  const size = Buffer.byteLength(rule.body || "");
+  const error = rule.error ? `  error: ${rule.error}` : "";
+  return `${rule.id}  ${method} ${rule.urlPattern} -> ${rule.status} (${size}B) hits: ${rule.hits}${error}`;
+}
 
 /**
  * Format tool result content for MCP response
@@ -74,7 +276,8 @@ function formatToolContent(result, log = () => {}) {
         const status = String(r.status || '-').padStart(3);
         const method = (r.method || 'GET').padEnd(7);
         const type = (r.type || '').padEnd(10);
-        return `${status} ${method} ${type} ${r.url}`;
+        const mocked = r.mocked || r.flags?.includes('mocked') ? ' [mocked]' : '';
+        return `${status} ${method} ${type} ${r.url}${mocked}`;
       }).join("\n");
     }
     return text(formatted);
@@ -176,6 +379,10 @@ function formatToolContent(result, log = () => {}) {
     return text(JSON.stringify(result.cookie, null, 2));
   }
 
+  if (result.storage) {
+    return text(JSON.stringify(result.storage, null, 2));
+  }
+
   if (result.cleared !== undefined) {
     if (typeof result.cleared === "number") {
       return text(`Cleared ${result.cleared} cookies`);
@@ -183,12 +390,31 @@ function formatToolContent(result, log = () => {}) {
     return text(`Cleared cookie: ${result.cleared}`);
   }
 
+  if (result.visualDiff) {
+    return text(formatDiffResult(result.visualDiff));
+  }
+
+  if (result.mockRules) {
+    if (result.mockRules.length === 0) return text("No mock rules");
+    return text(result.mockRules.map(formatMockRule).join("\n"));
+  }
+
+  if (result.mockRule) {
+    return text(`Added mock ${formatMockRule(result.mockRule)}`);
+  }
+
+  if (result.removedRules !== undefined) {
+    return text(`Removed ${result.removedRules} mock rule${result.removedRules === 1 ? "" : "s"}`);
+  }
+
   if (result.query !== undefined && result.matches) {
     const header = `Found ${result.count} matches for "${result.query}":`;
     if (result.matches.length === 0) return text(header);
-    const matchList = result.matches.map(m => 
-      `  ${m.ref}: "${m.text}" in "...${m.context}..."${m.elementRef ? ` [${m.elementRef}]` : ""}`
-    ).join("\n");
+    const matchList = result.matches.map(m => {
+      const source = m.source && m.source !== "text" ? ` (${m.source})` : "";
+      const score = m.score !== undefined ? ` score ${m.score}` : "";
+      return `  ${m.ref}: "${m.text}" in "...${m.context}..."${source}${m.elementRef ? ` [${m.elementRef}]` : ""}${score}`;
+    }).join("\n");
     return text(`${header}\n${matchList}`);
   }
 
@@ -209,13 +435,26 @@ function formatToolContent(result, log = () => {}) {
     return text(formatted);
   }
 
+  if (result.recording) {
+    return text(`Recording ${result.url || "tab"}. Interact with the page, then run 'surf record stop'.`);
+  }
+
+  if (result.steps && Array.isArray(result.steps)) {
+    return text(JSON.stringify(result.steps, null, 2));
+  }
+
   if (result.completedActions !== undefined && result.totalActions !== undefined) {
     const status = result.success ? "SUCCESS" : "FAILED";
     const header = `Batch ${status}: ${result.completedActions}/${result.totalActions} actions completed`;
     if (result.results && result.results.length > 0) {
-      const details = result.results.map(r => 
-        `  [${r.index}] ${r.type}: ${r.success ? "OK" : "FAILED"}${r.error ? ` - ${r.error}` : ""}`
-      ).join("\n");
+      const details = result.results.map(r => {
+        const status = r.success ? "OK" : r.continued ? "FAILED (continued)" : "FAILED";
+        const captured = r.captured ? ` -> \${${r.captured}}` : "";
+        const line = `  [${r.index}] ${r.type}: ${status}${captured}${r.error ? ` - ${r.error}` : ""}`;
+        if (r.output === undefined) return line;
+        const output = typeof r.output === "string" ? r.output : JSON.stringify(r.output, null, 2);
+        return `${line}\n${output.split("\n").map(l => `      ${l}`).join("\n")}`;
+      }).join("\n");
       return text(`${header}\n${details}${result.error ? `\n\nError: ${result.error}` : ""}`);
     }
     return text(header);
@@ -340,6 +579,14 @@ function mapComputerAction(args, tabId) {
           start_coordinate, ref, duration, modifiers } = a;
   const coordinate = a.coordinate || (a.x !== undefined && a.y !== undefined ? [a.x, a.y] : undefined);
   const baseMsg = { tabId };
+  // Actionability waits for click, type and hover
+  const waitOpts = { timeout: a.timeout, force: a.force };
+  // For type, --text is the text to type rather than a locator
+  const locator = action === "type"
+    ? buildLocator(a, LOCATOR_KINDS.filter((k) => k !== "text"))
+    : ["left_click", "right_click", "double_click", "triple_click", "hover", "scroll_to"].includes(action)
+      ? buildLocator(a)
+      : undefined;
   
   if (!action) {
     return { type: "UNSUPPORTED_ACTION", action: null, message: "No action specified for computer tool" };
@@ -350,27 +597,32 @@ function mapComputerAction(args, tabId) {
       return { type: "EXECUTE_SCREENSHOT", ...baseMsg };
     
     case "left_click":
-      if (ref) return { type: "CLICK_REF", ref, button: "left", ...baseMsg };
-      if (a.selector) return { type: "CLICK_SELECTOR", selector: a.selector, index: a.index || 0, button: "left", ...baseMsg };
-      return { type: "EXECUTE_CLICK", x: coordinate?.[0], y: coordinate?.[1], modifiers, ...baseMsg };
+      if (locator) return { type: "CLICK_REF", locator, button: "left", ...waitOpts, ...baseMsg };
+      if (ref) return { type: "CLICK_REF", ref, selector: a.selector, role: a.role, name: a.name, button: "left", ...waitOpts, ...baseMsg };
+      if (a.selector) return { type: "CLICK_SELECTOR", selector: a.selector, index: a.index || 0, button: "left", ...waitOpts, ...baseMsg };
+      return { type: "EXECUTE_CLICK", x: coordinate?.[0], y: coordinate?.[1], modifiers, ...waitOpts, ...baseMsg };
     
     case "right_click":
-      if (ref) return { type: "CLICK_REF", ref, button: "right", ...baseMsg };
-      return { type: "EXECUTE_RIGHT_CLICK", x: coordinate?.[0], y: coordinate?.[1], modifiers, ...baseMsg };
+      if (locator) return { type: "CLICK_REF", locator, button: "right", ...waitOpts, ...baseMsg };
+      if (ref) return { type: "CLICK_REF", ref, button: "right", ...waitOpts, ...baseMsg };
+      return { type: "EXECUTE_RIGHT_CLICK", x: coordinate?.[0], y: coordinate?.[1], modifiers, ...waitOpts, ...baseMsg };
     
     case "double_click":
-      if (ref) return { type: "CLICK_REF", ref, button: "double", ...baseMsg };
-      return { type: "EXECUTE_DOUBLE_CLICK", x: coordinate?.[0], y: coordinate?.[1], modifiers, ...baseMsg };
+      if (locator) return { type: "CLICK_REF", locator, button: "double", ...waitOpts, ...baseMsg };
+      if (ref) return { type: "CLICK_REF", ref, button: "double", ...waitOpts, ...baseMsg };
+      return { type: "EXECUTE_DOUBLE_CLICK", x: coordinate?.[0], y: coordinate?.[1], modifiers, ...waitOpts, ...baseMsg };
     
     case "triple_click":
-      if (ref) return { type: "CLICK_REF", ref, button: "triple", ...baseMsg };
-      return { type: "EXECUTE_TRIPLE_CLICK", x: coordinate?.[0], y: coordinate?.[1], modifiers, ...baseMsg };
+      if (locator) return { type: "CLICK_REF", locator, button: "triple", ...waitOpts, ...baseMsg };
+      if (ref) return { type: "CLICK_REF", ref, button: "triple", ...waitOpts, ...baseMsg };
+      return { type: "EXECUTE_TRIPLE_CLICK", x: coordinate?.[0], y: coordinate?.[1], modifiers, ...waitOpts, ...baseMsg };
     
     case "type":
-      if (ref) {
-        return { type: "FORM_FILL", data: [{ ref, value: text }], ...baseMsg };
+      if (locator) return { type: "FORM_FILL", data: [{ locator, value: text }], ...waitOpts, ...baseMsg };
+      if (ref || a.selector) {
+        return { type: "FORM_FILL", data: [{ ref, selector: a.selector, role: a.role, name: a.name, value: text }], ...waitOpts, ...baseMsg };
       }
-      return { type: "EXECUTE_TYPE", text, ...baseMsg };
+      return { type: "EXECUTE_TYPE", text, ...waitOpts, ...baseMsg };
     
     case "key": {
       const keyValue = a.key || text;
@@ -406,11 +658,12 @@ function mapComputerAction(args, tabId) {
     }
     
     case "scroll_to":
-      return { type: "SCROLL_TO_ELEMENT", ref, ...baseMsg };
+      return { type: "SCROLL_TO_ELEMENT", ref, locator, ...baseMsg };
     
     case "hover":
-      if (ref) return { type: "HOVER_REF", ref, ...baseMsg };
-      return { type: "EXECUTE_HOVER", x: coordinate?.[0], y: coordinate?.[1], ...baseMsg };
+      if (locator) return { type: "HOVER_REF", locator, ...waitOpts, ...baseMsg };
+      if (ref) return { type: "HOVER_REF", ref, ...waitOpts, ...baseMsg };
+      return { type: "EXECUTE_HOVER", x: coordinate?.[0], y: coordinate?.[1], ...waitOpts, ...baseMsg };
     
     case "left_click_drag":
     case "drag":
@@ -475,7 +728,7 @@ function mapToolToMessage(tool, args, tabId) {
     case "set_value":
       return { type: "SET_INPUT_VALUE", selector: a.selector, ref: a.ref, value: a.value, ...baseMsg };
     case "smart_type":
-      return { type: "SMART_TYPE", selector: a.selector, text: a.text, clear: a.clear ?? true, submit: a.submit ?? false, ...baseMsg };
+      return { type: "SMART_TYPE", selector: a.selector, text: a.text, clear: a.clear, submit: a.submit ?? false, ...baseMsg };
     case "scroll_to_position":
       return { type: "SCROLL_TO_POSITION", position: a.position, selector: a.selector, ...baseMsg };
     case "get_scroll_info":
@@ -492,11 +745,22 @@ function mapToolToMessage(tool, args, tabId) {
         savePath: a.savePath,
         annotate: a.annotate || false,
         fullpage: a.fullpage || false,
-        maxHeight: a["max-height"] || 4000,
+        maxHeight: a["max-height"],
         fullRes: a.full || false,
-        maxSize: a["max-size"] || 1200,
+        maxSize: a["max-size"],
         ...baseMsg 
       };
+    case "screenshot.diff":
+      return {
+        type: "SCREENSHOT_DIFF",
+        baseline: a.baseline,
+        current: a.current,
+        output: a.output,
+        threshold: a.threshold,
+        tolerance: a.tolerance,
+        ignore: splitList(a.ignore),
+        ...baseMsg
+      };
     case "javascript_tool":
       return { type: "EXECUTE_JAVASCRIPT", code: a.code, ...baseMsg };
     case "wait_for_element":
@@ -590,15 +854,48 @@ function mapToolToMessage(tool, args, tabId) {
         ...baseMsg 
       };
 
+    // Served by the host from the on-disk store
     case "network.export":
-      return { 
-        type: "EXPORT_NETWORK_REQUESTS",
-        har: a.har,
-        jsonl: a.jsonl,
+      return {
+        type: "NETWORK_EXPORT",
+        format: a.har ? "har" : a.jsonl ? "jsonl" : a.format,
         output: a.output,
-        ...baseMsg 
+        filters: { origin: a.origin, last: a.last },
       };
 
+    case "network.import":
+      if (!a.file) throw new Error("HAR file required");
+      return { type: "NETWORK_IMPORT", file: a.file };
+
+    case "network.mock": {
+      const action = a.action || "list";
+      switch (action) {
+        case "add": {
+          const urlPattern = a["url-pattern"] || a.urlPattern || a.url;
+          if (!urlPattern) throw new Error("--url-pattern required");
+          return {
+            type: "NETWORK_MOCK_ADD",
+            urlPattern: String(urlPattern),
+            method: a.method,
+            status: a.status !== undefined ? parseInt(a.status, 10) : undefined,
+            body: a.body !== undefined ? String(a.body) : undefined,
+            contentType: a["content-type"] || a.contentType,
+            headers: a.headers,
+            ...baseMsg
+          };
+        }
+        case "list":
+          return { type: "NETWORK_MOCK_LIST", ...baseMsg };
+        case "remove":
+          if (!a.id) throw new Error("mock rule id required (e.g. network.mock remove m1)");
+          return { type: "NETWORK_MOCK_REMOVE", ruleId: String(a.id), ...baseMsg };
+        case "clear":
+          return { type: "NETWORK_MOCK_CLEAR", ...baseMsg };
+        default:
+          throw new Error(`Unknown network.mock action: ${action}. Use add, list, remove or clear`);
+      }
+    }
+
     case "network.path":
       return { 
         type: "GET_NETWORK_PATHS",
@@ -682,7 +979,7 @@ function mapToolToMessage(tool, args, tabId) {
     case "scroll.info":
       return { type: "GET_SCROLL_INFO", selector: a.selector, ...baseMsg };
     case "scroll.to":
-      return { type: "SCROLL_TO_ELEMENT", ref: a.ref, ...baseMsg };
+      return { type: "SCROLL_TO_ELEMENT", ref: a.ref, locator: buildLocator(a), ...baseMsg };
     case "wait.element":
       return { type: "WAIT_FOR_ELEMENT", selector: a.selector, timeout: a.timeout, ...baseMsg };
     case "wait.network":
@@ -690,9 +987,9 @@ function mapToolToMessage(tool, args, tabId) {
     case "wait.url":
       return { type: "WAIT_FOR_URL", pattern: a.pattern || a.url, timeout: a.timeout, ...baseMsg };
     case "wait.dom":
-      return { type: "WAIT_FOR_DOM_STABLE", stable: a.stable || 100, timeout: a.timeout || 5000, ...baseMsg };
+      return { type: "WAIT_FOR_DOM_STABLE", stable: a.stable, timeout: a.timeout || 5000, ...baseMsg };
     case "wait.load":
-      return { type: "WAIT_FOR_LOAD", timeout: a.timeout || 30000, ...baseMsg };
+      return { type: "WAIT_FOR_LOAD", timeout: a.timeout, ...baseMsg };
     case "frame.list":
       return { type: "GET_FRAMES", ...baseMsg };
     case "frame.js":
@@ -716,13 +1013,13 @@ function mapToolToMessage(tool, args, tabId) {
       if (a.lat === undefined || a.lon === undefined) {
         throw new Error("--lat and --lon required");
       }
-      return { type: "EMULATE_GEO", latitude: parseFloat(a.lat), longitude: parseFloat(a.lon), accuracy: parseFloat(a.accuracy) || 100, ...baseMsg };
+      return { type: "EMULATE_GEO", latitude: parseFloat(a.lat), longitude: parseFloat(a.lon), accuracy: parseFloat(a.accuracy), ...baseMsg };
     case "form.fill":
       let fillData = a.data;
       if (typeof fillData === "string") {
         try { fillData = JSON.parse(fillData); } catch (e) { throw new Error("invalid --data JSON"); }
       }
-      return { type: "FORM_FILL", data: fillData, ...baseMsg };
+      return { type: "FORM_FILL", data: fillData, timeout: a.timeout, force: a.force, ...baseMsg };
     case "perf.start":
       return { type: "PERF_START", categories: a.categories ? a.categories.split(",") : undefined, ...baseMsg };
     case "perf.stop":
@@ -738,13 +1035,31 @@ function mapToolToMessage(tool, args, tabId) {
       return { type: "GET_PAGE_TEXT", ...baseMsg };
     case "page.state":
       return { type: "PAGE_STATE", ...baseMsg };
+    case "a11y.audit":
+      return { type: "A11Y_AUDIT", severity: a.severity, ...baseMsg };
+    case "extract": {
+      if (a.schema === undefined) throw new Error("--schema required");
+      const { spec, pagination } = normalizeExtractSchema(a.schema, a["max-pages"]);
+      return { type: "EXTRACT", schema: spec, pagination, ...baseMsg };
+    }
+    case "table.list":
+      return { type: "TABLE_LIST", ...baseMsg };
+    case "table.get":
+      if (!a.ref) throw new Error("table ref required (see table.list)");
+      return {
+        type: "TABLE_GET",
+        ref: a.ref,
+        scroll: a["no-scroll"] !== true,
+        maxRows: a["max-rows"],
+        ...baseMsg,
+      };
     case "ai":
       return { type: "AI_ANALYZE", query: a.query, act: a.act, mode: a.mode, ...baseMsg };
     case "wait":
       return { type: "LOCAL_WAIT", seconds: Math.min(30, a.duration || a.seconds || 1) };
     case "health":
       if (a.url) {
-        return { type: "HEALTH_CHECK_URL", url: a.url, expect: a.expect || 200, timeout: a.timeout || 30000 };
+        return { type: "HEALTH_CHECK_URL", url: a.url, expect: a.expect, timeout: a.timeout || 30000 };
       } else if (a.selector) {
         return { type: "WAIT_FOR_ELEMENT", selector: a.selector, timeout: a.timeout || 30000, ...baseMsg };
       }
@@ -752,12 +1067,79 @@ function mapToolToMessage(tool, args, tabId) {
     case "smoke":
       return { 
         type: "SMOKE_TEST", 
-        urls: a.urls || [],
-        routes: a.routes,
-        savePath: a.screenshot,
+        // Route groups are usually expanded by the CLI from its working directory
+        urls: [...(a.urls || []), ...(a.routes ? getSmokeRoutes(a.routes) : [])],
+        settle: a.settle,
+        // Baseline runs and HTML reports need screenshots; keep them next to
+        // the baseline or the report by default
+        savePath: a.screenshot ||
+          (a.baseline ? `${a.baseline}/current` : undefined) ||
+          (splitList(a.report).includes("html") ? `${a["report-path"]}/screenshots` : undefined),
         failFast: a["fail-fast"] || false,
+        concurrency: a.concurrency,
+        newWindow: a["new-window"] || false,
+        baseline: a.baseline,
+        threshold: a.threshold,
+        tolerance: a.tolerance,
+        ignore: splitList(a.ignore),
+        failOn: a["fail-on"],
+        report: a.report ? splitList(a.report) : undefined,
+        reportPath: a["report-path"],
         ...baseMsg 
       };
+    case "crawl":
+      if (!a.url) throw new Error("url required");
+      return {
+        type: "CRAWL",
+        url: a.url,
+        depth: a.depth,
+        sameOrigin: a["same-origin"] || false,
+        include: splitList(a.include),
+        exclude: splitList(a.exclude),
+        maxPages: a["max-pages"],
+        sitemap: a.sitemap || false,
+        concurrency: a.concurrency,
+        settle: a.settle,
+        ...baseMsg
+      };
+    case "storage.list":
+    case "storage.get":
+    case "storage.set":
+    case "storage.remove":
+    case "storage.clear": {
+      const scope = { session: a.session || false, origin: a.origin, ...baseMsg };
+      if (tool === "storage.list") return { type: "STORAGE_LIST", ...scope };
+      if (tool === "storage.clear") return { type: "STORAGE_CLEAR", ...scope };
+      if (a.key === undefined) throw new Error("key required");
+      if (tool === "storage.get") return { type: "STORAGE_GET", key: String(a.key), ...scope };
+      if (tool === "storage.remove") return { type: "STORAGE_REMOVE", key: String(a.key), ...scope };
+      if (a.value === undefined) throw new Error("value required");
+      return { type: "STORAGE_SET", key: String(a.key), value: String(a.value), ...scope };
+    }
+    case "storage.idb.list":
+      return { type: "IDB_LIST", origin: a.origin, ...baseMsg };
+    case "storage.idb.dump":
+      if (!a.database) throw new Error("database required");
+      return {
+        type: "IDB_DUMP",
+        database: String(a.database),
+        store: a.store,
+        limit: a.limit,
+        skip: a.skip,
+        origin: a.origin,
+        ...baseMsg
+      };
+    case "session.save":
+      if (!a.name) throw new Error("session name required");
+      return { type: "SESSION_SAVE", name: String(a.name), origins: splitList(a.origins) };
+    case "session.load":
+      if (!a.name) throw new Error("session name required");
+      return { type: "SESSION_LOAD", name: String(a.name), focused: !a.unfocused };
+    case "session.list":
+      return { type: "SESSION_LIST" };
+    case "session.delete":
+      if (!a.name) throw new Error("session name required");
+      return { type: "SESSION_DELETE", name: String(a.name) };
     case "type":
     case "left_click":
     case "right_click":
@@ -785,7 +1167,29 @@ function mapToolToMessage(tool, args, tabId) {
       return { type: "COOKIE_CLEAR", name: a.name, ...baseMsg };
     case "search":
       if (!a.term) throw new Error("search term required");
-      return { type: "SEARCH_PAGE", term: a.term, caseSensitive: a["case-sensitive"] || false, limit: a.limit || 10, ...baseMsg };
+      if (a.regex && a.fuzzy) throw new Error("Use either --regex or --fuzzy, not both");
+      if (a.regex) {
+        try {
+          new RegExp(a.term);
+        } catch (e) {
+          throw new Error(`Invalid regex: ${e.message}`);
+        }
+      }
+      if (a.threshold !== undefined && !(a.threshold > 0 && a.threshold <= 1)) {
+        throw new Error("--threshold must be between 0 and 1");
+      }
+      return {
+        type: "SEARCH_PAGE",
+        term: a.term,
+        caseSensitive: a["case-sensitive"] || false,
+        limit: a.limit || 10,
+        regex: a.regex || undefined,
+        fuzzy: a.fuzzy || undefined,
+        threshold: a.threshold,
+        within: a.within,
+        highlight: a.highlight || undefined,
+        ...baseMsg,
+      };
     case "tab.group": {
       const tabIds = a.tabs ? String(a.tabs).split(",").map(id => parseInt(id.trim(), 10)).filter(id => !isNaN(id)) : [];
       return { type: "TAB_GROUP_CREATE", name: a.name, tabIds, color: a.color || "blue", ...baseMsg };
@@ -819,11 +1223,36 @@ function mapToolToMessage(tool, args, tabId) {
         }
       }
       
+      // Workflow files may be {vars, actions} instead of a bare actions array
+      let vars = {};
+      if (actions && !Array.isArray(actions) && typeof actions === "object") {
+        vars = actions.vars || {};
+        actions = actions.actions;
+      }
+      
       if (!Array.isArray(actions)) {
         throw new Error("actions must be array");
       }
       
-      return { type: "BATCH_EXECUTE", actions, ...baseMsg };
+      if (a.vars) {
+        let cliVars = a.vars;
+        if (typeof cliVars === "string") {
+          try {
+            cliVars = JSON.parse(cliVars);
+          } catch (e) {
+            throw new Error("invalid --vars JSON");
+          }
+        }
+        vars = { ...vars, ...cliVars };
+      }
+      
+      return { type: "BATCH_EXECUTE", actions, vars, ...baseMsg };
+    }
+    case "record": {
+      const action = a.action || "start";
+      if (action === "start") return { type: "RECORD_START", ...baseMsg };
+      if (action === "stop") return { type: "RECORD_STOP", ...baseMsg };
+      throw new Error(`Unknown record action: ${action} (use start or stop)`);
     }
     case "back":
       return { type: "EXECUTE_JAVASCRIPT", code: "history.back()", ...baseMsg };
@@ -856,7 +1285,7 @@ function mapToolToMessage(tool, args, tabId) {
         model: a.model,
         withPage: a["with-page"],
         file: a.file,
-        timeout: a.timeout ? parseInt(a.timeout, 10) * 1000 : 2700000,
+        timeout: a.timeout * 1000,
         ...baseMsg 
       };
     case "gemini":
@@ -872,7 +1301,7 @@ function mapToolToMessage(tool, args, tabId) {
         output: a.output,
         youtube: a.youtube,
         aspectRatio: a["aspect-ratio"],
-        timeout: a.timeout ? parseInt(a.timeout, 10) * 1000 : 300000,
+        timeout: a.timeout * 1000,
         ...baseMsg
       };
     case "perplexity":
@@ -880,10 +1309,10 @@ function mapToolToMessage(tool, args, tabId) {
       return {
         type: "PERPLEXITY_QUERY",
         query: a.query,
-        mode: a.mode || "search",
+        mode: a.mode,
         model: a.model,
         withPage: a["with-page"],
-        timeout: a.timeout ? parseInt(a.timeout, 10) * 1000 : 120000,
+        timeout: a.timeout * 1000,
         ...baseMsg
       };
     case "window.new":
@@ -919,4 +1348,11 @@ function mapToolToMessage(tool, args, tabId) {
   }
 }
 
-module.exports = { mapToolToMessage, mapComputerAction, formatToolContent };
+module.exports = {
+  mapToolToMessage,
+  mapComputerAction,
+  formatToolContent,
+  parseLocator,
+  buildLocator,
+  normalizeExtractSchema,
+};
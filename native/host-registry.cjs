@@ -0,0 +1,186 @@
+/**
+ * Registry of running native host instances
+ *
+ * Each host (one per browser profile) listens on its own socket in
+ * REGISTRY_DIR and writes a <key>.json entry next to it. DEFAULT_SOCKET_PATH
+ * is a symlink to the most recently started host, so clients that don't pick
+ * a browser keep working.
+ *
+ * Clients choose a host with SURF_SOCKET (explicit path) or a browser
+ * selector (--browser / SURF_BROWSER): "brave", "chrome:work" or a profile.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SOCKET_PATH = "/tmp/surf.sock";
+const REGISTRY_DIR = "/tmp/surf-hosts";
+
+function sanitize(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9_]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+function instanceKey(browser, profile) {
+  const b = sanitize(browser) || "unknown";
+  const p = profile ? sanitize(profile) : "";
+  return p ? `${b}-${p}` : b;
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+function removeQuietly(file) {
+  try {
+    fs.unlinkSync(file);
+  } catch {}
+}
+
+/**
+ * Write the registry entry for this host. Returns the entry, including the
+ * socket path the host should listen on.
+ */
+function register({ browser, profile, pid = process.pid, extensionId }, { dir = REGISTRY_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const key = instanceKey(browser, profile);
+  const entry = {
+    key,
+    browser: browser || "unknown",
+    profile: profile || null,
+    pid,
+    socket: path.join(dir, `${key}.sock`),
+    startedAt: new Date().toISOString(),
+  };
+  if (extensionId) entry.extensionId = extensionId;
+  fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+function unregister(entry, { dir = REGISTRY_DIR } = {}) {
+  const file = path.join(dir, `${entry.key}.json`);
+  try {
+    // Another host may have taken over the key since we registered
+    if (JSON.parse(fs.readFileSync(file, "utf8")).pid !== entry.pid) return;
+  } catch {
+    return;
+  }
+  removeQuietly(file);
+  removeQuietly(entry.socket);
+}
+
+/**
+ * Live hosts, most recently started first. Entries whose process is gone
+ * are removed along with their socket.
+ */
+function listInstances({ dir = REGISTRY_DIR } = {}) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch {
+    return [];
+  }
+  const instances = [];
+  for (const file of files) {
+    const full = path.join(dir, file);
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(full, "utf8"));
+    } catch {
+      continue;
+    }
+    if (!isAlive(entry.pid)) {
+      removeQuietly(full);
+      if (entry.socket) removeQuietly(entry.socket);
+      continue;
+    }
+    if (!entry.socket || !fs.existsSync(entry.socket)) continue;
+    instances.push(entry);
+  }
+  return instances.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+function matchesSelector(entry, selector) {
+  const s = String(selector).toLowerCase();
+  const [browser, profile] = s.includes(":") ? s.split(":", 2) : [s, null];
+  if (profile !== null) {
+    return sanitize(entry.browser) === sanitize(browser) && sanitize(entry.profile || "") === sanitize(profile);
+  }
+  return sanitize(entry.browser) === sanitize(s) || (!!entry.profile && sanitize(entry.profile) === sanitize(s)) || entry.key === s;
+}
+
+function findInstances(selector, options) {
+  return listInstances(options).filter((entry) => matchesSelector(entry, selector));
+}
+
+/**
+ * Point DEFAULT_SOCKET_PATH at a host socket.
+ */
+function claimDefault(socketPath, { defaultPath = DEFAULT_SOCKET_PATH } = {}) {
+  removeQuietly(defaultPath);
+  fs.symlinkSync(socketPath, defaultPath);
+}
+
+/**
+ * Called when a host exits: if the default link points at it, hand the link
+ * to the next live host (or remove it).
+ */
+function releaseDefault(socketPath, { defaultPath = DEFAULT_SOCKET_PATH, dir = REGISTRY_DIR } = {}) {
+  try {
+    if (fs.readlinkSync(defaultPath) !== socketPath) return;
+  } catch {
+    return;
+  }
+  removeQuietly(defaultPath);
+  const next = listInstances({ dir }).find((entry) => entry.socket !== socketPath);
+  if (next) {
+    try {
+      fs.symlinkSync(next.socket, defaultPath);
+    } catch {}
+  }
+}
+
+function getDefaultTarget({ defaultPath = DEFAULT_SOCKET_PATH } = {}) {
+  try {
+    return fs.readlinkSync(defaultPath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the socket a client should connect to.
+ * Throws when a selector is given but no live host matches it.
+ */
+function resolveSocketPath({ browser, env = process.env, dir = REGISTRY_DIR, defaultPath = DEFAULT_SOCKET_PATH } = {}) {
+  if (env.SURF_SOCKET) return env.SURF_SOCKET;
+  const selector = browser || env.SURF_BROWSER;
+  if (selector) {
+    const [match] = findInstances(selector, { dir });
+    if (!match) {
+      throw new Error(`No running browser matches "${selector}". Run 'surf browsers' to list connected browsers.`);
+    }
+    return match.socket;
+  }
+  if (fs.existsSync(defaultPath)) return defaultPath;
+  const [latest] = listInstances({ dir });
+  return latest ? latest.socket : defaultPath;
+}
+
+module.exports = {
+  DEFAULT_SOCKET_PATH,
+  REGISTRY_DIR,
+  instanceKey,
+  register,
+  unregister,
+  listInstances,
+  findInstances,
+  claimDefault,
+  releaseDefault,
+  getDefaultTarget,
+  resolveSocketPath,
+};
@@ -10,8 +10,17 @@ const chatgptClient = require("./chatgpt-client.cjs");
 const geminiClient = require("./gemini-client.cjs");
 const perplexityClient = require("./perplexity-client.cjs");
 const { mapToolToMessage, mapComputerAction, formatToolContent } = require("./host-helpers.cjs");
+const { runBatch, toToolCall } = require("./batch.cjs");
+const { validateArgs } = require("./commands.cjs");
+const imageDiff = require("./image-diff.cjs");
+const smokeReport = require("./smoke-report.cjs");
+const crawl = require("./crawl.cjs");
+const sessionStore = require("./session-store.cjs");
+const networkStore = require("./network-store.cjs");
+const hostRegistry = require("./host-registry.cjs");
 
-const SOCKET_PATH = "/tmp/surf.sock";
+const IDENTIFY_TIMEOUT = 1000; // older extensions never send HOST_IDENTIFY
+let hostEntry = null;
 
 // Cross-platform image resize (macOS: sips, Linux: ImageMagick)
 function resizeImage(filePath, maxSize) {
@@ -282,15 +291,11 @@ async function handleApiRequest(msg, sendResponse) {
 }
 
 const log = (msg) => {
-  fs.appendFileSync(LOG_FILE, `${new Date().toISOString()} ${msg}\n`);
+  fs.appendFileSync(LOG_FILE, `${new Date().toISOString()} ${msg}\n`, { mode: 0o600 });
 };
 
 log("Host starting...");
 
-try {
-  fs.unlinkSync(SOCKET_PATH);
-} catch {}
-
 const pendingRequests = new Map();
 const pendingToolRequests = new Map();
 const activeStreams = new Map();
@@ -305,6 +310,12 @@ function sendToolResponse(socket, id, result, error) {
     response.result = { content: formatToolContent(result, log) };
   }
   
+  // In-process callers (batch steps) take the raw result instead of socket JSON
+  if (socket && typeof socket.onToolResponse === "function") {
+    socket.onToolResponse(result, error);
+    return;
+  }
+  
   try {
     socket.write(JSON.stringify(response) + "\n");
   } catch (e) {
@@ -367,7 +378,15 @@ function handleToolRequest(msg, socket) {
     return;
   }
   
-  const extensionMsg = mapToolToMessage(tool, args, tabId);
+  let validArgs;
+  try {
+    validArgs = validateArgs(tool, args);
+  } catch (e) {
+    sendToolResponse(socket, originalId, null, `${tool}: ${e.message}`);
+    return;
+  }
+  
+  const extensionMsg = mapToolToMessage(tool, validArgs, tabId);
   if (!extensionMsg) {
     sendToolResponse(socket, originalId, null, `Unknown tool: ${tool}`);
     return;
@@ -386,7 +405,148 @@ function handleToolRequest(msg, socket) {
   }
   
   if (extensionMsg.type === "BATCH_EXECUTE") {
-    executeBatch(extensionMsg.actions, extensionMsg.tabId, socket, originalId);
+    executeBatch(extensionMsg.actions, extensionMsg.tabId, socket, originalId, extensionMsg.vars, windowId);
+    return;
+  }
+  
+  if (extensionMsg.type === "SCREENSHOT_DIFF") {
+    const { baseline, current, output, threshold, tolerance, ignore } = extensionMsg;
+    const runDiff = (regions = [], viewportWidth) => {
+      try {
+        const result = imageDiff.compareFiles(baseline, current, {
+          output, threshold, tolerance, ignore: regions, viewportWidth
+        });
+        if (result.passed) {
+          sendToolResponse(socket, originalId, { visualDiff: result }, null);
+        } else {
+          sendToolResponse(socket, originalId, null, imageDiff.formatDiffResult(result));
+        }
+      } catch (e) {
+        sendToolResponse(socket, originalId, null, `Diff failed: ${e.message}`);
+      }
+    };
+    if (ignore.length === 0) {
+      runDiff();
+      return;
+    }
+    // Ignore regions are elements in the current tab, measured in CSS pixels
+    const rectsId = ++requestCounter;
+    pendingToolRequests.set(rectsId, {
+      socket: null,
+      originalId: null,
+      tool: "get_element_rects",
+      onComplete: (result) => {
+        if (result.error) {
+          sendToolResponse(socket, originalId, null, `Failed to locate ignore regions: ${result.error}`);
+          return;
+        }
+        if (result.missing?.length) {
+          sendToolResponse(socket, originalId, null, `No element matches ignore target: ${result.missing.join(", ")}`);
+          return;
+        }
+        runDiff(result.rects, result.viewport?.width);
+      }
+    });
+    writeMessage({ type: "GET_ELEMENT_RECTS", targets: ignore, tabId: extensionMsg.tabId, id: rectsId });
+    return;
+  }
+  
+  if (extensionMsg.type === "SMOKE_TEST") {
+    let failOn;
+    let formats = [];
+    try {
+      failOn = smokeReport.parseFailOn(extensionMsg.failOn);
+      if (extensionMsg.report) formats = smokeReport.parseFormats(extensionMsg.report);
+    } catch (e) {
+      sendToolResponse(socket, originalId, null, e.message);
+      return;
+    }
+    const smokeId = ++requestCounter;
+    pendingToolRequests.set(smokeId, {
+      socket: null,
+      originalId: null,
+      tool,
+      onComplete: async (msg) => {
+        if (msg.error) {
+          sendToolResponse(socket, originalId, null, msg.error);
+          return;
+        }
+        try {
+          const run = await finishSmokeRun(msg, extensionMsg, failOn);
+          if (formats.length > 0) {
+            run.reports = smokeReport.writeReports(run, formats, extensionMsg.reportPath);
+          }
+          sendToolResponse(socket, originalId, run, null);
+        } catch (e) {
+          sendToolResponse(socket, originalId, null, `Failed to save smoke results: ${e.message}`);
+        }
+      }
+    });
+    writeMessage({ ...extensionMsg, id: smokeId });
+    return;
+  }
+  
+  if (extensionMsg.type === "CRAWL") {
+    const { url, settle, depth, sameOrigin, include, exclude, maxPages, sitemap, concurrency } = extensionMsg;
+    const request = (msg) => requestExtension({ ...msg, ...(windowId && { windowId }) });
+    crawl.crawlSite(url, { depth, sameOrigin, include, exclude, maxPages, sitemap, concurrency }, {
+      visit: async (pageUrl) => {
+        const result = await request({ type: "CRAWL_PAGE", url: pageUrl, settle });
+        if (result.error && !result.url) throw new Error(result.error);
+        return result;
+      },
+      fetchText: (fetchUrl) => request({ type: "CRAWL_FETCH", url: fetchUrl }),
+    }).then((result) => {
+      sendToolResponse(socket, originalId, result, null);
+    }).catch((err) => {
+      sendToolResponse(socket, originalId, null, `Crawl failed: ${err.message}`);
+    });
+    return;
+  }
+  
+  if (extensionMsg.type === "SESSION_SAVE") {
+    const { name, origins } = extensionMsg;
+    requestExtension({ type: "SESSION_CAPTURE", origins, ...(windowId && { windowId }) }).then((snapshot) => {
+      if (snapshot.error) throw new Error(snapshot.error);
+      const saved = sessionStore.saveSession(name, snapshot);
+      sendToolResponse(socket, originalId, {
+        ...sessionStore.summarizeSession(saved),
+        path: saved.path,
+        warnings: snapshot.warnings || []
+      }, null);
+    }).catch((err) => {
+      sendToolResponse(socket, originalId, null, `Failed to save session: ${err.message}`);
+    });
+    return;
+  }
+  
+  if (extensionMsg.type === "SESSION_LOAD") {
+    restoreSession(extensionMsg).then((result) => {
+      sendToolResponse(socket, originalId, result, null);
+    }).catch((err) => {
+      sendToolResponse(socket, originalId, null, `Failed to load session: ${err.message}`);
+    });
+    return;
+  }
+  
+  if (extensionMsg.type === "NETWORK_EXPORT" || extensionMsg.type === "NETWORK_IMPORT") {
+    runNetworkStoreMessage(extensionMsg).then((result) => {
+      sendToolResponse(socket, originalId, result, null);
+    }).catch((err) => {
+      sendToolResponse(socket, originalId, null, err.message);
+    });
+    return;
+  }
+  
+  if (extensionMsg.type === "SESSION_LIST" || extensionMsg.type === "SESSION_DELETE") {
+    try {
+      const result = extensionMsg.type === "SESSION_LIST"
+        ? { sessions: sessionStore.listSessions() }
+        : sessionStore.deleteSession(extensionMsg.name);
+      sendToolResponse(socket, originalId, result, null);
+    } catch (e) {
+      sendToolResponse(socket, originalId, null, e.message);
+    }
     return;
   }
   
@@ -785,109 +945,156 @@ function handleToolRequest(msg, socket) {
   writeMessage(finalMsg);
 }
 
-function executeBatch(actions, tabId, socket, originalId) {
-  const results = [];
-  const DELAY_MS = 100;
-  let currentIndex = 0;
-  
-  function executeNextAction() {
-    if (currentIndex >= actions.length) {
-      sendToolResponse(socket, originalId, {
-        success: true,
-        completedActions: actions.length,
-        totalActions: actions.length,
-        results,
-      }, null);
-      return;
+/**
+ * network.export and network.import, read from and written to the on-disk
+ * store. An export without --output comes back as the file contents.
+ */
+async function runNetworkStoreMessage(msg) {
+  if (msg.type === "NETWORK_IMPORT") {
+    if (!fs.existsSync(msg.file)) throw new Error(`File not found: ${msg.file}`);
+    const result = await networkStore.importHar(fs.readFileSync(msg.file, "utf8"));
+    return { ...result, file: msg.file, store: networkStore.getBasePath() };
+  }
+  const entries = await networkStore.queryEntries(msg.filters);
+  const content = networkStore.formatExport(entries, msg.format);
+  if (!msg.output) return content;
+  fs.writeFileSync(msg.output, content);
+  return { path: msg.output, count: entries.length, format: msg.format };
+}
+
+/**
+ * Post-process a smoke run: save screenshots, compare them with the baseline,
+ * keep failed requests in the network store and apply the fail policy.
+ */
+async function finishSmokeRun(msg, smokeMsg, failOn) {
+  const { savePath, baseline, threshold, tolerance } = smokeMsg;
+  if (savePath) fs.mkdirSync(savePath, { recursive: true });
+
+  const names = smokeReport.screenshotNames(msg.results.map((r) => r.url));
+  for (const [i, result] of msg.results.entries()) {
+    if (savePath && result.screenshotBase64) {
+      const ssPath = path.join(savePath, names[i]);
+      fs.writeFileSync(ssPath, Buffer.from(result.screenshotBase64, "base64"));
+      result.screenshot = ssPath;
     }
-    
-    const action = actions[currentIndex];
-    const toolName = mapBatchActionToTool(action);
-    const toolArgs = mapBatchActionToArgs(action);
-    
-    const extensionMsg = mapToolToMessage(toolName, toolArgs, tabId);
-    if (!extensionMsg || extensionMsg.type === "UNSUPPORTED_ACTION") {
-      results.push({ index: currentIndex, type: action.type, success: false, error: "Unsupported action" });
-      sendToolResponse(socket, originalId, {
-        success: false,
-        completedActions: currentIndex,
-        totalActions: actions.length,
-        results,
-        error: `Action ${currentIndex} failed: Unsupported action type "${action.type}"`,
-      }, null);
-      return;
+    delete result.screenshotBase64;
+
+    if (baseline && result.screenshot) {
+      try {
+        result.visual = imageDiff.compareToBaseline(result.screenshot, baseline, {
+          threshold,
+          tolerance,
+          ignore: result.ignoreRegions?.rects,
+          viewportWidth: result.ignoreRegions?.viewportWidth,
+        });
+      } catch (e) {
+        result.visual = { error: e.message, passed: false };
+      }
     }
-    
-    if (extensionMsg.type === "LOCAL_WAIT") {
-      results.push({ index: currentIndex, type: action.type, success: true });
-      currentIndex++;
-      setTimeout(executeNextAction, extensionMsg.seconds * 1000);
-      return;
+    delete result.ignoreRegions;
+
+    const failed = result.failedRequests || [];
+    for (const entry of failed) {
+      try {
+        await networkStore.appendEntry(entry);
+      } catch (err) {
+        log(`Failed to persist network entry: ${err.message}`);
+      }
     }
-    
-    const id = ++requestCounter;
-    pendingToolRequests.set(id, {
-      socket: null,
-      originalId: null,
-      tool: toolName,
-      onComplete: (result) => {
-        if (result.error) {
-          results.push({ index: currentIndex, type: action.type, success: false, error: result.error });
-          sendToolResponse(socket, originalId, {
-            success: false,
-            completedActions: currentIndex,
-            totalActions: actions.length,
-            results,
-            error: `Action ${currentIndex} failed: ${result.error}`,
-          }, null);
-          return;
-        }
-        
-        results.push({ index: currentIndex, type: action.type, success: true });
-        currentIndex++;
-        
-        setTimeout(executeNextAction, DELAY_MS);
+    result.failedRequests = failed.map((e) => ({
+      id: e.id,
+      method: e.method,
+      url: e.url,
+      status: e.status,
+      ...(e.statusText && { statusText: e.statusText }),
+    }));
+  }
+
+  delete msg.savePath;
+  return smokeReport.applyFailPolicy(msg, failOn);
+}
+
+function executeBatch(actions, tabId, socket, originalId, vars, windowId) {
+  // Each step goes through handleToolRequest, so host-local tools (AI queries,
+  // named tabs, nested batches) work the same as from the CLI
+  function runAction(action) {
+    return new Promise((resolve) => {
+      const { tool, args } = toToolCall(action);
+      const stepSocket = {
+        onToolResponse: (result, error) => resolve(error ? { error } : (result || { success: true })),
+      };
+      try {
+        handleToolRequest({
+          method: "execute_tool",
+          params: { tool, args },
+          tabId: args.tabId || tabId,
+          windowId,
+        }, stepSocket);
+      } catch (e) {
+        resolve({ error: e.message });
       }
     });
-    
-    writeMessage({ ...extensionMsg, id });
   }
   
-  executeNextAction();
+  runBatch(actions, { runAction, vars })
+    .then(result => sendToolResponse(socket, originalId, result, null))
+    .catch(err => sendToolResponse(socket, originalId, null, err.message));
 }
 
-function mapBatchActionToTool(action) {
-  const map = {
-    click: "left_click",
-    type: "type",
-    key: "key",
-    wait: "wait",
-    scroll: "scroll",
-    screenshot: "screenshot",
-    navigate: "navigate",
-  };
-  return map[action.type] || action.type;
+/**
+ * Send a message to the extension on the host's own behalf and resolve with
+ * its reply.
+ */
+function requestExtension(msg) {
+  return new Promise((resolve) => {
+    const id = ++requestCounter;
+    pendingToolRequests.set(id, {
+      socket: null,
+      originalId: null,
+      tool: msg.type,
+      onComplete: (r) => resolve(r)
+    });
+    writeMessage({ ...msg, id });
+  });
 }
 
-function mapBatchActionToArgs(action) {
-  switch (action.type) {
-    case "click":
-      return { ref: action.ref, selector: action.selector, x: action.x, y: action.y };
-    case "type":
-      return { text: action.text };
-    case "key":
-      return { key: action.key };
-    case "wait":
-      return { duration: (action.ms || 1000) / 1000 };
-    case "scroll":
-      return { scroll_direction: action.direction };
-    case "screenshot":
-      return { savePath: action.output };
-    case "navigate":
-      return { url: action.url };
-    default:
-      return action;
+// Chrome drops messages from the host larger than 1 MB
+const MAX_EXTENSION_MESSAGE = 1024 * 1024;
+
+/**
+ * Restore a saved session into a new window, one origin at a time.
+ */
+async function restoreSession({ name, focused }) {
+  const session = sessionStore.loadSession(name);
+  const started = await requestExtension({ type: "SESSION_RESTORE_START", cookies: session.cookies, focused });
+  if (started.error) throw new Error(started.error);
+  const warnings = [...(started.warnings || [])];
+  for (const [origin, data] of Object.entries(session.storage)) {
+    const msg = { type: "SESSION_RESTORE_STORAGE", tabId: started.tabId, origin, data };
+    if (Buffer.byteLength(JSON.stringify(msg)) > MAX_EXTENSION_MESSAGE) {
+      warnings.push(`Storage for ${origin} not restored: larger than 1 MB`);
+      continue;
+    }
+    const restored = await requestExtension(msg);
+    if (restored.error) warnings.push(`Storage for ${origin} not restored: ${restored.error}`);
   }
+  const tabs = await requestExtension({
+    type: "SESSION_RESTORE_TABS",
+    windowId: started.windowId,
+    tabId: started.tabId,
+    tabs: session.tabs
+  });
+  if (tabs.error) throw new Error(tabs.error);
+  warnings.push(...(tabs.warnings || []));
+  return {
+    name,
+    windowId: started.windowId,
+    cookies: started.cookies,
+    origins: Object.keys(session.storage).length,
+    tabs: tabs.tabs,
+    warnings,
+    hint: `Use --window-id ${started.windowId} to target this window`
+  };
 }
 
 function writeMessage(msg) {
@@ -911,8 +1118,14 @@ function processInput() {
     
     try {
       const msg = JSON.parse(jsonStr);
-      log(`Received from extension: ${JSON.stringify(msg)}`);
+      // Bodies can hold cookies, storage and page content, so only log what identifies them
+      log(`Received from extension: id=${msg.id ?? "-"} type=${msg.type || "response"} (${msgLen} bytes)`);
       
+      if (msg.type === "HOST_IDENTIFY") {
+        startSocketServer({ browser: msg.browser, profile: msg.profile });
+        return;
+      }
+
       if (msg.type === "GET_AUTH") {
         log("Handling GET_AUTH from extension");
         try {
@@ -1049,25 +1262,6 @@ function processInput() {
             });
             setTimeout(() => writeMessage({ type: "EXECUTE_SCREENSHOT", tabId, id: screenshotId }), 500);
             return;
-          } else if (msg.results && msg.savePath) {
-            try {
-              const dir = msg.savePath;
-              if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-              
-              for (const result of msg.results) {
-                if (result.screenshotBase64 && result.hostname) {
-                  const ssPath = path.join(dir, `${result.hostname}.png`);
-                  fs.writeFileSync(ssPath, Buffer.from(result.screenshotBase64, "base64"));
-                  result.screenshot = ssPath;
-                  delete result.screenshotBase64;
-                  delete result.hostname;
-                }
-              }
-              delete msg.savePath;
-              sendToolResponse(socket, originalId, msg, null);
-            } catch (e) {
-              sendToolResponse(socket, originalId, null, `Failed to save screenshots: ${e.message}`);
-            }
           } else {
             const isPureError = msg.error && !msg.success && !msg.base64 && 
                                 !msg.pageContent && !msg.tabs && !msg.text &&
@@ -1238,11 +1432,37 @@ const server = net.createServer((socket) => {
   });
 });
 
-server.listen(SOCKET_PATH, () => {
-  log("Socket server listening on " + SOCKET_PATH);
-  fs.chmodSync(SOCKET_PATH, 0o600);
-  writeMessage({ type: "HOST_READY" });
-  log("Sent HOST_READY to extension");
+// The socket is keyed by browser/profile, so wait for the extension to say
+// which one it is before listening.
+function startSocketServer(identity) {
+  if (hostEntry) return;
+  clearTimeout(identifyTimer);
+  const extensionId = (process.argv[2] || "").match(/^chrome-extension:\/\/([^/]+)/)?.[1];
+  hostEntry = hostRegistry.register({ ...identity, extensionId });
+  try { fs.unlinkSync(hostEntry.socket); } catch {}
+
+  server.listen(hostEntry.socket, () => {
+    log("Socket server listening on " + hostEntry.socket);
+    fs.chmodSync(hostEntry.socket, 0o600);
+    try {
+      hostRegistry.claimDefault(hostEntry.socket);
+    } catch (e) {
+      log(`Failed to link ${hostRegistry.DEFAULT_SOCKET_PATH}: ${e.message}`);
+    }
+    writeMessage({ type: "HOST_READY" });
+    log("Sent HOST_READY to extension");
+  });
+}
+
+const identifyTimer = setTimeout(() => {
+  log("No HOST_IDENTIFY from extension, registering as unknown browser");
+  startSocketServer({ browser: "unknown" });
+}, IDENTIFY_TIMEOUT);
+
+process.on("exit", () => {
+  if (!hostEntry) return;
+  hostRegistry.unregister(hostEntry);
+  hostRegistry.releaseDefault(hostEntry.socket);
 });
 
 server.on("error", (err) => {
@@ -1252,14 +1472,12 @@ server.on("error", (err) => {
 process.on("SIGTERM", () => {
   log("SIGTERM received");
   server.close();
-  try { fs.unlinkSync(SOCKET_PATH); } catch {}
   process.exit(0);
 });
 
 process.on("SIGINT", () => {
   log("SIGINT received");
   server.close();
-  try { fs.unlinkSync(SOCKET_PATH); } catch {}
   process.exit(0);
 });
 
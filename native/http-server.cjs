@@ -0,0 +1,563 @@
+/**
+ * HTTP/WebSocket bridge for surf-cli
+ *
+ * Exposes the native host's Unix socket protocol on localhost:
+ * - POST /v1/tools/{tool}   tool_request with the JSON body as tool args
+ * - POST /v1/tool_request   raw tool_request message, forwarded as-is
+ * - GET  /v1/stream         WebSocket carrying stream_request and its events
+ * - GET  /openapi.json      OpenAPI document generated from the CLI TOOLS table
+ * - GET  /health            liveness check (no auth)
+ *
+ * Every route except /health requires the token, sent as
+ * `Authorization: Bearer <token>` or `?token=<token>`.
+ */
+
+const http = require("http");
+const net = require("net");
+const crypto = require("crypto");
+const { getCommandParams, getRequestTimeout, paramToJsonSchema } = require("./commands.cjs");
+const { prepareToolArgs } = require("./tool-args.cjs");
+
+const DEFAULT_PORT = 7777;
+const DEFAULT_HOST = "127.0.0.1";
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+let requestSeq = 0;
+
+function generateToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+function isAuthorized(req, url, token) {
+  const header = req.headers.authorization || "";
+  const provided = header.startsWith("Bearer ") ? header.slice(7) : url.searchParams.get("token");
+  if (!provided) return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(json),
+  });
+  res.end(json);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8").trim();
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(Object.assign(new Error("Invalid JSON body"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Send one message to the host socket and resolve with the first reply line.
+ */
+function sendToSocket(socketPath, message, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const sock = net.createConnection(socketPath, () => {
+      sock.write(JSON.stringify(message) + "\n");
+    });
+    let buf = "";
+    const timer = setTimeout(() => {
+      sock.destroy();
+      reject(Object.assign(new Error(`Request timed out (${timeoutMs / 1000}s)`), { status: 504 }));
+    }, timeoutMs);
+    sock.on("data", (d) => {
+      buf += d.toString();
+      const newline = buf.indexOf("\n");
+      if (newline === -1) return;
+      clearTimeout(timer);
+      sock.end();
+      try {
+        resolve(JSON.parse(buf.slice(0, newline)));
+      } catch {
+        reject(Object.assign(new Error("Invalid JSON from host"), { status: 502 }));
+      }
+    });
+    sock.on("error", (e) => {
+      clearTimeout(timer);
+      const message = e.code === "ENOENT" || e.code === "ECONNREFUSED"
+        ? "Socket not found. Is Chrome running with the extension?"
+        : e.message;
+      reject(Object.assign(new Error(message), { status: 503 }));
+    });
+  });
+}
+
+/**
+ * Read files and resolve paths in tool args, as the CLI does; a file that
+ * can't be read is the caller's error.
+ */
+function prepareArgs(tool, args) {
+  try {
+    return prepareToolArgs(tool, args || {});
+  } catch (err) {
+    throw Object.assign(err, { status: 400 });
+  }
+}
+
+function statusForResponse(response) {
+  if (response?.type === "extension_disconnected") return 503;
+  if (response?.error) return 422;
+  return 200;
+}
+
+// --- WebSocket (RFC 6455, text frames only) ---
+
+function acceptWebSocket(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return false;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  return true;
+}
+
+function encodeFrame(payload, opcode = 0x1) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Returns a function that consumes socket data and calls
+ * onFrame(opcode, payload, fin) for each complete (unmasked) frame.
+ */
+function createFrameParser(onFrame) {
+  let buffer = Buffer.alloc(0);
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+      const payload = Buffer.from(buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+      }
+      buffer = buffer.subarray(offset + length);
+      onFrame(opcode, payload, fin);
+    }
+  };
+}
+
+/**
+ * Bridge a WebSocket to a host stream. The stream starts from ?streamType=
+ * (STREAM_CONSOLE / STREAM_NETWORK) or from the first stream_request message;
+ * host events are forwarded as JSON text frames.
+ */
+function handleStreamSocket(ws, head, url, socketPath, log) {
+  let hostSock = null;
+  let closed = false;
+
+  const close = (code) => {
+    if (closed) return;
+    closed = true;
+    if (hostSock) {
+      try {
+        hostSock.write(JSON.stringify({ type: "stream_stop" }) + "\n");
+      } catch {}
+      hostSock.end();
+    }
+    let payload = Buffer.alloc(0);
+    if (code) {
+      payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+    }
+    try {
+      ws.end(encodeFrame(payload, 0x8));
+    } catch {}
+  };
+
+  const send = (obj) => {
+    if (!closed) ws.write(encodeFrame(JSON.stringify(obj)));
+  };
+
+  const startStream = (request) => {
+    if (hostSock) return;
+    if (!request.streamType) {
+      send({ error: "streamType required (STREAM_CONSOLE or STREAM_NETWORK)" });
+      close();
+      return;
+    }
+    const message = {
+      type: "stream_request",
+      streamType: request.streamType,
+      options: request.options || {},
+      id: `http-stream-${++requestSeq}`,
+    };
+    if (request.tabId !== undefined) message.tabId = request.tabId;
+    if (request.windowId !== undefined) message.windowId = request.windowId;
+
+    hostSock = net.createConnection(socketPath, () => {
+      hostSock.write(JSON.stringify(message) + "\n");
+    });
+    let buf = "";
+    hostSock.on("data", (d) => {
+      buf += d.toString();
+      const lines = buf.split("\n");
+      buf = lines.pop();
+      for (const line of lines) {
+        if (line.trim() && !closed) ws.write(encodeFrame(line));
+      }
+    });
+    hostSock.on("error", (e) => {
+      send({ error: e.code === "ENOENT" ? "Socket not found. Is Chrome running with the extension?" : e.message });
+      close();
+    });
+    hostSock.on("close", close);
+  };
+
+  const parse = createFrameParser((opcode, payload, fin) => {
+    // Fragmented messages aren't reassembled: close with 1003 (unsupported data)
+    if (!fin || opcode === 0x0) return close(1003);
+    if (opcode === 0x8) return close();
+    if (opcode === 0x9) return ws.write(encodeFrame(payload, 0xa));
+    if (opcode !== 0x1) return;
+    let msg;
+    try {
+      msg = JSON.parse(payload.toString("utf8"));
+    } catch {
+      send({ error: "Invalid JSON message" });
+      return;
+    }
+    if (msg.type === "stream_stop") return close();
+    startStream(msg);
+  });
+  ws.on("data", parse);
+  ws.on("close", close);
+  ws.on("error", (e) => {
+    log(`WebSocket error: ${e.message}`);
+    close();
+  });
+
+  const streamType = url.searchParams.get("streamType");
+  if (streamType) {
+    const tabId = url.searchParams.get("tabId");
+    startStream({
+      streamType,
+      tabId: tabId ? parseInt(tabId, 10) : undefined,
+      options: {
+        level: url.searchParams.get("level") || undefined,
+        filter: url.searchParams.get("filter") || undefined,
+      },
+    });
+  }
+  if (head && head.length > 0) parse(head);
+}
+
+// --- OpenAPI ---
+
+/**
+ * Build an OpenAPI 3.1 document from the CLI TOOLS table.
+ * Only commands in `include` (the socket tools) get a path.
+ */
+function buildOpenApi(tools, { version = "0.0.0", include } = {}) {
+  const allowed = include ? new Set(include) : null;
+  const paths = {};
+
+  for (const [group, def] of Object.entries(tools)) {
+    for (const [name, cmd] of Object.entries(def.commands || {})) {
+      if (cmd.alias) continue;
+      if (allowed && !allowed.has(name)) continue;
+      const properties = {
+        tabId: { type: "integer", description: "Target tab (default: active tab)" },
+        windowId: { type: "integer", description: "Scope tab resolution to a window" },
+      };
+      const required = [];
+      for (const param of getCommandParams(name, { name, ...cmd })) {
+        if (param.cliOnly) continue;
+        properties[param.name] = paramToJsonSchema(param);
+        if (param.required) required.push(param.name);
+      }
+      const schema = { type: "object", properties };
+      if (required.length > 0) schema.required = required;
+      paths[`/v1/tools/${name}`] = {
+        post: {
+          operationId: name.replace(/[^\w]/g, "_"),
+          summary: cmd.desc,
+          tags: [group],
+          requestBody: {
+            required: required.length > 0,
+            content: { "application/json": { schema } },
+          },
+          responses: {
+            200: { $ref: "#/components/responses/ToolResult" },
+            401: { $ref: "#/components/responses/Unauthorized" },
+            422: { $ref: "#/components/responses/ToolError" },
+            503: { $ref: "#/components/responses/Unavailable" },
+          },
+        },
+      };
+    }
+  }
+
+  paths["/v1/tool_request"] = {
+    post: {
+      operationId: "tool_request",
+      summary: "Forward a raw tool_request message to the host",
+      requestBody: {
+        required: true,
+        content: { "application/json": { schema: { $ref: "#/components/schemas/ToolRequest" } } },
+      },
+      responses: {
+        200: { $ref: "#/components/responses/ToolResult" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        422: { $ref: "#/components/responses/ToolError" },
+        503: { $ref: "#/components/responses/Unavailable" },
+      },
+    },
+  };
+  paths["/v1/stream"] = {
+    get: {
+      operationId: "stream",
+      summary: "WebSocket: send a stream_request (or pass ?streamType=STREAM_CONSOLE|STREAM_NETWORK) and receive events",
+      responses: { 101: { description: "Switching to WebSocket" } },
+    },
+  };
+  paths["/health"] = {
+    get: {
+      operationId: "health",
+      summary: "Liveness check",
+      security: [],
+      responses: { 200: { description: "Server is running" } },
+    },
+  };
+
+  const toolResponse = { "application/json": { schema: { $ref: "#/components/schemas/ToolResponse" } } };
+  const errorResponse = {
+    "application/json": {
+      schema: { type: "object", properties: { error: { type: "string" } } },
+    },
+  };
+
+  return {
+    openapi: "3.1.0",
+    info: { title: "surf", version, description: "Browser automation over the surf native host" },
+    servers: [{ url: `http://${DEFAULT_HOST}:${DEFAULT_PORT}` }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer" } },
+      schemas: {
+        Content: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { type: { type: "string" }, text: { type: "string" } },
+          },
+        },
+        ToolRequest: {
+          type: "object",
+          required: ["params"],
+          properties: {
+            method: { type: "string", enum: ["execute_tool"] },
+            params: {
+              type: "object",
+              properties: { tool: { type: "string" }, args: { type: "object" } },
+            },
+            tabId: { type: "integer" },
+            windowId: { type: "integer" },
+          },
+        },
+        ToolResponse: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["tool_response"] },
+            id: { type: "string" },
+            result: { type: "object", properties: { content: { $ref: "#/components/schemas/Content" } } },
+            error: { type: "object", properties: { content: { $ref: "#/components/schemas/Content" } } },
+          },
+        },
+      },
+      responses: {
+        ToolResult: { description: "Tool output", content: toolResponse },
+        ToolError: { description: "Tool failed", content: toolResponse },
+        Unauthorized: { description: "Missing or invalid token", content: errorResponse },
+        Unavailable: { description: "Native host or extension not reachable", content: errorResponse },
+      },
+    },
+  };
+}
+
+// --- Server ---
+
+/**
+ * Create the HTTP server (not yet listening).
+ *
+ * @param {Object} options
+ * @param {string|Function} options.socketPath - Native host Unix socket, or a
+ *   function resolving it per request (may throw when no browser matches)
+ * @param {string} options.token - Required bearer token
+ * @param {Object} [options.tools] - CLI TOOLS table for the OpenAPI document
+ * @param {string[]} [options.include] - Tool names exposed under /v1/tools
+ * @param {Object} [options.aliases] - CLI aliases (e.g. go -> navigate)
+ * @param {string} [options.version]
+ * @param {Function} [options.log]
+ */
+function createServer(options) {
+  const { socketPath, token, tools = {}, include, aliases = {}, version, log = () => {} } = options;
+  if (!token) throw new Error("token required");
+  const allowed = include ? new Set(include) : null;
+  let openApi = null;
+
+  const getSocketPath = () => {
+    try {
+      return typeof socketPath === "function" ? socketPath() : socketPath;
+    } catch (err) {
+      throw Object.assign(err, { status: 503 });
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const route = url.pathname.replace(/\/+$/, "") || "/";
+
+    if (route === "/health" && req.method === "GET") {
+      return sendJson(res, 200, { ok: true, version });
+    }
+    if (!isAuthorized(req, url, token)) {
+      return sendJson(res, 401, { error: "Unauthorized" });
+    }
+
+    try {
+      if (route === "/openapi.json" && req.method === "GET") {
+        openApi = openApi || buildOpenApi(tools, { version, include });
+        return sendJson(res, 200, openApi);
+      }
+
+      if (route === "/v1/tool_request" && req.method === "POST") {
+        const body = await readJsonBody(req);
+        const message = {
+          method: "execute_tool",
+          ...body,
+          type: "tool_request",
+          id: body.id || `http-${++requestSeq}`,
+        };
+        const tool = body.params?.tool;
+        if (tool) message.params = { ...body.params, args: prepareArgs(tool, body.params.args) };
+        const timeout = getRequestTimeout(tool, message.params?.args);
+        const response = await sendToSocket(getSocketPath(), message, timeout);
+        return sendJson(res, statusForResponse(response), response);
+      }
+
+      const toolMatch = route.match(/^\/v1\/tools\/([\w.-]+)$/);
+      if (toolMatch && req.method === "POST") {
+        const tool = aliases[toolMatch[1]] || toolMatch[1];
+        if (allowed && !allowed.has(tool)) {
+          return sendJson(res, 404, { error: `Unknown tool: ${tool}` });
+        }
+        const args = prepareArgs(tool, await readJsonBody(req));
+        const message = {
+          type: "tool_request",
+          method: "execute_tool",
+          params: { tool, args },
+          id: `http-${++requestSeq}`,
+        };
+        if (args.tabId !== undefined) message.tabId = args.tabId;
+        if (args.windowId !== undefined) message.windowId = args.windowId;
+        log(`${req.method} ${route}`);
+        const response = await sendToSocket(getSocketPath(), message, getRequestTimeout(tool, args));
+        return sendJson(res, statusForResponse(response), response);
+      }
+
+      sendJson(res, 404, { error: `Not found: ${req.method} ${route}` });
+    } catch (err) {
+      sendJson(res, err.status || 500, { error: err.message });
+    }
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname.replace(/\/+$/, "") !== "/v1/stream") {
+      socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      return;
+    }
+    let hostSocketPath;
+    try {
+      hostSocketPath = getSocketPath();
+    } catch (err) {
+      socket.end(`HTTP/1.1 503 Service Unavailable\r\n\r\n${err.message}`);
+      return;
+    }
+    if (!acceptWebSocket(req, socket)) return;
+    log("WebSocket stream connected");
+    handleStreamSocket(socket, head, url, hostSocketPath, log);
+  });
+
+  return server;
+}
+
+module.exports = {
+  createServer,
+  buildOpenApi,
+  generateToken,
+  encodeFrame,
+  createFrameParser,
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+};
@@ -0,0 +1,188 @@
+/**
+ * Visual diffing for screenshots
+ *
+ * Pixels are compared with a perceptual color distance (YIQ, as pixelmatch
+ * does), so differences below the tolerance such as antialiasing noise don't
+ * count. The diff image shows the baseline faded to gray with differing
+ * pixels in red and ignored regions in yellow. A comparison passes when the
+ * share of differing pixels is within the threshold (a percentage).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { decodePng, encodePng } = require("./png.cjs");
+
+const DEFAULT_TOLERANCE = 0.1;
+const DEFAULT_THRESHOLD = 0.1;
+
+// Largest possible YIQ distance between two colors
+const MAX_YIQ_DELTA = 35215;
+
+const rgb2y = (r, g, b) => r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+const rgb2i = (r, g, b) => r * 0.59597799 - g * 0.2741761 - b * 0.32180189;
+const rgb2q = (r, g, b) => r * 0.21147017 - g * 0.52261711 + b * 0.31114694;
+
+// Composite a channel over white
+const blend = (c, alpha) => 255 + (c - 255) * alpha;
+
+function pixelAt(img, x, y) {
+  const o = (y * img.width + x) * 4;
+  const alpha = img.data[o + 3] / 255;
+  return [blend(img.data[o], alpha), blend(img.data[o + 1], alpha), blend(img.data[o + 2], alpha)];
+}
+
+function colorDelta([r1, g1, b1], [r2, g2, b2]) {
+  const y = rgb2y(r1, g1, b1) - rgb2y(r2, g2, b2);
+  const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+  const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+function inRegion(x, y, regions) {
+  return regions.some((r) => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+}
+
+/**
+ * Compare two decoded images ({ width, height, data } RGBA). Images of
+ * different sizes are compared over the larger area; pixels only one image
+ * has count as different.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Per-pixel color distance to ignore, 0-1
+ * @param {Array} [options.ignore] - Regions { x, y, width, height } in image pixels
+ * @returns {{ width, height, diffPixels, comparedPixels, mismatch, diff }}
+ */
+function diffImages(baseline, current, { tolerance = DEFAULT_TOLERANCE, ignore = [] } = {}) {
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const data = Buffer.alloc(width * height * 4);
+  const maxDelta = MAX_YIQ_DELTA * tolerance * tolerance;
+  let diffPixels = 0;
+  let ignoredPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const inBaseline = x < baseline.width && y < baseline.height;
+      const inCurrent = x < current.width && y < current.height;
+      const base = inBaseline ? pixelAt(baseline, x, y) : null;
+      const curr = inCurrent ? pixelAt(current, x, y) : null;
+      const shade = blend(rgb2y(...(base || curr)), 0.1);
+
+      if (inRegion(x, y, ignore)) {
+        ignoredPixels++;
+        data[o] = data[o + 1] = shade;
+        data[o + 2] = shade * 0.6;
+      } else if (!base || !curr || colorDelta(base, curr) > maxDelta) {
+        diffPixels++;
+        data[o] = 255;
+      } else {
+        data[o] = data[o + 1] = data[o + 2] = shade;
+      }
+      data[o + 3] = 255;
+    }
+  }
+
+  const comparedPixels = width * height - ignoredPixels;
+  return {
+    width,
+    height,
+    diffPixels,
+    comparedPixels,
+    mismatch: comparedPixels > 0 ? (diffPixels / comparedPixels) * 100 : 0,
+    diff: { width, height, data },
+  };
+}
+
+function defaultDiffPath(currentPath) {
+  return currentPath.replace(/(\.png)?$/i, ".diff.png");
+}
+
+/**
+ * Diff two PNG files and write the highlighted diff image.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.output] - Diff image path (default: <current>.diff.png)
+ * @param {number} [options.threshold] - Allowed mismatch in percent
+ * @param {number} [options.tolerance] - Per-pixel color distance to ignore, 0-1
+ * @param {Array} [options.ignore] - Regions { x, y, width, height } in image pixels
+ * @param {number} [options.viewportWidth] - Treat `ignore` as CSS pixels in a
+ *   viewport this wide and scale it to the image
+ */
+function compareFiles(baselinePath, currentPath, options = {}) {
+  const { output, threshold = DEFAULT_THRESHOLD, tolerance, ignore = [], viewportWidth } = options;
+  const baseline = decodePng(fs.readFileSync(baselinePath));
+  const current = decodePng(fs.readFileSync(currentPath));
+  const regions = viewportWidth ? scaleRects(ignore, viewportWidth, current.width) : ignore;
+  const result = diffImages(baseline, current, { tolerance, ignore: regions });
+
+  const diffPath = output || defaultDiffPath(currentPath);
+  fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+  fs.writeFileSync(diffPath, encodePng(result.diff));
+
+  const summary = {
+    baseline: baselinePath,
+    current: currentPath,
+    diffPath,
+    mismatch: Math.round(result.mismatch * 1000) / 1000,
+    diffPixels: result.diffPixels,
+    comparedPixels: result.comparedPixels,
+    threshold,
+    passed: result.mismatch <= threshold,
+  };
+  if (baseline.width !== current.width || baseline.height !== current.height) {
+    summary.sizeMismatch = {
+      baseline: `${baseline.width}x${baseline.height}`,
+      current: `${current.width}x${current.height}`,
+    };
+  }
+  return summary;
+}
+
+/**
+ * Compare a screenshot with the file of the same name in a baseline
+ * directory. A missing baseline is created from the screenshot.
+ */
+function compareToBaseline(currentPath, baselineDir, options = {}) {
+  const baselinePath = path.join(baselineDir, path.basename(currentPath));
+  if (!fs.existsSync(baselinePath)) {
+    fs.mkdirSync(baselineDir, { recursive: true });
+    fs.copyFileSync(currentPath, baselinePath);
+    return { baseline: baselinePath, current: currentPath, created: true, passed: true };
+  }
+  return compareFiles(baselinePath, currentPath, options);
+}
+
+/**
+ * Convert element rects in CSS pixels (relative to the viewport) to image
+ * pixels, given the viewport width the rects were measured in.
+ */
+function scaleRects(rects, viewportWidth, imageWidth) {
+  const scale = viewportWidth > 0 ? imageWidth / viewportWidth : 1;
+  return rects.map((r) => ({
+    x: Math.floor(r.x * scale),
+    y: Math.floor(r.y * scale),
+    width: Math.ceil(r.width * scale),
+    height: Math.ceil(r.height * scale),
+  }));
+}
+
+function formatDiffResult(result) {
+  if (result.created) return `New baseline: ${result.baseline}`;
+  const status = result.passed ? "PASS" : "FAIL";
+  let text = `${status}: ${result.mismatch}% of pixels differ (threshold ${result.threshold}%)`;
+  if (result.sizeMismatch) {
+    text += `\nSize changed: ${result.sizeMismatch.baseline} -> ${result.sizeMismatch.current}`;
+  }
+  return `${text}\nDiff: ${result.diffPath}`;
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  DEFAULT_THRESHOLD,
+  diffImages,
+  compareFiles,
+  compareToBaseline,
+  scaleRects,
+  formatDiffResult,
+};
@@ -1,288 +1,78 @@
 #!/usr/bin/env node
 const net = require("net");
-const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { McpServer, ResourceTemplate } = require("@modelcontextprotocol/sdk/server/mcp.js");
 const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
 const { z } = require("zod");
+const hostRegistry = require("./host-registry.cjs");
+const { prepareToolArgs } = require("./tool-args.cjs");
+const {
+  ALL_SOCKET_TOOLS,
+  AI_TOOLS,
+  REQUEST_TIMEOUT,
+  getCommand,
+  getCommandParams,
+  getRequestTimeout,
+} = require("./commands.cjs");
 
-const SOCKET_PATH = "/tmp/surf.sock";
-const REQUEST_TIMEOUT = 30000;
+const PROGRESS_INTERVAL = 5000;
+// Options that only make sense in a terminal
+const CLI_ONLY_OPTS = ["stream"];
 
-const TOOL_SCHEMAS = {
-  navigate: {
-    desc: "Navigate browser to URL",
-    schema: { url: z.string().describe("URL to navigate to") }
-  },
-  screenshot: {
-    desc: "Capture screenshot of current page",
-    schema: {
-      output: z.string().optional().describe("Save to file path"),
-      selector: z.string().optional().describe("Capture specific element")
-    }
-  },
-  "page.read": {
-    desc: "Get page accessibility tree for element refs",
-    schema: {
-      ref: z.string().optional().describe("Get specific element by ref")
-    }
-  },
-  "page.text": {
-    desc: "Extract all text content from page",
-    schema: {}
-  },
-  "page.state": {
-    desc: "Get page state (modals, loading indicators, etc.)",
-    schema: {}
-  },
-  click: {
-    desc: "Click element by ref or coordinates",
-    schema: {
-      ref: z.string().optional().describe("Element ref from page.read"),
-      x: z.number().optional().describe("X coordinate"),
-      y: z.number().optional().describe("Y coordinate"),
-      button: z.enum(["left", "right", "double", "triple"]).optional().describe("Click type"),
-      selector: z.string().optional().describe("CSS selector (js method)")
-    }
-  },
-  type: {
-    desc: "Type text into focused element",
-    schema: {
-      text: z.string().describe("Text to type"),
-      selector: z.string().optional().describe("CSS selector"),
-      submit: z.boolean().optional().describe("Press enter after"),
-      clear: z.boolean().optional().describe("Clear field first")
-    }
-  },
-  key: {
-    desc: "Press keyboard key",
-    schema: {
-      key: z.string().describe("Key to press (Enter, Escape, cmd+a, ctrl+shift+p, etc.)")
-    }
-  },
-  hover: {
-    desc: "Hover over element",
-    schema: {
-      ref: z.string().optional().describe("Element ref"),
-      x: z.number().optional().describe("X coordinate"),
-      y: z.number().optional().describe("Y coordinate")
-    }
-  },
-  drag: {
-    desc: "Drag between two points",
-    schema: {
-      from: z.string().optional().describe("Start x,y coordinates"),
-      to: z.string().optional().describe("End x,y coordinates")
-    }
-  },
-  "scroll.top": {
-    desc: "Scroll to top of page",
-    schema: { selector: z.string().optional().describe("Target specific container") }
-  },
-  "scroll.bottom": {
-    desc: "Scroll to bottom of page",
-    schema: { selector: z.string().optional().describe("Target specific container") }
-  },
-  "scroll.to": {
-    desc: "Scroll element into view",
-    schema: { ref: z.string().describe("Element ref from page.read") }
-  },
-  "scroll.info": {
-    desc: "Get scroll position info",
-    schema: { selector: z.string().optional().describe("Target specific container") }
-  },
-  "tab.list": {
-    desc: "List all open browser tabs",
-    schema: {}
-  },
-  "tab.new": {
-    desc: "Open new tab",
-    schema: {
-      url: z.string().describe("URL to open"),
-      urls: z.string().optional().describe("Multiple URLs (space-separated)")
-    }
-  },
-  "tab.switch": {
-    desc: "Switch to tab by ID or name",
-    schema: { id: z.string().describe("Tab ID or registered name") }
-  },
-  "tab.close": {
-    desc: "Close tab by ID or name",
-    schema: {
-      id: z.string().optional().describe("Tab ID or name"),
-      ids: z.string().optional().describe("Multiple tab IDs")
-    }
-  },
-  "tab.name": {
-    desc: "Register current tab with a name",
-    schema: { name: z.string().describe("Name for the tab") }
-  },
-  "tab.unname": {
-    desc: "Unregister a named tab",
-    schema: { name: z.string().describe("Tab name to unregister") }
-  },
-  "tab.named": {
-    desc: "List all named tabs",
-    schema: {}
-  },
-  js: {
-    desc: "Execute JavaScript in page context",
-    schema: {
-      code: z.string().describe("JavaScript code to execute (use 'return' for values)")
-    }
-  },
-  wait: {
-    desc: "Wait for specified duration",
-    schema: { duration: z.number().describe("Seconds to wait (max 30)") }
-  },
-  "wait.element": {
-    desc: "Wait for element to appear",
-    schema: {
-      selector: z.string().describe("CSS selector"),
-      timeout: z.number().optional().describe("Timeout in ms")
-    }
-  },
-  "wait.network": {
-    desc: "Wait for network to be idle",
-    schema: { timeout: z.number().optional().describe("Timeout in ms") }
-  },
-  "wait.url": {
-    desc: "Wait for URL to match pattern",
-    schema: {
-      pattern: z.string().describe("URL pattern to match"),
-      timeout: z.number().optional().describe("Timeout in ms")
-    }
-  },
-  "wait.dom": {
-    desc: "Wait for DOM to stabilize",
-    schema: {
-      stable: z.number().optional().describe("Stability window in ms"),
-      timeout: z.number().optional().describe("Max wait time in ms")
-    }
-  },
-  "wait.load": {
-    desc: "Wait for page to fully load",
-    schema: { timeout: z.number().optional().describe("Max wait time in ms") }
-  },
-  console: {
-    desc: "Read browser console messages",
-    schema: {
-      clear: z.boolean().optional().describe("Clear after reading"),
-      level: z.string().optional().describe("Filter by level (log,warn,error)")
-    }
-  },
-  network: {
-    desc: "Read network requests",
-    schema: {
-      clear: z.boolean().optional().describe("Clear after reading"),
-      filter: z.string().optional().describe("Filter by URL pattern")
-    }
-  },
-  health: {
-    desc: "Health check - wait for URL response or element",
-    schema: {
-      url: z.string().optional().describe("URL to check (expects 200)"),
-      selector: z.string().optional().describe("CSS selector to wait for"),
-      expect: z.number().optional().describe("Expected status code"),
-      timeout: z.number().optional().describe("Timeout in ms")
-    }
-  },
-  "dialog.accept": {
-    desc: "Accept current browser dialog",
-    schema: { text: z.string().optional().describe("Text for prompt input") }
-  },
-  "dialog.dismiss": {
-    desc: "Dismiss current browser dialog",
-    schema: {}
-  },
-  "dialog.info": {
-    desc: "Get current dialog info",
-    schema: {}
-  },
-  "emulate.network": {
-    desc: "Emulate network conditions",
-    schema: { preset: z.string().describe("Network preset (slow-3g, fast-3g, offline)") }
-  },
-  "emulate.cpu": {
-    desc: "Throttle CPU",
-    schema: { rate: z.number().describe("Throttle rate (>= 1)") }
-  },
-  "emulate.geo": {
-    desc: "Override geolocation",
-    schema: {
-      lat: z.number().optional().describe("Latitude"),
-      lon: z.number().optional().describe("Longitude"),
-      accuracy: z.number().optional().describe("Accuracy in meters"),
-      clear: z.boolean().optional().describe("Clear override")
-    }
-  },
-  "form.fill": {
-    desc: "Batch fill form fields",
-    schema: { data: z.string().describe("JSON array of {ref, value}") }
-  },
-  "perf.start": {
-    desc: "Start performance trace",
-    schema: { categories: z.string().optional().describe("Trace categories (comma-separated)") }
-  },
-  "perf.stop": {
-    desc: "Stop trace and get metrics",
-    schema: {}
-  },
-  "perf.metrics": {
-    desc: "Get current performance metrics",
-    schema: {}
-  },
-  upload: {
-    desc: "Upload file(s) to input",
-    schema: {
-      ref: z.string().describe("Element ref (e.g., e5)"),
-      files: z.string().describe("File path(s) comma-separated")
-    }
-  },
-  "frame.list": {
-    desc: "List all frames in page",
-    schema: {}
-  },
-  "frame.js": {
-    desc: "Execute JS in specific frame",
-    schema: {
-      id: z.string().describe("Frame ID from frame.list"),
-      code: z.string().describe("JavaScript code")
-    }
-  },
-  smart_type: {
-    desc: "Type into specific element with options",
-    schema: {
-      selector: z.string().describe("CSS selector"),
-      text: z.string().describe("Text to type"),
-      clear: z.boolean().optional().describe("Clear first"),
-      submit: z.boolean().optional().describe("Submit after")
-    }
-  },
-  ai: {
-    desc: "AI-powered page analysis (requires GOOGLE_API_KEY)",
-    schema: {
-      query: z.string().describe("Question about the page"),
-      mode: z.enum(["find", "summary", "extract"]).optional().describe("Query mode")
-    }
+function zodType(param) {
+  switch (param.type) {
+    case "boolean":
+      return z.boolean();
+    case "number":
+      return z.number();
+    case "json":
+      return z.union([z.string(), z.record(z.any()), z.array(z.any())]);
+    case "array":
+      return z.union([z.array(z.string()), z.string()]);
+    default:
+      return param.enum ? z.enum(param.enum) : z.union([z.string(), z.number()]);
   }
-};
+}
 
-function sendSocketRequest(tool, args = {}) {
+/**
+ * zod schema for a command's MCP input, derived from the command registry.
+ * Values are checked again by the host, so defaults are only documented.
+ */
+function buildToolSchema(name) {
+  const schema = {};
+  for (const param of getCommandParams(name)) {
+    if (param.cliOnly || CLI_ONLY_OPTS.includes(param.name)) continue;
+    let type = zodType(param);
+    if (!param.required) type = type.optional();
+    const note = param.default !== undefined ? ` (default: ${param.default})` : "";
+    schema[param.name] = type.describe(param.description + note);
+  }
+  schema.tabId = z.number().int().optional().describe("Target tab (default: active tab)");
+  schema.windowId = z.number().int().optional().describe("Scope tab resolution to a window");
+  return schema;
+}
+
+function sendSocketRequest(tool, args = {}, browser, timeoutMs = REQUEST_TIMEOUT) {
   return new Promise((resolve, reject) => {
-    const sock = net.createConnection(SOCKET_PATH, () => {
+    // Resolved per request so the server keeps working across browser restarts
+    const socketPath = hostRegistry.resolveSocketPath({ browser });
+    const sock = net.createConnection(socketPath, () => {
+      const { tabId, windowId, ...toolArgs } = args;
       const req = {
         type: "tool_request",
         method: "execute_tool",
-        params: { tool, args },
+        params: { tool, args: toolArgs },
         id: "mcp-" + Date.now() + "-" + Math.random()
       };
+      if (tabId !== undefined) req.tabId = tabId;
+      if (windowId !== undefined) req.windowId = windowId;
       sock.write(JSON.stringify(req) + "\n");
     });
 
     let buf = "";
     const timeout = setTimeout(() => {
       sock.destroy();
-      reject(new Error("Request timeout"));
-    }, REQUEST_TIMEOUT);
+      reject(new Error(`Request timeout (${timeoutMs / 1000}s)`));
+    }, timeoutMs);
 
     sock.on("data", (d) => {
       buf += d.toString();
@@ -319,6 +109,24 @@ function sendSocketRequest(tool, args = {}) {
   });
 }
 
+/**
+ * Send progress notifications while a long-running tool waits, if the client
+ * asked for them. Returns a function that stops them.
+ */
+function startProgress(name, extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return () => {};
+  const started = Date.now();
+  const timer = setInterval(() => {
+    const elapsed = Math.round((Date.now() - started) / 1000);
+    extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress: elapsed, message: `Waiting for ${name} (${elapsed}s)` }
+    }).catch(() => {});
+  }, PROGRESS_INTERVAL);
+  return () => clearInterval(timer);
+}
+
 function formatResult(resp) {
   if (resp.error) {
     const errText = resp.error.content?.[0]?.text || JSON.stringify(resp.error);
@@ -348,7 +156,12 @@ function formatResult(resp) {
 }
 
 class PiChromeMcpServer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.browser] - Browser selector (see `surf browsers`)
+   */
+  constructor({ browser } = {}) {
+    this.browser = browser;
     this.server = new McpServer({
       name: "surf",
       version: "1.0.0"
@@ -358,25 +171,29 @@ class PiChromeMcpServer {
   }
 
   registerTools() {
-    for (const [name, def] of Object.entries(TOOL_SCHEMAS)) {
-      const schemaObj = {};
-      for (const [key, val] of Object.entries(def.schema)) {
-        schemaObj[key] = val;
-      }
+    for (const name of new Set(ALL_SOCKET_TOOLS)) {
+      const command = getCommand(name);
+      // Legacy socket names (form_input, computer, ...) have no registry entry
+      if (!command || command.name !== name) continue;
 
       this.server.tool(
         name,
-        def.desc,
-        schemaObj,
-        async (args) => {
+        command.desc,
+        buildToolSchema(name),
+        async (args, extra) => {
+          const stopProgress = AI_TOOLS.includes(name) ? startProgress(name, extra) : () => {};
           try {
-            const resp = await sendSocketRequest(name, args);
+            // Files and relative paths are the MCP client's, as they are the CLI user's
+            const toolArgs = prepareToolArgs(name, args);
+            const resp = await sendSocketRequest(name, toolArgs, this.browser, getRequestTimeout(name, toolArgs));
             return formatResult(resp);
           } catch (err) {
             return {
               content: [{ type: "text", text: `Error: ${err.message}` }],
               isError: true
             };
+          } finally {
+            stopProgress();
           }
         }
       );
@@ -389,7 +206,7 @@ class PiChromeMcpServer {
       "page://current",
       async (uri) => {
         try {
-          const resp = await sendSocketRequest("page.read", {});
+          const resp = await sendSocketRequest("page.read", {}, this.browser);
           const text = resp.result?.content?.[0]?.text || "No content";
           return {
             contents: [{
@@ -415,7 +232,7 @@ class PiChromeMcpServer {
       "tabs://list",
       async (uri) => {
         try {
-          const resp = await sendSocketRequest("tab.list", {});
+          const resp = await sendSocketRequest("tab.list", {}, this.browser);
           const text = resp.result?.content?.[0]?.text || "[]";
           return {
             contents: [{
@@ -441,7 +258,7 @@ class PiChromeMcpServer {
       "console://messages",
       async (uri) => {
         try {
-          const resp = await sendSocketRequest("console", {});
+          const resp = await sendSocketRequest("console", {}, this.browser);
           const text = resp.result?.content?.[0]?.text || "No messages";
           return {
             contents: [{
@@ -462,12 +279,67 @@ class PiChromeMcpServer {
       }
     );
 
+    this.server.resource(
+      "screenshot",
+      "screenshot://current",
+      { mimeType: "image/png", description: "Screenshot of the active tab" },
+      async (uri) => {
+        try {
+          const resp = await sendSocketRequest("screenshot", {}, this.browser);
+          const image = resp.result?.content?.find((item) => item.type === "image");
+          if (!image) throw new Error(resp.error?.content?.[0]?.text || "No image returned");
+          return {
+            contents: [{
+              uri: uri.href,
+              blob: image.data,
+              mimeType: image.mimeType || "image/png"
+            }]
+          };
+        } catch (err) {
+          return {
+            contents: [{
+              uri: uri.href,
+              text: `Error: ${err.message}`,
+              mimeType: "text/plain"
+            }]
+          };
+        }
+      }
+    );
+
+    this.server.resource(
+      "network-body",
+      new ResourceTemplate("network://requests/{id}/body", { list: undefined }),
+      { description: "Response body of a captured request (ids from network://requests)" },
+      async (uri, { id }) => {
+        try {
+          const resp = await sendSocketRequest("network.body", { id }, this.browser);
+          if (resp.error) throw new Error(resp.error.content?.[0]?.text || "Failed to read body");
+          return {
+            contents: [{
+              uri: uri.href,
+              text: resp.result?.content?.[0]?.text || "",
+              mimeType: "text/plain"
+            }]
+          };
+        } catch (err) {
+          return {
+            contents: [{
+              uri: uri.href,
+              text: `Error: ${err.message}`,
+              mimeType: "text/plain"
+            }]
+          };
+        }
+      }
+    );
+
     this.server.resource(
       "network",
       "network://requests",
       async (uri) => {
         try {
-          const resp = await sendSocketRequest("network", {});
+          const resp = await sendSocketRequest("network", {}, this.browser);
           const text = resp.result?.content?.[0]?.text || "No requests";
           return {
             contents: [{
@@ -497,7 +369,9 @@ class PiChromeMcpServer {
 }
 
 async function main() {
-  const server = new PiChromeMcpServer();
+  const browserIdx = process.argv.indexOf("--browser");
+  const browser = browserIdx !== -1 ? process.argv[browserIdx + 1] : undefined;
+  const server = new PiChromeMcpServer({ browser });
   await server.start();
 }
 
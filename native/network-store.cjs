@@ -17,6 +17,7 @@ const DEFAULT_BASE = "/tmp/surf";
 const DEFAULT_TTL = 24 * 60 * 60 * 1000;  // 24 hours
 const DEFAULT_MAX_SIZE = 200 * 1024 * 1024; // 200MB
 const AUTO_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const HAR_CREATOR_VERSION = require("../package.json").version;
 
 // Lock file for concurrent access
 let writeLock = Promise.resolve();
@@ -784,6 +785,335 @@ async function clear(options = {}) {
   return { deletedEntries, deletedBodies };
 }
 
+/**
+ * Check whether a mime type can be safely stored as HAR text
+ */
+function isTextMimeType(mimeType) {
+  if (!mimeType) return true;
+  const mt = mimeType.toLowerCase();
+  return mt.startsWith("text/") ||
+    mt.includes("json") ||
+    mt.includes("xml") ||
+    mt.includes("javascript") ||
+    mt.includes("x-www-form-urlencoded") ||
+    mt.includes("graphql");
+}
+
+/**
+ * Find a header value case-insensitively
+ */
+function findHeader(headers, name) {
+  if (!headers) return undefined;
+  const lower = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === lower) return value;
+  }
+  return undefined;
+}
+
+/**
+ * Get request or response body for an entry, inline or from the body store
+ * @param {Object} entry - Network entry
+ * @param {boolean} isRequest - Whether to read the request body
+ * @returns {Buffer|null} Body content or null if none
+ */
+function getEntryBody(entry, isRequest = false) {
+  const inline = isRequest ? entry.requestBody : entry.responseBody;
+  if (inline !== undefined && inline !== null) {
+    return Buffer.isBuffer(inline) ? inline : Buffer.from(String(inline));
+  }
+  const hash = isRequest ? entry.requestBodyHash : entry.responseBodyHash;
+  return hash ? readBody(hash, isRequest) : null;
+}
+
+/**
+ * Fill in requestBody/responseBody from the body store (for formatters)
+ * @param {Object} entry - Stored network entry
+ * @returns {Object} Copy of the entry with text bodies inlined
+ */
+function withBodies(entry) {
+  if (!entry) return entry;
+  const result = { ...entry };
+  if (result.requestBody === undefined && result.requestBodyHash) {
+    const body = readBody(result.requestBodyHash, true);
+    if (body) result.requestBody = body.toString("utf-8");
+  }
+  if (result.responseBody === undefined && result.responseBodyHash) {
+    const body = readBody(result.responseBodyHash, false);
+    if (body) {
+      result.responseBody = isTextMimeType(result.mimeType || findHeader(result.responseHeaders, "content-type"))
+        ? body.toString("utf-8")
+        : `(binary, ${body.length} bytes)`;
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert a headers object to HAR name/value list
+ */
+function headersToHar(headers) {
+  const list = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    // Chrome joins repeated headers (e.g. set-cookie) with newlines
+    for (const part of String(value).split("\n")) {
+      list.push({ name, value: part });
+    }
+  }
+  return list;
+}
+
+/**
+ * Convert a HAR name/value list to a headers object
+ */
+function headersFromHar(list) {
+  const headers = {};
+  for (const { name, value } of list || []) {
+    if (!name) continue;
+    const key = name.toLowerCase();
+    headers[key] = headers[key] !== undefined ? `${headers[key]}\n${value}` : String(value ?? "");
+  }
+  return headers;
+}
+
+/**
+ * Build HAR queryString list from a URL
+ */
+function queryStringToHar(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Convert a stored network entry to a HAR 1.2 entry
+ * @param {Object} entry - Network entry
+ * @returns {Object} HAR entry
+ */
+function entryToHar(entry) {
+  const started = entry.ts || entry.timestamp || Date.now();
+  const duration = Math.max(0, entry.duration || 0);
+  const wait = Math.max(0, entry.ttfb || 0);
+  const receive = Math.max(0, duration - wait);
+  const requestHeaders = entry.requestHeaders || {};
+  const responseHeaders = entry.responseHeaders || {};
+  const mimeType = entry.mimeType || findHeader(responseHeaders, "content-type") || "";
+
+  const request = {
+    method: entry.method || "GET",
+    url: entry.url,
+    httpVersion: entry.protocol || "HTTP/1.1",
+    cookies: [],
+    headers: headersToHar(requestHeaders),
+    queryString: queryStringToHar(entry.url),
+    headersSize: -1,
+    bodySize: -1,
+  };
+
+  const requestBody = getEntryBody(entry, true);
+  if (requestBody) {
+    request.postData = {
+      mimeType: findHeader(requestHeaders, "content-type") || "",
+      text: requestBody.toString("utf-8"),
+    };
+    request.bodySize = requestBody.length;
+  }
+
+  const content = { size: entry.responseBodySize || 0, mimeType };
+  const responseBody = getEntryBody(entry, false);
+  if (responseBody) {
+    if (isTextMimeType(mimeType)) {
+      content.text = responseBody.toString("utf-8");
+    } else {
+      content.text = responseBody.toString("base64");
+      content.encoding = "base64";
+    }
+    content.size = content.size || responseBody.length;
+  }
+
+  return {
+    startedDateTime: new Date(started).toISOString(),
+    time: wait + receive,
+    request,
+    response: {
+      status: entry.status || 0,
+      statusText: entry.statusText || "",
+      httpVersion: entry.protocol || "HTTP/1.1",
+      cookies: [],
+      headers: headersToHar(responseHeaders),
+      content,
+      redirectURL: findHeader(responseHeaders, "location") || "",
+      headersSize: -1,
+      bodySize: responseBody ? responseBody.length : -1,
+    },
+    cache: {},
+    timings: {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait,
+      receive,
+    },
+    _surfId: entry.id,
+    _resourceType: entry.type ? String(entry.type).toLowerCase() : undefined,
+  };
+}
+
+/**
+ * Convert network entries to a HAR 1.2 document
+ * @param {Array} entries - Network entries
+ * @returns {Object} HAR document ({ log: {...} })
+ */
+function toHar(entries) {
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "surf-cli", version: HAR_CREATOR_VERSION },
+      pages: [],
+      entries: (entries || []).map(entryToHar),
+    },
+  };
+}
+
+/**
+ * Export stored entries as a HAR 1.2 document
+ * @param {Object} filters - Same filters as readEntries
+ * @returns {Promise<Object>} HAR document
+ */
+async function exportHar(filters = {}) {
+  const entries = await readEntries(filters);
+  return toHar(entries);
+}
+
+/**
+ * Read entries with the CLI's option names (--filter, --has-body,
+ * --exclude-static, --last); --origin matches any part of the origin.
+ * @param {Object} opts - Command options
+ * @returns {Promise<Array>} Matching entries, oldest first
+ */
+async function queryEntries(opts = {}) {
+  let entries = await readEntries({
+    method: opts.method,
+    status: opts.status,
+    type: opts.type,
+    hasBody: opts["has-body"] ? true : undefined,
+    excludeStatic: opts["exclude-static"],
+    urlPattern: opts.filter,
+  });
+  if (opts.origin) {
+    entries = entries.filter(e => (e.origin || e.url || "").includes(opts.origin));
+  }
+  const last = parseInt(opts.last, 10);
+  if (last > 0) {
+    entries = entries.slice(-last);
+  }
+  return entries;
+}
+
+/**
+ * Serialize entries for network.export
+ * @param {Array} entries - Network entries
+ * @param {string} format - "har" or "jsonl"
+ * @returns {string} File contents
+ */
+function formatExport(entries, format) {
+  if (format === "har") return JSON.stringify(toHar(entries), null, 2) + "\n";
+  if (format === "jsonl") return entries.map(e => JSON.stringify(e)).join("\n") + (entries.length ? "\n" : "");
+  throw new Error(`Unknown export format: ${format} (use har or jsonl)`);
+}
+
+/**
+ * Convert a HAR 1.2 entry to a network entry, storing bodies in the body store
+ * @param {Object} harEntry - HAR entry
+ * @param {number} index - Position in the HAR (used for generated IDs)
+ * @returns {Object} Network entry
+ */
+function entryFromHar(harEntry, index = 0) {
+  const request = harEntry.request || {};
+  const response = harEntry.response || {};
+  const content = response.content || {};
+  const timings = harEntry.timings || {};
+  const parsedTs = Date.parse(harEntry.startedDateTime);
+  const ts = isNaN(parsedTs) ? Date.now() : parsedTs;
+  const responseHeaders = headersFromHar(response.headers);
+
+  const entry = {
+    id: harEntry._surfId || `r_${ts}_${index + 1}`,
+    ts,
+    duration: harEntry.time >= 0 ? harEntry.time : undefined,
+    ttfb: timings.wait >= 0 ? timings.wait : undefined,
+    method: (request.method || "GET").toUpperCase(),
+    url: request.url,
+    origin: getOriginFromUrl(request.url),
+    protocol: request.httpVersion || undefined,
+    requestHeaders: headersFromHar(request.headers),
+    status: response.status || undefined,
+    statusText: response.statusText || undefined,
+    mimeType: content.mimeType || responseHeaders["content-type"] || undefined,
+    responseHeaders,
+    type: harEntry._resourceType || undefined,
+    flags: ["imported"],
+  };
+
+  if (request.postData && typeof request.postData.text === "string") {
+    entry.requestBodyHash = storeBody(request.postData.text, true);
+  }
+
+  if (typeof content.text === "string") {
+    const body = content.encoding === "base64"
+      ? Buffer.from(content.text, "base64")
+      : Buffer.from(content.text);
+    entry.responseBodyHash = storeBody(body, false);
+    entry.responseBodySize = content.size > 0 ? content.size : body.length;
+  } else if (content.size > 0) {
+    entry.responseBodySize = content.size;
+  }
+
+  return entry;
+}
+
+/**
+ * Import a HAR 1.2 document into the store. Entries whose ID is already
+ * stored (a HAR imported twice, or exported from this store) are skipped.
+ * @param {Object|string} har - HAR document or its JSON text
+ * @returns {Promise<Object>} Import results
+ */
+async function importHar(har) {
+  const doc = typeof har === "string" ? JSON.parse(har) : har;
+  const harEntries = doc?.log?.entries;
+  if (!Array.isArray(harEntries)) {
+    throw new Error("Invalid HAR: missing log.entries");
+  }
+
+  const ids = new Set((await readEntries()).map(e => e.id));
+  let imported = 0;
+  let skipped = 0;
+  let duplicates = 0;
+
+  for (let i = 0; i < harEntries.length; i++) {
+    const harEntry = harEntries[i];
+    if (!harEntry?.request?.url) {
+      skipped++;
+      continue;
+    }
+    // Bodies are stored by hash, so a duplicate's are already there
+    const entry = entryFromHar(harEntry, i);
+    if (ids.has(entry.id)) {
+      duplicates++;
+      continue;
+    }
+    await appendEntry(entry);
+    ids.add(entry.id);
+    imported++;
+  }
+
+  return { imported, skipped, duplicates };
+}
+
 /**
  * Run cleanup if last cleanup was more than AUTO_CLEANUP_INTERVAL ago
  */
@@ -825,6 +1155,8 @@ module.exports = {
   appendEntrySync,
   readEntries,
   readEntriesSync,
+  queryEntries,
+  matchesUrlPattern,
   getEntry,
   getEntrySync,
   
@@ -839,6 +1171,16 @@ module.exports = {
   clear,
   maybeAutoCleanup,
   
+  // HAR import/export
+  toHar,
+  entryToHar,
+  entryFromHar,
+  exportHar,
+  formatExport,
+  importHar,
+  withBodies,
+  getEntryBody,
+  
   // Configuration
   setBasePath,
   getBasePath,
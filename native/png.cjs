@@ -0,0 +1,166 @@
+/**
+ * Minimal PNG codec for screenshot diffing
+ *
+ * Decodes 8- and 16-bit non-interlaced PNGs (grayscale, RGB, palette, with
+ * or without alpha) to 8-bit RGBA, which covers browser screenshots, and
+ * encodes RGBA back to PNG. Anything else throws.
+ */
+
+const zlib = require("zlib");
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel by color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a PNG buffer to { width, height, data } with RGBA pixel data.
+ */
+function decodePng(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 8 || !buf.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error("Not a PNG file");
+  }
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  while (offset < buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString("ascii", offset + 4, offset + 8);
+    const body = buf.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+    if (type === "IHDR") {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === "PLTE") {
+      palette = body;
+    } else if (type === "tRNS") {
+      transparency = body;
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+  if (!header) throw new Error("PNG is missing its IHDR chunk");
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  const supportedDepth = bitDepth === 8 || (bitDepth === 16 && colorType !== 3);
+  if (!supportedDepth || !channels || interlace !== 0) {
+    throw new Error(`Unsupported PNG format (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`);
+  }
+  if (colorType === 3 && !palette) throw new Error("PNG is missing its palette");
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const bytes = bitDepth / 8;
+  const bpp = channels * bytes;
+  const stride = width * bpp;
+  const pixels = Buffer.alloc(stride * height);
+  let prev = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? out[x - bpp] : 0;
+      const up = prev[x];
+      const upLeft = x >= bpp ? prev[x - bpp] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      else if (filter !== 0) throw new Error(`Invalid PNG filter type ${filter}`);
+      out[x] = value & 0xff;
+    }
+    prev = out;
+  }
+
+  // 16-bit samples keep their high byte
+  const sample = (i, k) => pixels[i * bpp + k * bytes];
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const o = i * 4;
+    if (colorType === 2 || colorType === 6) {
+      data[o] = sample(i, 0);
+      data[o + 1] = sample(i, 1);
+      data[o + 2] = sample(i, 2);
+      data[o + 3] = colorType === 6 ? sample(i, 3) : 255;
+    } else if (colorType === 3) {
+      const index = sample(i, 0);
+      data[o] = palette[index * 3];
+      data[o + 1] = palette[index * 3 + 1];
+      data[o + 2] = palette[index * 3 + 2];
+      data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+    } else {
+      data[o] = data[o + 1] = data[o + 2] = sample(i, 0);
+      data[o + 3] = colorType === 4 ? sample(i, 1) : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function chunk(type, body) {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(type, 4, "ascii");
+  body.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+  return out;
+}
+
+/**
+ * Encode { width, height, data } (RGBA) as a PNG buffer.
+ */
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { decodePng, encodePng };
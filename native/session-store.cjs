@@ -0,0 +1,100 @@
+/**
+ * Saved browser sessions for surf-cli
+ *
+ * A session is a snapshot of cookies, localStorage, sessionStorage and
+ * IndexedDB for a set of origins plus a window's open tabs, captured by the
+ * extension and kept as one JSON file per name. Snapshots hold login
+ * cookies, so they live under the home directory (~/.surf/sessions, or
+ * SURF_SESSION_PATH) and are readable by the owner only.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const SESSION_VERSION = 1;
+
+function getSessionDir() {
+  return process.env.SURF_SESSION_PATH || path.join(os.homedir(), ".surf", "sessions");
+}
+
+function sessionPath(name, dir = getSessionDir()) {
+  if (typeof name !== "string" || !/^[\w-][\w.-]*$/.test(name)) {
+    throw new Error(`Invalid session name "${name}" (use letters, digits, ".", "_" and "-")`);
+  }
+  return path.join(dir, `${name}.json`);
+}
+
+/**
+ * Write a snapshot from the extension. Returns the saved session.
+ */
+function saveSession(name, snapshot, { dir = getSessionDir() } = {}) {
+  const file = sessionPath(name, dir);
+  const session = {
+    version: SESSION_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    origins: snapshot.origins || [],
+    cookies: snapshot.cookies || [],
+    storage: snapshot.storage || {},
+    tabs: snapshot.tabs || [],
+  };
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(session, null, 2) + "\n", { mode: 0o600 });
+  // writeFileSync only applies the mode when it creates the file
+  fs.chmodSync(file, 0o600);
+  return { ...session, path: file };
+}
+
+function loadSession(name, { dir = getSessionDir() } = {}) {
+  const file = sessionPath(name, dir);
+  if (!fs.existsSync(file)) throw new Error(`No saved session "${name}"`);
+  const session = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Session "${name}" has unsupported version ${session.version}`);
+  }
+  return session;
+}
+
+/**
+ * One line per saved session: name, time and what it holds.
+ */
+function summarizeSession(session) {
+  return {
+    name: session.name,
+    savedAt: session.savedAt,
+    origins: session.origins,
+    cookies: session.cookies.length,
+    tabs: session.tabs.length,
+  };
+}
+
+function listSessions({ dir = getSessionDir() } = {}) {
+  if (!fs.existsSync(dir)) return [];
+  const sessions = [];
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort()) {
+    try {
+      sessions.push(summarizeSession(loadSession(file.slice(0, -5), { dir })));
+    } catch {
+      // Skip files that aren't sessions
+    }
+  }
+  return sessions;
+}
+
+function deleteSession(name, { dir = getSessionDir() } = {}) {
+  const file = sessionPath(name, dir);
+  if (!fs.existsSync(file)) throw new Error(`No saved session "${name}"`);
+  fs.unlinkSync(file);
+  return { deleted: name };
+}
+
+module.exports = {
+  getSessionDir,
+  sessionPath,
+  saveSession,
+  loadSession,
+  summarizeSession,
+  listSessions,
+  deleteSession,
+};
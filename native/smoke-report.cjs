@@ -0,0 +1,287 @@
+/**
+ * Smoke test reports and exit policy
+ *
+ * A smoke run's results carry issues in five categories: navigation (load
+ * errors and timeouts), console (console errors), network (failed or 4xx/5xx
+ * requests), checks (route checks from surf.json) and visual (baseline
+ * mismatches). `--fail-on` picks the
+ * categories that fail a URL; the others are still reported. Reports are
+ * written as JUnit XML, JSON or a self-contained HTML page.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { decodePng, encodePng } = require("./png.cjs");
+
+const REPORT_FORMATS = ["junit", "json", "html"];
+const FAIL_CATEGORIES = ["navigation", "console", "network", "checks", "visual"];
+const DEFAULT_FAIL_ON = ["navigation", "console", "checks", "visual"];
+
+const REPORT_FILES = {
+  junit: "smoke-report.xml",
+  json: "smoke-report.json",
+  html: "smoke-report.html",
+};
+
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * Validate a --fail-on list. "none" never fails a URL.
+ */
+function parseFailOn(value) {
+  if (value === undefined || value === null) return DEFAULT_FAIL_ON;
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  const categories = items.map((c) => String(c).trim()).filter(Boolean);
+  if (categories.includes("none")) return [];
+  const unknown = categories.filter((c) => !FAIL_CATEGORIES.includes(c));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown --fail-on category: ${unknown.join(", ")} (expected ${FAIL_CATEGORIES.join(", ")} or none)`);
+  }
+  return categories;
+}
+
+function parseFormats(value) {
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  const formats = items.map((f) => String(f).trim()).filter(Boolean);
+  const unknown = formats.filter((f) => !REPORT_FORMATS.includes(f));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report format: ${unknown.join(", ")} (expected ${REPORT_FORMATS.join(", ")})`);
+  }
+  return formats;
+}
+
+function describeRequest(req) {
+  return `Request failed: ${req.status || "no response"} ${req.method || "GET"} ${req.url}`;
+}
+
+/**
+ * Issues for one result, by category.
+ */
+function resultIssues(result) {
+  const visual = [];
+  if (result.visual?.error) {
+    visual.push(`Visual diff failed: ${result.visual.error}`);
+  } else if (result.visual && !result.visual.passed) {
+    visual.push(`Visual mismatch: ${result.visual.mismatch}% of pixels differ (threshold ${result.visual.threshold}%, diff: ${result.visual.diffPath})`);
+  }
+  return {
+    navigation: result.errors || [],
+    console: result.consoleErrors || [],
+    network: (result.failedRequests || []).map(describeRequest),
+    checks: (result.checks || []).filter((c) => !c.passed).map((c) => c.message),
+    visual,
+  };
+}
+
+/**
+ * Set each result's status from the categories in failOn and recount the
+ * summary. Mutates and returns the run.
+ */
+function applyFailPolicy(run, failOn = DEFAULT_FAIL_ON) {
+  let pass = 0;
+  let fail = 0;
+  for (const result of run.results) {
+    const issues = resultIssues(result);
+    result.status = failOn.some((c) => issues[c].length > 0) ? "fail" : "pass";
+    if (result.status === "pass") pass++;
+    else fail++;
+  }
+  run.summary = { ...run.summary, pass, fail, total: run.results.length };
+  run.failOn = failOn;
+  return run;
+}
+
+/**
+ * A screenshot file name for each URL, from its host, path and query, so
+ * routes on one origin each get their own screenshot and baseline. Names
+ * that still collide after sanitizing get the route's number.
+ */
+function screenshotNames(urls) {
+  const used = new Set();
+  return urls.map((url, i) => {
+    let base;
+    try {
+      const { host, pathname, search } = new URL(url);
+      base = `${host}${pathname === "/" ? "" : pathname}${search}`;
+    } catch {
+      base = String(url);
+    }
+    base = base.replace(/[^a-zA-Z0-9.-]+/g, "_").replace(/^_+|_+$/g, "") || "page";
+    let name = base;
+    for (let n = i + 1; used.has(name); n++) name = `${base}-${n}`;
+    used.add(name);
+    return `${name}.png`;
+  });
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters aren't allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+function toJUnit(run, { timestamp = new Date().toISOString() } = {}) {
+  const failOn = run.failOn || DEFAULT_FAIL_ON;
+  const total = run.results.length;
+  const failures = run.results.filter((r) => r.status === "fail").length;
+  const time = seconds(run.results.reduce((sum, r) => sum + (r.time || 0), 0));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="surf smoke" tests="${total}" failures="${failures}" time="${time}">`,
+    `  <testsuite name="surf smoke" tests="${total}" failures="${failures}" errors="0" time="${time}" timestamp="${escapeXml(timestamp)}">`,
+  ];
+  for (const result of run.results) {
+    const issues = resultIssues(result);
+    const failing = failOn.flatMap((c) => issues[c].map((i) => `[${c}] ${i}`));
+    const other = FAIL_CATEGORIES.filter((c) => !failOn.includes(c)).flatMap((c) => issues[c].map((i) => `[${c}] ${i}`));
+    if (result.screenshot) other.push(`Screenshot: ${result.screenshot}`);
+
+    lines.push(`    <testcase classname="smoke" name="${escapeXml(result.url)}" time="${seconds(result.time)}">`);
+    if (result.status === "fail") {
+      const message = failing[0] || "Failed";
+      lines.push(`      <failure message="${escapeXml(message)}" type="smoke">${escapeXml(failing.join("\n"))}</failure>`);
+    }
+    if (other.length > 0) {
+      lines.push(`      <system-out>${escapeXml(other.join("\n"))}</system-out>`);
+    }
+    lines.push("    </testcase>");
+  }
+  lines.push("  </testsuite>", "</testsuites>", "");
+  return lines.join("\n");
+}
+
+function toJson(run, { timestamp = new Date().toISOString() } = {}) {
+  return JSON.stringify({
+    generatedAt: timestamp,
+    failOn: run.failOn || DEFAULT_FAIL_ON,
+    summary: run.summary,
+    results: run.results,
+  }, null, 2) + "\n";
+}
+
+/**
+ * Downscale a PNG to a data URI of at most `width` pixels across, averaging
+ * each block of source pixels. Returns null if the file can't be read.
+ */
+function thumbnail(file, width = THUMBNAIL_WIDTH) {
+  let image;
+  try {
+    image = decodePng(fs.readFileSync(file));
+  } catch {
+    return null;
+  }
+  const scale = Math.max(1, Math.ceil(image.width / width));
+  const outWidth = Math.max(1, Math.floor(image.width / scale));
+  const outHeight = Math.max(1, Math.floor(image.height / scale));
+  const data = Buffer.alloc(outWidth * outHeight * 4);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const sums = [0, 0, 0, 0];
+      for (let dy = 0; dy < scale; dy++) {
+        for (let dx = 0; dx < scale; dx++) {
+          const o = ((y * scale + dy) * image.width + x * scale + dx) * 4;
+          for (let c = 0; c < 4; c++) sums[c] += image.data[o + c];
+        }
+      }
+      const o = (y * outWidth + x) * 4;
+      for (let c = 0; c < 4; c++) data[o + c] = Math.round(sums[c] / (scale * scale));
+    }
+  }
+  const png = encodePng({ width: outWidth, height: outHeight, data });
+  return `data:image/png;base64,${png.toString("base64")}`;
+}
+
+const escapeHtml = (value) =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function toHtml(run, { timestamp = new Date().toISOString(), dir } = {}) {
+  const failOn = run.failOn || DEFAULT_FAIL_ON;
+  const { pass, fail, total } = run.summary;
+  const rows = run.results.map((result) => {
+    const issues = resultIssues(result);
+    const items = FAIL_CATEGORIES.flatMap((c) =>
+      issues[c].map((i) => {
+        const cls = failOn.includes(c) ? "issue" : "issue info";
+        return `<li class="${cls}"><span class="cat">${c}</span> ${escapeHtml(i)}</li>`;
+      }),
+    );
+    const thumb = result.screenshot ? thumbnail(result.screenshot) : null;
+    const shot = thumb
+      ? `<a href="${escapeHtml(dir ? path.relative(dir, result.screenshot) : result.screenshot)}"><img src="${thumb}" alt="Screenshot of ${escapeHtml(result.url)}"></a>`
+      : "";
+    return `    <tr class="${result.status}">
+      <td class="status">${result.status.toUpperCase()}</td>
+      <td><a href="${escapeHtml(result.url)}">${escapeHtml(result.url)}</a>${items.length ? `<ul>${items.join("")}</ul>` : ""}</td>
+      <td class="time">${result.time || 0} ms</td>
+      <td>${shot}</td>
+    </tr>`;
+  });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Smoke report</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: 8px; border-bottom: 1px solid #ddd; }
+  .status { font-weight: bold; }
+  tr.pass .status { color: #18794e; }
+  tr.fail .status { color: #c62828; }
+  .time { white-space: nowrap; }
+  ul { margin: 4px 0 0; padding-left: 1.2em; }
+  .issue { color: #c62828; }
+  .issue.info { color: #777; }
+  .cat { font-size: 11px; text-transform: uppercase; }
+  img { max-width: ${THUMBNAIL_WIDTH}px; border: 1px solid #ccc; }
+</style>
+</head>
+<body>
+<h1>Smoke report</h1>
+<p>${pass} passed, ${fail} failed, ${total} total &middot; failing on: ${escapeHtml(failOn.join(", ") || "none")} &middot; ${escapeHtml(timestamp)}</p>
+<table>
+  <thead><tr><th>Status</th><th>URL</th><th>Time</th><th>Screenshot</th></tr></thead>
+  <tbody>
+${rows.join("\n")}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+const RENDERERS = { junit: toJUnit, json: toJson, html: toHtml };
+
+/**
+ * Write reports for a run (after applyFailPolicy) to dir. Returns the paths.
+ */
+function writeReports(run, formats, dir, options = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  return formats.map((format) => {
+    const file = path.join(dir, REPORT_FILES[format]);
+    fs.writeFileSync(file, RENDERERS[format](run, { dir, ...options }));
+    return file;
+  });
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  FAIL_CATEGORIES,
+  DEFAULT_FAIL_ON,
+  parseFailOn,
+  parseFormats,
+  resultIssues,
+  applyFailPolicy,
+  screenshotNames,
+  toJUnit,
+  toJson,
+  toHtml,
+  thumbnail,
+  writeReports,
+};
@@ -0,0 +1,99 @@
+/**
+ * Client-side tool argument preparation
+ *
+ * The host runs with its own working directory and never reads files named
+ * by the caller, so every client (CLI, MCP server, HTTP bridge) reads those
+ * files and resolves relative paths before a tool request is sent:
+ * - network.mock --body-file, js --file, extract schema files, batch --file
+ * - smoke --routes, expanded from surf.json
+ * - smoke, screenshot.diff and network.import paths made absolute
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getSmokeRoutes } = require("./config.cjs");
+const { getCommandParams } = require("./commands.cjs");
+
+const MOCK_CONTENT_TYPES = {
+  json: "application/json",
+  html: "text/html",
+  htm: "text/html",
+  xml: "application/xml",
+  js: "application/javascript",
+  css: "text/css",
+  csv: "text/csv",
+  svg: "image/svg+xml",
+};
+
+// Paths the host reads or writes, per command
+const PATH_ARGS = {
+  "screenshot.diff": ["baseline", "current", "output"],
+  smoke: ["screenshot", "baseline", "report-path"],
+  "network.import": ["file"],
+};
+
+function readFile(file, what = "file") {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (e) {
+    throw new Error(`Failed to read ${what}: ${e.message}`);
+  }
+}
+
+/**
+ * Copy of `args` with caller-side files read and paths resolved against the
+ * current working directory. Throws when a file can't be read.
+ */
+function prepareToolArgs(name, args = {}) {
+  const result = { ...args };
+
+  if (name === "smoke" && result.routes) {
+    result.urls = [...(result.urls || []), ...getSmokeRoutes(result.routes)];
+    delete result.routes;
+  }
+  // The host writes smoke reports to the default directory too
+  if (name === "smoke" && result["report-path"] === undefined) {
+    result["report-path"] = getCommandParams(name).find((p) => p.name === "report-path")?.default;
+  }
+  for (const key of PATH_ARGS[name] || []) {
+    if (typeof result[key] === "string") result[key] = path.resolve(result[key]);
+  }
+
+  if (name === "network.mock" && result["body-file"]) {
+    const bodyFile = result["body-file"];
+    result.body = readFile(bodyFile);
+    delete result["body-file"];
+    if (!result["content-type"]) {
+      const ext = String(bodyFile).split(".").pop().toLowerCase();
+      if (MOCK_CONTENT_TYPES[ext]) result["content-type"] = MOCK_CONTENT_TYPES[ext];
+    }
+  }
+
+  if (name === "extract" && typeof result.schema === "string" && !result.schema.trim().startsWith("{")) {
+    try {
+      result.schema = JSON.parse(fs.readFileSync(result.schema, "utf8"));
+    } catch (e) {
+      throw new Error(`Failed to read schema ${result.schema}: ${e.message}`);
+    }
+  }
+
+  if (name === "js" && result.file) {
+    result.code = readFile(result.file);
+    delete result.file;
+  }
+
+  if (name === "batch" && result.file) {
+    try {
+      result.actions = JSON.parse(readFile(result.file));
+    } catch (e) {
+      throw new Error(e instanceof SyntaxError ? `invalid JSON in ${result.file}` : e.message);
+    }
+    delete result.file;
+  }
+
+  return result;
+}
+
+module.exports = {
+  prepareToolArgs,
+};
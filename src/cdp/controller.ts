@@ -22,6 +22,7 @@ interface NetworkRequest {
   responseBody?: string;
   mimeType?: string;
   duration?: number;
+  mocked?: boolean;
 }
 
 export interface NetworkEntry {
@@ -50,9 +51,10 @@ export interface NetworkEntry {
   tabId: number;
   tabUrl?: string;               // Page URL that initiated request
   type?: string;                 // "xhr", "fetch", "document", etc.
+  redirects?: Array<{ url: string; status: number }>;  // Hops that redirected to this URL
   
   // Flags
-  flags: string[];               // ["binary", "truncated", "protobuf", "failed"]
+  flags: string[];               // ["binary", "truncated", "protobuf", "failed", "mocked"]
   
   // Internal tracking
   _requestId: string;            // CDP requestId for lazy loading
@@ -60,6 +62,25 @@ export interface NetworkEntry {
   _loadingFinished: boolean;     // Whether loading finished
 }
 
+export interface IndexedDBStore {
+  name: string;
+  keyPath: string | string[] | null;
+  autoIncrement: boolean;
+  indexes: Array<{ name: string; keyPath: string | string[] | null; unique: boolean; multiEntry: boolean }>;
+}
+
+export interface MockRule {
+  id: string;                    // "m<seq>"
+  urlPattern: string;            // Glob: '*' any chars, '?' one char
+  method?: string;               // Only mock this method (default: any)
+  status: number;
+  headers: Record<string, string>;
+  body: string;
+  hits: number;
+  createdAt: number;
+  error?: string;                // Last failure to fulfill a matching request
+}
+
 interface PendingDialog {
   type: "alert" | "confirm" | "prompt" | "beforeunload";
   message: string;
@@ -135,6 +156,9 @@ export class CDPController {
   private networkRequestStartTimes: Map<string, number> = new Map();
   private pendingDialogs: Map<number, PendingDialog> = new Map();
   private networkEntrySeq = 0; // Sequence counter for unique IDs
+  private mockRules: Map<number, MockRule[]> = new Map();
+  private mockedRequestIds: Map<number, Set<string>> = new Map(); // tabId -> CDP requestIds fulfilled by a mock
+  private mockRuleSeq = 0;
   private static debuggerListenerRegistered = false;
 
   // Body fetch settings
@@ -191,6 +215,8 @@ export class CDPController {
       this.consoleCallbacks.delete(tabId);
       this.networkCallbacks.delete(tabId);
       this.pendingDialogs.delete(tabId);
+      this.mockRules.delete(tabId);
+      this.mockedRequestIds.delete(tabId);
     }
   }
 
@@ -220,6 +246,8 @@ export class CDPController {
         this.networkEntries.delete(tabId);
         this.consoleCallbacks.delete(tabId);
         this.networkCallbacks.delete(tabId);
+        this.mockRules.delete(tabId);
+        this.mockedRequestIds.delete(tabId);
       }
     });
   }
@@ -250,6 +278,9 @@ export class CDPController {
       case "Page.javascriptDialogClosed":
         this.pendingDialogs.delete(tabId);
         break;
+      case "Fetch.requestPaused":
+        this.handleFetchPaused(tabId, params);
+        break;
     }
   }
 
@@ -359,6 +390,12 @@ export class CDPController {
       }
     }
 
+    // A redirect reuses the requestId; keep the hops that led here
+    const previous = params.redirectResponse ? entriesMap.get(params.requestId) : undefined;
+    const redirects = previous
+      ? [...(previous.redirects || []), { url: previous.url, status: params.redirectResponse.status }]
+      : undefined;
+
     // Extract request body info
     const requestBody = req.postData;
     const requestBodySize = requestBody ? requestBody.length : undefined;
@@ -375,7 +412,8 @@ export class CDPController {
       tabId,
       tabUrl: params.documentURL,
       type: params.type,
-      flags: [],
+      ...(redirects && { redirects }),
+      flags: this.mockedRequestIds.get(tabId)?.has(params.requestId) ? ['mocked'] : [],
       _requestId: params.requestId,
       _responseReceived: false,
       _loadingFinished: false,
@@ -510,6 +548,199 @@ export class CDPController {
     }
   }
 
+  private async handleFetchPaused(tabId: number, params: any): Promise<void> {
+    const request = params.request || {};
+    const rule = this.findMockRule(tabId, request.url || "", request.method || "GET");
+
+    try {
+      if (!rule) {
+        await this.send(tabId, "Fetch.continueRequest", { requestId: params.requestId });
+        return;
+      }
+
+      await this.send(tabId, "Fetch.fulfillRequest", {
+        requestId: params.requestId,
+        responseCode: rule.status,
+        responseHeaders: Object.entries(rule.headers).map(([name, value]) => ({ name, value })),
+        body: this.encodeBase64(rule.body),
+      });
+      rule.hits++;
+      if (params.networkId) {
+        this.markMocked(tabId, params.networkId);
+      }
+    } catch (e) {
+      // Request may have been cancelled (navigation, tab closed)
+      if (!rule) return;
+      rule.error = e instanceof Error ? e.message : String(e);
+      // Don't leave it paused: let the real request through
+      try {
+        await this.send(tabId, "Fetch.continueRequest", { requestId: params.requestId });
+      } catch {}
+    }
+  }
+
+  private markMocked(tabId: number, requestId: string): void {
+    if (!this.mockedRequestIds.has(tabId)) {
+      this.mockedRequestIds.set(tabId, new Set());
+    }
+    const ids = this.mockedRequestIds.get(tabId)!;
+    ids.add(requestId);
+    if (ids.size > 500) {
+      const oldest = ids.values().next().value;
+      if (oldest) ids.delete(oldest);
+    }
+
+    const entry = this.networkEntries.get(tabId)?.get(requestId);
+    if (entry && !entry.flags.includes('mocked')) {
+      entry.flags.push('mocked');
+    }
+    const existing = (this.networkRequests.get(tabId) || []).find((r) => r.requestId === requestId);
+    if (existing) {
+      existing.mocked = true;
+    }
+  }
+
+  private findMockRule(tabId: number, url: string, method: string): MockRule | null {
+    const rules = this.mockRules.get(tabId) || [];
+    for (const rule of rules) {
+      if (rule.method && rule.method !== method.toUpperCase()) continue;
+      if (this.globToRegExp(this.toFetchPattern(rule.urlPattern)).test(url)) {
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  // Helper: Patterns without a scheme match anywhere in the URL ("/api/*" -> "*/api/*")
+  private toFetchPattern(pattern: string): string {
+    if (pattern.startsWith("*") || /^[a-z][a-z0-9+.-]*:/i.test(pattern)) {
+      return pattern;
+    }
+    return `*${pattern}`;
+  }
+
+  // Helper: Convert Fetch-domain glob ('*', '?', backslash escape) to RegExp
+  private globToRegExp(pattern: string): RegExp {
+    let regex = "";
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+      if (ch === "\\" && i + 1 < pattern.length) {
+        regex += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      } else if (ch === "*") {
+        regex += ".*";
+      } else if (ch === "?") {
+        regex += ".";
+      } else {
+        regex += ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      }
+    }
+    return new RegExp(`^${regex}$`);
+  }
+
+  // Helper: Base64-encode a UTF-8 string
+  private encodeBase64(text: string): string {
+    const bytes = new TextEncoder().encode(text);
+    let binary = "";
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+
+  private async syncFetchPatterns(tabId: number): Promise<void> {
+    const rules = this.mockRules.get(tabId) || [];
+    if (rules.length === 0) {
+      await this.send(tabId, "Fetch.disable");
+      return;
+    }
+    const patterns = [...new Set(rules.map((r) => this.toFetchPattern(r.urlPattern)))]
+      .map((urlPattern) => ({ urlPattern, requestStage: "Request" }));
+    await this.send(tabId, "Fetch.enable", { patterns });
+  }
+
+  async addMockRule(
+    tabId: number,
+    options: {
+      urlPattern: string;
+      method?: string;
+      status?: number;
+      headers?: Record<string, string>;
+      body?: string;
+      contentType?: string;
+    }
+  ): Promise<{ success: boolean; rule?: MockRule; error?: string }> {
+    if (!options.urlPattern) {
+      return { success: false, error: "urlPattern is required" };
+    }
+    const status = options.status ?? 200;
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      return { success: false, error: `Invalid status: ${options.status}` };
+    }
+
+    const headers: Record<string, string> = { ...(options.headers || {}) };
+    if (!Object.keys(headers).some((k) => k.toLowerCase() === "content-type")) {
+      headers["Content-Type"] = options.contentType || "text/plain";
+    }
+
+    const rule: MockRule = {
+      id: `m${++this.mockRuleSeq}`,
+      urlPattern: options.urlPattern,
+      method: options.method ? options.method.toUpperCase() : undefined,
+      status,
+      headers,
+      body: options.body ?? "",
+      hits: 0,
+      createdAt: Date.now(),
+    };
+
+    await this.ensureAttached(tabId);
+    const rules = this.mockRules.get(tabId) || [];
+    rules.push(rule);
+    this.mockRules.set(tabId, rules);
+
+    try {
+      await this.enableNetworkTracking(tabId);
+      await this.syncFetchPatterns(tabId);
+      return { success: true, rule };
+    } catch (e) {
+      rules.pop();
+      return { success: false, error: e instanceof Error ? e.message : String(e) };
+    }
+  }
+
+  getMockRules(tabId: number): MockRule[] {
+    return [...(this.mockRules.get(tabId) || [])];
+  }
+
+  async removeMockRule(tabId: number, ruleId: string): Promise<{ success: boolean; removed?: number; error?: string }> {
+    const rules = this.mockRules.get(tabId) || [];
+    const remaining = rules.filter((r) => r.id !== ruleId);
+    if (remaining.length === rules.length) {
+      return { success: false, error: `Mock rule not found: ${ruleId}` };
+    }
+    this.mockRules.set(tabId, remaining);
+    try {
+      await this.syncFetchPatterns(tabId);
+      return { success: true, removed: 1 };
+    } catch (e) {
+      return { success: false, error: e instanceof Error ? e.message : String(e) };
+    }
+  }
+
+  async clearMockRules(tabId: number): Promise<{ success: boolean; removed?: number; error?: string }> {
+    const removed = (this.mockRules.get(tabId) || []).length;
+    this.mockRules.delete(tabId);
+    if (removed === 0 || !this.targets.has(tabId)) {
+      return { success: true, removed };
+    }
+    try {
+      await this.send(tabId, "Fetch.disable");
+      return { success: true, removed };
+    } catch (e) {
+      return { success: false, error: e instanceof Error ? e.message : String(e) };
+    }
+  }
+
   private handleDialogOpening(tabId: number, params: any): void {
     this.pendingDialogs.set(tabId, {
       type: params.type,
@@ -769,12 +1000,55 @@ export class CDPController {
       for (const m of result.metrics || []) {
         metrics[m.name] = m.value;
       }
-      return { success: true, metrics };
+      return { success: true, metrics: { ...metrics, ...(await this.getWebVitals(tabId)) } };
     } catch (e) {
       return { success: false, error: e instanceof Error ? e.message : String(e) };
     }
   }
 
+  /**
+   * Paint and loading timings from the page's performance timeline, in ms
+   * since navigation start. Paint metrics are only reported for pages that
+   * were visible while loading.
+   */
+  private async getWebVitals(tabId: number): Promise<Record<string, number>> {
+    let result;
+    try {
+      result = await this.send(tabId, "Runtime.evaluate", {
+        expression: `new Promise((resolve) => {
+          const vitals = {};
+          const nav = performance.getEntriesByType("navigation")[0];
+          if (nav) {
+            vitals.TimeToFirstByte = nav.responseStart;
+            if (nav.domContentLoadedEventEnd) vitals.DomContentLoadedTime = nav.domContentLoadedEventEnd;
+            if (nav.loadEventEnd) vitals.LoadTime = nav.loadEventEnd;
+          }
+          const fcp = performance.getEntriesByName("first-contentful-paint")[0];
+          if (fcp) vitals.FirstContentfulPaint = fcp.startTime;
+          let cls = 0;
+          vitals.CumulativeLayoutShift = 0;
+          try {
+            new PerformanceObserver((list) => {
+              const entries = list.getEntries();
+              if (entries.length) vitals.LargestContentfulPaint = entries[entries.length - 1].startTime;
+            }).observe({ type: "largest-contentful-paint", buffered: true });
+            new PerformanceObserver((list) => {
+              for (const e of list.getEntries()) if (!e.hadRecentInput) cls += e.value;
+              vitals.CumulativeLayoutShift = cls;
+            }).observe({ type: "layout-shift", buffered: true });
+          } catch (e) {}
+          // Buffered entries are delivered in a later task
+          setTimeout(() => resolve(vitals), 50);
+        })`,
+        returnByValue: true,
+        awaitPromise: true,
+      });
+    } catch (e) {
+      return {};
+    }
+    return result.result?.value || {};
+  }
+
   async setFileInputBySelector(tabId: number, selector: string, files: string[]): Promise<{ success: boolean; error?: string }> {
     await this.ensureAttached(tabId);
     try {
@@ -797,6 +1071,149 @@ export class CDPController {
     }
   }
 
+  // Web storage is addressed by origin, which must belong to a frame in the tab
+  async getDOMStorageItems(tabId: number, origin: string, isLocalStorage: boolean): Promise<{ success: boolean; items?: Record<string, string>; error?: string }> {
+    await this.ensureAttached(tabId);
+    try {
+      await this.send(tabId, "DOMStorage.enable");
+      const result = await this.send(tabId, "DOMStorage.getDOMStorageItems", {
+        storageId: { securityOrigin: origin, isLocalStorage },
+      });
+      return { success: true, items: Object.fromEntries(result.entries || []) };
+    } catch (e) {
+      return { success: false, error: e instanceof Error ? e.message : String(e) };
+    }
+  }
+
+  async setDOMStorageItem(tabId: number, origin: string, isLocalStorage: boolean, key: string, value: string): Promise<{ success: boolean; error?: string }> {
+    await this.ensureAttached(tabId);
+    try {
+      await this.send(tabId, "DOMStorage.setDOMStorageItem", {
+        storageId: { securityOrigin: origin, isLocalStorage },
+        key,
+        value,
+      });
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e instanceof Error ? e.message : String(e) };
+    }
+  }
+
+  async removeDOMStorageItem(tabId: number, origin: string, isLocalStorage: boolean, key: string): Promise<{ success: boolean; error?: string }> {
+    await this.ensureAttached(tabId);
+    try {
+      await this.send(tabId, "DOMStorage.removeDOMStorageItem", {
+        storageId: { securityOrigin: origin, isLocalStorage },
+        key,
+      });
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e instanceof Error ? e.message : String(e) };
+    }
+  }
+
+  async clearDOMStorage(tabId: number, origin: string, isLocalStorage: boolean): Promise<{ success: boolean; error?: string }> {
+    await this.ensureAttached(tabId);
+    try {
+      await this.send(tabId, "DOMStorage.clear", {
+        storageId: { securityOrigin: origin, isLocalStorage },
+      });
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e instanceof Error ? e.message : String(e) };
+    }
+  }
+
+  async getIndexedDBDatabases(tabId: number, origin: string): Promise<{
+    success: boolean;
+    databases?: Array<{ name: string; version: number; objectStores: IndexedDBStore[] }>;
+    error?: string;
+  }> {
+    await this.ensureAttached(tabId);
+    // CDP key paths are { type: "null" | "string" | "array", string?, array? }
+    const keyPath = (kp: any) => (kp?.type === "string" ? kp.string : kp?.type === "array" ? kp.array : null);
+    try {
+      await this.send(tabId, "IndexedDB.enable");
+      const { databaseNames } = await this.send(tabId, "IndexedDB.requestDatabaseNames", { securityOrigin: origin });
+      const databases = [];
+      for (const databaseName of databaseNames || []) {
+        const { databaseWithObjectStores: db } = await this.send(tabId, "IndexedDB.requestDatabase", {
+          securityOrigin: origin,
+          databaseName,
+        });
+        databases.push({
+          name: db.name,
+          version: db.version,
+          objectStores: (db.objectStores || []).map((store: any) => ({
+            name: store.name,
+            keyPath: keyPath(store.keyPath),
+            autoIncrement: store.autoIncrement,
+            indexes: (store.indexes || []).map((index: any) => ({
+              name: index.name,
+              keyPath: keyPath(index.keyPath),
+              unique: index.unique,
+              multiEntry: index.multiEntry,
+            })),
+          })),
+        });
+      }
+      return { success: true, databases };
+    } catch (e) {
+      return { success: false, error: e instanceof Error ? e.message : String(e) };
+    }
+  }
+
+  /**
+   * Read records from an object store. Values come back as remote objects
+   * and are converted to JSON in the page.
+   */
+  async getIndexedDBData(
+    tabId: number,
+    origin: string,
+    databaseName: string,
+    objectStoreName: string,
+    { skip = 0, limit = 100 }: { skip?: number; limit?: number } = {},
+  ): Promise<{ success: boolean; entries?: Array<{ key: unknown; value: unknown }>; hasMore?: boolean; error?: string }> {
+    await this.ensureAttached(tabId);
+    const objectIds: string[] = [];
+    const toJson = async (remote: any): Promise<unknown> => {
+      if (!remote?.objectId) return remote?.value ?? null;
+      objectIds.push(remote.objectId);
+      try {
+        const result = await this.send(tabId, "Runtime.callFunctionOn", {
+          objectId: remote.objectId,
+          functionDeclaration: "function() { return JSON.parse(JSON.stringify(this)); }",
+          returnByValue: true,
+        });
+        return result.result?.value ?? remote.description ?? null;
+      } catch {
+        return remote.description ?? null;
+      }
+    };
+    try {
+      await this.send(tabId, "IndexedDB.enable");
+      const result = await this.send(tabId, "IndexedDB.requestData", {
+        securityOrigin: origin,
+        databaseName,
+        objectStoreName,
+        indexName: "",
+        skipCount: skip,
+        pageSize: limit,
+      });
+      const entries = [];
+      for (const entry of result.objectStoreDataEntries || []) {
+        entries.push({ key: await toJson(entry.primaryKey), value: await toJson(entry.value) });
+      }
+      return { success: true, entries, hasMore: result.hasMore };
+    } catch (e) {
+      return { success: false, error: e instanceof Error ? e.message : String(e) };
+    } finally {
+      for (const objectId of objectIds) {
+        this.send(tabId, "Runtime.releaseObject", { objectId }).catch(() => {});
+      }
+    }
+  }
+
   async waitForLoad(tabId: number, timeout: number = 30000): Promise<{ success: boolean; readyState?: string; error?: string }> {
     await this.ensureAttached(tabId);
     const startTime = Date.now();
@@ -1,4 +1,10 @@
-export {};
+import {
+  composedContains,
+  composedTextNodes,
+  getComposedChildren,
+  getComposedElements,
+  getComposedParent,
+} from "./shadow-dom";
 
 declare global {
   interface Window {
@@ -165,6 +171,588 @@ function getOrAssignRef(element: Element, role: string, name: string): string {
   return ref;
 }
 
+/**
+ * document.elementFromPoint stops at shadow hosts; this follows open
+ * shadow roots down to the element actually hit.
+ */
+function elementFromPointDeep(x: number, y: number): Element | null {
+  let element = document.elementFromPoint(x, y);
+  while (element?.shadowRoot) {
+    const inner = element.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === element) break;
+    element = inner;
+  }
+  return element;
+}
+
+/**
+ * IDs are scoped to their shadow root, so look them up there.
+ */
+function getElementByIdInScope(element: Element, id: string): Element | null {
+  const root = element.getRootNode();
+  return root instanceof ShadowRoot ? root.getElementById(id) : document.getElementById(id);
+}
+
+function getElementName(element: Element): string {
+  const tag = element.tagName.toLowerCase();
+
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const names = labelledBy.split(/\s+/).map(id => {
+      const el = getElementByIdInScope(element, id);
+      return el?.textContent?.trim() || '';
+    }).filter(Boolean);
+    if (names.length) {
+      const joined = names.join(' ');
+      return joined.length > 100 ? joined.substring(0, 100) + '...' : joined;
+    }
+  }
+
+  if (tag === "select") {
+    const select = element as HTMLSelectElement;
+    const selected = select.querySelector("option[selected]") || 
+      (select.selectedIndex >= 0 ? select.options[select.selectedIndex] : null);
+    if (selected?.textContent?.trim()) return selected.textContent.trim();
+  }
+
+  const ariaLabel = element.getAttribute("aria-label");
+  if (ariaLabel?.trim()) return ariaLabel.trim();
+
+  const placeholder = element.getAttribute("placeholder");
+  if (placeholder?.trim()) return placeholder.trim();
+
+  const title = element.getAttribute("title");
+  if (title?.trim()) return title.trim();
+
+  const alt = element.getAttribute("alt");
+  if (alt?.trim()) return alt.trim();
+
+  if (element.id) {
+    const label = (element.getRootNode() as Document | ShadowRoot).querySelector(`label[for="${CSS.escape(element.id)}"]`);
+    if (label?.textContent?.trim()) return label.textContent.trim();
+  }
+
+  if (tag === "input") {
+    const input = element as HTMLInputElement;
+    const type = element.getAttribute("type") || "";
+    const value = element.getAttribute("value");
+    if (type === "submit" && value?.trim()) return value.trim();
+    if (input.type !== "password" && input.value && input.value.length < 50 && input.value.trim()) {
+      return input.value.trim();
+    }
+  }
+
+  if (["button", "a", "summary"].includes(tag)) {
+    let textContent = "";
+    for (const node of element.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        textContent += node.textContent;
+      }
+    }
+    if (textContent.trim()) return textContent.trim();
+  }
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = element.textContent;
+    if (text?.trim()) {
+      const t = text.trim();
+      return t.length > 100 ? t.substring(0, 100) + "..." : t;
+    }
+  }
+
+  if (tag === "img") return "";
+
+  let directText = "";
+  for (const node of element.childNodes) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      directText += node.textContent;
+    }
+  }
+  if (directText?.trim() && directText.trim().length >= 3) {
+    const text = directText.trim();
+    return text.length > 100 ? text.substring(0, 100) + "..." : text;
+  }
+
+  return "";
+}
+
+interface ElementLocator {
+  ref?: string;
+  selector?: string;
+  role?: string;
+  name?: string;
+}
+
+function getCssSelector(element: Element): string {
+  if (element.id && document.querySelectorAll(`#${CSS.escape(element.id)}`).length === 1) {
+    return `#${CSS.escape(element.id)}`;
+  }
+  for (const attr of ["data-testid", "data-test", "data-cy"]) {
+    const value = element.getAttribute(attr);
+    if (value) return `[${attr}="${CSS.escape(value)}"]`;
+  }
+  const tag = element.tagName.toLowerCase();
+  const nameAttr = element.getAttribute("name");
+  if (nameAttr && document.querySelectorAll(`${tag}[name="${CSS.escape(nameAttr)}"]`).length === 1) {
+    return `${tag}[name="${CSS.escape(nameAttr)}"]`;
+  }
+
+  const parts: string[] = [];
+  let current: Element | null = element;
+  while (current && current !== document.body && current !== document.documentElement) {
+    if (current.id && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+    const currentTag = current.tagName.toLowerCase();
+    const parent: Element | null = current.parentElement;
+    const siblings = parent ? Array.from(parent.children).filter(c => c.tagName === current!.tagName) : [];
+    parts.unshift(siblings.length > 1 ? `${currentTag}:nth-of-type(${siblings.indexOf(current) + 1})` : currentTag);
+    current = parent;
+  }
+  return parts.join(" > ");
+}
+
+/**
+ * Resolve an element by ref, falling back to CSS selector and then role + name.
+ * A ref only wins if the element still has the recorded role/name, since refs
+ * are reassigned after navigation.
+ */
+function resolveElement(locator: ElementLocator): Element | null {
+  if (locator.ref) {
+    const elementMap = getElementMap();
+    const elemRef = elementMap[locator.ref];
+    let element: Element | undefined;
+    if (elemRef) {
+      element = elemRef.element.deref();
+      if (!element) delete elementMap[locator.ref];
+    }
+    if (!element && window.__piRefs) {
+      element = window.__piRefs[locator.ref];
+    }
+    if (element &&
+        (!locator.role || getResolvedRole(element) === locator.role) &&
+        (!locator.name || getElementName(element) === locator.name)) {
+      return element;
+    }
+  }
+
+  if (locator.selector) {
+    try {
+      const element = document.querySelector(locator.selector);
+      if (element) return element;
+    } catch {
+      // Invalid selector, fall through to role + name
+    }
+  }
+
+  if (locator.role) {
+    for (const element of getComposedElements(document.documentElement)) {
+      if (getResolvedRole(element) !== locator.role) continue;
+      if (locator.name && getElementName(element) !== locator.name) continue;
+      return element;
+    }
+  }
+
+  return null;
+}
+
+function isRendered(element: Element): boolean {
+  if (element.closest("[aria-hidden='true'], [hidden]")) return false;
+  const style = window.getComputedStyle(element);
+  if (style.display === "none" || style.visibility === "hidden") return false;
+  const rect = element.getBoundingClientRect();
+  return rect.width > 0 || rect.height > 0;
+}
+
+interface LocatorStep {
+  by: "role" | "text" | "label" | "placeholder" | "testid" | "css" | "ref";
+  value: string;
+  name?: string;
+  exact?: boolean;
+  nth?: number;
+}
+
+function describeLocator(steps: LocatorStep[]): string {
+  return steps.map(step => {
+    let part = step.by === "role"
+      ? `role=${step.value}${step.name !== undefined ? `[name="${step.name}"]` : ""}`
+      : `${step.by}=${step.exact ? `"${step.value}"` : step.value}`;
+    if (step.nth !== undefined) part += ` >> nth=${step.nth}`;
+    return part;
+  }).join(" >> ");
+}
+
+function matchesText(actual: string, expected: string, exact?: boolean): boolean {
+  const text = actual.replace(/\s+/g, " ").trim();
+  if (exact) return text === expected.trim();
+  return text.toLowerCase().includes(expected.replace(/\s+/g, " ").trim().toLowerCase());
+}
+
+function getLabelText(element: Element): string {
+  const labelledBy = element.getAttribute("aria-labelledby");
+  const parts = labelledBy
+    ? labelledBy.split(/\s+/).map(id => getElementByIdInScope(element, id)?.textContent || "")
+    : [];
+  parts.push(element.getAttribute("aria-label") || "");
+  const labels = (element as HTMLInputElement).labels;
+  if (labels) parts.push(...Array.from(labels).map(l => l.textContent || ""));
+  return parts.filter(p => p.trim()).join(" ");
+}
+
+function matchesStep(element: Element, step: LocatorStep): boolean {
+  switch (step.by) {
+    case "role":
+      return getResolvedRole(element) === step.value &&
+        (step.name === undefined || matchesText(getElementName(element), step.name, step.exact));
+    case "text": {
+      if (["script", "style", "noscript", "template"].includes(element.tagName.toLowerCase())) return false;
+      if (!matchesText(element.textContent || "", step.value, step.exact)) return false;
+      // Innermost match only, not every ancestor of the text
+      return !Array.from(element.children).some(child => matchesText(child.textContent || "", step.value, step.exact));
+    }
+    case "label": {
+      const label = getLabelText(element);
+      return !!label && matchesText(label, step.value, step.exact);
+    }
+    case "placeholder": {
+      const placeholder = element.getAttribute("placeholder");
+      return placeholder !== null && matchesText(placeholder, step.value, step.exact);
+    }
+    case "testid":
+      return element.getAttribute("data-testid") === step.value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Every element matching Playwright-style locator steps inside root, each
+ * step searched within the matches of the one before. Hidden elements are
+ * skipped. `invalid` marks a bad CSS selector rather than a missing match.
+ */
+function findLocatorMatches(
+  steps: LocatorStep[],
+  root: Element = document.documentElement
+): { matches: Element[]; error?: string; invalid?: boolean } {
+  let scopes: Element[] = [root];
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const within = (el: Element) => scopes.some(scope => scope !== el && composedContains(scope, el));
+    let matches: Element[];
+    if (step.by === "ref") {
+      const element = resolveElement({ ref: step.value });
+      matches = element && within(element) ? [element] : [];
+    } else if (step.by === "css") {
+      const found = new Set<Element>();
+      for (const scope of scopes) {
+        try {
+          scope.querySelectorAll(step.value).forEach(el => found.add(el));
+        } catch {
+          return { matches: [], error: `Invalid CSS selector: ${step.value}`, invalid: true };
+        }
+      }
+      matches = Array.from(found);
+    } else {
+      matches = getComposedElements(root)
+        .filter(el => within(el) && matchesStep(el, step) && isRendered(el));
+    }
+
+    const described = describeLocator(steps.slice(0, i + 1));
+    if (step.nth !== undefined) {
+      const picked = matches[step.nth < 0 ? matches.length + step.nth : step.nth];
+      if (!picked) {
+        return { matches: [], error: `${described} is out of range (${matches.length} matches)` };
+      }
+      matches = [picked];
+    }
+    if (matches.length === 0) {
+      return { matches: [], error: `No element matches ${described}` };
+    }
+    scopes = matches;
+  }
+  return { matches: scopes };
+}
+
+/**
+ * Resolve locator steps to one element. Like Playwright, the final step must
+ * match a single element unless it picks one with nth.
+ */
+function resolveLocator(steps: LocatorStep[]): { element: Element | null; error?: string } {
+  const { matches, error } = findLocatorMatches(steps);
+  if (error) return { element: null, error };
+  if (matches.length > 1) {
+    return { element: null, error: `${describeLocator(steps)} matches ${matches.length} elements. Use --nth to pick one.` };
+  }
+  return { element: matches[0] };
+}
+
+/**
+ * Target of an action message: a locator if given, otherwise ref with
+ * selector and role/name fallbacks.
+ */
+function findTarget(message: ElementLocator & { locator?: LocatorStep[] }): { element: Element | null; error?: string } {
+  if (message.locator) return resolveLocator(message.locator);
+  const element = resolveElement(message);
+  if (element) return { element };
+  return { element: null, error: `Element ${message.ref || message.selector} not found. Use read_page to get current elements.` };
+}
+
+type ActionKind = "click" | "hover" | "type";
+
+interface ActionTarget extends ElementLocator {
+  locator?: LocatorStep[];
+  index?: number;
+  x?: number;
+  y?: number;
+  focused?: boolean;
+}
+
+function describeNode(element: Element): string {
+  let text = element.tagName.toLowerCase();
+  if (element.id) return `${text}#${element.id}`;
+  const classes = Array.from(element.classList).slice(0, 2);
+  if (classes.length) text += `.${classes.join(".")}`;
+  return text;
+}
+
+function isEditable(element: Element): boolean {
+  if (element instanceof HTMLTextAreaElement) return true;
+  if (element instanceof HTMLInputElement) {
+    return !["checkbox", "radio", "button", "submit", "reset", "file", "image", "range", "color", "hidden"]
+      .includes(element.type.toLowerCase());
+  }
+  return (element as HTMLElement).isContentEditable;
+}
+
+function isDisabled(element: Element): boolean {
+  if ((element as HTMLButtonElement).disabled) return true;
+  if (element.closest("fieldset:disabled") && element.matches("button, input, select, textarea")) return true;
+  return element.closest("[aria-disabled='true']") !== null;
+}
+
+function findActionTarget(target: ActionTarget): { element: Element | null; error?: string } {
+  if (target.x !== undefined && target.y !== undefined) {
+    const element = elementFromPointDeep(target.x, target.y);
+    return element ? { element } : { element: null, error: `no element at (${target.x}, ${target.y})` };
+  }
+  if (target.focused) return { element: document.activeElement };
+  if (target.selector && !target.ref && !target.locator) {
+    try {
+      const matches = document.querySelectorAll(target.selector);
+      const element = matches[target.index || 0];
+      if (element) return { element };
+      return { element: null, error: matches.length ? `index ${target.index} out of range (found ${matches.length})` : "no elements match selector" };
+    } catch {
+      return { element: null, error: `invalid selector ${target.selector}` };
+    }
+  }
+  return findTarget(target);
+}
+
+/**
+ * One actionability check. `previous` is the rect from the last check, used
+ * to tell whether the element has stopped moving.
+ */
+function checkActionable(
+  target: ActionTarget,
+  action: ActionKind,
+  previous: DOMRect | null
+): { ready: boolean; reason?: string; rect?: DOMRect; x?: number; y?: number } {
+  const { element, error } = findActionTarget(target);
+  if (!element) return { ready: false, reason: error ? `not attached (${error})` : "not attached" };
+  // Typing at the cursor only waits when a form field has focus
+  if (target.focused && !isEditable(element)) return { ready: true };
+  if (!element.isConnected) return { ready: false, reason: "not attached (removed from the page)" };
+  if (!isRendered(element)) return { ready: false, reason: "not visible" };
+  if (action !== "hover" && isDisabled(element)) return { ready: false, reason: "disabled" };
+  if (action === "type") {
+    if (!element.matches("input, select, textarea") && !(element as HTMLElement).isContentEditable) {
+      return { ready: false, reason: "not editable" };
+    }
+    if ((element as HTMLInputElement).readOnly) return { ready: false, reason: "not editable (readonly)" };
+  }
+
+  const rect = element.getBoundingClientRect();
+  if (!previous || previous.x !== rect.x || previous.y !== rect.y ||
+      previous.width !== rect.width || previous.height !== rect.height) {
+    return { ready: false, reason: "not stable (moving or resizing)", rect };
+  }
+  if (target.x !== undefined || target.focused) return { ready: true, rect };
+
+  if (rect.bottom < 0 || rect.top > window.innerHeight || rect.right < 0 || rect.left > window.innerWidth) {
+    element.scrollIntoView({ block: "center", inline: "center" });
+    return { ready: false, reason: "outside the viewport" };
+  }
+  const x = Math.round(rect.left + rect.width / 2);
+  const y = Math.round(rect.top + rect.height / 2);
+  const hit = elementFromPointDeep(x, y);
+  const labels = Array.from((element as HTMLInputElement).labels || []);
+  if (hit && !composedContains(element, hit) && !labels.some(l => composedContains(l, hit))) {
+    return { ready: false, reason: `covered by ${describeNode(hit)}`, rect };
+  }
+  return { ready: true, rect, x, y };
+}
+
+/**
+ * Wait until an action's target is attached, visible, stable, enabled (and
+ * editable for typing) and not covered at its center. On timeout the error
+ * names the check that was still failing.
+ */
+async function waitForActionable(
+  target: ActionTarget,
+  action: ActionKind,
+  timeout: number
+): Promise<{ success: boolean; waited: number; x?: number; y?: number; error?: string }> {
+  const start = Date.now();
+  const delays = [0, 20, 50, 100];
+  let previous: DOMRect | null = null;
+  let reason = "not attached";
+  for (let attempt = 0; Date.now() - start <= timeout; attempt++) {
+    await new Promise(r => setTimeout(r, delays[attempt] ?? 100));
+    const check = checkActionable(target, action, previous);
+    if (check.ready) return { success: true, waited: Date.now() - start, x: check.x, y: check.y };
+    reason = check.reason || reason;
+    previous = check.rect || null;
+  }
+  const what = target.locator ? describeLocator(target.locator)
+    : target.ref || target.selector || (target.x !== undefined ? `(${target.x}, ${target.y})` : "focused element");
+  return {
+    success: false,
+    waited: Date.now() - start,
+    error: `Timed out after ${timeout}ms waiting for ${what} to be ready to ${action}: ${reason}`,
+  };
+}
+
+interface RecordedStep {
+  type: "click" | "type" | "key";
+  ref?: string;
+  selector?: string;
+  role?: string;
+  name?: string;
+  text?: string;
+  key?: string;
+}
+
+let isRecording = false;
+let pendingTyping: { element: Element; step: RecordedStep } | null = null;
+
+const RECORDED_KEYS = new Set(["Enter", "Escape", "Tab"]);
+// Typed passwords are never recorded; replay supplies them with --vars
+const PASSWORD_PLACEHOLDER = "${password}";
+const RECORDED_NAV_KEYS = new Set([
+  "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "PageUp", "PageDown", "Home", "End",
+]);
+
+function describeElement(element: Element): ElementLocator {
+  const role = getResolvedRole(element);
+  const name = getElementName(element);
+  const ref = getOrAssignRef(element, role, name);
+  getElementMap()[ref] = { element: new WeakRef(element), role, name };
+  return { ref, selector: getCssSelector(element), role, name: name || undefined };
+}
+
+function isTextEntry(element: Element): boolean {
+  if (element instanceof HTMLTextAreaElement) return true;
+  if (element instanceof HTMLInputElement) {
+    return !["checkbox", "radio", "button", "submit", "reset", "file", "image", "range", "color"]
+      .includes(element.type.toLowerCase());
+  }
+  return (element as HTMLElement).isContentEditable === true;
+}
+
+function sendRecordedStep(step: RecordedStep): void {
+  chrome.runtime.sendMessage({ type: "RECORD_EVENT", step }).catch(() => {});
+}
+
+function flushPendingTyping(): void {
+  if (!pendingTyping) return;
+  sendRecordedStep(pendingTyping.step);
+  pendingTyping = null;
+}
+
+function onRecordClick(event: MouseEvent): void {
+  if (!event.isTrusted || !(event.target instanceof Element)) return;
+  const target = event.target.closest(
+    "a, button, input, select, textarea, summary, label, [role], [onclick], [tabindex]"
+  ) || event.target;
+  if (pendingTyping?.element === target) return;
+  flushPendingTyping();
+  sendRecordedStep({ type: "click", ...describeElement(target) });
+}
+
+function onRecordInput(event: Event): void {
+  if (!event.isTrusted || !(event.target instanceof Element)) return;
+  const target = event.target;
+  if (target instanceof HTMLSelectElement) {
+    flushPendingTyping();
+    sendRecordedStep({ type: "type", ...describeElement(target), text: target.value });
+    return;
+  }
+  if (!isTextEntry(target)) return;
+  if (pendingTyping && pendingTyping.element !== target) flushPendingTyping();
+  const text = (target as HTMLElement).isContentEditable
+    ? target.textContent || ""
+    : target instanceof HTMLInputElement && target.type === "password"
+      ? PASSWORD_PLACEHOLDER
+      : (target as HTMLInputElement | HTMLTextAreaElement).value;
+  if (!pendingTyping) {
+    pendingTyping = { element: target, step: { type: "type", ...describeElement(target), text } };
+  } else {
+    pendingTyping.step.text = text;
+  }
+}
+
+function onRecordKeydown(event: KeyboardEvent): void {
+  if (!event.isTrusted) return;
+  const modifiers = [
+    event.ctrlKey && "ctrl", event.altKey && "alt", event.metaKey && "meta",
+  ].filter(Boolean) as string[];
+  const inTextEntry = event.target instanceof Element && isTextEntry(event.target);
+
+  let key: string | null = null;
+  if (modifiers.length > 0 && event.key.length === 1) {
+    if (event.shiftKey) modifiers.push("shift");
+    key = [...modifiers, event.key.toLowerCase()].join("+");
+  } else if (RECORDED_KEYS.has(event.key) || (!inTextEntry && RECORDED_NAV_KEYS.has(event.key))) {
+    key = event.key;
+  }
+  if (!key) return;
+
+  flushPendingTyping();
+  sendRecordedStep({ type: "key", key });
+}
+
+function startRecording(): void {
+  if (isRecording || window !== window.top) return;
+  isRecording = true;
+  document.addEventListener("click", onRecordClick, true);
+  document.addEventListener("input", onRecordInput, true);
+  document.addEventListener("change", onRecordInput, true);
+  document.addEventListener("keydown", onRecordKeydown, true);
+  window.addEventListener("pagehide", flushPendingTyping);
+}
+
+/** Stops listening and returns any typing not yet sent, so the caller can append it in order. */
+function stopRecording(): RecordedStep | null {
+  const pending = pendingTyping?.step || null;
+  pendingTyping = null;
+  if (!isRecording) return pending;
+  isRecording = false;
+  document.removeEventListener("click", onRecordClick, true);
+  document.removeEventListener("input", onRecordInput, true);
+  document.removeEventListener("change", onRecordInput, true);
+  document.removeEventListener("keydown", onRecordKeydown, true);
+  window.removeEventListener("pagehide", flushPendingTyping);
+  return pending;
+}
+
+if (window === window.top) {
+  chrome.runtime.sendMessage({ type: "RECORD_STATUS" })
+    .then((status) => { if (status?.recording) startRecording(); })
+    .catch(() => {});
+}
+
 function detectModalStates(): ModalState[] {
   const modals: ModalState[] = [];
   
@@ -397,84 +985,7 @@ function generateAccessibilityTree(
     }
 
     function getName(element: Element): string {
-      const tag = element.tagName.toLowerCase();
-
-      const labelledBy = element.getAttribute('aria-labelledby');
-      if (labelledBy) {
-        const names = labelledBy.split(/\s+/).map(id => {
-          const el = document.getElementById(id);
-          return el?.textContent?.trim() || '';
-        }).filter(Boolean);
-        if (names.length) {
-          const joined = names.join(' ');
-          return joined.length > 100 ? joined.substring(0, 100) + '...' : joined;
-        }
-      }
-
-      if (tag === "select") {
-        const select = element as HTMLSelectElement;
-        const selected = select.querySelector("option[selected]") || 
-          (select.selectedIndex >= 0 ? select.options[select.selectedIndex] : null);
-        if (selected?.textContent?.trim()) return selected.textContent.trim();
-      }
-
-      const ariaLabel = element.getAttribute("aria-label");
-      if (ariaLabel?.trim()) return ariaLabel.trim();
-
-      const placeholder = element.getAttribute("placeholder");
-      if (placeholder?.trim()) return placeholder.trim();
-
-      const title = element.getAttribute("title");
-      if (title?.trim()) return title.trim();
-
-      const alt = element.getAttribute("alt");
-      if (alt?.trim()) return alt.trim();
-
-      if (element.id) {
-        const label = document.querySelector(`label[for="${element.id}"]`);
-        if (label?.textContent?.trim()) return label.textContent.trim();
-      }
-
-      if (tag === "input") {
-        const input = element as HTMLInputElement;
-        const type = element.getAttribute("type") || "";
-        const value = element.getAttribute("value");
-        if (type === "submit" && value?.trim()) return value.trim();
-        if (input.value && input.value.length < 50 && input.value.trim()) return input.value.trim();
-      }
-
-      if (["button", "a", "summary"].includes(tag)) {
-        let textContent = "";
-        for (const node of element.childNodes) {
-          if (node.nodeType === Node.TEXT_NODE) {
-            textContent += node.textContent;
-          }
-        }
-        if (textContent.trim()) return textContent.trim();
-      }
-
-      if (/^h[1-6]$/.test(tag)) {
-        const text = element.textContent;
-        if (text?.trim()) {
-          const t = text.trim();
-          return t.length > 100 ? t.substring(0, 100) + "..." : t;
-        }
-      }
-
-      if (tag === "img") return "";
-
-      let directText = "";
-      for (const node of element.childNodes) {
-        if (node.nodeType === Node.TEXT_NODE) {
-          directText += node.textContent;
-        }
-      }
-      if (directText?.trim() && directText.trim().length >= 3) {
-        const text = directText.trim();
-        return text.length > 100 ? text.substring(0, 100) + "..." : text;
-      }
-
-      return "";
+      return getElementName(element);
     }
 
     interface AriaProps {
@@ -614,6 +1125,8 @@ function generateAccessibilityTree(
         }
       }
 
+      // Frames are kept so their trees can be merged in
+      if (tag === "iframe" || tag === "frame") return true;
       if (options.filter === "interactive") return isInteractive(element);
       if (isInteractive(element)) return true;
       if (isLandmark(element)) return true;
@@ -631,7 +1144,8 @@ function generateAccessibilityTree(
       const include = shouldInclude(element, options) || (refId && depth === 0);
 
       if (include) {
-        const role = getRole(element);
+        const isFrame = element instanceof HTMLIFrameElement || element instanceof HTMLFrameElement;
+        const role = isFrame ? "iframe" : getRole(element);
         const name = getName(element);
         const ariaProps = getAriaProps(element);
 
@@ -667,11 +1181,15 @@ function generateAccessibilityTree(
         const placeholder = element.getAttribute("placeholder");
         if (placeholder) line += ` placeholder="${placeholder}"`;
 
+        // The service worker merges the frame's own tree in below this line
+        const frameId = isFrame ? getChildFrameId(element) : -1;
+        if (frameId > 0) line += ` [frame=${frameId}]`;
+
         lines.push(line);
       }
 
       if (depth < maxDepth) {
-        for (const child of element.children) {
+        for (const child of getComposedChildren(element)) {
           lines.push(...traverse(child, include ? depth + 1 : depth));
         }
       }
@@ -680,7 +1198,7 @@ function generateAccessibilityTree(
     }
 
     function normalizeLineForDiff(line: string): string {
-      return line.replace(/\[e\d+\]/g, '[REF]');
+      return line.replace(/\[e\d+\]/g, '[REF]').replace(/ \[frame=\d+\]$/, '');
     }
 
     function countOccurrences(lines: string[]): Map<string, number> {
@@ -839,84 +1357,7 @@ function generateYamlTree(
     }
 
     function getName(element: Element): string {
-      const tag = element.tagName.toLowerCase();
-
-      const labelledBy = element.getAttribute('aria-labelledby');
-      if (labelledBy) {
-        const names = labelledBy.split(/\s+/).map(id => {
-          const el = document.getElementById(id);
-          return el?.textContent?.trim() || '';
-        }).filter(Boolean);
-        if (names.length) {
-          const joined = names.join(' ');
-          return joined.length > 100 ? joined.substring(0, 100) + '...' : joined;
-        }
-      }
-
-      if (tag === "select") {
-        const select = element as HTMLSelectElement;
-        const selected = select.querySelector("option[selected]") || 
-          (select.selectedIndex >= 0 ? select.options[select.selectedIndex] : null);
-        if (selected?.textContent?.trim()) return selected.textContent.trim();
-      }
-
-      const ariaLabel = element.getAttribute("aria-label");
-      if (ariaLabel?.trim()) return ariaLabel.trim();
-
-      const placeholder = element.getAttribute("placeholder");
-      if (placeholder?.trim()) return placeholder.trim();
-
-      const title = element.getAttribute("title");
-      if (title?.trim()) return title.trim();
-
-      const alt = element.getAttribute("alt");
-      if (alt?.trim()) return alt.trim();
-
-      if (element.id) {
-        const label = document.querySelector(`label[for="${element.id}"]`);
-        if (label?.textContent?.trim()) return label.textContent.trim();
-      }
-
-      if (tag === "input") {
-        const input = element as HTMLInputElement;
-        const type = element.getAttribute("type") || "";
-        const value = element.getAttribute("value");
-        if (type === "submit" && value?.trim()) return value.trim();
-        if (input.value && input.value.length < 50 && input.value.trim()) return input.value.trim();
-      }
-
-      if (["button", "a", "summary"].includes(tag)) {
-        let textContent = "";
-        for (const node of element.childNodes) {
-          if (node.nodeType === Node.TEXT_NODE) {
-            textContent += node.textContent;
-          }
-        }
-        if (textContent.trim()) return textContent.trim();
-      }
-
-      if (/^h[1-6]$/.test(tag)) {
-        const text = element.textContent;
-        if (text?.trim()) {
-          const t = text.trim();
-          return t.length > 100 ? t.substring(0, 100) + "..." : t;
-        }
-      }
-
-      if (tag === "img") return "";
-
-      let directText = "";
-      for (const node of element.childNodes) {
-        if (node.nodeType === Node.TEXT_NODE) {
-          directText += node.textContent;
-        }
-      }
-      if (directText?.trim() && directText.trim().length >= 3) {
-        const text = directText.trim();
-        return text.length > 100 ? text.substring(0, 100) + "..." : text;
-      }
-
-      return "";
+      return getElementName(element);
     }
 
     interface AriaProps {
@@ -1109,10 +1550,7 @@ function generateYamlTree(
         const key = buildKey(role, name, element, ariaProps);
         const props = getElementProps(element);
         
-        const children: Element[] = [];
-        for (const child of element.children) {
-          children.push(child);
-        }
+        const children = getComposedChildren(element);
         
         const hasChildren = children.length > 0;
         const hasProps = Object.keys(props).length > 0;
@@ -1129,7 +1567,7 @@ function generateYamlTree(
           }
         }
       } else {
-        for (const child of element.children) {
+        for (const child of getComposedChildren(element)) {
           traverse(child, depth, parentIncluded);
         }
       }
@@ -1180,11 +1618,76 @@ function getElementCoordinates(ref: string): { x: number; y: number; error?: str
     return { x: 0, y: 0, error: `Element ${ref} not found. Use read_page to get current elements.` };
   }
 
+  return getElementCenter(element);
+}
+
+/**
+ * Extension frame ID of an iframe's document, or -1. chrome.runtime.getFrameId
+ * (Chrome 106+) is missing from our @types/chrome.
+ */
+function getChildFrameId(frame: Element): number {
+  const runtime = chrome.runtime as typeof chrome.runtime & { getFrameId?: (target: Element) => number };
+  try {
+    return runtime.getFrameId ? runtime.getFrameId(frame) : -1;
+  } catch {
+    return -1;
+  }
+}
+
+/**
+ * Where a child frame's viewport starts, relative to this frame's viewport.
+ */
+function getFrameRect(frameId: number): { x: number; y: number } | { error: string } {
+  for (const frame of document.querySelectorAll("iframe, frame")) {
+    if (getChildFrameId(frame) !== frameId) continue;
+    const rect = frame.getBoundingClientRect();
+    const style = window.getComputedStyle(frame);
+    return {
+      x: rect.left + frame.clientLeft + parseFloat(style.paddingLeft || "0"),
+      y: rect.top + frame.clientTop + parseFloat(style.paddingTop || "0"),
+    };
+  }
+  return { error: `Frame ${frameId} not found in parent` };
+}
+
+function getElementCenter(element: Element): { x: number; y: number } {
   const rect = element.getBoundingClientRect();
-  const x = Math.round(rect.left + rect.width / 2);
-  const y = Math.round(rect.top + rect.height / 2);
+  return { x: Math.round(rect.left + rect.width / 2), y: Math.round(rect.top + rect.height / 2) };
+}
 
-  return { x, y };
+type ElementRect = { target: string; x: number; y: number; width: number; height: number };
+
+/**
+ * Viewport rects for refs and CSS selectors. A selector yields a rect for
+ * every matching element; targets with no match are listed in `missing`.
+ */
+function getElementRects(targets: string[]): {
+  rects: ElementRect[];
+  missing: string[];
+  viewport: { width: number; height: number };
+} {
+  const rects: ElementRect[] = [];
+  const missing: string[] = [];
+  for (const target of targets) {
+    let elements: Element[] = [];
+    if (/^e\d+$/.test(target)) {
+      const element = resolveElement({ ref: target });
+      if (element) elements = [element];
+    } else {
+      try {
+        elements = Array.from(document.querySelectorAll(target));
+      } catch {}
+    }
+    if (elements.length === 0) {
+      missing.push(target);
+      continue;
+    }
+    for (const element of elements) {
+      const rect = element.getBoundingClientRect();
+      rects.push({ target, x: rect.left, y: rect.top, width: rect.width, height: rect.height });
+    }
+  }
+  return { rects, missing, viewport: { width: window.innerWidth, height: window.innerHeight } };
 }
 
 function setFormValue(ref: string, value: string | boolean | number): { success: boolean; error?: string } {
@@ -1264,8 +1767,8 @@ function getPageText(): { text: string; title: string; url: string; error?: stri
     const main = document.querySelector("main");
     const content = article || main || document.body;
 
-    const text = content.textContent
-      ?.replace(/\s+/g, " ")
+    const text = Array.from(composedTextNodes(content), node => node.data).join("")
+      .replace(/\s+/g, " ")
       .trim()
       .substring(0, 50000) || "";
 
@@ -1383,6 +1886,248 @@ function uploadImage(
   }
 }
 
+type AuditSeverity = "error" | "warning" | "info";
+
+interface AuditIssue {
+  rule: string;
+  severity: AuditSeverity;
+  message: string;
+  ref?: string;
+  selector?: string;
+  role?: string;
+  name?: string;
+}
+
+const AUDIT_SEVERITY_RANK: Record<AuditSeverity, number> = { error: 0, warning: 1, info: 2 };
+
+const LABELABLE_ROLES = new Set([
+  "checkbox", "combobox", "listbox", "radio", "searchbox", "slider", "spinbutton", "switch", "textbox",
+]);
+
+/**
+ * Accessible name as a screen reader would compute it, including text in
+ * descendants and image alt text, which getElementName leaves out.
+ */
+function getAuditName(element: Element): string {
+  const labelledBy = element.getAttribute("aria-labelledby");
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/)
+      .map(id => document.getElementById(id)?.textContent?.trim() || "")
+      .filter(Boolean)
+      .join(" ");
+    if (text) return text;
+  }
+  const ariaLabel = element.getAttribute("aria-label")?.trim();
+  if (ariaLabel) return ariaLabel;
+
+  const tag = element.tagName.toLowerCase();
+  if (element instanceof HTMLInputElement && ["submit", "reset", "button"].includes(element.type)) {
+    if (element.value.trim()) return element.value.trim();
+    if (element.type !== "button") return element.type;
+  }
+  if (element instanceof HTMLInputElement && element.type === "image") {
+    return element.alt.trim() || element.title.trim();
+  }
+  if (element instanceof HTMLInputElement || element instanceof HTMLSelectElement || element instanceof HTMLTextAreaElement) {
+    const labels = Array.from(element.labels || []).map(l => l.textContent?.trim() || "").filter(Boolean);
+    if (labels.length) return labels.join(" ");
+    return element.title.trim();
+  }
+  if (tag === "img") return element.getAttribute("alt")?.trim() || element.getAttribute("title")?.trim() || "";
+
+  let text = "";
+  const walk = (node: Node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += child.textContent;
+      } else if (child instanceof Element && child.getAttribute("aria-hidden") !== "true") {
+        if (child.tagName.toLowerCase() === "img") text += ` ${child.getAttribute("alt") || ""} `;
+        else if (child.getAttribute("aria-label")) text += ` ${child.getAttribute("aria-label")} `;
+        else walk(child);
+      }
+    }
+  };
+  walk(element);
+  return text.replace(/\s+/g, " ").trim() || element.getAttribute("title")?.trim() || "";
+}
+
+function parseCssColor(value: string): [number, number, number, number] | null {
+  const match = value.match(/rgba?\(([^)]+)\)/);
+  if (!match) return null;
+  const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+  if (parts.length < 3 || parts.some(isNaN)) return null;
+  return [parts[0], parts[1], parts[2], parts[3] ?? 1];
+}
+
+function relativeLuminance([r, g, b]: number[]): number {
+  const [rl, gl, bl] = [r, g, b].map(c => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * rl + 0.7152 * gl + 0.0722 * bl;
+}
+
+function contrastRatio(fg: number[], bg: number[]): number {
+  const [light, dark] = [relativeLuminance(fg), relativeLuminance(bg)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Opaque background behind an element, blending translucent layers up the
+ * tree. Null when an ancestor has a background image, since the color under
+ * the text can't be known.
+ */
+function getEffectiveBackground(element: Element): number[] | null {
+  const layers: number[][] = [];
+  for (let el: Element | null = element; el; el = el.parentElement) {
+    const style = window.getComputedStyle(el);
+    if (style.backgroundImage && style.backgroundImage !== "none") return null;
+    const color = parseCssColor(style.backgroundColor);
+    if (color && color[3] > 0) {
+      layers.push(color);
+      if (color[3] >= 1) break;
+    }
+  }
+  let result = [255, 255, 255];
+  for (const [r, g, b, a] of layers.reverse()) {
+    result = [r * a + result[0] * (1 - a), g * a + result[1] * (1 - a), b * a + result[2] * (1 - a)];
+  }
+  return result;
+}
+
+function auditContrast(issues: AuditIssue[], report: (element: Element, issue: Omit<AuditIssue, "ref">) => void) {
+  const checked = new Set<Element>();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const element = node.parentElement;
+    if (!element || checked.has(element) || !node.textContent?.trim()) continue;
+    checked.add(element);
+    if (["script", "style", "noscript"].includes(element.tagName.toLowerCase())) continue;
+    if (!isRendered(element)) continue;
+    if (element.closest("button:disabled, input:disabled, select:disabled, textarea:disabled, [aria-disabled='true']")) continue;
+
+    const style = window.getComputedStyle(element);
+    const fg = parseCssColor(style.color);
+    const bg = getEffectiveBackground(element);
+    if (!fg || !bg || parseFloat(style.opacity) === 0) continue;
+    const text = fg[3] < 1 ? fg.slice(0, 3).map((c, i) => c * fg[3] + bg[i] * (1 - fg[3])) : fg;
+    const ratio = contrastRatio(text, bg);
+    const size = parseFloat(style.fontSize);
+    const large = size >= 24 || (size >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+    const required = large ? 3 : 4.5;
+    if (ratio < required) {
+      report(element, {
+        rule: "color-contrast",
+        severity: "error",
+        message: `Text contrast ${ratio.toFixed(2)}:1 is below ${required}:1 ("${node.textContent.trim().slice(0, 40)}")`,
+      });
+    }
+    if (issues.length >= 500) break;
+  }
+}
+
+/**
+ * Check the page for common accessibility problems. Each issue names the
+ * element's ref so it can be inspected or acted on. Issues below `severity`
+ * are left out.
+ */
+function auditAccessibility(severity: AuditSeverity = "info"): {
+  url: string;
+  issues: AuditIssue[];
+  summary: Record<AuditSeverity, number>;
+} {
+  const issues: AuditIssue[] = [];
+  const report = (element: Element | null, issue: Omit<AuditIssue, "ref">) => {
+    issues.push(element ? { ...issue, ...describeElement(element) } : issue);
+  };
+
+  for (const element of document.body.querySelectorAll("*")) {
+    if (!isRendered(element)) continue;
+    const tag = element.tagName.toLowerCase();
+    const role = getResolvedRole(element);
+
+    if (tag === "img" && !element.hasAttribute("alt") && role === "img") {
+      report(element, { rule: "image-alt", severity: "error", message: "Image has no alt attribute" });
+    } else if (role === "img" && tag !== "img" && !getAuditName(element)) {
+      report(element, { rule: "image-alt", severity: "error", message: "Element with role=img has no accessible name" });
+    } else if (element instanceof HTMLInputElement && element.type === "image" && !getAuditName(element)) {
+      report(element, { rule: "image-alt", severity: "error", message: "Image button has no alt text" });
+    } else if (role === "button" && !getAuditName(element)) {
+      report(element, { rule: "button-name", severity: "error", message: "Button has no accessible name" });
+    } else if (role === "link" && !getAuditName(element)) {
+      report(element, { rule: "link-name", severity: "error", message: "Link has no accessible name" });
+    } else if (LABELABLE_ROLES.has(role) && !(element instanceof HTMLInputElement && element.type === "hidden")) {
+      if (getAuditName(element)) continue;
+      if (element.getAttribute("placeholder")?.trim()) {
+        report(element, { rule: "label", severity: "warning", message: "Form control is labelled only by its placeholder" });
+      } else {
+        report(element, { rule: "label", severity: "error", message: "Form control has no label" });
+      }
+    }
+  }
+
+  const ids = new Map<string, Element[]>();
+  for (const element of document.querySelectorAll("[id]")) {
+    if (!element.id) continue;
+    ids.set(element.id, [...(ids.get(element.id) || []), element]);
+  }
+  for (const [id, elements] of ids) {
+    if (elements.length < 2) continue;
+    const referenced = document.querySelector(
+      `label[for="${CSS.escape(id)}"], [aria-labelledby~="${CSS.escape(id)}"], [aria-describedby~="${CSS.escape(id)}"], [aria-controls~="${CSS.escape(id)}"]`
+    );
+    report(elements[1], {
+      rule: "duplicate-id",
+      severity: referenced ? "error" : "warning",
+      message: `id "${id}" is used by ${elements.length} elements${referenced ? " and referenced by a label or ARIA attribute" : ""}`,
+    });
+  }
+
+  const headings = Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6, [role='heading']"))
+    .filter(isRendered);
+  let previousLevel = 0;
+  for (const heading of headings) {
+    const level = /^h[1-6]$/i.test(heading.tagName)
+      ? parseInt(heading.tagName[1], 10)
+      : parseInt(heading.getAttribute("aria-level") || "2", 10);
+    if (!getAuditName(heading)) {
+      report(heading, { rule: "empty-heading", severity: "warning", message: `Heading level ${level} has no text` });
+    }
+    if (previousLevel && level > previousLevel + 1) {
+      report(heading, {
+        rule: "heading-order",
+        severity: "warning",
+        message: `Heading level ${level} follows level ${previousLevel}, skipping level ${previousLevel + 1}`,
+      });
+    }
+    previousLevel = level;
+  }
+  if (headings.length > 0 && !headings.some(h => h.tagName.toLowerCase() === "h1" || h.getAttribute("aria-level") === "1")) {
+    report(null, { rule: "page-has-heading-one", severity: "info", message: "Page has no level-one heading" });
+  }
+
+  auditContrast(issues, report);
+
+  if (!document.querySelector("main, [role='main']")) {
+    report(null, { rule: "landmark-main", severity: "warning", message: "Page has no main landmark" });
+  }
+  if (!document.documentElement.getAttribute("lang")?.trim()) {
+    report(null, { rule: "html-lang", severity: "warning", message: "<html> element has no lang attribute" });
+  }
+  if (!document.title.trim()) {
+    report(null, { rule: "document-title", severity: "warning", message: "Page has no title" });
+  }
+
+  const maxRank = AUDIT_SEVERITY_RANK[severity] ?? AUDIT_SEVERITY_RANK.info;
+  const reported = issues
+    .filter(issue => AUDIT_SEVERITY_RANK[issue.severity] <= maxRank)
+    .sort((a, b) => AUDIT_SEVERITY_RANK[a.severity] - AUDIT_SEVERITY_RANK[b.severity]);
+  const summary = { error: 0, warning: 0, info: 0 };
+  for (const issue of reported) summary[issue.severity]++;
+  return { url: location.href, issues: reported, summary };
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case "GENERATE_ACCESSIBILITY_TREE": {
@@ -1416,23 +2161,31 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       break;
     }
     case "GET_ELEMENT_COORDINATES": {
+      if (message.locator) {
+        const { element, error } = resolveLocator(message.locator);
+        sendResponse(element ? getElementCenter(element) : { x: 0, y: 0, error });
+        break;
+      }
       const result = getElementCoordinates(message.ref);
       sendResponse(result);
       break;
     }
+    case "WAIT_FOR_ACTIONABLE": {
+      waitForActionable(message.target || {}, message.action || "click", message.timeout ?? 5000).then(sendResponse);
+      return true;
+    }
+    case "GET_FRAME_RECT": {
+      sendResponse(getFrameRect(message.frameId));
+      break;
+    }
+    case "GET_ELEMENT_RECTS": {
+      sendResponse(getElementRects(message.targets || []));
+      break;
+    }
     case "CLICK_ELEMENT": {
-      const elementMap = getElementMap();
-      const elemRef = elementMap[message.ref];
-      let element: Element | undefined;
-      if (elemRef) {
-        element = elemRef.element.deref();
-        if (!element) delete elementMap[message.ref];
-      }
-      if (!element && window.__piRefs) {
-        element = window.__piRefs[message.ref];
-      }
+      const { element, error } = findTarget(message);
       if (!element) {
-        sendResponse({ error: `Element ${message.ref} not found. Use read_page to get current elements.` });
+        sendResponse({ error });
         break;
       }
       if (message.button === "triple") {
@@ -1471,6 +2224,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       break;
     }
     case "SCROLL_TO_ELEMENT": {
+      if (message.locator) {
+        const { element, error } = resolveLocator(message.locator);
+        element?.scrollIntoView({ behavior: "smooth", block: "center" });
+        sendResponse(element ? { success: true } : { success: false, error });
+        break;
+      }
       const result = scrollToElement(message.ref);
       sendResponse(result);
       break;
@@ -1699,23 +2458,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ error: "data must be an array of {ref, value} pairs" });
         return true;
       }
-      const elementMap = getElementMap();
       const results: { ref: string; success: boolean; error?: string }[] = [];
       for (const item of data) {
-        const { ref, value } = item;
+        const { value } = item;
+        const ref = item.ref || item.selector || (item.locator && describeLocator(item.locator));
         if (!ref) {
-          results.push({ ref: ref || "unknown", success: false, error: "Missing ref" });
+          results.push({ ref: "unknown", success: false, error: "Missing ref" });
           continue;
         }
-        const elemRef = elementMap[ref];
-        if (!elemRef) {
-          results.push({ ref, success: false, error: "Element not found (run page.read first)" });
-          continue;
-        }
-        const el = elemRef.element.deref() as HTMLElement | null;
+        const found = item.locator ? resolveLocator(item.locator) : { element: resolveElement(item) };
+        const el = found.element as HTMLElement | null;
         if (!el) {
-          delete elementMap[ref];
-          results.push({ ref, success: false, error: "Element no longer exists" });
+          results.push({ ref, success: false, error: found.error || "Element not found (run page.read first)" });
           continue;
         }
         try {
@@ -1870,10 +2624,35 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true;
     }
+    case "RECORD_START": {
+      startRecording();
+      sendResponse({ success: true });
+      break;
+    }
+    case "RECORD_STOP": {
+      const pendingStep = stopRecording();
+      sendResponse({ success: true, pendingStep });
+      break;
+    }
     case "SEARCH_PAGE": {
-      const { term, caseSensitive, limit } = message;
-      const matches = searchPageText(term, caseSensitive || false, limit || 10);
-      sendResponse({ query: term, count: matches.length, matches });
+      const { matches, error } = searchPageText(message);
+      sendResponse(error ? { error } : { query: message.term, count: matches.length, matches });
+      break;
+    }
+    case "EXTRACT": {
+      sendResponse(extractData(message.schema, message.next));
+      break;
+    }
+    case "TABLE_LIST": {
+      sendResponse(listTables());
+      break;
+    }
+    case "TABLE_GET": {
+      getTable(message.ref, { scroll: message.scroll, maxRows: message.maxRows }).then(sendResponse);
+      return true;
+    }
+    case "A11Y_AUDIT": {
+      sendResponse(auditAccessibility(message.severity));
       break;
     }
     case "GET_ELEMENT_BOUNDS_FOR_ANNOTATION": {
@@ -1910,67 +2689,527 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return false;
 });
 
-function searchPageText(term: string, caseSensitive: boolean, limit: number) {
-  const matches: Array<{
-    ref: string;
-    text: string;
-    context: string;
-    bounds: { x: number; y: number; width: number; height: number };
-    elementRef: string | null;
-  }> = [];
-  
-  const searchTerm = caseSensitive ? term : term.toLowerCase();
-  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
-  const elementMap = getElementMap();
-  let matchIndex = 0;
-  
-  while (walker.nextNode() && matches.length < limit) {
-    const node = walker.currentNode;
-    const textContent = node.textContent || "";
-    const searchIn = caseSensitive ? textContent : textContent.toLowerCase();
-    
-    let pos = 0;
-    while ((pos = searchIn.indexOf(searchTerm, pos)) !== -1 && matches.length < limit) {
-      const parent = node.parentElement;
-      if (!parent) { pos++; continue; }
-      
+type ExtractSpec = {
+  target?: LocatorStep[];
+  items?: LocatorStep[];
+  fields?: Record<string, ExtractSpec>;
+  attr?: string;
+  type?: "string" | "number" | "boolean";
+  all?: boolean;
+};
+
+/**
+ * Matches of a schema target inside scope. A target that matches nothing is
+ * an empty field, not an error; a bad selector is.
+ */
+function findExtractMatches(steps: LocatorStep[], scope: Element): Element[] {
+  const { matches, error, invalid } = findLocatorMatches(steps, scope);
+  if (invalid) throw new Error(error);
+  return matches;
+}
+
+function extractValue(element: Element, spec: ExtractSpec): string | number | boolean | null {
+  if (spec.type === "boolean") return spec.attr ? element.hasAttribute(spec.attr) : true;
+  let value: string | null;
+  if (!spec.attr) {
+    value = Array.from(composedTextNodes(element), node => node.data).join("").replace(/\s+/g, " ").trim();
+  } else if (spec.attr === "value" && "value" in element) {
+    value = String((element as HTMLInputElement).value);
+  } else {
+    value = element.getAttribute(spec.attr);
+    // Links and sources come back absolute
+    if (value !== null && (spec.attr === "href" || spec.attr === "src")) {
+      try {
+        value = new URL(value, document.baseURI).href;
+      } catch {}
+    }
+  }
+  if (value === null || spec.type !== "number") return value;
+  const number = parseFloat(value.replace(/[^\d.-]/g, ""));
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Extract one schema field from scope: a value, a list of values with
+ * `all`, a record with `fields`, or a list of records with `items`.
+ */
+function extractField(spec: ExtractSpec, scope: Element): unknown {
+  const elements = spec.target ? findExtractMatches(spec.target, scope) : [scope];
+  if (spec.fields) {
+    const base = elements[0];
+    if (!base) return spec.items ? [] : null;
+    const extractRecord = (element: Element) => Object.fromEntries(
+      Object.entries(spec.fields!).map(([name, field]) => [name, extractField(field, element)])
+    );
+    return spec.items ? findExtractMatches(spec.items, base).map(extractRecord) : extractRecord(base);
+  }
+  if (spec.all) return elements.map(element => extractValue(element, spec));
+  if (elements.length === 0) return spec.type === "boolean" ? false : null;
+  return extractValue(elements[0], spec);
+}
+
+/**
+ * Run an extraction schema on the page. With `next`, also report how to
+ * reach the following page: its link URL, or a click when it isn't a link.
+ */
+function extractData(
+  schema: ExtractSpec,
+  next?: LocatorStep[]
+): { url: string; data: unknown; next?: { url?: string; click?: boolean }; error?: string } {
+  const url = window.location.href;
+  try {
+    const data = extractField(schema, document.documentElement);
+    if (!next) return { url, data };
+    const [link] = findExtractMatches(next, document.documentElement);
+    if (!link || !isRendered(link) || isDisabled(link)) return { url, data };
+    const href = link.closest("a[href]")?.getAttribute("href");
+    const target = href ? new URL(href, document.baseURI) : null;
+    if (target && /^https?:$/.test(target.protocol) && target.href.split("#")[0] !== url.split("#")[0]) {
+      return { url, data, next: { url: target.href } };
+    }
+    return { url, data, next: { click: true } };
+  } catch (e) {
+    return { url, data: null, error: e instanceof Error ? e.message : String(e) };
+  }
+}
+
+const TABLE_ROLES = new Set(["table", "grid", "treegrid"]);
+const TABLE_CELL_ROLES = new Set(["cell", "gridcell", "columnheader", "rowheader"]);
+const DEFAULT_TABLE_MAX_ROWS = 5000;
+const TABLE_SCROLL_DELAY = 150;
+const TABLE_SCROLL_TIMEOUT = 20000;
+
+type TableRow = { element: Element; index?: number; cells: string[] };
+
+/**
+ * Composed descendants of root with one of roles, not descending into
+ * matches or into nested tables.
+ */
+function findTableParts(root: Element, roles: Set<string>): Element[] {
+  const parts: Element[] = [];
+  const walk = (element: Element) => {
+    for (const child of getComposedChildren(element)) {
+      const role = getResolvedRole(child);
+      if (roles.has(role)) parts.push(child);
+      else if (!TABLE_ROLES.has(role)) walk(child);
+    }
+  };
+  walk(root);
+  return parts;
+}
+
+function getCellSpan(cell: Element, axis: "col" | "row"): number {
+  const span = cell instanceof HTMLTableCellElement
+    ? (axis === "col" ? cell.colSpan : cell.rowSpan)
+    : parseInt(cell.getAttribute(`aria-${axis}span`) || "1", 10);
+  return Number.isFinite(span) && span > 0 ? span : 1;
+}
+
+function getAriaIndex(element: Element, attr: string): number | undefined {
+  const index = parseInt(element.getAttribute(attr) || "", 10);
+  return index > 0 ? index : undefined;
+}
+
+function getCellText(cell: Element): string {
+  const text = Array.from(composedTextNodes(cell), node => node.data).join("").replace(/\s+/g, " ").trim();
+  if (text) return text;
+  // Editable grids render values in form controls
+  const control = getComposedElements(cell).find(el =>
+    el instanceof HTMLInputElement || el instanceof HTMLSelectElement || el instanceof HTMLTextAreaElement
+  ) as HTMLInputElement | undefined;
+  if (!control) return "";
+  return ["checkbox", "radio"].includes(control.type) ? String(control.checked) : control.value;
+}
+
+/**
+ * The rendered rows of a table or ARIA grid as a matrix, spanned cells
+ * repeated in every row and column they cover. Leading rows in a thead or
+ * made only of column headers are the header rows.
+ */
+function readTable(table: Element): { headerRows: string[][]; rows: TableRow[] } {
+  const rowElements = findTableParts(table, new Set(["row"])).filter(isRendered);
+  const grid: string[][] = rowElements.map(() => []);
+  const isHeader: boolean[] = [];
+  rowElements.forEach((row, r) => {
+    const cells = findTableParts(row, TABLE_CELL_ROLES);
+    isHeader[r] = row.parentElement?.localName === "thead" ||
+      (cells.length > 0 && cells.every(cell => getResolvedRole(cell) === "columnheader"));
+    let column = 0;
+    for (const cell of cells) {
+      // Virtualized columns say where they sit
+      const colIndex = getAriaIndex(cell, "aria-colindex");
+      if (colIndex) column = colIndex - 1;
+      while (grid[r][column] !== undefined) column++;
+      const text = getCellText(cell);
+      const colSpan = getCellSpan(cell, "col");
+      const rowSpan = getCellSpan(cell, "row");
+      for (let dr = 0; dr < rowSpan && r + dr < grid.length; dr++) {
+        for (let dc = 0; dc < colSpan; dc++) grid[r + dr][column + dc] = text;
+      }
+      column += colSpan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map(cells => cells.length));
+  const filled = grid.map(cells => Array.from({ length: width }, (_, i) => cells[i] ?? ""));
+  let headerCount = 0;
+  while (headerCount < filled.length && isHeader[headerCount]) headerCount++;
+  return {
+    headerRows: filled.slice(0, headerCount),
+    rows: filled.slice(headerCount).map((cells, i) => ({
+      element: rowElements[headerCount + i],
+      index: getAriaIndex(rowElements[headerCount + i], "aria-rowindex"),
+      cells,
+    })),
+  };
+}
+
+/**
+ * One name per column from the header rows: grouped headers are joined
+ * top-down ("Q1 / Revenue"), repeats from colspan collapsed.
+ */
+function getTableHeaders(headerRows: string[][]): string[] {
+  if (headerRows.length === 0) return [];
+  return headerRows[0].map((_, column) => {
+    const parts: string[] = [];
+    for (const row of headerRows) {
+      if (row[column] && parts[parts.length - 1] !== row[column]) parts.push(row[column]);
+    }
+    return parts.join(" / ");
+  });
+}
+
+function getTableName(table: Element): string {
+  const name = getElementName(table);
+  if (name) return name;
+  const caption = table instanceof HTMLTableElement ? table.caption : null;
+  return caption ? getCellText(caption) : "";
+}
+
+function isScrollContainer(element: Element): boolean {
+  return element.scrollHeight > element.clientHeight + 1 &&
+    /auto|scroll|overlay/.test(window.getComputedStyle(element).overflowY);
+}
+
+/**
+ * The element that scrolls a table's rows: the table itself or a
+ * descendant (virtualized grids scroll an inner viewport), else the
+ * nearest scrolling ancestor below the page.
+ */
+function findTableScroller(table: Element): Element | null {
+  const inner = getComposedElements(table).find(isScrollContainer);
+  if (inner) return inner;
+  for (let node = getComposedParent(table); node instanceof Element; node = getComposedParent(node)) {
+    if (node === document.body || node === document.documentElement) break;
+    if (isScrollContainer(node)) return node;
+  }
+  return null;
+}
+
+function listTables(): {
+  tables: Array<{ ref: string; role: string; name?: string; selector?: string; rows: number; columns: number; headers: string[]; total?: number }>;
+} {
+  const tables = getComposedElements(document.body)
+    .filter(element => TABLE_ROLES.has(getResolvedRole(element)) && isRendered(element))
+    .map(table => {
+      const { headerRows, rows } = readTable(table);
+      const { ref, role, selector } = describeElement(table);
+      const total = getAriaIndex(table, "aria-rowcount");
+      return {
+        ref: ref!,
+        role: role!,
+        name: getTableName(table) || undefined,
+        selector,
+        rows: rows.length,
+        columns: Math.max(headerRows[0]?.length ?? 0, rows[0]?.cells.length ?? 0),
+        headers: getTableHeaders(headerRows),
+        ...(total !== undefined && { total: Math.max(0, total - headerRows.length) }),
+      };
+    });
+  return { tables };
+}
+
+/**
+ * Read a table's headers and rows. Virtualized grids only render the rows
+ * in view, so unless `scroll` is false the grid is scrolled a page at a
+ * time and new rows are merged in (by aria-rowindex, else by content),
+ * then put back where it was.
+ */
+async function getTable(
+  target: string,
+  options: { scroll?: boolean; maxRows?: number } = {}
+): Promise<{ ref?: string; role?: string; name?: string; headers?: string[]; rows?: string[][]; total?: number; truncated?: boolean; error?: string }> {
+  const table = resolveElement(/^e\d+$/.test(target) ? { ref: target } : { selector: target });
+  if (!table) return { error: `Table not found: ${target}` };
+  const role = getResolvedRole(table);
+  if (!TABLE_ROLES.has(role)) return { error: `${target} is a ${role || table.localName}, not a table or grid` };
+  const maxRows = options.maxRows || DEFAULT_TABLE_MAX_ROWS;
+
+  const first = readTable(table);
+  const headers = getTableHeaders(first.headerRows);
+  const rows: TableRow[] = [];
+  const seenElements = new Map<Element, string>();
+  const seenIndexes = new Set<number>();
+  const seenContent = new Set<string>();
+  const collect = (snapshot: TableRow[], initial: boolean): number => {
+    let added = 0;
+    for (const row of snapshot) {
+      if (rows.length >= maxRows) break;
+      const key = row.cells.join("\u0000");
+      // Recycled row elements keep their place but change content
+      if (seenElements.get(row.element) === key) continue;
+      seenElements.set(row.element, key);
+      if (row.index !== undefined ? seenIndexes.has(row.index) : !initial && seenContent.has(key)) continue;
+      if (row.index !== undefined) seenIndexes.add(row.index);
+      seenContent.add(key);
+      rows.push(row);
+      added++;
+    }
+    return added;
+  };
+  collect(first.rows, true);
+
+  const total = getAriaIndex(table, "aria-rowcount");
+  const bodyTotal = total !== undefined ? Math.max(0, total - first.headerRows.length) : undefined;
+  const scroller = findTableScroller(table) ??
+    (bodyTotal !== undefined && bodyTotal > rows.length ? document.scrollingElement : null);
+  let timedOut = false;
+  if (options.scroll !== false && scroller) {
+    const start = scroller.scrollTop;
+    const deadline = Date.now() + TABLE_SCROLL_TIMEOUT;
+    // A table that gains no rows on the first step has them all already
+    let virtual = bodyTotal !== undefined && bodyTotal > rows.length;
+    for (let idle = 0; idle < 2 && rows.length < maxRows;) {
+      if (Date.now() > deadline) {
+        timedOut = true;
+        break;
+      }
+      const before = scroller.scrollTop;
+      scroller.scrollTop = before + Math.max(50, scroller.clientHeight * 0.8);
+      await new Promise(resolve => setTimeout(resolve, TABLE_SCROLL_DELAY));
+      const added = collect(readTable(table).rows, false);
+      if (added > 0) virtual = true;
+      if (!virtual) break;
+      // Give rows appended at the end a second chance to load
+      idle = added === 0 && scroller.scrollTop <= before ? idle + 1 : 0;
+    }
+    scroller.scrollTop = start;
+  }
+
+  if (rows.every(row => row.index !== undefined)) rows.sort((a, b) => a.index! - b.index!);
+  const { ref } = describeElement(table);
+  return {
+    ref,
+    role,
+    name: getTableName(table) || undefined,
+    headers,
+    rows: rows.map(row => row.cells),
+    ...(bodyTotal !== undefined && { total: bodyTotal }),
+    ...((timedOut || rows.length >= maxRows) && (bodyTotal === undefined || bodyTotal > rows.length) && { truncated: true }),
+  };
+}
+
+type SearchOptions = {
+  term: string;
+  caseSensitive?: boolean;
+  limit?: number;
+  regex?: boolean;
+  fuzzy?: boolean;
+  threshold?: number;
+  within?: string;
+};
+
+type SearchSpan = { index: number; length: number; score?: number };
+
+type SearchMatch = {
+  ref: string;
+  text: string;
+  context: string;
+  source: string;
+  score?: number;
+  bounds: { x: number; y: number; width: number; height: number };
+  elementRef: string | null;
+};
+
+const SEARCH_ATTRIBUTES = ["aria-label", "placeholder", "title"];
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+
+/**
+ * Substrings of text within maxDistance edits of pattern (Sellers'
+ * algorithm). Of overlapping candidates, the closest one is kept.
+ */
+function fuzzySpans(text: string, pattern: string, maxDistance: number): SearchSpan[] {
+  const m = pattern.length;
+  const spans: Array<{ index: number; length: number; distance: number }> = [];
+  let dist = Array.from({ length: m + 1 }, (_, i) => i);
+  let start = new Array<number>(m + 1).fill(0);
+  let best: { index: number; length: number; distance: number } | null = null;
+  for (let j = 1; j <= text.length; j++) {
+    const nextDist = [0];
+    const nextStart = [j];
+    for (let i = 1; i <= m; i++) {
+      let d = dist[i - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1);
+      let from = start[i - 1];
+      if (dist[i] + 1 < d) {
+        d = dist[i] + 1;
+        from = start[i];
+      }
+      if (nextDist[i - 1] + 1 < d) {
+        d = nextDist[i - 1] + 1;
+        from = nextStart[i - 1];
+      }
+      nextDist[i] = d;
+      nextStart[i] = from;
+    }
+    dist = nextDist;
+    start = nextStart;
+    if (dist[m] <= maxDistance) {
+      if (!best || dist[m] < best.distance) best = { index: start[m], length: j - start[m], distance: dist[m] };
+    } else if (best) {
+      spans.push(best);
+      best = null;
+    }
+  }
+  if (best) spans.push(best);
+  return spans.map(({ index, length, distance }) => ({
+    index,
+    length,
+    score: Math.round((1 - distance / m) * 100) / 100,
+  }));
+}
+
+/**
+ * Returns a function finding the matching spans in a string: substrings,
+ * regex matches, or fuzzy matches scoring at least the threshold (1 is
+ * exact, each edit costs 1 / term length). Throws on an invalid regex.
+ */
+function createMatcher(options: SearchOptions): (text: string) => SearchSpan[] {
+  const { term, caseSensitive = false } = options;
+  if (options.regex) {
+    let pattern: RegExp;
+    try {
+      pattern = new RegExp(term, caseSensitive ? "g" : "gi");
+    } catch (e) {
+      throw new Error(`Invalid regex: ${e instanceof Error ? e.message : String(e)}`);
+    }
+    return text => Array.from(text.matchAll(pattern))
+      .filter(match => match[0].length > 0)
+      .map(match => ({ index: match.index!, length: match[0].length }));
+  }
+  const needle = caseSensitive ? term : term.toLowerCase();
+  if (options.fuzzy) {
+    const threshold = options.threshold ?? DEFAULT_FUZZY_THRESHOLD;
+    const maxDistance = Math.min(needle.length - 1, Math.floor((1 - threshold) * needle.length + 1e-9));
+    return text => fuzzySpans(caseSensitive ? text : text.toLowerCase(), needle, maxDistance);
+  }
+  return text => {
+    const haystack = caseSensitive ? text : text.toLowerCase();
+    const spans: SearchSpan[] = [];
+    for (let pos = haystack.indexOf(needle); pos !== -1; pos = haystack.indexOf(needle, pos + 1)) {
+      spans.push({ index: pos, length: needle.length });
+    }
+    return spans;
+  };
+}
+
+/**
+ * Attribute values and accessible names that aren't already visible as the
+ * element's text, keyed by where they came from.
+ */
+function getSearchableValues(element: Element): Array<[string, string]> {
+  const values: Array<[string, string]> = [];
+  for (const attr of SEARCH_ATTRIBUTES) {
+    const value = element.getAttribute(attr)?.trim();
+    if (value) values.push([attr, value]);
+  }
+  const role = getResolvedRole(element);
+  if (LABELABLE_ROLES.has(role) || ["button", "link", "img"].includes(role)) {
+    const name = getElementName(element);
+    const ownText = (element.textContent || "").replace(/\s+/g, " ").trim();
+    if (name && name !== ownText && !values.some(([, value]) => value === name)) values.push(["name", name]);
+  }
+  return values;
+}
+
+function findEnclosingRef(node: Node): string | null {
+  for (const [ref, entry] of Object.entries(getElementMap())) {
+    const el = entry.element.deref();
+    if (el && composedContains(el, node)) return ref;
+  }
+  return null;
+}
+
+function roundRect(rect: DOMRect): SearchMatch["bounds"] {
+  return {
+    x: Math.round(rect.x),
+    y: Math.round(rect.y),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+  };
+}
+
+/**
+ * Search visible text, then attribute values and accessible names, under
+ * the page body or the `within` ref/selector.
+ */
+function searchPageText(options: SearchOptions): { matches: SearchMatch[]; error?: string } {
+  const limit = options.limit || 10;
+  let root: Element | null = document.body;
+  if (options.within) {
+    root = resolveElement(/^e\d+$/.test(options.within) ? { ref: options.within } : { selector: options.within });
+    if (!root) return { matches: [], error: `No element matches --within ${options.within}` };
+  }
+  let find: (text: string) => SearchSpan[];
+  try {
+    find = createMatcher(options);
+  } catch (e) {
+    return { matches: [], error: e instanceof Error ? e.message : String(e) };
+  }
+
+  const matches: SearchMatch[] = [];
+  const add = (match: Omit<SearchMatch, "ref">) => matches.push({ ref: `m${matches.length + 1}`, ...match });
+  const context = (text: string, span: SearchSpan) =>
+    text.slice(Math.max(0, span.index - 30), Math.min(text.length, span.index + span.length + 30)).trim();
+
+  for (const node of composedTextNodes(root)) {
+    if (matches.length >= limit) break;
+    const parent = getComposedParent(node);
+    if (!(parent instanceof Element)) continue;
+    const fullText = node.data;
+    for (const span of find(fullText)) {
+      if (matches.length >= limit) break;
       const range = document.createRange();
-      range.setStart(node, pos);
-      range.setEnd(node, Math.min(pos + term.length, textContent.length));
+      range.setStart(node, span.index);
+      range.setEnd(node, span.index + span.length);
       const rect = range.getBoundingClientRect();
-      
-      if (rect.width === 0 || rect.height === 0) { pos++; continue; }
-      
-      const fullText = node.textContent || "";
-      const contextStart = Math.max(0, pos - 30);
-      const contextEnd = Math.min(fullText.length, pos + term.length + 30);
-      const context = fullText.slice(contextStart, contextEnd).trim();
-      
-      let elementRef: string | null = null;
-      for (const [ref, entry] of Object.entries(elementMap)) {
-        const el = entry.element.deref();
-        if (el && (el === parent || el.contains(parent))) {
-          elementRef = ref;
-          break;
-        }
-      }
-      
-      matches.push({
-        ref: `m${++matchIndex}`,
-        text: fullText.slice(pos, pos + term.length),
-        context,
-        bounds: {
-          x: Math.round(rect.x),
-          y: Math.round(rect.y),
-          width: Math.round(rect.width),
-          height: Math.round(rect.height),
-        },
-        elementRef,
+      if (rect.width === 0 || rect.height === 0) continue;
+      add({
+        text: fullText.slice(span.index, span.index + span.length),
+        context: context(fullText, span),
+        source: "text",
+        ...(span.score !== undefined && { score: span.score }),
+        bounds: roundRect(rect),
+        elementRef: findEnclosingRef(parent),
       });
-      
-      pos++;
     }
   }
-  
-  return matches;
+
+  for (const element of getComposedElements(root)) {
+    if (matches.length >= limit) break;
+    if (!isRendered(element)) continue;
+    for (const [source, value] of getSearchableValues(element)) {
+      const span = find(value)[0];
+      if (!span || matches.length >= limit) continue;
+      add({
+        text: value.slice(span.index, span.index + span.length),
+        context: context(value, span),
+        source,
+        ...(span.score !== undefined && { score: span.score }),
+        bounds: roundRect(element.getBoundingClientRect()),
+        elementRef: findEnclosingRef(element),
+      });
+    }
+  }
+
+  return { matches };
 }
@@ -0,0 +1,55 @@
+/**
+ * Shadow DOM traversal for the content script: walk the page as rendered,
+ * through open shadow roots and slot assignments.
+ */
+
+/**
+ * Child nodes as rendered (the flat tree): an open shadow root's content in
+ * place of the host's light children, and a slot's assigned nodes, or its
+ * fallback content when nothing is slotted. Closed shadow roots stay opaque.
+ */
+export function getComposedChildNodes(node: Node): Node[] {
+  if (node instanceof Element && node.shadowRoot) return Array.from(node.shadowRoot.childNodes);
+  if (node instanceof HTMLSlotElement) {
+    const assigned = node.assignedNodes({ flatten: true });
+    if (assigned.length > 0) return assigned;
+  }
+  return Array.from(node.childNodes);
+}
+
+export function getComposedChildren(element: Element): Element[] {
+  return getComposedChildNodes(element).filter((node): node is Element => node instanceof Element);
+}
+
+export function getComposedParent(node: Node): Node | null {
+  const slot = (node as Element | Text).assignedSlot;
+  if (slot) return slot;
+  const parent = node.parentNode;
+  return parent instanceof ShadowRoot ? parent.host : parent;
+}
+
+/**
+ * Node.contains across shadow boundaries and slots.
+ */
+export function composedContains(ancestor: Node, node: Node | null): boolean {
+  for (let current = node; current; current = getComposedParent(current)) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+export function* composedTextNodes(root: Node): Generator<Text> {
+  for (const child of getComposedChildNodes(root)) {
+    if (child instanceof Text) {
+      yield child;
+    } else if (child instanceof Element && !["script", "style", "noscript", "template"].includes(child.localName)) {
+      yield* composedTextNodes(child);
+    }
+  }
+}
+
+export function getComposedElements(root: Element): Element[] {
+  const elements = [root];
+  for (const child of getComposedChildren(root)) elements.push(...getComposedElements(child));
+  return elements;
+}
@@ -0,0 +1,37 @@
+export interface BrowserIdentity {
+  browser: string;
+  profile: string;
+}
+
+// Brands reported by navigator.userAgentData, most specific first
+const BRANDS: [string, string][] = [
+  ["Microsoft Edge", "edge"],
+  ["Brave", "brave"],
+  ["Opera", "opera"],
+  ["Google Chrome", "chrome"],
+  ["Chromium", "chromium"],
+];
+
+export function detectBrowser(nav: any = navigator): string {
+  if (nav.brave) return "brave";
+  const brands: { brand: string }[] = nav.userAgentData?.brands || [];
+  for (const [brand, name] of BRANDS) {
+    if (brands.some((b) => b.brand === brand)) return name;
+  }
+  return "chrome";
+}
+
+/**
+ * Identify this browser profile to the native host, which keys its socket
+ * on it. The profile is the name set in options, or a random id generated
+ * once per profile (chrome.storage.local is per profile).
+ */
+export async function getBrowserIdentity(): Promise<BrowserIdentity> {
+  const { profileName, profileId } = await chrome.storage.local.get(["profileName", "profileId"]);
+  let profile = profileName || profileId;
+  if (!profile) {
+    profile = crypto.randomUUID().slice(0, 8);
+    await chrome.storage.local.set({ profileId: profile });
+  }
+  return { browser: detectBrowser(), profile };
+}
@@ -1,4 +1,5 @@
 import { debugLog } from "../utils/debug";
+import { getBrowserIdentity } from "./browser-identity";
 import { handleNativeApiResponse } from "./native-api-transport";
 
 let nativePort: chrome.runtime.Port | null = null;
@@ -56,6 +57,11 @@ function connect(): void {
     nativePort = chrome.runtime.connectNative("surf.browser.host");
     debugLog("Connecting to native host...");
 
+    const port = nativePort;
+    getBrowserIdentity()
+      .then((identity) => port.postMessage({ type: "HOST_IDENTIFY", ...identity }))
+      .catch((err) => debugLog("Failed to identify to native host:", err));
+
     nativePort.onMessage.addListener(async (msg) => {
       debugLog("Received from native host:", msg.type || msg.id);
 
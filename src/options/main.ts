@@ -22,6 +22,17 @@ app.innerHTML = `
     </p>
   </section>
   
+  <section style="margin-bottom: 2rem;">
+    <h2 style="font-size: 1.125rem; font-weight: 600; margin-bottom: 1rem;">Profile Name</h2>
+    <label style="display: flex; align-items: center; gap: 0.5rem;">
+      <span>Name:</span>
+      <input type="text" id="profile-name" placeholder="e.g. work" style="width: 10rem; padding: 0.25rem 0.5rem; border: 1px solid #ccc; border-radius: 0.25rem;" />
+    </label>
+    <p class="muted" style="font-size: 0.875rem; margin-top: 0.5rem;">
+      Select this profile from the CLI with <code>--browser &lt;browser&gt;:&lt;name&gt;</code>. Takes effect after the browser restarts.
+    </p>
+  </section>
+  
   <section style="margin-bottom: 2rem;">
     <h2 style="font-size: 1.125rem; font-weight: 600; margin-bottom: 1rem;">About</h2>
     <p class="muted">
@@ -51,3 +62,18 @@ if (heartbeatInput) {
     chrome.storage.local.set({ heartbeatInterval: value });
   });
 }
+
+const profileInput = document.getElementById("profile-name") as HTMLInputElement | null;
+if (profileInput) {
+  chrome.storage.local.get("profileName").then(({ profileName }) => {
+    profileInput.value = profileName ?? "";
+  });
+  profileInput.addEventListener("change", () => {
+    const value = profileInput.value.trim();
+    if (value) {
+      chrome.storage.local.set({ profileName: value });
+    } else {
+      chrome.storage.local.remove("profileName");
+    }
+  });
+}
@@ -1,4 +1,4 @@
-import { CDPController } from "../cdp/controller";
+import { CDPController, type NetworkEntry } from "../cdp/controller";
 import { debugLog } from "../utils/debug";
 import { initNativeMessaging, postToNativeHost } from "../native/port-manager";
 
@@ -32,6 +32,7 @@ const ELEMENT_COLORS: Record<string, string> = {
   select: '#45B7D1',
   a: '#96CEB4',
   textarea: '#FF8C42',
+  mark: '#FFB000',
   default: '#DDA0DD',
 };
 
@@ -176,8 +177,302 @@ async function captureFullPage(tabId: number, maxHeight: number): Promise<{ base
   return { base64, width: canvasWidth, height: canvasHeight };
 }
 
+interface SmokeChecks {
+  noFailedRequests?: true | string[];
+  budgets?: Record<string, number>;
+  text?: string[];
+  selectors?: string[];
+}
+
+interface SmokeCheckResult {
+  check: string;
+  passed: boolean;
+  message: string;
+}
+
+const SMOKE_SETTLE_DELAY = 2000;
+
+// Short budget names for perf.metrics keys
+const BUDGET_METRICS: Record<string, string> = {
+  lcp: "LargestContentfulPaint",
+  fcp: "FirstContentfulPaint",
+  cls: "CumulativeLayoutShift",
+  ttfb: "TimeToFirstByte",
+  dcl: "DomContentLoadedTime",
+  load: "LoadTime",
+};
+
+/**
+ * Wait for a smoke test page to settle: "network" or "dom" use the
+ * wait.network/wait.dom content script waits, a number sleeps that many ms.
+ */
+async function settleSmokeTab(tabId: number, settle: string | number | undefined): Promise<void> {
+  const delay = typeof settle === "number" ? settle : /^\d+$/.test(settle || "") ? parseInt(settle as string, 10) : null;
+  if (settle === undefined || delay !== null) {
+    await new Promise(r => setTimeout(r, delay ?? SMOKE_SETTLE_DELAY));
+    return;
+  }
+  if (settle === "load") {
+    await cdp.waitForLoad(tabId, 30000);
+    return;
+  }
+  const type = settle === "network" ? "WAIT_FOR_NETWORK_IDLE" : "WAIT_FOR_DOM_STABLE";
+  try {
+    await chrome.tabs.sendMessage(tabId, { type, timeout: 10000, stable: 500 }, { frameId: 0 });
+  } catch (e) {
+    await new Promise(r => setTimeout(r, SMOKE_SETTLE_DELAY));
+  }
+}
+
+async function runSmokeChecks(tabId: number, checks: SmokeChecks, failedRequests: NetworkEntry[]): Promise<{
+  results: SmokeCheckResult[];
+  metrics?: Record<string, number>;
+}> {
+  const results: SmokeCheckResult[] = [];
+  let metrics: Record<string, number> | undefined;
+
+  if (checks.noFailedRequests) {
+    const types = checks.noFailedRequests === true ? null : checks.noFailedRequests.map(t => t.toLowerCase());
+    const failed = failedRequests.filter(e => !types || types.includes((e.type || "").toLowerCase()));
+    const label = types ? types.join("/") : "";
+    results.push({
+      check: "noFailedRequests",
+      passed: failed.length === 0,
+      message: failed.length === 0
+        ? `No failed ${label ? `${label} ` : ""}requests`
+        : `${failed.length} failed ${label ? `${label} ` : ""}request(s): ${failed.slice(0, 3).map(e => `${e.status || "failed"} ${e.url}`).join(", ")}`,
+    });
+  }
+
+  if (checks.budgets) {
+    const perf = await cdp.getPerformanceMetrics(tabId);
+    metrics = {};
+    for (const [name, max] of Object.entries(checks.budgets)) {
+      const key = BUDGET_METRICS[name] || name;
+      const value = perf.metrics?.[key];
+      if (value !== undefined) metrics[key] = value;
+      results.push(value === undefined
+        ? { check: `budget:${name}`, passed: false, message: `${name} not reported${perf.error ? ` (${perf.error})` : ""}` }
+        : {
+          check: `budget:${name}`,
+          passed: value <= max,
+          message: `${name} ${Math.round(value * 1000) / 1000} ${value <= max ? "<=" : ">"} ${max}`,
+        });
+    }
+  }
+
+  if (checks.text?.length || checks.selectors?.length) {
+    const found = await cdp.evaluateScript(tabId, `(() => {
+      const text = document.body ? document.body.innerText : "";
+      return {
+        text: ${JSON.stringify(checks.text || [])}.map((t) => text.includes(t)),
+        selectors: ${JSON.stringify(checks.selectors || [])}.map((s) => {
+          try { return !!document.querySelector(s); } catch { return false; }
+        }),
+      };
+    })()`);
+    const value = found.result?.value || { text: [], selectors: [] };
+    (checks.text || []).forEach((t, i) => {
+      const passed = !!value.text[i];
+      results.push({ check: "text", passed, message: `Text "${t}" ${passed ? "is visible" : "not visible"}` });
+    });
+    (checks.selectors || []).forEach((sel, i) => {
+      const passed = !!value.selectors[i];
+      results.push({ check: "selector", passed, message: `Selector ${sel} ${passed ? "exists" : "not found"}` });
+    });
+  }
+
+  return { results, metrics };
+}
+
+interface SmokeTarget {
+  url: string;
+  settle?: string | number;
+  checks?: SmokeChecks;
+}
+
+interface SmokeRunOptions {
+  settle?: string | number;
+  ignore: string[];
+  captureScreenshots: boolean;
+  windowId?: number;
+  // Crawls also need the document response and the page's links
+  collectLinks?: boolean;
+}
+
+type IgnoreRegions = { rects: Array<{ x: number; y: number; width: number; height: number }>; viewportWidth: number };
+
+interface SmokeResult {
+  url: string;
+  status: "pass" | "fail";
+  time: number;
+  errors: string[];
+  consoleErrors: string[];
+  failedRequests: NetworkEntry[];
+  checks?: SmokeCheckResult[];
+  metrics?: Record<string, number>;
+  screenshotBase64?: string;
+  ignoreRegions?: IgnoreRegions;
+  document?: { url: string; status?: number; redirects: Array<{ url: string; status: number }> };
+  finalUrl?: string;
+  links?: string[];
+}
+
+/**
+ * Load one smoke target in a fresh tab, collect errors and run its checks.
+ */
+async function runSmokeTarget(
+  { url, settle: routeSettle, checks }: SmokeTarget,
+  { settle: defaultSettle, ignore, captureScreenshots, windowId, collectLinks }: SmokeRunOptions,
+): Promise<SmokeResult> {
+  const settle = routeSettle ?? defaultSettle;
+  const startTime = Date.now();
+  const errors: string[] = [];
+  const consoleErrors: string[] = [];
+  let failedRequests: NetworkEntry[] = [];
+  let checkResults: SmokeCheckResult[] | undefined;
+  let metrics: Record<string, number> | undefined;
+  let screenshotBase64: string | undefined;
+  let ignoreRegions: IgnoreRegions | undefined;
+  let pageInfo: Pick<SmokeResult, "document" | "finalUrl" | "links"> = {};
+  let testTabId: number | undefined;
+
+  try {
+    // Paint timings are only reported for pages loaded in the foreground
+    const needsPaint = Object.keys(checks?.budgets || {}).some(b => ["lcp", "fcp", "LargestContentfulPaint", "FirstContentfulPaint"].includes(b));
+    // Open the tab blank and navigate once tracking is attached, so the
+    // document request, its redirects and early subresources are captured
+    const testTab = await chrome.tabs.create({ url: "about:blank", active: needsPaint, windowId });
+    const tabId = testTab.id;
+    if (!tabId) throw new Error("Failed to create tab");
+    testTabId = tabId;
+
+    try {
+      await cdp.enableConsoleTracking(testTabId);
+    } catch (e) {}
+    try {
+      await cdp.enableNetworkTracking(testTabId);
+    } catch (e) {}
+
+    await new Promise<void>((resolve) => {
+      // The timer must not outlive the load, or it reports a timeout on a
+      // route that already finished
+      let timer: ReturnType<typeof setTimeout> | undefined;
+      const done = () => {
+        clearTimeout(timer);
+        chrome.webNavigation.onCompleted.removeListener(onComplete);
+        chrome.webNavigation.onErrorOccurred.removeListener(onError);
+        resolve();
+      };
+      const isTarget = (details: { tabId: number; frameId: number; url: string }) =>
+        details.tabId === testTabId && details.frameId === 0 && details.url !== "about:blank";
+      const onComplete = (details: chrome.webNavigation.WebNavigationFramedCallbackDetails) => {
+        if (isTarget(details)) done();
+      };
+      const onError = (details: chrome.webNavigation.WebNavigationFramedErrorCallbackDetails) => {
+        if (isTarget(details)) {
+          errors.push(`Navigation error: ${details.error}`);
+          done();
+        }
+      };
+      chrome.webNavigation.onCompleted.addListener(onComplete);
+      chrome.webNavigation.onErrorOccurred.addListener(onError);
+      timer = setTimeout(() => {
+        errors.push("Navigation timeout (30s)");
+        done();
+      }, 30000);
+      chrome.tabs.update(tabId, { url }).catch((e) => {
+        errors.push(`Navigation error: ${e.message}`);
+        done();
+      });
+    });
+
+    await settleSmokeTab(testTabId, settle);
+
+    const consoleMessages = cdp.getConsoleMessages(testTabId, { onlyErrors: true, limit: 50 });
+    for (const msg of consoleMessages) {
+      consoleErrors.push(`[${msg.type}] ${msg.text}`);
+    }
+
+    const entries = cdp.getNetworkEntries(testTabId, { includeStatic: true });
+    failedRequests = entries.filter(e => e.flags.includes("failed") || (e.status ?? 0) >= 400);
+
+    if (collectLinks) {
+      const doc = entries.find(e => (e.type || "").toLowerCase() === "document");
+      const linksResult = await cdp.evaluateScript(testTabId, `[...new Set(Array.from(document.links, (a) => a.href))]`);
+      pageInfo = {
+        ...(doc && { document: { url: doc.url, status: doc.status, redirects: doc.redirects || [] } }),
+        finalUrl: (await chrome.tabs.get(testTabId)).url,
+        links: linksResult.result?.value || [],
+      };
+    }
+
+    if (checks) {
+      ({ results: checkResults, metrics } = await runSmokeChecks(testTabId, checks, failedRequests));
+    }
+
+    if (captureScreenshots && ignore.length > 0) {
+      try {
+        // Measured in CSS pixels; the host scales them to the screenshot
+        const measured = await cdp.evaluateScript(testTabId, `(() => ({
+          rects: ${JSON.stringify(ignore)}.flatMap((s) => {
+            try {
+              return Array.from(document.querySelectorAll(s)).map((el) => {
+                const r = el.getBoundingClientRect();
+                return { x: r.left, y: r.top, width: r.width, height: r.height };
+              });
+            } catch { return []; }
+          }),
+          viewportWidth: window.innerWidth
+        }))()`);
+        ignoreRegions = measured.result?.value;
+      } catch (e) {}
+    }
+
+    if (captureScreenshots) {
+      try {
+        const screenshot = await cdp.captureScreenshot(testTabId);
+        screenshotBase64 = screenshot.base64;
+      } catch (e) {}
+    }
+  } catch (e) {
+    errors.push(e instanceof Error ? e.message : String(e));
+  } finally {
+    if (testTabId) {
+      try { await chrome.tabs.remove(testTabId); } catch {}
+    }
+  }
+
+  const elapsed = Date.now() - startTime;
+  const checksPassed = !checkResults || checkResults.every(c => c.passed);
+  const status: "pass" | "fail" = errors.length === 0 && consoleErrors.length === 0 && checksPassed ? "pass" : "fail";
+
+  return {
+    url,
+    status,
+    time: elapsed,
+    errors: [...errors],
+    consoleErrors,
+    failedRequests,
+    ...(checkResults && { checks: checkResults }),
+    ...(metrics && { metrics }),
+    ...(screenshotBase64 && { screenshotBase64 }),
+    ...(screenshotBase64 && ignoreRegions && { ignoreRegions }),
+    ...pageInfo,
+  };
+}
+
 const navigationResolvers = new Map<number, () => void>();
 const tabNameRegistry = new Map<string, number>();
+const recordings = new Map<number, { startedAt: number; url: string; steps: any[] }>();
+// Matches from `search --highlight`, drawn into the tab's next screenshot
+const pendingHighlights = new Map<number, Array<{ ref: string; tag: string; bounds: { x: number; y: number; width: number; height: number } }>>();
+
+// Transitions the user started from the browser UI replay as navigate steps;
+// link clicks and form submits are already recorded, so just wait for the load.
+const RECORDED_NAVIGATE_TRANSITIONS = new Set([
+  "typed", "auto_bookmark", "generated", "keyword", "start_page", "reload",
+]);
 
 chrome.webNavigation.onCompleted.addListener((details) => {
   if (details.frameId === 0) {
@@ -201,8 +496,20 @@ chrome.webNavigation.onErrorOccurred.addListener((details) => {
 
 
 
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0) return;
+  const recording = recordings.get(details.tabId);
+  if (!recording) return;
+  if (RECORDED_NAVIGATE_TRANSITIONS.has(details.transitionType)) {
+    recording.steps.push({ type: "navigate", url: details.url });
+  } else if (details.transitionType === "link" || details.transitionType === "form_submit") {
+    recording.steps.push({ type: "wait", ms: 1000 });
+  }
+});
+
 chrome.tabs.onRemoved.addListener((tabId) => {
   cdp.detach(tabId);
+  recordings.delete(tabId);
   for (const [name, id] of tabNameRegistry) {
     if (id === tabId) {
       tabNameRegistry.delete(name);
@@ -215,6 +522,465 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   }
 });
 
+// Structured-clone values that JSON can't carry are tagged with $type
+const SESSION_CODEC = `
+  const toBase64 = (bytes) => btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join(""));
+  const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  const encode = (v) => {
+    if (v instanceof Date) return { $type: "Date", value: v.toISOString() };
+    if (v instanceof ArrayBuffer) return { $type: "ArrayBuffer", value: toBase64(new Uint8Array(v)) };
+    if (ArrayBuffer.isView(v)) {
+      return { $type: v.constructor.name, value: toBase64(new Uint8Array(v.buffer, v.byteOffset, v.byteLength)) };
+    }
+    if (v instanceof Map) return { $type: "Map", value: Array.from(v, ([k, x]) => [encode(k), encode(x)]) };
+    if (v instanceof Set) return { $type: "Set", value: Array.from(v, encode) };
+    if (v instanceof Blob) return null;
+    if (Array.isArray(v)) return v.map(encode);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, encode(x)]));
+    return v;
+  };
+  const decode = (v) => {
+    if (Array.isArray(v)) return v.map(decode);
+    if (!v || typeof v !== "object") return v;
+    if (typeof v.$type === "string" && "value" in v) {
+      if (v.$type === "Date") return new Date(v.value);
+      if (v.$type === "Map") return new Map(v.value.map(([k, x]) => [decode(k), decode(x)]));
+      if (v.$type === "Set") return new Set(v.value.map(decode));
+      const bytes = fromBase64(v.value);
+      if (v.$type === "ArrayBuffer") return bytes.buffer;
+      if (v.$type === "DataView") return new DataView(bytes.buffer);
+      if (typeof globalThis[v.$type] === "function") return new globalThis[v.$type](bytes.buffer);
+    }
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, decode(x)]));
+  };
+  const done = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+`;
+
+// localStorage and every IndexedDB database of the page's origin
+const CAPTURE_ORIGIN_STORAGE = `(async () => {
+  ${SESSION_CODEC}
+  const databases = [];
+  for (const info of (await indexedDB.databases?.()) || []) {
+    const db = await done(indexedDB.open(info.name));
+    const stores = [];
+    for (const name of Array.from(db.objectStoreNames)) {
+      const store = db.transaction(name, "readonly").objectStore(name);
+      const [keys, values] = await Promise.all([done(store.getAllKeys()), done(store.getAll())]);
+      stores.push({
+        name,
+        keyPath: store.keyPath,
+        autoIncrement: store.autoIncrement,
+        indexes: Array.from(store.indexNames, (n) => {
+          const index = store.index(n);
+          return { name: n, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+        }),
+        records: keys.map((key, i) => [encode(key), encode(values[i])]),
+      });
+    }
+    databases.push({ name: db.name, version: db.version, stores });
+    db.close();
+  }
+  return { localStorage: { ...localStorage }, indexedDB: databases };
+})()`;
+
+// Replaces the origin's localStorage and the saved IndexedDB databases
+const restoreOriginStorage = (data: unknown) => `(async (data) => {
+  ${SESSION_CODEC}
+  localStorage.clear();
+  for (const [key, value] of Object.entries(data.localStorage || {})) localStorage.setItem(key, value);
+  for (const saved of data.indexedDB || []) {
+    await new Promise((resolve) => {
+      const req = indexedDB.deleteDatabase(saved.name);
+      req.onsuccess = req.onerror = req.onblocked = resolve;
+    });
+    const open = indexedDB.open(saved.name, saved.version);
+    open.onupgradeneeded = () => {
+      for (const s of saved.stores) {
+        const store = open.result.createObjectStore(s.name, { keyPath: s.keyPath, autoIncrement: s.autoIncrement });
+        for (const i of s.indexes) store.createIndex(i.name, i.keyPath, { unique: i.unique, multiEntry: i.multiEntry });
+      }
+    };
+    const db = await done(open);
+    for (const s of saved.stores) {
+      const tx = db.transaction(s.name, "readwrite");
+      const store = tx.objectStore(s.name);
+      for (const [key, value] of s.records) {
+        if (s.keyPath === null) store.put(decode(value), decode(key));
+        else store.put(decode(value));
+      }
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+    db.close();
+  }
+  return { localStorage: Object.keys(data.localStorage || {}).length, databases: (data.indexedDB || []).length };
+})(${JSON.stringify(data)})`;
+
+interface SessionTab {
+  url: string;
+  title?: string;
+  active: boolean;
+  pinned: boolean;
+  sessionStorage?: Record<string, string>;
+}
+
+interface SessionSnapshot {
+  origins: string[];
+  cookies: chrome.cookies.Cookie[];
+  storage: Record<string, { localStorage: Record<string, string>; indexedDB: unknown[] }>;
+  tabs: SessionTab[];
+}
+
+const originOf = (url?: string): string | null => {
+  try {
+    const parsed = new URL(url || "");
+    return parsed.protocol === "http:" || parsed.protocol === "https:" ? parsed.origin : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Origin for storage commands: the tab's, unless another is given (such as
+ * an iframe's).
+ */
+async function storageOrigin(tabId: number, requested?: string): Promise<string> {
+  const origin = originOf(requested || (await chrome.tabs.get(tabId)).url);
+  if (!origin) throw new Error(requested ? `Invalid origin: ${requested}` : "Tab has no http(s) origin");
+  return origin;
+}
+
+/**
+ * Navigate a tab and wait for its main frame to finish loading.
+ */
+async function navigateTab(tabId: number, url: string, timeoutMs = 30000): Promise<void> {
+  await new Promise<void>((resolve) => {
+    const finish = () => {
+      clearTimeout(timer);
+      chrome.webNavigation.onCompleted.removeListener(onDone);
+      chrome.webNavigation.onErrorOccurred.removeListener(onDone);
+      resolve();
+    };
+    const onDone = (details: { tabId: number; frameId: number }) => {
+      if (details.tabId === tabId && details.frameId === 0) finish();
+    };
+    const timer = setTimeout(finish, timeoutMs);
+    chrome.webNavigation.onCompleted.addListener(onDone);
+    chrome.webNavigation.onErrorOccurred.addListener(onDone);
+    chrome.tabs.update(tabId, { url }).catch(finish);
+  });
+}
+
+/**
+ * Click an element that may load another page, then wait for what it did:
+ * a main-frame navigation to finish loading, otherwise the DOM to settle.
+ */
+async function clickAndSettle(tabId: number, locator: unknown[], timeoutMs = 30000): Promise<void> {
+  let navigating = false;
+  let finish = () => {};
+  const loaded = new Promise<void>((resolve) => {
+    const onCommitted = (details: { tabId: number; frameId: number }) => {
+      if (details.tabId === tabId && details.frameId === 0) navigating = true;
+    };
+    const onDone = (details: { tabId: number; frameId: number }) => {
+      if (navigating && details.tabId === tabId && details.frameId === 0) finish();
+    };
+    finish = () => {
+      clearTimeout(timer);
+      chrome.webNavigation.onCommitted.removeListener(onCommitted);
+      chrome.webNavigation.onCompleted.removeListener(onDone);
+      chrome.webNavigation.onErrorOccurred.removeListener(onDone);
+      resolve();
+    };
+    const timer = setTimeout(finish, timeoutMs);
+    chrome.webNavigation.onCommitted.addListener(onCommitted);
+    chrome.webNavigation.onCompleted.addListener(onDone);
+    chrome.webNavigation.onErrorOccurred.addListener(onDone);
+  });
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: "CLICK_ELEMENT", locator, button: "left" }, { frameId: 0 });
+  } catch {
+    // The page can unload before the click is answered
+  }
+  await settleSmokeTab(tabId, "dom");
+  if (!navigating) finish();
+  await loaded;
+}
+
+/**
+ * Send a message to the tab's main frame, retrying while a page that just
+ * loaded has no content script yet.
+ */
+async function sendToPage(tabId: number, message: object, retries: number): Promise<any> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+    } catch (e) {
+      if (attempt >= retries) throw e;
+      await new Promise(r => setTimeout(r, 500));
+    }
+  }
+}
+
+async function evaluateValue(tabId: number, expression: string): Promise<any> {
+  const result = await cdp.evaluateScript(tabId, expression);
+  if (result.exceptionDetails) {
+    throw new Error(result.exceptionDetails.exception?.description || result.exceptionDetails.text || "Script failed");
+  }
+  return result.result?.value;
+}
+
+/**
+ * Snapshot cookies, storage and tabs. Origins default to those of the
+ * window's open tabs; origins without a tab are read from a background tab.
+ */
+async function captureSession(windowId: number, requestedOrigins: string[]): Promise<SessionSnapshot & { warnings: string[] }> {
+  const warnings: string[] = [];
+  const windowTabs = await chrome.tabs.query({ windowId });
+  const webTabs = windowTabs.filter(t => t.id && originOf(t.url));
+  const origins = requestedOrigins.length > 0
+    ? requestedOrigins.map((o) => {
+        const origin = originOf(o);
+        if (!origin) throw new Error(`Invalid origin: ${o}`);
+        return origin;
+      })
+    : [...new Set(webTabs.map(t => originOf(t.url) as string))];
+  if (origins.length === 0) throw new Error("No origins to save: open a page or pass --origins");
+
+  const cookies = new Map<string, chrome.cookies.Cookie>();
+  for (const origin of origins) {
+    // By URL for parent-domain cookies, by domain for other paths and subdomains
+    const found = [
+      ...(await chrome.cookies.getAll({ url: origin })),
+      ...(await chrome.cookies.getAll({ domain: new URL(origin).hostname })),
+    ];
+    for (const c of found) cookies.set(`${c.domain}|${c.path}|${c.name}`, c);
+  }
+
+  const storage: SessionSnapshot["storage"] = {};
+  for (const origin of origins) {
+    let tabId = webTabs.find(t => originOf(t.url) === origin)?.id;
+    let tempTabId: number | undefined;
+    try {
+      if (!tabId) {
+        const temp = await chrome.tabs.create({ windowId, url: "about:blank", active: false });
+        tempTabId = tabId = temp.id;
+        if (!tabId) throw new Error("Failed to create tab");
+        await navigateTab(tabId, `${origin}/robots.txt`);
+      }
+      storage[origin] = await evaluateValue(tabId, CAPTURE_ORIGIN_STORAGE);
+    } catch (e) {
+      warnings.push(`Storage for ${origin} not saved: ${e instanceof Error ? e.message : String(e)}`);
+    } finally {
+      if (tempTabId) await chrome.tabs.remove(tempTabId).catch(() => {});
+    }
+  }
+
+  const tabs: SessionTab[] = [];
+  for (const tab of webTabs) {
+    const saved: SessionTab = { url: tab.url as string, title: tab.title, active: tab.active, pinned: tab.pinned };
+    if (origins.includes(originOf(tab.url) as string)) {
+      try {
+        saved.sessionStorage = await evaluateValue(tab.id as number, "({ ...sessionStorage })");
+      } catch (e) {
+        warnings.push(`sessionStorage for ${tab.url} not saved: ${e instanceof Error ? e.message : String(e)}`);
+      }
+    }
+    tabs.push(saved);
+  }
+
+  return { origins, cookies: [...cookies.values()], storage, tabs, warnings };
+}
+
+function cookieSetDetails(c: chrome.cookies.Cookie): chrome.cookies.SetDetails {
+  const host = c.domain.replace(/^\./, "");
+  return {
+    url: `${c.secure ? "https" : "http"}://${host}${c.path}`,
+    name: c.name,
+    value: c.value,
+    path: c.path,
+    secure: c.secure,
+    httpOnly: c.httpOnly,
+    sameSite: c.sameSite,
+    // Host-only cookies must not get a domain, or they'd cover subdomains
+    ...(!c.hostOnly && { domain: c.domain }),
+    ...(!c.session && c.expirationDate && { expirationDate: c.expirationDate }),
+  };
+}
+
+/**
+ * Restoring a snapshot takes three steps, so that each native message stays
+ * under Chrome's 1 MB limit: a new window with the cookies, each origin's
+ * storage (written from its robots.txt, so no app code runs meanwhile), then
+ * the tabs, with sessionStorage seeded before their pages load.
+ */
+async function startSessionRestore(
+  cookies: chrome.cookies.Cookie[],
+  sender: chrome.runtime.MessageSender,
+  focused = true,
+): Promise<{ windowId: number; tabId: number; cookies: number; warnings: string[] }> {
+  const warnings: string[] = [];
+  const created = await handleMessage({ type: "WINDOW_NEW", focused }, sender);
+  let restored = 0;
+  const now = Date.now() / 1000;
+  for (const c of cookies) {
+    if (!c.session && c.expirationDate && c.expirationDate < now) continue;
+    try {
+      await chrome.cookies.set(cookieSetDetails(c));
+      restored++;
+    } catch (e) {
+      warnings.push(`Cookie ${c.name} (${c.domain}) not restored: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }
+  return { windowId: created.windowId, tabId: created.tabId, cookies: restored, warnings };
+}
+
+async function restoreOriginStorageInTab(tabId: number, origin: string, data: unknown): Promise<void> {
+  await navigateTab(tabId, `${origin}/robots.txt`);
+  const landed = originOf((await chrome.tabs.get(tabId)).url);
+  if (landed !== origin) throw new Error(`redirected to ${landed}`);
+  await evaluateValue(tabId, restoreOriginStorage(data));
+}
+
+async function restoreSessionTabs(windowId: number, firstTabId: number, tabs: SessionTab[]): Promise<{ tabs: number; warnings: string[] }> {
+  const warnings: string[] = [];
+  let activeTabId: number | undefined;
+  for (const [i, saved] of tabs.entries()) {
+    const tabId = i === 0
+      ? firstTabId
+      : (await chrome.tabs.create({ windowId, url: "about:blank", active: false, pinned: saved.pinned })).id;
+    if (!tabId) continue;
+    if (i === 0 && saved.pinned) await chrome.tabs.update(tabId, { pinned: true });
+    if (saved.active) activeTabId = tabId;
+
+    let scriptId: string | undefined;
+    const entries = Object.entries(saved.sessionStorage || {});
+    if (entries.length > 0) {
+      try {
+        ({ identifier: scriptId } = await cdp.sendCommand(tabId, "Page.addScriptToEvaluateOnNewDocument", {
+          source: `if (location.origin === ${JSON.stringify(originOf(saved.url))}) {
+            for (const [k, v] of ${JSON.stringify(entries)}) sessionStorage.setItem(k, v);
+          }`,
+        }));
+      } catch (e) {
+        warnings.push(`sessionStorage for ${saved.url} not restored: ${e instanceof Error ? e.message : String(e)}`);
+      }
+    }
+    await navigateTab(tabId, saved.url);
+    if (scriptId) {
+      await cdp.sendCommand(tabId, "Page.removeScriptToEvaluateOnNewDocument", { identifier: scriptId }).catch(() => {});
+    }
+  }
+  if (activeTabId) await chrome.tabs.update(activeTabId, { active: true });
+  return { tabs: tabs.length, warnings };
+}
+
+// Refs inside iframes carry the extension frame ID: "f2:e14"
+const FRAME_REF = /^f(\d+):(e\d+)$/;
+const MAX_FRAME_DEPTH = 5;
+
+/**
+ * The frame a ref lives in and the ref as that frame's content script knows
+ * it. Unqualified refs belong to the top frame.
+ */
+function splitFrameRef(ref: string | undefined): { frameId: number; ref: string | undefined } {
+  const match = ref ? FRAME_REF.exec(ref) : null;
+  return match ? { frameId: Number(match[1]), ref: match[2] } : { frameId: 0, ref };
+}
+
+/**
+ * Where a frame's viewport sits in the top frame's viewport, summed from
+ * each ancestor's view of its child iframe.
+ */
+async function getFrameOffset(tabId: number, frameId: number): Promise<{ x: number; y: number }> {
+  const offset = { x: 0, y: 0 };
+  let current = frameId;
+  while (current !== 0) {
+    const frame = await chrome.webNavigation.getFrame({ tabId, frameId: current });
+    if (!frame) throw new Error(`Frame ${frameId} no longer exists`);
+    const rect = await chrome.tabs.sendMessage(tabId, {
+      type: "GET_FRAME_RECT",
+      frameId: current,
+    }, { frameId: frame.parentFrameId });
+    if (!rect || rect.error) throw new Error(rect?.error || `Frame ${current} not found in parent`);
+    offset.x += rect.x;
+    offset.y += rect.y;
+    current = frame.parentFrameId;
+  }
+  return offset;
+}
+
+/**
+ * Replace each iframe line's [frame=N] marker with that frame's own tree,
+ * indented under it, its refs qualified as fN:eK. Frames without the
+ * content script (sandboxed, about:blank) stay as the bare iframe line.
+ */
+async function mergeFrameTrees(tabId: number, content: string, options: any, depth = 1): Promise<string> {
+  const lines: string[] = [];
+  for (const line of content.split("\n")) {
+    const marker = / \[frame=(\d+)\]$/.exec(line);
+    if (!marker) {
+      lines.push(line);
+      continue;
+    }
+    lines.push(line.slice(0, marker.index));
+    if (depth > MAX_FRAME_DEPTH) continue;
+    const frameId = Number(marker[1]);
+    let child;
+    try {
+      child = await chrome.tabs.sendMessage(tabId, {
+        type: "GENERATE_ACCESSIBILITY_TREE",
+        options: { ...options, refId: undefined, forceFullSnapshot: true },
+      }, { frameId });
+    } catch {
+      continue;
+    }
+    if (!child?.pageContent || child.error) continue;
+    const tree = await mergeFrameTrees(tabId, child.pageContent.replace(/\n\n\[Viewport: \d+x\d+\]$/, ""), options, depth + 1);
+    const indent = " ".repeat(line.length - line.trimStart().length + 2);
+    for (const childLine of tree.split("\n")) {
+      if (childLine) lines.push(indent + childLine.replace(/\[(e\d+)\]/g, `[f${frameId}:$1]`));
+    }
+  }
+  return lines.join("\n");
+}
+
+const DEFAULT_ACTION_TIMEOUT = 5000;
+
+/**
+ * Auto-wait before an input action: the content script polls until the
+ * target is attached, visible, stable, enabled and not covered, and the
+ * action fails with the reason if it isn't within the timeout. `force`
+ * skips the checks, as do targets with nothing to locate and pages without
+ * the content script (chrome:// and the like).
+ */
+async function waitForActionable(
+  tabId: number,
+  message: any,
+  action: "click" | "hover" | "type",
+  target: Record<string, unknown>
+): Promise<void> {
+  if (message.force || Object.values(target).every(v => v === undefined)) return;
+  const { frameId, ref } = splitFrameRef(target.ref as string | undefined);
+  let result;
+  try {
+    result = await chrome.tabs.sendMessage(tabId, {
+      type: "WAIT_FOR_ACTIONABLE",
+      target: { ...target, ref },
+      action,
+      timeout: message.timeout ?? DEFAULT_ACTION_TIMEOUT,
+    }, { frameId });
+  } catch {
+    return;
+  }
+  if (result && !result.success) throw new Error(result.error);
+}
+
 /**
  * Wait for JavaScript runtime to be ready in a newly created/attached tab.
  * This is needed because document.readyState === 'complete' doesn't mean
@@ -311,6 +1077,12 @@ export async function handleMessage(
           }
         }
         
+        const highlights = pendingHighlights.get(tabId);
+        pendingHighlights.delete(tabId);
+        if (highlights && highlights.length > 0 && !message.fullpage && !usedFallback) {
+          result = await annotateScreenshot(result, highlights, scaleInfo);
+        }
+
         if (message.annotate && !usedFallback) {
           try {
             const treeResult = await chrome.tabs.sendMessage(tabId, {
@@ -335,6 +1107,7 @@ export async function handleMessage(
 
     case "EXECUTE_CLICK": {
       if (!tabId) throw new Error("No tabId provided");
+      await waitForActionable(tabId, message, "click", { x: message.x, y: message.y });
       const mods = message.modifiers ? cdp.parseModifiers(message.modifiers) : 0;
       await cdp.click(tabId, message.x, message.y, "left", 1, mods);
       return { success: true };
@@ -342,6 +1115,7 @@ export async function handleMessage(
 
     case "EXECUTE_RIGHT_CLICK": {
       if (!tabId) throw new Error("No tabId provided");
+      await waitForActionable(tabId, message, "click", { x: message.x, y: message.y });
       const mods = message.modifiers ? cdp.parseModifiers(message.modifiers) : 0;
       await cdp.rightClick(tabId, message.x, message.y, mods);
       return { success: true };
@@ -349,6 +1123,7 @@ export async function handleMessage(
 
     case "EXECUTE_DOUBLE_CLICK": {
       if (!tabId) throw new Error("No tabId provided");
+      await waitForActionable(tabId, message, "click", { x: message.x, y: message.y });
       const mods = message.modifiers ? cdp.parseModifiers(message.modifiers) : 0;
       await cdp.doubleClick(tabId, message.x, message.y, mods);
       return { success: true };
@@ -356,6 +1131,7 @@ export async function handleMessage(
 
     case "EXECUTE_TRIPLE_CLICK": {
       if (!tabId) throw new Error("No tabId provided");
+      await waitForActionable(tabId, message, "click", { x: message.x, y: message.y });
       const mods = message.modifiers ? cdp.parseModifiers(message.modifiers) : 0;
       await cdp.tripleClick(tabId, message.x, message.y, mods);
       return { success: true };
@@ -370,6 +1146,7 @@ export async function handleMessage(
 
     case "EXECUTE_HOVER": {
       if (!tabId) throw new Error("No tabId provided");
+      await waitForActionable(tabId, message, "hover", { x: message.x, y: message.y });
       await cdp.hover(tabId, message.x, message.y);
       return { success: true };
     }
@@ -377,6 +1154,7 @@ export async function handleMessage(
     case "EXECUTE_TYPE": {
       if (!tabId) throw new Error("No tabId provided");
       if (message.text === undefined || message.text === null) throw new Error("No text provided");
+      await waitForActionable(tabId, message, "type", { focused: true });
       await cdp.type(tabId, message.text);
       return { success: true };
     }
@@ -738,12 +1516,20 @@ export async function handleMessage(
       } catch (e) {}
       await new Promise(resolve => setTimeout(resolve, 50));
       
+      const options = message.options || {};
+      const { frameId: treeFrameId, ref: refId } = splitFrameRef(options.refId);
       let result;
       try {
         result = await chrome.tabs.sendMessage(tabId, {
           type: "GENERATE_ACCESSIBILITY_TREE",
-          options: message.options || {},
-        }, { frameId: 0 });
+          options: { ...options, refId },
+        }, { frameId: treeFrameId });
+        if (result?.pageContent && options.format !== "yaml") {
+          const [tree, viewport] = result.pageContent.split(/(?=\n\n\[Viewport: )/);
+          let merged = await mergeFrameTrees(tabId, tree, options);
+          if (treeFrameId !== 0) merged = merged.replace(/\[(e\d+)\]/g, `[f${treeFrameId}:$1]`);
+          result.pageContent = merged + (viewport || "");
+        }
       } catch (err) {
         return { 
           error: "Content script not loaded. Try refreshing the page.",
@@ -781,10 +1567,27 @@ export async function handleMessage(
 
     case "GET_ELEMENT_COORDINATES": {
       if (!tabId) throw new Error("No tabId provided");
+      const { frameId, ref } = splitFrameRef(message.ref);
+      let coords;
       try {
-        return await chrome.tabs.sendMessage(tabId, {
+        coords = await chrome.tabs.sendMessage(tabId, {
           type: "GET_ELEMENT_COORDINATES",
-          ref: message.ref,
+          ref,
+        }, { frameId });
+      } catch (err) {
+        return { error: "Content script not loaded. Try refreshing the page." };
+      }
+      if (frameId === 0 || coords?.error) return coords;
+      const offset = await getFrameOffset(tabId, frameId);
+      return { ...coords, x: coords.x + offset.x, y: coords.y + offset.y };
+    }
+
+    case "GET_ELEMENT_RECTS": {
+      if (!tabId) throw new Error("No tabId provided");
+      try {
+        return await chrome.tabs.sendMessage(tabId, {
+          type: "GET_ELEMENT_RECTS",
+          targets: message.targets,
         }, { frameId: 0 });
       } catch (err) {
         return { error: "Content script not loaded. Try refreshing the page." };
@@ -794,11 +1597,12 @@ export async function handleMessage(
     case "FORM_INPUT": {
       if (!tabId) throw new Error("No tabId provided");
       try {
+        const { frameId, ref } = splitFrameRef(message.ref);
         return await chrome.tabs.sendMessage(tabId, {
           type: "FORM_INPUT",
-          ref: message.ref,
+          ref,
           value: message.value,
-        }, { frameId: 0 });
+        }, { frameId });
       } catch (err) {
         return { error: "Content script not loaded. Try refreshing the page." };
       }
@@ -820,10 +1624,12 @@ export async function handleMessage(
     case "SCROLL_TO_ELEMENT": {
       if (!tabId) throw new Error("No tabId provided");
       try {
+        const { frameId, ref } = splitFrameRef(message.ref);
         return await chrome.tabs.sendMessage(tabId, {
           type: "SCROLL_TO_ELEMENT",
-          ref: message.ref,
-        }, { frameId: 0 });
+          ref,
+          locator: message.locator,
+        }, { frameId });
       } catch (err) {
         return { error: "Content script not loaded. Try refreshing the page." };
       }
@@ -972,12 +1778,19 @@ export async function handleMessage(
 
     case "CLICK_REF": {
       if (!tabId) throw new Error("No tabId provided");
+      const { ref, selector, role, name, locator } = message;
+      await waitForActionable(tabId, message, "click", { ref, selector, role, name, locator });
+      const target = splitFrameRef(ref);
       try {
         const result = await chrome.tabs.sendMessage(tabId, {
           type: "CLICK_ELEMENT",
-          ref: message.ref,
+          ref: target.ref,
+          selector,
+          role,
+          name,
+          locator,
           button: message.button || "left",
-        }, { frameId: 0 });
+        }, { frameId: target.frameId });
         if (result.error) return { error: result.error };
         return { success: true };
       } catch (err) {
@@ -985,15 +1798,63 @@ export async function handleMessage(
       }
     }
 
+    case "RECORD_START": {
+      if (!tabId) throw new Error("No tabId provided");
+      if (recordings.has(tabId)) throw new Error("Already recording this tab. Run 'surf record stop' first.");
+      const tab = await chrome.tabs.get(tabId);
+      const url = tab.url || "";
+      recordings.set(tabId, { startedAt: Date.now(), url, steps: url ? [{ type: "navigate", url }] : [] });
+      try {
+        await chrome.tabs.sendMessage(tabId, { type: "RECORD_START" }, { frameId: 0 });
+      } catch (err) {
+        recordings.delete(tabId);
+        return { error: "Content script not loaded. Try refreshing the page." };
+      }
+      return { success: true, recording: true, url };
+    }
+
+    case "RECORD_STOP": {
+      if (!tabId) throw new Error("No tabId provided");
+      const recording = recordings.get(tabId);
+      if (!recording) throw new Error("No recording in progress for this tab");
+      recordings.delete(tabId);
+      try {
+        const result = await chrome.tabs.sendMessage(tabId, { type: "RECORD_STOP" }, { frameId: 0 });
+        if (result?.pendingStep) recording.steps.push(result.pendingStep);
+      } catch (e) {}
+      return {
+        success: true,
+        url: recording.url,
+        duration: Date.now() - recording.startedAt,
+        steps: recording.steps,
+      };
+    }
+
+    case "RECORD_EVENT": {
+      const senderTabId = sender.tab?.id;
+      const recording = senderTabId !== undefined ? recordings.get(senderTabId) : undefined;
+      if (recording && message.step) recording.steps.push(message.step);
+      return { success: true };
+    }
+
+    case "RECORD_STATUS": {
+      const senderTabId = sender.tab?.id;
+      return { recording: senderTabId !== undefined && recordings.has(senderTabId) };
+    }
+
     case "HOVER_REF": {
       if (!tabId) throw new Error("No tabId provided");
+      await waitForActionable(tabId, message, "hover", { ref: message.ref, locator: message.locator });
+      const { frameId, ref } = splitFrameRef(message.ref);
       try {
         const coords = await chrome.tabs.sendMessage(tabId, {
           type: "GET_ELEMENT_COORDINATES",
-          ref: message.ref,
-        }, { frameId: 0 });
+          ref,
+          locator: message.locator,
+        }, { frameId });
         if (coords.error) return { error: coords.error };
-        await cdp.hover(tabId, coords.x, coords.y);
+        const offset = frameId === 0 ? { x: 0, y: 0 } : await getFrameOffset(tabId, frameId);
+        await cdp.hover(tabId, coords.x + offset.x, coords.y + offset.y);
         return { success: true };
       } catch (err) {
         return { error: "Content script not loaded. Try refreshing the page." };
@@ -1033,115 +1894,102 @@ export async function handleMessage(
     }
 
     case "SMOKE_TEST": {
-      const urls: string[] = message.urls || [];
-      const captureScreenshots: boolean = message.savePath !== undefined;
+      // Targets are URLs or routes from surf.json with their own settle and checks
+      const targets: SmokeTarget[] =
+        (message.urls || []).map((u: any) => (typeof u === "string" ? { url: u } : u));
       const failFast: boolean = message.failFast || false;
+      const concurrency = Math.max(1, Math.min(parseInt(message.concurrency, 10) || 1, targets.length));
       
-      if (urls.length === 0) {
+      if (targets.length === 0) {
         return { error: "No URLs provided for smoke test" };
       }
 
-      const results: Array<{
-        url: string;
-        status: "pass" | "fail";
-        time: number;
-        errors: string[];
-        screenshotBase64?: string;
-        hostname?: string;
-      }> = [];
-
-      let pass = 0;
-      let fail = 0;
-
-      for (const url of urls) {
-        const startTime = Date.now();
-        const errors: string[] = [];
-        let screenshotBase64: string | undefined;
-        let hostname: string | undefined;
-        let testTabId: number | undefined;
-
-        try {
-          hostname = new URL(url).hostname.replace(/[^a-zA-Z0-9.-]/g, "_");
-          const testTab = await chrome.tabs.create({ url, active: false });
-          if (!testTab.id) throw new Error("Failed to create tab");
-          testTabId = testTab.id;
-
-          try {
-            await cdp.enableConsoleTracking(testTabId);
-          } catch (e) {}
-
-          await new Promise<void>((resolve) => {
-            const onComplete = (details: chrome.webNavigation.WebNavigationFramedCallbackDetails) => {
-              if (details.tabId === testTabId && details.frameId === 0) {
-                chrome.webNavigation.onCompleted.removeListener(onComplete);
-                chrome.webNavigation.onErrorOccurred.removeListener(onError);
-                resolve();
-              }
-            };
-            const onError = (details: chrome.webNavigation.WebNavigationFramedErrorCallbackDetails) => {
-              if (details.tabId === testTabId && details.frameId === 0) {
-                chrome.webNavigation.onCompleted.removeListener(onComplete);
-                chrome.webNavigation.onErrorOccurred.removeListener(onError);
-                errors.push(`Navigation error: ${details.error}`);
-                resolve();
-              }
-            };
-            chrome.webNavigation.onCompleted.addListener(onComplete);
-            chrome.webNavigation.onErrorOccurred.addListener(onError);
-            setTimeout(() => {
-              chrome.webNavigation.onCompleted.removeListener(onComplete);
-              chrome.webNavigation.onErrorOccurred.removeListener(onError);
-              errors.push("Navigation timeout (30s)");
-              resolve();
-            }, 30000);
-          });
-
-          await new Promise(r => setTimeout(r, 2000));
-
-          const consoleMessages = cdp.getConsoleMessages(testTabId, { onlyErrors: true, limit: 50 });
-          for (const msg of consoleMessages) {
-            errors.push(`[${msg.type}] ${msg.text}`);
-          }
-
-          if (captureScreenshots) {
-            try {
-              const screenshot = await cdp.captureScreenshot(testTabId);
-              screenshotBase64 = screenshot.base64;
-            } catch (e) {}
-          }
-        } catch (e) {
-          errors.push(e instanceof Error ? e.message : String(e));
-        } finally {
-          if (testTabId) {
-            try { await chrome.tabs.remove(testTabId); } catch {}
-          }
+      const options: SmokeRunOptions = {
+        settle: message.settle,
+        ignore: message.ignore || [],
+        captureScreenshots: message.savePath !== undefined,
+      };
+      if (message.newWindow) {
+        const window = await handleMessage({ type: "WINDOW_NEW", focused: false }, sender);
+        options.windowId = window.windowId;
+      }
+
+      // Workers take the next target until the list runs out or a failure
+      // cancels the run under --fail-fast; results keep the input order
+      const results: Array<SmokeResult | undefined> = new Array(targets.length);
+      let next = 0;
+      let cancelled = false;
+      const worker = async () => {
+        while (!cancelled && next < targets.length) {
+          const index = next++;
+          const result = await runSmokeTarget(targets[index], options);
+          results[index] = result;
+          if (failFast && result.status === "fail") cancelled = true;
         }
-
-        const elapsed = Date.now() - startTime;
-        const status = errors.length === 0 ? "pass" : "fail";
-        if (status === "pass") pass++;
-        else fail++;
-
-        results.push({
-          url,
-          status,
-          time: elapsed,
-          errors,
-          ...(screenshotBase64 && { screenshotBase64, hostname }),
-        });
-
-        if (failFast && status === "fail") {
-          break;
+      };
+      try {
+        await Promise.all(Array.from({ length: concurrency }, worker));
+      } finally {
+        if (options.windowId) {
+          try { await chrome.windows.remove(options.windowId); } catch {}
         }
       }
 
+      const completed = results.filter((r): r is SmokeResult => r !== undefined);
+      const pass = completed.filter(r => r.status === "pass").length;
       return {
-        results,
-        summary: { pass, fail, total: results.length },
+        results: completed,
+        summary: {
+          pass,
+          fail: completed.length - pass,
+          total: completed.length,
+          ...(completed.length < targets.length && { skipped: targets.length - completed.length }),
+        },
         savePath: message.savePath,
       };
     }
 
+    case "CRAWL_PAGE": {
+      if (!message.url) throw new Error("No url provided");
+      return runSmokeTarget({ url: message.url }, {
+        settle: message.settle,
+        ignore: [],
+        captureScreenshots: false,
+        windowId: message.windowId,
+        collectLinks: true,
+      });
+    }
+
+    case "CRAWL_FETCH": {
+      if (!message.url) throw new Error("No url provided");
+      try {
+        const response = await fetch(message.url, { credentials: "include" });
+        return { status: response.status, text: response.ok ? await response.text() : "" };
+      } catch (e) {
+        return { error: e instanceof Error ? e.message : String(e) };
+      }
+    }
+
+    case "SESSION_CAPTURE": {
+      const windowId = message.windowId ?? (await chrome.windows.getLastFocused({ windowTypes: ["normal"] })).id;
+      if (!windowId) throw new Error("No window to save");
+      return captureSession(windowId, message.origins || []);
+    }
+
+    case "SESSION_RESTORE_START":
+      return startSessionRestore(message.cookies || [], sender, message.focused);
+
+    case "SESSION_RESTORE_STORAGE": {
+      if (!message.tabId || !message.origin) throw new Error("tabId and origin required");
+      await restoreOriginStorageInTab(message.tabId, message.origin, message.data);
+      return { success: true };
+    }
+
+    case "SESSION_RESTORE_TABS": {
+      if (!message.windowId || !message.tabId) throw new Error("windowId and tabId required");
+      return restoreSessionTabs(message.windowId, message.tabId, message.tabs || []);
+    }
+
     case "WAIT_FOR_ELEMENT": {
       if (!tabId) throw new Error("No tabId provided");
       if (!message.selector) throw new Error("No selector provided");
@@ -1316,11 +2164,30 @@ export async function handleMessage(
     case "FORM_FILL": {
       if (!tabId) throw new Error("No tabId provided");
       if (!message.data) throw new Error("No data provided");
-      const response = await chrome.tabs.sendMessage(tabId, {
-        type: "FORM_FILL",
-        data: message.data,
-      }, { frameId: 0 });
-      return response;
+      for (const item of Array.isArray(message.data) ? message.data : []) {
+        const { ref, selector, role, name, locator } = item;
+        await waitForActionable(tabId, message, "type", { ref, selector, role, name, locator });
+      }
+      if (!Array.isArray(message.data)) {
+        return await chrome.tabs.sendMessage(tabId, { type: "FORM_FILL", data: message.data }, { frameId: 0 });
+      }
+      // Each frame fills its own fields; results keep the qualified refs
+      const byFrame = new Map<number, any[]>();
+      for (const item of message.data) {
+        const { frameId, ref } = splitFrameRef(item.ref);
+        if (!byFrame.has(frameId)) byFrame.set(frameId, []);
+        byFrame.get(frameId)!.push({ ...item, ref });
+      }
+      const results: any[] = [];
+      for (const [frameId, data] of byFrame) {
+        const response = await chrome.tabs.sendMessage(tabId, { type: "FORM_FILL", data }, { frameId });
+        if (response?.error) return response;
+        for (const result of response?.results || []) {
+          results.push(frameId === 0 || !/^e\d+$/.test(result.ref) ? result : { ...result, ref: `f${frameId}:${result.ref}` });
+        }
+      }
+      const failed = results.filter(r => !r.success).length;
+      return { success: failed === 0, filled: results.length - failed, failed, results };
     }
 
     case "PERF_START": {
@@ -1509,6 +2376,40 @@ export async function handleMessage(
       return { success: true };
     }
 
+    case "NETWORK_MOCK_ADD": {
+      if (!tabId) throw new Error("No tabId provided");
+      const result = await cdp.addMockRule(tabId, {
+        urlPattern: message.urlPattern,
+        method: message.method,
+        status: message.status,
+        headers: message.headers,
+        body: message.body,
+        contentType: message.contentType,
+      });
+      if (!result.success) return { error: result.error };
+      return { success: true, mockRule: result.rule };
+    }
+
+    case "NETWORK_MOCK_LIST": {
+      if (!tabId) throw new Error("No tabId provided");
+      return { mockRules: cdp.getMockRules(tabId) };
+    }
+
+    case "NETWORK_MOCK_REMOVE": {
+      if (!tabId) throw new Error("No tabId provided");
+      if (!message.ruleId) throw new Error("No rule id provided");
+      const result = await cdp.removeMockRule(tabId, message.ruleId);
+      if (!result.success) return { error: result.error };
+      return { success: true, removedRules: result.removed };
+    }
+
+    case "NETWORK_MOCK_CLEAR": {
+      if (!tabId) throw new Error("No tabId provided");
+      const result = await cdp.clearMockRules(tabId);
+      if (!result.success) return { error: result.error };
+      return { success: true, removedRules: result.removed };
+    }
+
     case "GET_NETWORK_ENTRIES": {
       if (!tabId) throw new Error("No tabId provided");
       
@@ -1944,12 +2845,155 @@ export async function handleMessage(
     case "SEARCH_PAGE": {
       if (!tabId) throw new Error("No tabId provided");
       if (!message.term) throw new Error("Search term required");
+      const limit = message.limit || 10;
+      // --within confines the search to the frame its ref lives in
+      const within = splitFrameRef(message.within);
+      const frames = message.within
+        ? [within.frameId]
+        : ((await chrome.webNavigation.getAllFrames({ tabId })) || [{ frameId: 0 }])
+          .map(f => f.frameId)
+          .sort((a, b) => a - b);
+      const matches: any[] = [];
+      for (const frameId of frames) {
+        if (matches.length >= limit) break;
+        let result;
+        try {
+          result = await chrome.tabs.sendMessage(tabId, {
+            type: "SEARCH_PAGE",
+            term: message.term,
+            caseSensitive: message.caseSensitive || false,
+            regex: message.regex,
+            fuzzy: message.fuzzy,
+            threshold: message.threshold,
+            within: within.ref,
+            limit: limit - matches.length,
+          }, { frameId });
+        } catch {
+          // Only the searched frame is required to have the content script
+          if (frameId === frames[0]) return { error: "Content script not loaded. Try refreshing the page." };
+          continue;
+        }
+        if (result?.error) {
+          if (frameId === frames[0]) throw new Error(result.error);
+          continue;
+        }
+        if (frameId === 0) {
+          matches.push(...(result?.matches || []));
+          continue;
+        }
+        let offset;
+        try {
+          offset = await getFrameOffset(tabId, frameId);
+        } catch {
+          continue;
+        }
+        for (const match of result?.matches || []) {
+          matches.push({
+            ...match,
+            ref: `f${frameId}:${match.ref}`,
+            elementRef: match.elementRef && `f${frameId}:${match.elementRef}`,
+            bounds: { ...match.bounds, x: match.bounds.x + Math.round(offset.x), y: match.bounds.y + Math.round(offset.y) },
+          });
+        }
+      }
+      if (message.highlight) {
+        pendingHighlights.set(tabId, matches.map(m => ({ ref: m.ref, tag: "mark", bounds: m.bounds })));
+      }
+      return { query: message.term, count: matches.length, matches };
+    }
+
+    case "EXTRACT": {
+      if (!tabId) throw new Error("No tabId provided");
+      if (!message.schema) throw new Error("No schema provided");
+      const pagination = message.pagination;
+      const maxPages = pagination?.maxPages || 1;
+      const visited = new Set<string>();
+      let data: unknown = null;
+      let url: string | undefined;
+      let previous: string | undefined;
+      let pages = 0;
+      while (pages < maxPages) {
+        let result;
+        try {
+          result = await sendToPage(tabId, {
+            type: "EXTRACT",
+            schema: message.schema,
+            next: pagination?.next,
+          }, pages === 0 ? 0 : 3);
+        } catch {
+          if (pages === 0) return { error: "Content script not loaded. Try refreshing the page." };
+          break;
+        }
+        if (result?.error) throw new Error(result.error);
+        // A next control that changed nothing (the last page, or an SPA that ignored the click)
+        const snapshot = JSON.stringify(result.data);
+        if (snapshot === previous) break;
+        previous = snapshot;
+        pages++;
+        url ??= result.url;
+        visited.add(result.url);
+        data = Array.isArray(data) && Array.isArray(result.data) ? [...data, ...result.data] : result.data;
+        if (!result.next || pages >= maxPages) break;
+        if (result.next.url) {
+          if (visited.has(result.next.url)) break;
+          await navigateTab(tabId, result.next.url);
+          await settleSmokeTab(tabId, "dom");
+        } else {
+          // Not a link: click it (first match) and wait for the page or its DOM to update
+          const steps = pagination.next;
+          const last = steps[steps.length - 1];
+          await clickAndSettle(tabId, [...steps.slice(0, -1), { ...last, nth: last.nth ?? 0 }]);
+        }
+      }
+      return { url, pages, records: Array.isArray(data) ? data.length : data === null ? 0 : 1, data };
+    }
+
+    case "TABLE_LIST": {
+      if (!tabId) throw new Error("No tabId provided");
+      const frames = ((await chrome.webNavigation.getAllFrames({ tabId })) || [{ frameId: 0 }])
+        .map(f => f.frameId)
+        .sort((a, b) => a - b);
+      const tables: any[] = [];
+      for (const frameId of frames) {
+        let result;
+        try {
+          result = await chrome.tabs.sendMessage(tabId, { type: "TABLE_LIST" }, { frameId });
+        } catch {
+          if (frameId === 0) return { error: "Content script not loaded. Try refreshing the page." };
+          continue;
+        }
+        for (const table of result?.tables || []) {
+          tables.push(frameId === 0 ? table : { ...table, ref: `f${frameId}:${table.ref}`, frame: frameId });
+        }
+      }
+      return { tables };
+    }
+
+    case "TABLE_GET": {
+      if (!tabId) throw new Error("No tabId provided");
+      if (!message.ref) throw new Error("No table ref provided");
+      const { frameId, ref } = splitFrameRef(message.ref);
+      let result;
+      try {
+        result = await chrome.tabs.sendMessage(tabId, {
+          type: "TABLE_GET",
+          ref,
+          scroll: message.scroll,
+          maxRows: message.maxRows,
+        }, { frameId });
+      } catch {
+        return { error: "Content script not loaded. Try refreshing the page." };
+      }
+      if (result?.error) throw new Error(result.error);
+      return frameId === 0 ? result : { ...result, ref: `f${frameId}:${result.ref}` };
+    }
+
+    case "A11Y_AUDIT": {
+      if (!tabId) throw new Error("No tabId provided");
       try {
         const result = await chrome.tabs.sendMessage(tabId, {
-          type: "SEARCH_PAGE",
-          term: message.term,
-          caseSensitive: message.caseSensitive || false,
-          limit: message.limit || 10,
+          type: "A11Y_AUDIT",
+          severity: message.severity,
         }, { frameId: 0 });
         return result;
       } catch {
@@ -2021,6 +3065,7 @@ export async function handleMessage(
       if (!tabId) throw new Error("No tabId provided");
       const selector = message.selector;
       const index = message.index || 0;
+      await waitForActionable(tabId, message, "click", { selector, index });
       
       const script = `(() => {
         const elements = document.querySelectorAll(${JSON.stringify(selector)});
@@ -2116,6 +3161,74 @@ export async function handleMessage(
       return { success: true, cleared: cookies.length };
     }
 
+    case "STORAGE_LIST":
+    case "STORAGE_GET":
+    case "STORAGE_SET":
+    case "STORAGE_REMOVE":
+    case "STORAGE_CLEAR": {
+      if (!tabId) throw new Error("No tabId provided");
+      const origin = await storageOrigin(tabId, message.origin);
+      const isLocal = !message.session;
+      const area = isLocal ? "localStorage" : "sessionStorage";
+      const scope = { origin, area };
+      const check = (result: { success: boolean; error?: string }) => {
+        if (!result.success) throw new Error(`${area} for ${origin}: ${result.error}`);
+      };
+
+      if (message.type === "STORAGE_SET") {
+        check(await cdp.setDOMStorageItem(tabId, origin, isLocal, message.key, message.value));
+        return { storage: { ...scope, key: message.key, value: message.value } };
+      }
+      if (message.type === "STORAGE_REMOVE") {
+        check(await cdp.removeDOMStorageItem(tabId, origin, isLocal, message.key));
+        return { storage: { ...scope, removed: message.key } };
+      }
+      const listed = await cdp.getDOMStorageItems(tabId, origin, isLocal);
+      check(listed);
+      const items = listed.items || {};
+      if (message.type === "STORAGE_GET") {
+        if (!(message.key in items)) return { error: `No ${area} item "${message.key}" for ${origin}` };
+        return { storage: { ...scope, key: message.key, value: items[message.key] } };
+      }
+      if (message.type === "STORAGE_CLEAR") {
+        check(await cdp.clearDOMStorage(tabId, origin, isLocal));
+        return { storage: { ...scope, cleared: Object.keys(items).length } };
+      }
+      return { storage: { ...scope, count: Object.keys(items).length, items } };
+    }
+
+    case "IDB_LIST": {
+      if (!tabId) throw new Error("No tabId provided");
+      const origin = await storageOrigin(tabId, message.origin);
+      const result = await cdp.getIndexedDBDatabases(tabId, origin);
+      if (!result.success) throw new Error(`IndexedDB for ${origin}: ${result.error}`);
+      return { storage: { origin, databases: result.databases } };
+    }
+
+    case "IDB_DUMP": {
+      if (!tabId) throw new Error("No tabId provided");
+      if (!message.database) throw new Error("Database name required");
+      const origin = await storageOrigin(tabId, message.origin);
+      const listed = await cdp.getIndexedDBDatabases(tabId, origin);
+      if (!listed.success) throw new Error(`IndexedDB for ${origin}: ${listed.error}`);
+      const database = listed.databases?.find(db => db.name === message.database);
+      if (!database) {
+        const names = (listed.databases || []).map(db => db.name);
+        return { error: `No IndexedDB database "${message.database}" for ${origin}${names.length ? ` (have: ${names.join(", ")})` : ""}` };
+      }
+      const storeNames = message.store ? [message.store] : database.objectStores.map(s => s.name);
+      const stores = [];
+      for (const name of storeNames) {
+        if (!database.objectStores.some(s => s.name === name)) {
+          return { error: `No object store "${name}" in ${database.name}` };
+        }
+        const data = await cdp.getIndexedDBData(tabId, origin, database.name, name, { skip: message.skip, limit: message.limit });
+        if (!data.success) throw new Error(`${database.name}/${name}: ${data.error}`);
+        stores.push({ name, entries: data.entries, hasMore: data.hasMore });
+      }
+      return { storage: { origin, database: database.name, version: database.version, stores } };
+    }
+
     case "TAB_RELOAD": {
       if (!tabId) throw new Error("No tabId provided");
       await chrome.tabs.reload(tabId, { bypassCache: message.hard || false });
@@ -2489,7 +3602,9 @@ const COMMANDS_WITHOUT_TAB = new Set([
   "CHATGPT_NEW_TAB", "CHATGPT_CLOSE_TAB", "CHATGPT_EVALUATE", "CHATGPT_CDP_COMMAND",
   "GET_CHATGPT_COOKIES", "GET_GOOGLE_COOKIES",
   "PERPLEXITY_NEW_TAB", "PERPLEXITY_CLOSE_TAB", "PERPLEXITY_EVALUATE", "PERPLEXITY_CDP_COMMAND",
-  "WINDOW_NEW", "WINDOW_LIST", "WINDOW_FOCUS", "WINDOW_CLOSE", "WINDOW_RESIZE"
+  "WINDOW_NEW", "WINDOW_LIST", "WINDOW_FOCUS", "WINDOW_CLOSE", "WINDOW_RESIZE",
+  "CRAWL_PAGE", "CRAWL_FETCH", "SESSION_CAPTURE",
+  "SESSION_RESTORE_START", "SESSION_RESTORE_STORAGE", "SESSION_RESTORE_TABS"
 ]);
 
 initNativeMessaging(async (msg) => {
@@ -46,10 +46,16 @@ type ChromeMock = {
     };
   };
   webNavigation: {
+    getFrame: ReturnType<typeof vi.fn>;
+    getAllFrames: ReturnType<typeof vi.fn>;
     onCompleted: {
       addListener: ReturnType<typeof vi.fn>;
       removeListener: ReturnType<typeof vi.fn>;
     };
+    onCommitted: {
+      addListener: ReturnType<typeof vi.fn>;
+      removeListener: ReturnType<typeof vi.fn>;
+    };
     onErrorOccurred: {
       addListener: ReturnType<typeof vi.fn>;
       removeListener: ReturnType<typeof vi.fn>;
@@ -144,10 +150,16 @@ export function createChromeMock(): ChromeMock {
       },
     },
     webNavigation: {
+      getFrame: vi.fn().mockResolvedValue(null),
+      getAllFrames: vi.fn().mockResolvedValue([{ frameId: 0, parentFrameId: -1 }]),
       onCompleted: {
         addListener: vi.fn(),
         removeListener: vi.fn(),
       },
+      onCommitted: {
+        addListener: vi.fn(),
+        removeListener: vi.fn(),
+      },
       onErrorOccurred: {
         addListener: vi.fn(),
         removeListener: vi.fn(),
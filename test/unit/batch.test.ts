@@ -0,0 +1,377 @@
+// biome-ignore-all lint/suspicious/noTemplateCurlyInString: workflow vars use ${name} in plain strings
+import { vi } from "vitest";
+// @ts-expect-error - CommonJS module without type definitions
+import * as batch from "../../native/batch.cjs";
+
+type Action = Record<string, any>;
+
+function fakeRunner(handler: (action: Action) => any = () => ({ success: true })) {
+  const calls: Action[] = [];
+  const runAction = vi.fn(async (action: Action) => {
+    calls.push(action);
+    return handler(action);
+  });
+  return { calls, runAction };
+}
+
+function run(actions: Action[], runAction: (a: Action) => Promise<any>, vars?: Action) {
+  return batch.runBatch(actions, { runAction, vars, delayMs: 0 });
+}
+
+describe("batch runner", () => {
+  describe("substitute", () => {
+    it("replaces vars inside strings", () => {
+      expect(
+        batch.substitute("${base}/login?u=${user.name}", {
+          base: "https://x.io",
+          user: { name: "ann" },
+        }),
+      ).toBe("https://x.io/login?u=ann");
+    });
+
+    it("keeps raw values for exact references", () => {
+      expect(batch.substitute("${items}", { items: [1, 2] })).toEqual([1, 2]);
+    });
+
+    it("leaves unknown vars untouched", () => {
+      expect(batch.substitute("`${x}`", {})).toBe("`${x}`");
+    });
+
+    it("does not substitute nested step lists", () => {
+      const step = {
+        type: "if",
+        condition: { text: "${t}" },
+        actions: [{ type: "type", text: "${t}" }],
+      };
+      const out = batch.substitute(step, { t: "hi" });
+      expect(out.condition.text).toBe("hi");
+      expect(out.actions[0].text).toBe("${t}");
+    });
+  });
+
+  describe("toToolCall", () => {
+    it("maps shorthand steps to host tools", () => {
+      expect(batch.toToolCall({ type: "click", ref: "e1" }).tool).toBe("left_click");
+      expect(
+        batch.toToolCall({ type: "click", role: "button", name: "Save", nth: 0 }).args,
+      ).toMatchObject({
+        role: "button",
+        name: "Save",
+        nth: 0,
+      });
+      expect(batch.toToolCall({ type: "wait", ms: 500 })).toEqual({
+        tool: "wait",
+        args: { duration: 0.5 },
+      });
+      expect(
+        batch.toToolCall({ type: "screenshot", output: "/tmp/a.png", fullpage: true }),
+      ).toEqual({
+        tool: "screenshot",
+        args: { output: "/tmp/a.png", fullpage: true, savePath: "/tmp/a.png" },
+      });
+    });
+
+    it("passes any other tool through with its args", () => {
+      expect(batch.toToolCall({ type: "cookie.set", name: "a", value: "1" })).toEqual({
+        tool: "cookie.set",
+        args: { name: "a", value: "1" },
+      });
+      expect(batch.toToolCall({ type: "read", filter: "all" }).tool).toBe("page.read");
+    });
+
+    it("supports explicit tool and args", () => {
+      expect(batch.toToolCall({ tool: "network", args: { type: "json" } })).toEqual({
+        tool: "network",
+        args: { type: "json" },
+      });
+    });
+  });
+
+  describe("getStepOutput", () => {
+    it("returns the primary value of a tool result", () => {
+      expect(batch.getStepOutput({ output: "[1,2]" })).toEqual([1, 2]);
+      expect(batch.getStepOutput({ pageContent: "button [e1]", text: "Hi" })).toBe("button [e1]");
+      expect(batch.getStepOutput({ message: "Saved to /tmp/a.png" })).toBe("Saved to /tmp/a.png");
+    });
+
+    it("strips transport fields from structured results", () => {
+      expect(
+        batch.getStepOutput({ success: true, tabId: 5, url: "https://x.io", _resolvedTabId: 5 }),
+      ).toEqual({ tabId: 5, url: "https://x.io" });
+      expect(batch.getStepOutput({ success: true })).toBeUndefined();
+    });
+  });
+
+  it("reports tool output per step", async () => {
+    const { runAction } = fakeRunner((a) =>
+      a.tool === "cookie.list" ? { cookies: [{ name: "sid" }] } : { success: true },
+    );
+    const result = await run(
+      [{ type: "navigate", url: "https://x.io" }, { tool: "cookie.list" }],
+      runAction,
+    );
+    expect(result.results[0].output).toBeUndefined();
+    expect(result.results[1]).toMatchObject({
+      type: "cookie.list",
+      success: true,
+      output: { cookies: [{ name: "sid" }] },
+    });
+  });
+
+  it("runs a flat list and substitutes vars", async () => {
+    const { calls, runAction } = fakeRunner();
+    const result = await run([{ type: "navigate", url: "${base}/a" }], runAction, {
+      base: "https://x.io",
+    });
+    expect(result.success).toBe(true);
+    expect(result.completedActions).toBe(1);
+    expect(calls[0]).toEqual({ type: "navigate", url: "https://x.io/a" });
+  });
+
+  it("stops on the first failure", async () => {
+    const { calls, runAction } = fakeRunner((a) =>
+      a.type === "click" ? { error: "Element e1 not found" } : {},
+    );
+    const result = await run(
+      [
+        { type: "click", ref: "e1" },
+        { type: "key", key: "Enter" },
+      ],
+      runAction,
+    );
+    expect(result.success).toBe(false);
+    expect(result.completedActions).toBe(0);
+    expect(result.error).toBe("Action 0 failed: Element e1 not found");
+    expect(calls).toHaveLength(1);
+  });
+
+  it("continues past failures marked continueOnError", async () => {
+    const { calls, runAction } = fakeRunner((a) => (a.type === "click" ? { error: "gone" } : {}));
+    const result = await run(
+      [
+        { type: "click", ref: "e1", continueOnError: true },
+        { type: "key", key: "Enter" },
+      ],
+      runAction,
+    );
+    expect(result.success).toBe(true);
+    expect(result.results[0]).toMatchObject({ success: false, continued: true, error: "gone" });
+    expect(calls[0]).toEqual({ type: "click", ref: "e1" });
+    expect(calls).toHaveLength(2);
+  });
+
+  it("captures step output into vars", async () => {
+    const { calls, runAction } = fakeRunner((a) =>
+      a.type === "js" ? { output: '"Dashboard"' } : {},
+    );
+    const result = await run(
+      [
+        { type: "js", code: "return document.title", capture: "title" },
+        { type: "type", selector: "#q", text: "${title} report" },
+      ],
+      runAction,
+    );
+    expect(result.vars.title).toBe("Dashboard");
+    expect(result.results[0].captured).toBe("title");
+    expect(calls[1].text).toBe("Dashboard report");
+  });
+
+  it("sets variables", async () => {
+    const { calls, runAction } = fakeRunner();
+    await run(
+      [
+        { type: "set", vars: { q: "surf" } },
+        { type: "type", selector: "#q", text: "${q}" },
+      ],
+      runAction,
+    );
+    expect(calls).toEqual([{ type: "type", selector: "#q", text: "surf" }]);
+  });
+
+  describe("assert", () => {
+    it("passes when the page check passes", async () => {
+      const { calls, runAction } = fakeRunner(() => ({
+        output: JSON.stringify({ pass: true, actual: "1 matching elements" }),
+      }));
+      const result = await run([{ type: "assert", exists: "#login" }], runAction);
+      expect(result.success).toBe(true);
+      expect(calls[0].type).toBe("js");
+      expect(calls[0].code).toContain('querySelectorAll("#login")');
+    });
+
+    it("fails with the actual value", async () => {
+      const { runAction } = fakeRunner(() => ({
+        output: JSON.stringify({ pass: false, actual: "https://x.io/login" }),
+      }));
+      const result = await run([{ type: "assert", url: "/dashboard" }], runAction);
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(
+        "Action 0 failed: Assertion failed: URL matches /dashboard (actual: https://x.io/login)",
+      );
+    });
+
+    it("supports regex URLs", () => {
+      expect(batch.buildCheckScript({ url: "/dash(board)?$/i" })).toContain(
+        'new RegExp("dash(board)?$", "i")',
+      );
+    });
+
+    it("inverts with not", async () => {
+      const { runAction } = fakeRunner(() => ({ output: JSON.stringify({ pass: true }) }));
+      const result = await run([{ type: "assert", text: "Error", not: true }], runAction);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('not text "Error" present');
+    });
+
+    it("uses a custom message", async () => {
+      const { runAction } = fakeRunner();
+      const result = await run(
+        [{ type: "assert", equals: ["${n}", 2], message: "expected two rows" }],
+        runAction,
+        {
+          n: 3,
+        },
+      );
+      expect(result.error).toBe("Action 0 failed: expected two rows");
+      expect(runAction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("if", () => {
+    it("runs the then branch", async () => {
+      const { calls, runAction } = fakeRunner();
+      await run(
+        [
+          {
+            type: "if",
+            condition: { var: "loggedIn" },
+            actions: [{ type: "navigate", url: "/home" }],
+            else: [{ type: "navigate", url: "/login" }],
+          },
+        ],
+        runAction,
+        { loggedIn: true },
+      );
+      expect(calls).toEqual([{ type: "navigate", url: "/home" }]);
+    });
+
+    it("runs the else branch and skips a missing branch", async () => {
+      const { calls, runAction } = fakeRunner(() => ({ output: JSON.stringify({ pass: false }) }));
+      const result = await run(
+        [
+          {
+            type: "if",
+            condition: { text: "Welcome" },
+            else: [{ type: "click", selector: "#login" }],
+          },
+          {
+            type: "if",
+            condition: { text: "Welcome" },
+            actions: [{ type: "click", selector: "#logout" }],
+          },
+        ],
+        runAction,
+      );
+      expect(result.success).toBe(true);
+      expect(calls.filter((c) => c.type === "click")).toEqual([
+        { type: "click", selector: "#login" },
+      ]);
+    });
+
+    it("reports nested failures with their path", async () => {
+      const { runAction } = fakeRunner((a) => (a.type === "click" ? { error: "not found" } : {}));
+      const result = await run(
+        [
+          {
+            type: "if",
+            condition: { equals: [1, 1] },
+            actions: [
+              { type: "key", key: "Tab" },
+              { type: "click", ref: "e9" },
+            ],
+          },
+        ],
+        runAction,
+      );
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Action 0.1 failed: not found");
+      expect(result.results.map((r: { index: number | string }) => r.index)).toEqual([
+        0,
+        "0.0",
+        "0.1",
+      ]);
+    });
+  });
+
+  describe("loops", () => {
+    it("repeats with an index variable", async () => {
+      const { calls, runAction } = fakeRunner();
+      const result = await run(
+        [
+          {
+            type: "repeat",
+            times: 3,
+            actions: [{ type: "type", selector: "#n", text: "n${index}" }],
+          },
+        ],
+        runAction,
+      );
+      expect(calls.map((c) => c.text)).toEqual(["n0", "n1", "n2"]);
+      expect(result.results[3].index).toBe("0[2].0");
+    });
+
+    it("iterates forEach items from a variable", async () => {
+      const { calls, runAction } = fakeRunner();
+      await run(
+        [
+          {
+            type: "forEach",
+            items: "${users}",
+            as: "user",
+            actions: [{ type: "navigate", url: "/u/${user.id}" }],
+          },
+        ],
+        runAction,
+        { users: [{ id: 1 }, { id: 2 }] },
+      );
+      expect(calls.map((c) => c.url)).toEqual(["/u/1", "/u/2"]);
+    });
+
+    it("rejects non-array items", async () => {
+      const { runAction } = fakeRunner();
+      const result = await run([{ type: "forEach", items: "${missing}", actions: [] }], runAction);
+      expect(result.error).toContain("forEach items must be an array");
+    });
+  });
+
+  describe("estimateDuration", () => {
+    it("budgets each step plus the pause between steps", () => {
+      expect(
+        batch.estimateDuration([
+          { type: "click", ref: "e1" },
+          { type: "wait", ms: 500 },
+          { type: "wait.load", timeout: 60000 },
+        ]),
+      ).toBe(30100 + 1600 + 60100);
+    });
+
+    it("multiplies loops by their iterations", () => {
+      const actions = [{ type: "click", ref: "e1" }];
+      expect(batch.estimateDuration([{ type: "repeat", times: 50, actions }])).toBe(
+        100 + 50 * 30100,
+      );
+      expect(
+        batch.estimateDuration({
+          vars: {},
+          actions: [{ type: "forEach", items: [1, 2], actions }],
+        }),
+      ).toBe(100 + 2 * 30100);
+      expect(
+        batch.estimateDuration([{ type: "forEach", items: "${rows}", actions: [] }, ...actions]),
+      ).toBe(100 + 30100);
+      expect(batch.estimateDuration([{ type: "repeat", times: "${n}", actions }])).toBe(
+        100 + 1000 * 30100,
+      );
+    });
+  });
+});
@@ -1008,6 +1008,147 @@ describe("CDPController", () => {
     });
   });
 
+  describe("mock rules", () => {
+    let controller: CDPController;
+    const tabId = 2900;
+
+    beforeEach(() => {
+      controller = new CDPController();
+      mockChrome.debugger.attach.mockResolvedValue(undefined);
+      mockChrome.debugger.sendCommand.mockResolvedValue({});
+    });
+
+    it("adds a rule and enables Fetch with a pattern", async () => {
+      const result = await controller.addMockRule(tabId, {
+        urlPattern: "/api/users*",
+        status: 200,
+        body: "[]",
+        contentType: "application/json",
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.rule?.id).toMatch(/^m\d+$/);
+      expect(result.rule?.headers).toStrictEqual({ "Content-Type": "application/json" });
+      expect(mockChrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId }, "Fetch.enable", {
+        patterns: [{ urlPattern: "*/api/users*", requestStage: "Request" }],
+      });
+    });
+
+    it("rejects invalid status codes", async () => {
+      const result = await controller.addMockRule(tabId, { urlPattern: "*", status: 42 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("Invalid status");
+    });
+
+    it("scopes rules per tab", async () => {
+      await controller.addMockRule(tabId, { urlPattern: "/a" });
+
+      expect(controller.getMockRules(tabId)).toHaveLength(1);
+      expect(controller.getMockRules(tabId + 1)).toHaveLength(0);
+    });
+
+    it("removes a rule and disables Fetch when none remain", async () => {
+      const { rule } = await controller.addMockRule(tabId, { urlPattern: "/a" });
+      const result = await controller.removeMockRule(tabId, rule?.id ?? "");
+
+      expect(result).toStrictEqual({ success: true, removed: 1 });
+      expect(controller.getMockRules(tabId)).toHaveLength(0);
+      expect(mockChrome.debugger.sendCommand).toHaveBeenCalledWith(
+        { tabId },
+        "Fetch.disable",
+        undefined,
+      );
+    });
+
+    it("returns error when removing unknown rule", async () => {
+      const result = await controller.removeMockRule(tabId, "m999");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("not found");
+    });
+
+    it("clears all rules for a tab", async () => {
+      await controller.addMockRule(tabId, { urlPattern: "/a" });
+      await controller.addMockRule(tabId, { urlPattern: "/b" });
+      const result = await controller.clearMockRules(tabId);
+
+      expect(result).toStrictEqual({ success: true, removed: 2 });
+      expect(controller.getMockRules(tabId)).toHaveLength(0);
+    });
+
+    it("fulfills matching paused requests and flags the entry as mocked", async () => {
+      await controller.addMockRule(tabId, { urlPattern: "/api/users*", status: 201, body: "ok" });
+      const ctl = controller as any;
+      ctl.handleCDPEvent(tabId, "Network.requestWillBeSent", {
+        requestId: "req-1",
+        timestamp: 1,
+        type: "Fetch",
+        request: { url: "https://example.com/api/users?page=1", method: "GET", headers: {} },
+      });
+      await ctl.handleFetchPaused(tabId, {
+        requestId: "fetch-1",
+        networkId: "req-1",
+        request: { url: "https://example.com/api/users?page=1", method: "GET" },
+      });
+
+      expect(mockChrome.debugger.sendCommand).toHaveBeenCalledWith(
+        { tabId },
+        "Fetch.fulfillRequest",
+        {
+          requestId: "fetch-1",
+          responseCode: 201,
+          responseHeaders: [{ name: "Content-Type", value: "text/plain" }],
+          body: btoa("ok"),
+        },
+      );
+      expect(controller.getMockRules(tabId)[0].hits).toBe(1);
+      expect(controller.getNetworkEntry(tabId, "req-1")?.flags).toContain("mocked");
+      expect(controller.getNetworkRequests(tabId)[0].mocked).toBe(true);
+    });
+
+    it("continues requests that do not match the rule method", async () => {
+      await controller.addMockRule(tabId, { urlPattern: "/api/*", method: "post" });
+      await (controller as any).handleFetchPaused(tabId, {
+        requestId: "fetch-2",
+        request: { url: "https://example.com/api/users", method: "GET" },
+      });
+
+      expect(mockChrome.debugger.sendCommand).toHaveBeenCalledWith(
+        { tabId },
+        "Fetch.continueRequest",
+        {
+          requestId: "fetch-2",
+        },
+      );
+      expect(controller.getMockRules(tabId)[0].hits).toBe(0);
+    });
+
+    it("continues the request and records the error when fulfilling fails", async () => {
+      await controller.addMockRule(tabId, { urlPattern: "/api/*" });
+      mockChrome.debugger.sendCommand.mockImplementation((_target: unknown, method: string) =>
+        method === "Fetch.fulfillRequest"
+          ? Promise.reject(new Error("Invalid header value"))
+          : Promise.resolve({}),
+      );
+      await (controller as any).handleFetchPaused(tabId, {
+        requestId: "fetch-3",
+        request: { url: "https://example.com/api/users", method: "GET" },
+      });
+
+      expect(mockChrome.debugger.sendCommand).toHaveBeenCalledWith(
+        { tabId },
+        "Fetch.continueRequest",
+        {
+          requestId: "fetch-3",
+        },
+      );
+      const [rule] = controller.getMockRules(tabId);
+      expect(rule.hits).toBe(0);
+      expect(rule.error).toContain("Invalid header value");
+    });
+  });
+
   describe("waitForLoad", () => {
     let controller: CDPController;
     const tabId = 2900;
@@ -1103,6 +1244,157 @@ describe("CDPController", () => {
     });
   });
 
+  describe("storage", () => {
+    let controller: CDPController;
+    const tabId = 3150;
+    const origin = "https://app.test";
+
+    beforeEach(() => {
+      controller = new CDPController();
+      mockChrome.debugger.attach.mockResolvedValue(undefined);
+    });
+
+    it("reads DOM storage items for an origin", async () => {
+      mockChrome.debugger.sendCommand.mockImplementation(
+        async (_target: unknown, method: string) =>
+          method === "DOMStorage.getDOMStorageItems"
+            ? {
+                entries: [
+                  ["theme", "dark"],
+                  ["lang", "en"],
+                ],
+              }
+            : {},
+      );
+
+      const result = await controller.getDOMStorageItems(tabId, origin, false);
+
+      expect(result).toEqual({ success: true, items: { theme: "dark", lang: "en" } });
+      expect(mockChrome.debugger.sendCommand).toHaveBeenCalledWith(
+        { tabId },
+        "DOMStorage.getDOMStorageItems",
+        { storageId: { securityOrigin: origin, isLocalStorage: false } },
+      );
+    });
+
+    it("reports DOM storage errors", async () => {
+      mockChrome.debugger.sendCommand.mockImplementation(
+        async (_target: unknown, method: string) => {
+          if (method === "DOMStorage.setDOMStorageItem") {
+            throw new Error("Frame not found");
+          }
+          return {};
+        },
+      );
+
+      const result = await controller.setDOMStorageItem(tabId, origin, true, "k", "v");
+
+      expect(result).toEqual({ success: false, error: "Frame not found" });
+    });
+
+    it("lists IndexedDB databases with their stores", async () => {
+      mockChrome.debugger.sendCommand.mockImplementation(
+        async (_target: unknown, method: string) => {
+          if (method === "IndexedDB.requestDatabaseNames") {
+            return { databaseNames: ["app-db"] };
+          }
+          if (method === "IndexedDB.requestDatabase") {
+            return {
+              databaseWithObjectStores: {
+                name: "app-db",
+                version: 3,
+                objectStores: [
+                  {
+                    name: "messages",
+                    keyPath: { type: "string", string: "id" },
+                    autoIncrement: false,
+                    indexes: [
+                      {
+                        name: "byThread",
+                        keyPath: { type: "array", array: ["thread", "ts"] },
+                        unique: false,
+                        multiEntry: false,
+                      },
+                    ],
+                  },
+                ],
+              },
+            };
+          }
+          return {};
+        },
+      );
+
+      const result = await controller.getIndexedDBDatabases(tabId, origin);
+
+      expect(result.databases).toEqual([
+        {
+          name: "app-db",
+          version: 3,
+          objectStores: [
+            {
+              name: "messages",
+              keyPath: "id",
+              autoIncrement: false,
+              indexes: [
+                { name: "byThread", keyPath: ["thread", "ts"], unique: false, multiEntry: false },
+              ],
+            },
+          ],
+        },
+      ]);
+    });
+
+    it("converts IndexedDB records to JSON and releases remote objects", async () => {
+      mockChrome.debugger.sendCommand.mockImplementation(
+        async (_target: unknown, method: string, params: { objectId?: string }) => {
+          if (method === "IndexedDB.requestData") {
+            return {
+              objectStoreDataEntries: [
+                {
+                  key: { type: "number", value: 1 },
+                  primaryKey: { type: "number", value: 1 },
+                  value: { type: "object", objectId: "obj-1", description: "Object" },
+                },
+              ],
+              hasMore: true,
+            };
+          }
+          if (method === "Runtime.callFunctionOn" && params.objectId === "obj-1") {
+            return { result: { value: { id: 1, text: "hi" } } };
+          }
+          return {};
+        },
+      );
+
+      const result = await controller.getIndexedDBData(tabId, origin, "app-db", "messages", {
+        limit: 1,
+      });
+
+      expect(result).toEqual({
+        success: true,
+        entries: [{ key: 1, value: { id: 1, text: "hi" } }],
+        hasMore: true,
+      });
+      expect(mockChrome.debugger.sendCommand).toHaveBeenCalledWith(
+        { tabId },
+        "IndexedDB.requestData",
+        expect.objectContaining({
+          databaseName: "app-db",
+          objectStoreName: "messages",
+          pageSize: 1,
+        }),
+      );
+      expect(mockChrome.debugger.sendCommand).toHaveBeenCalledWith(
+        { tabId },
+        "Runtime.releaseObject",
+        {
+          objectId: "obj-1",
+        },
+      );
+    });
+  });
+
   describe("tripleClick", () => {
     let controller: CDPController;
     const tabId = 3200;
@@ -1208,6 +1500,28 @@ describe("CDPController", () => {
       const entry = controller.getNetworkEntry(tabId, "nonexistent");
       expect(entry).toBeNull();
     });
+
+    it("records the redirect chain on the final request", () => {
+      const ctl = controller as any;
+      const send = (url: string, redirectStatus?: number) =>
+        ctl.handleCDPEvent(tabId, "Network.requestWillBeSent", {
+          requestId: "doc-1",
+          type: "Document",
+          request: { url, method: "GET", headers: {} },
+          ...(redirectStatus && { redirectResponse: { status: redirectStatus } }),
+        });
+      send("http://example.com/old");
+      send("https://example.com/old", 301);
+      send("https://example.com/new", 302);
+
+      expect(controller.getNetworkEntry(tabId, "doc-1")).toMatchObject({
+        url: "https://example.com/new",
+        redirects: [
+          { url: "http://example.com/old", status: 301 },
+          { url: "https://example.com/old", status: 302 },
+        ],
+      });
+    });
   });
 
   describe("evaluateInFrame", () => {
@@ -0,0 +1,132 @@
+// @ts-expect-error - CommonJS module without type definitions
+import * as commands from "../../native/commands.cjs";
+
+type Param = { name: string; [key: string]: unknown };
+
+const param = (command: string, name: string) =>
+  commands.getCommandParams(command).find((p: Param) => p.name === name);
+
+describe("command registry", () => {
+  it("names positional params after the host arg", () => {
+    const params = commands.getCommandParams("tab.switch");
+    expect(params[0]).toMatchObject({ name: "id", positional: true, label: "id", required: true });
+  });
+
+  it("follows aliases and types flags as booleans", () => {
+    expect(commands.getCommand("snap").name).toBe("screenshot");
+    expect(param("screenshot", "fullpage").type).toBe("boolean");
+    expect(param("screenshot", "output").type).toBe("string");
+  });
+
+  it("reads types, enums and defaults from option specs", () => {
+    expect(param("screenshot", "max-size")).toMatchObject({ type: "number", default: 1200 });
+    expect(param("scroll", "direction").enum).toEqual(["up", "down", "left", "right"]);
+    expect(param("wait", "duration")).toMatchObject({ type: "number", positional: true });
+  });
+
+  it("formats usage with required and optional args", () => {
+    expect(commands.formatUsage("navigate")).toBe("navigate <url>");
+    expect(commands.formatUsage("window.new")).toBe("window.new [url]");
+  });
+});
+
+describe("getRequestTimeout", () => {
+  it("gives plain commands the default timeout", () => {
+    expect(commands.getRequestTimeout("click", {})).toBe(30000);
+  });
+
+  it("scales smoke runs, crawls and paginated extracts with their page loads", () => {
+    const urls = Array.from({ length: 150 }, (_, i) => `https://a.test/${i}`);
+    expect(commands.getRequestTimeout("smoke", { urls })).toBe(150 * 45000);
+    expect(commands.getRequestTimeout("smoke", { urls, concurrency: 5 })).toBe(30 * 45000);
+    expect(commands.getRequestTimeout("crawl", { url: "https://a.test/" })).toBe(100 * 45000);
+    expect(commands.getRequestTimeout("crawl", { "max-pages": 20, concurrency: 4 })).toBe(
+      5 * 45000,
+    );
+    const schema = { items: "li", pagination: { next: "a.next", maxPages: 3 } };
+    expect(commands.getRequestTimeout("extract", { schema })).toBe(3 * 45000);
+    expect(commands.getRequestTimeout("extract", { schema, "max-pages": 8 })).toBe(8 * 45000);
+    expect(commands.getRequestTimeout("extract", { schema: JSON.stringify(schema) })).toBe(
+      3 * 45000,
+    );
+    expect(commands.getRequestTimeout("extract", { schema: { items: "li" } })).toBe(45000);
+  });
+
+  it("sizes batch runs from their steps", () => {
+    const actions = [{ type: "repeat", times: 100, actions: [{ type: "click", ref: "e1" }] }];
+    expect(commands.getRequestTimeout("batch", { actions })).toBe(100 + 100 * 30100);
+    expect(commands.getRequestTimeout("batch", { actions: JSON.stringify(actions) })).toBe(
+      100 + 100 * 30100,
+    );
+    expect(commands.getRequestTimeout("batch", { actions: [] })).toBe(30000);
+  });
+
+  it("waits out an AI tool's own timeout", () => {
+    expect(commands.getRequestTimeout("perplexity", {})).toBe(300000);
+    expect(commands.getRequestTimeout("chatgpt", {})).toBe(2710000);
+    expect(commands.getRequestTimeout("gemini", { timeout: 600 })).toBe(610000);
+  });
+});
+
+describe("validateArgs", () => {
+  it("coerces values to their declared types", () => {
+    expect(
+      commands.validateArgs("window.resize", { id: "12", width: "800", state: "maximized" }),
+    ).toEqual({ id: 12, width: 800, state: "maximized" });
+    expect(commands.validateArgs("window.new", { incognito: "true" })).toEqual({ incognito: true });
+  });
+
+  it("reports every problem at once", () => {
+    expect(() => commands.validateArgs("window.resize", { width: "wide", state: "tiny" })).toThrow(
+      '--id required; --width must be a number (got "wide"); --state must be one of: normal, minimized, maximized, fullscreen (got "tiny")',
+    );
+  });
+
+  it("labels positional args by name", () => {
+    expect(() => commands.validateArgs("navigate", {})).toThrow("url required");
+    expect(() => commands.validateArgs("go", { url: "" })).toThrow("url required");
+  });
+
+  it("rejects bare options that need a value and malformed JSON", () => {
+    expect(() => commands.validateArgs("click", { selector: true })).toThrow(
+      "--selector requires a value",
+    );
+    expect(() => commands.validateArgs("batch", { actions: "[{" })).toThrow(
+      "--actions must be valid JSON",
+    );
+    expect(commands.validateArgs("batch", { actions: [{ type: "click" }] }).actions).toEqual([
+      { type: "click" },
+    ]);
+  });
+
+  it("accepts options that take either a bare flag or a value", () => {
+    const url = "https://a.test/";
+    expect(commands.validateArgs("crawl", { url, sitemap: true }).sitemap).toBe(true);
+    expect(commands.validateArgs("crawl", { url, sitemap: `${url}pages.xml` }).sitemap).toBe(
+      `${url}pages.xml`,
+    );
+    expect(() => commands.validateArgs("crawl", { sitemap: true })).toThrow("url required");
+  });
+
+  it("fills in declared defaults for missing options", () => {
+    expect(commands.validateArgs("crawl", { url: "https://a.test", depth: "1" })).toMatchObject({
+      depth: 1,
+      "max-pages": 100,
+      concurrency: 1,
+    });
+    expect(commands.validateArgs("smoke", {})).toMatchObject({
+      "report-path": "surf-report",
+      "fail-on": "navigation,console,checks,visual",
+    });
+    expect(commands.validateArgs("a11y.audit", { severity: "" }).severity).toBe("info");
+    expect(commands.validateArgs("extract", { schema: {} })["max-pages"]).toBeUndefined();
+  });
+
+  it("passes unknown commands and options through", () => {
+    expect(commands.validateArgs("computer", { action: "x" })).toEqual({ action: "x" });
+    expect(commands.validateArgs("navigate", { url: "https://a.b", extra: 1 })).toEqual({
+      url: "https://a.b",
+      extra: 1,
+    });
+  });
+});
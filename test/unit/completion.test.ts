@@ -0,0 +1,132 @@
+import * as fs from "node:fs";
+import * as net from "node:net";
+import * as os from "node:os";
+// @ts-expect-error - CommonJS module without type definitions
+import * as completion from "../../native/completion.cjs";
+
+type Candidate = { value: string; description?: string };
+
+const sources = {
+  tab: async () => [
+    { value: "docs", description: "tab 7" },
+    { value: "7", description: "Docs" },
+  ],
+  tabId: async () => [{ value: "7", description: "Docs" }],
+  window: async () => [{ value: "42", description: "2 tabs" }],
+  ref: async () => [{ value: "e5", description: 'button "Login"' }],
+  request: async () => [{ value: "r_001", description: "GET https://a.test/" }],
+  browser: async () => [{ value: "brave:work" }],
+};
+
+const complete = async (...words: string[]) =>
+  (await completion.getCompletions(words, { sources })).map((c: Candidate) => c.value);
+
+describe("shell completion", () => {
+  it("completes command names, aliases and local commands", async () => {
+    expect(await complete("window.")).toEqual(
+      expect.arrayContaining(["window.new", "window.list", "window.resize"]),
+    );
+    expect(await complete("go")).toEqual(["go"]);
+    expect(await complete("compl")).toEqual(["completion"]);
+  });
+
+  it("completes a command's options and the global options", async () => {
+    const options = await complete("screenshot", "--");
+    expect(options).toEqual(expect.arrayContaining(["--max-size", "--fullpage", "--tab-id"]));
+    expect(await complete("go", "https://a.test", "--br")).toEqual(["--browser"]);
+  });
+
+  it("completes enum values and live values for options", async () => {
+    expect(await complete("scroll", "--direction", "")).toEqual(["up", "down", "left", "right"]);
+    expect(await complete("click", "--ref", "")).toEqual(["e5"]);
+    expect(await complete("search", "--within", "")).toEqual(["e5"]);
+    expect(await complete("page.read", "--tab-id", "")).toEqual(["7"]);
+    expect(await complete("window.resize", "--id", "4")).toEqual(["42"]);
+    expect(await complete("--browser", "")).toEqual(["brave:work"]);
+  });
+
+  it("completes positional args by position", async () => {
+    expect(await complete("tab.switch", "")).toEqual(["docs", "7"]);
+    expect(await complete("network.body", "r_")).toEqual(["r_001"]);
+    expect(await complete("click", "")).toEqual(["e5"]);
+    expect(await complete("completion", "")).toEqual(["bash", "zsh", "fish"]);
+    expect(await complete("navigate", "")).toEqual([]);
+  });
+
+  it("skips option values when finding the command", async () => {
+    expect(await complete("--tab-id", "7", "window.focus", "")).toEqual(["42"]);
+  });
+
+  it("prints value and description separated by a tab", () => {
+    expect(
+      completion.formatCandidates([{ value: "e5", description: "button\n Login" }, { value: "x" }]),
+    ).toBe("e5\tbutton Login\nx");
+  });
+
+  it("prints a script per shell", () => {
+    for (const shell of completion.SHELLS) {
+      expect(completion.getScript(shell)).toContain("surf __complete");
+    }
+    expect(() => completion.getScript("tcsh")).toThrow("Unsupported shell: tcsh");
+  });
+});
+
+describe("completion values", () => {
+  let tmpDir: string;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(`${os.tmpdir()}/surf-complete-`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("caches refs from page.read output", () => {
+    const file = `${tmpDir}/refs.json`;
+    completion.saveRefs(
+      [
+        'heading "Home" [e1] [level=1]',
+        'navigation "Main" [e2]',
+        '  link "Docs" [e3] [cursor=pointer] href="/docs"',
+        'iframe "Checkout" [e4] [frame=2]',
+        '  button "Pay now" [f2:e14] [cursor=pointer]',
+        "",
+        "[Viewport: 1280x720]",
+      ].join("\n"),
+      { file },
+    );
+    expect(completion.readRefs({ file })).toEqual([
+      { ref: "e1", label: 'heading "Home"' },
+      { ref: "e2", label: 'navigation "Main"' },
+      { ref: "e3", label: 'link "Docs"' },
+      { ref: "e4", label: 'iframe "Checkout"' },
+      { ref: "f2:e14", label: 'button "Pay now"' },
+    ]);
+
+    completion.saveRefs('- button "Log in" [ref=e2] [cursor=pointer]\n', { file });
+    expect(completion.readRefs({ file })).toEqual([{ ref: "e2", label: 'button "Log in"' }]);
+  });
+
+  it("queries the host and gives up quietly", async () => {
+    const socketPath = `${tmpDir}/surf.sock`;
+    const host = net.createServer((sock: any) => {
+      sock.on("data", (d: any) => {
+        const msg = JSON.parse(d.toString().trim());
+        const text = JSON.stringify({ windows: [{ id: 3, tabCount: 1 }] });
+        sock.write(
+          `${JSON.stringify({ type: "tool_response", id: msg.id, result: { content: [{ type: "text", text }] } })}\n`,
+        );
+      });
+    });
+    await new Promise<void>((resolve) => host.listen(socketPath, resolve));
+    try {
+      expect(await completion.queryHost("window.list", {}, socketPath)).toEqual({
+        windows: [{ id: 3, tabCount: 1 }],
+      });
+    } finally {
+      await new Promise((resolve) => host.close(resolve));
+    }
+    expect(await completion.queryHost("window.list", {}, `${tmpDir}/missing.sock`)).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+// @ts-expect-error - CommonJS module without type definitions
+import { getSmokeRoutes, saveRouteGroup } from "../../native/config.cjs";
+
+describe("getSmokeRoutes", () => {
+  const config = {
+    routes: {
+      main: [
+        "http://localhost:3000",
+        {
+          url: "http://localhost:3000/dashboard",
+          settle: "dom",
+          checks: { text: "Welcome", selectors: ["#app"], budgets: { lcp: 2500 } },
+        },
+      ],
+    },
+    smoke: { settle: "network", checks: { noFailedRequests: ["xhr", "fetch"] } },
+  };
+
+  it("expands routes and merges smoke defaults", () => {
+    expect(getSmokeRoutes("main", config)).toEqual([
+      {
+        url: "http://localhost:3000",
+        settle: "network",
+        checks: { noFailedRequests: ["xhr", "fetch"] },
+      },
+      {
+        url: "http://localhost:3000/dashboard",
+        settle: "dom",
+        checks: {
+          noFailedRequests: ["xhr", "fetch"],
+          text: ["Welcome"],
+          selectors: ["#app"],
+          budgets: { lcp: 2500 },
+        },
+      },
+    ]);
+  });
+
+  it("keeps plain URL routes bare without defaults", () => {
+    expect(getSmokeRoutes("main", { routes: { main: ["http://a.test"] } })).toEqual([
+      { url: "http://a.test" },
+    ]);
+  });
+
+  it("reports unknown groups and invalid checks", () => {
+    expect(() => getSmokeRoutes("api", config)).toThrow(
+      'No route group "api" in surf.json (have: main)',
+    );
+    expect(() =>
+      getSmokeRoutes("main", { routes: { main: [{ url: "http://a.test", checks: { lcp: 1 } }] } }),
+    ).toThrow("routes.main[0].checks: unknown check lcp");
+    expect(() =>
+      getSmokeRoutes("main", { routes: { main: [{ url: "http://a.test", settle: "idle" }] } }),
+    ).toThrow("routes.main[0]: settle must be one of network, dom, load or a delay in ms");
+    expect(() =>
+      getSmokeRoutes("main", { routes: { main: [{ checks: { budgets: { lcp: "fast" } } }] } }),
+    ).toThrow("routes.main[0]: url required");
+  });
+});
+
+describe("saveRouteGroup", () => {
+  let tmpDir: string;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(`${os.tmpdir()}/surf-config-`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("replaces the group and keeps the rest of the config", () => {
+    const file = `${tmpDir}/surf.json`;
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ routes: { main: ["http://old"], other: ["http://x"] }, smoke: {} }),
+    );
+    expect(saveRouteGroup("main", ["http://a", "http://b"], file)).toBe(file);
+    expect(JSON.parse(fs.readFileSync(file, "utf-8"))).toEqual({
+      routes: { main: ["http://a", "http://b"], other: ["http://x"] },
+      smoke: {},
+    });
+  });
+
+  it("creates the config file when there is none", () => {
+    const file = `${tmpDir}/surf.json`;
+    saveRouteGroup("crawled", ["http://a"], file);
+    expect(JSON.parse(fs.readFileSync(file, "utf-8"))).toEqual({
+      routes: { crawled: ["http://a"] },
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { vi } from "vitest";
+import {
+  composedContains,
+  composedTextNodes,
+  getComposedChildNodes,
+  getComposedElements,
+} from "../../../src/content/shadow-dom";
+
+// Just enough of the DOM for the traversal helpers
+class FakeNode {
+  childNodes: FakeNode[] = [];
+  parentNode: FakeNode | null = null;
+  assignedSlot: FakeSlot | null = null;
+
+  append(...nodes: FakeNode[]) {
+    for (const node of nodes) {
+      node.parentNode = this;
+      this.childNodes.push(node);
+    }
+    return this;
+  }
+}
+
+class FakeText extends FakeNode {
+  constructor(public data: string) {
+    super();
+  }
+}
+
+class FakeShadowRoot extends FakeNode {
+  constructor(public host: FakeElement) {
+    super();
+  }
+}
+
+class FakeElement extends FakeNode {
+  shadowRoot: FakeShadowRoot | null = null;
+
+  constructor(public localName: string) {
+    super();
+  }
+
+  attachShadow() {
+    this.shadowRoot = new FakeShadowRoot(this);
+    return this.shadowRoot;
+  }
+}
+
+class FakeSlot extends FakeElement {
+  assigned: FakeNode[] = [];
+
+  constructor() {
+    super("slot");
+  }
+
+  assign(...nodes: FakeNode[]) {
+    this.assigned = nodes;
+    for (const node of nodes) {
+      node.assignedSlot = this;
+    }
+  }
+
+  assignedNodes() {
+    return this.assigned;
+  }
+}
+
+const text = (data: string) => new FakeText(data);
+const el = (name: string, ...children: FakeNode[]) =>
+  new FakeElement(name).append(...children) as FakeElement;
+
+describe("shadow DOM traversal", () => {
+  let host: any;
+  let lightSpan: any;
+  let style: any;
+  let section: any;
+  let slot: any;
+  let shadowText: any;
+
+  beforeAll(() => {
+    vi.stubGlobal("Element", FakeElement);
+    vi.stubGlobal("Text", FakeText);
+    vi.stubGlobal("ShadowRoot", FakeShadowRoot);
+    vi.stubGlobal("HTMLSlotElement", FakeSlot);
+  });
+
+  afterAll(() => {
+    vi.unstubAllGlobals();
+  });
+
+  beforeEach(() => {
+    // <div>
+    //   #shadow-root: <style>x {}</style><section>Shadow <slot/></section>
+    //   <span>Light</span>  (assigned to the slot)
+    // </div>
+    lightSpan = el("span", text("Light"));
+    host = el("div", lightSpan);
+    slot = new FakeSlot();
+    shadowText = text("Shadow ");
+    style = el("style", text("x {}"));
+    section = el("section", shadowText, slot);
+    host.attachShadow().append(style, section);
+    slot.assign(lightSpan);
+  });
+
+  describe("getComposedChildNodes", () => {
+    it("returns the shadow root's content in place of light children", () => {
+      expect(getComposedChildNodes(host)).toEqual([style, section]);
+    });
+
+    it("returns a slot's assigned nodes", () => {
+      expect(getComposedChildNodes(slot)).toEqual([lightSpan]);
+    });
+
+    it("falls back to a slot's own children when nothing is assigned", () => {
+      const fallback = text("Fallback");
+      const empty = new FakeSlot().append(fallback);
+      expect(getComposedChildNodes(empty as any)).toEqual([fallback]);
+    });
+  });
+
+  describe("composedContains", () => {
+    it("follows slotted nodes to their slot", () => {
+      expect(composedContains(section, lightSpan)).toBe(true);
+    });
+
+    it("crosses from a shadow root to its host", () => {
+      expect(composedContains(host, shadowText)).toBe(true);
+    });
+
+    it("is false for nodes outside the ancestor and for null", () => {
+      expect(composedContains(lightSpan, section)).toBe(false);
+      expect(composedContains(host, null)).toBe(false);
+    });
+  });
+
+  describe("composedTextNodes", () => {
+    it("yields rendered text in order, skipping style content", () => {
+      const data = Array.from(composedTextNodes(host), (node) => node.data);
+      expect(data).toEqual(["Shadow ", "Light"]);
+    });
+  });
+
+  describe("getComposedElements", () => {
+    it("lists elements in flat tree order", () => {
+      expect(getComposedElements(host)).toEqual([host, style, section, slot, lightSpan]);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import { vi } from "vitest";
+// @ts-expect-error - CommonJS module without type definitions
+import * as crawl from "../../native/crawl.cjs";
+
+type Page = Record<string, any>;
+
+// A small site: url -> { status, links, redirects, consoleErrors }
+function fakeSite(site: Record<string, Page>) {
+  const visit = vi.fn(async (url: string) => {
+    const page = site[url];
+    if (!page) {
+      return { url, errors: ["net::ERR_NAME_NOT_RESOLVED"], links: [] };
+    }
+    return {
+      url,
+      time: 10,
+      consoleErrors: page.consoleErrors || [],
+      failedRequests: [],
+      document: {
+        url: page.finalUrl || url,
+        status: page.status ?? 200,
+        redirects: page.redirects || [],
+      },
+      finalUrl: page.finalUrl || url,
+      links: page.links || [],
+    };
+  });
+  return { visit };
+}
+
+describe("crawl", () => {
+  describe("normalizeUrl", () => {
+    it("resolves relative links and drops the fragment", () => {
+      expect(crawl.normalizeUrl("/docs#intro", "https://a.test/x")).toBe("https://a.test/docs");
+    });
+
+    it("rejects non-http links", () => {
+      expect(crawl.normalizeUrl("mailto:me@a.test", "https://a.test/")).toBeNull();
+      expect(crawl.normalizeUrl("javascript:void(0)", "https://a.test/")).toBeNull();
+    });
+  });
+
+  describe("parseSitemap", () => {
+    it("reads page locations", () => {
+      const xml = `<urlset><url><loc>https://a.test/</loc></url><url><loc> https://a.test/?a=1&amp;b=2 </loc></url></urlset>`;
+      expect(crawl.parseSitemap(xml)).toEqual({
+        urls: ["https://a.test/", "https://a.test/?a=1&b=2"],
+        sitemaps: [],
+      });
+    });
+
+    it("reads nested sitemaps from an index", () => {
+      const xml = `<sitemapindex><sitemap><loc>https://a.test/pages.xml</loc></sitemap></sitemapindex>`;
+      expect(crawl.parseSitemap(xml)).toEqual({ urls: [], sitemaps: ["https://a.test/pages.xml"] });
+    });
+  });
+
+  describe("crawlSite", () => {
+    const site = {
+      "https://a.test/": { links: ["/about", "/missing", "https://other.test/", "/about#team"] },
+      "https://a.test/about": { links: ["/deep"], consoleErrors: ["boom"] },
+      "https://a.test/missing": { status: 404 },
+      "https://a.test/deep": { links: ["/deeper"] },
+      "https://other.test/": {},
+    };
+
+    it("follows links breadth-first up to the depth limit", async () => {
+      const { visit } = fakeSite(site);
+      const result = await crawl.crawlSite(
+        "https://a.test/",
+        { depth: 1, sameOrigin: true },
+        { visit },
+      );
+      expect(result.pages.map((p: Page) => [p.url, p.depth])).toEqual([
+        ["https://a.test/", 0],
+        ["https://a.test/about", 1],
+        ["https://a.test/missing", 1],
+      ]);
+      expect(result.summary).toMatchObject({ pages: 3, ok: 2, broken: 1, consoleErrors: 1 });
+    });
+
+    it("reports broken links with the pages that link to them", async () => {
+      const { visit } = fakeSite(site);
+      const result = await crawl.crawlSite("https://a.test/", { depth: 2 }, { visit });
+      expect(result.brokenLinks).toEqual([
+        {
+          url: "https://a.test/missing",
+          status: 404,
+          error: "HTTP 404",
+          linkedFrom: ["https://a.test/"],
+        },
+      ]);
+      expect(result.pages.map((p: Page) => p.url)).toContain("https://other.test/");
+    });
+
+    it("applies include and exclude patterns", async () => {
+      const { visit } = fakeSite(site);
+      const result = await crawl.crawlSite(
+        "https://a.test/",
+        { depth: 3, sameOrigin: true, exclude: ["*/missing"] },
+        { visit },
+      );
+      expect(result.pages.map((p: Page) => p.url)).toEqual([
+        "https://a.test/",
+        "https://a.test/about",
+        "https://a.test/deep",
+        "https://a.test/deeper",
+      ]);
+    });
+
+    it("stops at maxPages and counts what it skipped", async () => {
+      const { visit } = fakeSite(site);
+      const result = await crawl.crawlSite(
+        "https://a.test/",
+        { depth: 3, sameOrigin: true, maxPages: 2 },
+        { visit },
+      );
+      expect(result.pages).toHaveLength(2);
+      expect(result.summary.skipped).toBe(2);
+    });
+
+    it("records redirect chains and doesn't revisit the destination", async () => {
+      const { visit } = fakeSite({
+        "https://a.test/": { links: ["/old", "/new"] },
+        "https://a.test/old": {
+          finalUrl: "https://a.test/new",
+          redirects: [{ url: "https://a.test/old", status: 301 }],
+        },
+        "https://a.test/new": {},
+      });
+      const result = await crawl.crawlSite("https://a.test/", { depth: 1 }, { visit });
+      expect(result.redirects).toEqual([
+        {
+          url: "https://a.test/old",
+          finalUrl: "https://a.test/new",
+          hops: [{ url: "https://a.test/old", status: 301 }],
+        },
+      ]);
+      expect(crawl.discoveredRoutes(result)).toEqual(["https://a.test/", "https://a.test/new"]);
+    });
+
+    it("seeds the crawl from the sitemap", async () => {
+      const { visit } = fakeSite({ "https://a.test/": {}, "https://a.test/hidden": {} });
+      const fetchText = vi.fn(async (url: string) =>
+        url === "https://a.test/sitemap.xml"
+          ? { status: 200, text: "<urlset><url><loc>https://a.test/hidden</loc></url></urlset>" }
+          : { status: 404, text: "" },
+      );
+      const result = await crawl.crawlSite(
+        "https://a.test/",
+        { depth: 0, sitemap: true },
+        { visit, fetchText },
+      );
+      expect(result.pages.map((p: Page) => p.url)).toEqual([
+        "https://a.test/",
+        "https://a.test/hidden",
+      ]);
+      expect(fetchText).toHaveBeenCalledWith("https://a.test/sitemap.xml");
+    });
+
+    it("records a page whose visit throws as broken", async () => {
+      const visit = vi.fn(async () => {
+        throw new Error("Tab crashed");
+      });
+      const result = await crawl.crawlSite("https://a.test/", {}, { visit });
+      expect(result.brokenLinks).toEqual([
+        { url: "https://a.test/", status: null, error: "Tab crashed", linkedFrom: [] },
+      ]);
+    });
+
+    it("reports a page without a captured document response as unknown, not ok", async () => {
+      const visit = vi.fn(async (url: string) => ({ url, finalUrl: url, links: [] }));
+      const result = await crawl.crawlSite("https://a.test/", {}, { visit });
+      expect(result.pages[0]).toMatchObject({ status: null, unknown: true });
+      expect(result.summary).toMatchObject({ ok: 0, broken: 0, unknown: 1 });
+      expect(crawl.formatCrawlResult(result)).toContain("UNKNOWN https://a.test/");
+    });
+  });
+
+  it("formats a crawl for the terminal", () => {
+    const text = crawl.formatCrawlResult({
+      pages: [
+        {
+          url: "https://a.test/",
+          finalUrl: "https://a.test/",
+          status: 200,
+          depth: 0,
+          time: 5,
+          consoleErrors: [],
+          failedRequests: [],
+          redirects: [],
+        },
+        {
+          url: "https://a.test/x",
+          finalUrl: "https://a.test/x",
+          status: 404,
+          depth: 1,
+          time: 3,
+          consoleErrors: [],
+          failedRequests: [],
+          redirects: [],
+          error: "HTTP 404",
+        },
+      ],
+      brokenLinks: [
+        {
+          url: "https://a.test/x",
+          status: 404,
+          error: "HTTP 404",
+          linkedFrom: ["https://a.test/"],
+        },
+      ],
+      redirects: [],
+      summary: {
+        pages: 2,
+        ok: 1,
+        broken: 1,
+        unknown: 0,
+        redirects: 0,
+        consoleErrors: 0,
+        skipped: 0,
+      },
+    });
+    expect(text).toContain("BROKEN 404 https://a.test/x (3ms, depth 1)");
+    expect(text).toContain("    linked from https://a.test/");
+    expect(text).toContain("Crawled 2 pages: 1 ok, 1 broken");
+  });
+});
@@ -0,0 +1,62 @@
+// @ts-expect-error - CommonJS module without type definitions
+import * as a11y from "../../../native/formatters/a11y.cjs";
+
+describe("a11y formatters", () => {
+  describe("formatAudit", () => {
+    it("groups issues by severity with refs and selectors", () => {
+      const text = a11y.formatAudit({
+        url: "https://a.test/",
+        issues: [
+          {
+            rule: "button-name",
+            severity: "error",
+            message: "Button has no accessible name",
+            ref: "e4",
+            selector: "#menu",
+            role: "button",
+          },
+          { rule: "landmark-main", severity: "warning", message: "Page has no main landmark" },
+        ],
+        summary: { error: 1, warning: 1, info: 0 },
+      });
+      expect(text.split("\n")).toEqual([
+        "ERROR (1)",
+        "  [e4] button-name: Button has no accessible name",
+        "    at button #menu",
+        "",
+        "WARNING (1)",
+        "  landmark-main: Page has no main landmark",
+        "",
+        "1 error, 1 warning, 0 info on https://a.test/",
+      ]);
+    });
+
+    it("includes the element name when it has one", () => {
+      const text = a11y.formatAudit({
+        issues: [
+          {
+            rule: "label",
+            severity: "warning",
+            message: "Form control is labelled only by its placeholder",
+            ref: "e2",
+            selector: 'input[name="q"]',
+            role: "textbox",
+            name: "Search",
+          },
+        ],
+        summary: { error: 0, warning: 1, info: 0 },
+      });
+      expect(text).toContain('    at textbox "Search" input[name="q"]');
+    });
+
+    it("reports a clean page", () => {
+      expect(
+        a11y.formatAudit({
+          url: "https://a.test/",
+          issues: [],
+          summary: { error: 0, warning: 0, info: 0 },
+        }),
+      ).toBe("No accessibility issues found on https://a.test/");
+    });
+  });
+});
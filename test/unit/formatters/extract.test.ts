@@ -0,0 +1,34 @@
+// @ts-expect-error - CommonJS module without type definitions
+import * as extract from "../../../native/formatters/extract.cjs";
+
+describe("extract formatters", () => {
+  describe("toCsv", () => {
+    it("writes a header from every key and quotes where needed", () => {
+      const csv = extract.toCsv([
+        { title: "Mug", price: 12.5 },
+        { title: 'Tea "Earl Grey", loose', price: null, stock: true },
+      ]);
+      expect(csv).toBe(
+        ["title,price,stock", "Mug,12.5,", '"Tea ""Earl Grey"", loose",,true', ""].join("\n"),
+      );
+    });
+
+    it("flattens nested records and lists", () => {
+      const csv = extract.toCsv({
+        name: "Mug",
+        seller: { name: "Acme", rating: 4 },
+        tags: ["kitchen", "gift"],
+        variants: [{ color: "red" }],
+      });
+      expect(csv.split("\n")).toEqual([
+        "name,seller.name,seller.rating,tags,variants",
+        'Mug,Acme,4,kitchen; gift,"[{""color"":""red""}]"',
+        "",
+      ]);
+    });
+  });
+
+  it("prints JSON by default", () => {
+    expect(extract.formatExtract({ data: [{ a: 1 }] })).toBe('[\n  {\n    "a": 1\n  }\n]\n');
+  });
+});
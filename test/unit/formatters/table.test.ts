@@ -0,0 +1,66 @@
+// @ts-expect-error - CommonJS module without type definitions
+import * as table from "../../../native/formatters/table.cjs";
+
+const ORDERS = {
+  headers: ["Customer", "Q1 / Total", ""],
+  rows: [
+    ["Ada", "1,200", "paid"],
+    ["Bob | Co", '12" pizza', ""],
+  ],
+};
+
+describe("table formatters", () => {
+  it("writes CSV with a header row", () => {
+    expect(table.formatTable(ORDERS, "csv")).toBe(
+      ["Customer,Q1 / Total,", 'Ada,"1,200",paid', 'Bob | Co,"12"" pizza",', ""].join("\n"),
+    );
+  });
+
+  it("keys JSON rows by unique column names", () => {
+    expect(JSON.parse(table.formatTable(ORDERS, "json"))).toEqual([
+      { Customer: "Ada", "Q1 / Total": "1,200", "Column 3": "paid" },
+      { Customer: "Bob | Co", "Q1 / Total": '12" pizza', "Column 3": "" },
+    ]);
+    expect(table.columnNames(["Name", "Name", ""], 4)).toEqual([
+      "Name",
+      "Name (2)",
+      "Column 3",
+      "Column 4",
+    ]);
+  });
+
+  it("keeps rows as arrays in JSON when there is no header", () => {
+    expect(JSON.parse(table.formatTable({ headers: [], rows: [["a", "b"]] }, "json"))).toEqual([
+      ["a", "b"],
+    ]);
+  });
+
+  it("writes a Markdown table, escaping pipes", () => {
+    expect(table.formatTable(ORDERS, "markdown").split("\n")).toEqual([
+      "| Customer | Q1 / Total | Column 3 |",
+      "| --- | --- | --- |",
+      "| Ada | 1,200 | paid |",
+      '| Bob \\| Co | 12" pizza |  |',
+      "",
+    ]);
+  });
+
+  it("lists tables one per line", () => {
+    const text = table.formatTableList([
+      {
+        ref: "e3",
+        role: "table",
+        name: "Orders",
+        rows: 2,
+        columns: 3,
+        headers: ["Customer", "Total", ""],
+      },
+      { ref: "f2:e9", role: "grid", rows: 40, total: 1000, columns: 2, headers: [] },
+    ]);
+    expect(text.split("\n")).toEqual([
+      '[e3] table "Orders" 2 rows x 3 columns: Customer, Total',
+      "[f2:e9] grid 40 rows (1000 total) x 2 columns",
+    ]);
+    expect(table.formatTableList([])).toBe("No tables found");
+  });
+});
@@ -1,6 +1,12 @@
 // @ts-expect-error - CommonJS module without type definitions
+import * as commands from "../../native/commands.cjs";
+// @ts-expect-error - CommonJS module without type definitions
 import * as helpers from "../../native/host-helpers.cjs";
 
+// Registry defaults are filled in by validateArgs before a tool is mapped
+const mapValidated = (tool: string, args: Record<string, unknown>, tabId?: number) =>
+  helpers.mapToolToMessage(tool, commands.validateArgs(tool, args), tabId);
+
 describe("mapToolToMessage", () => {
   describe("window commands", () => {
     it("maps window.new to WINDOW_NEW with url", () => {
@@ -64,6 +70,504 @@ describe("mapToolToMessage", () => {
     });
   });
 
+  describe("network.export and network.import", () => {
+    it("maps to host-side store messages", () => {
+      expect(
+        helpers.mapToolToMessage("network.export", { har: true, output: "/tmp/a.har", last: 5 }, 3),
+      ).toEqual({
+        type: "NETWORK_EXPORT",
+        format: "har",
+        output: "/tmp/a.har",
+        filters: { origin: undefined, last: 5 },
+      });
+      expect(mapValidated("network.export", {})).toMatchObject({ format: "jsonl" });
+      expect(helpers.mapToolToMessage("network.import", { file: "a.har" })).toEqual({
+        type: "NETWORK_IMPORT",
+        file: "a.har",
+      });
+      expect(() => helpers.mapToolToMessage("network.import", {})).toThrow("HAR file required");
+    });
+  });
+
+  describe("network.mock", () => {
+    it("maps add with rule options", () => {
+      const msg = helpers.mapToolToMessage("network.mock", {
+        action: "add",
+        "url-pattern": "/api/users*",
+        status: "404",
+        body: "{}",
+        "content-type": "application/json",
+      });
+      expect(msg.type).toBe("NETWORK_MOCK_ADD");
+      expect(msg.urlPattern).toBe("/api/users*");
+      expect(msg.status).toBe(404);
+      expect(msg.contentType).toBe("application/json");
+    });
+
+    it("throws on add without --url-pattern", () => {
+      expect(() => helpers.mapToolToMessage("network.mock", { action: "add" })).toThrow(
+        "--url-pattern required",
+      );
+    });
+
+    it("defaults to list", () => {
+      expect(helpers.mapToolToMessage("network.mock", {}).type).toBe("NETWORK_MOCK_LIST");
+    });
+
+    it("maps remove with rule id", () => {
+      const msg = helpers.mapToolToMessage("network.mock", { action: "remove", id: "m2" });
+      expect(msg.type).toBe("NETWORK_MOCK_REMOVE");
+      expect(msg.ruleId).toBe("m2");
+    });
+
+    it("throws on unknown action", () => {
+      expect(() => helpers.mapToolToMessage("network.mock", { action: "pause" })).toThrow(
+        "Unknown network.mock action",
+      );
+    });
+  });
+
+  describe("record", () => {
+    it("maps start and stop", () => {
+      expect(helpers.mapToolToMessage("record", { action: "start" }).type).toBe("RECORD_START");
+      expect(helpers.mapToolToMessage("record", { action: "stop" }).type).toBe("RECORD_STOP");
+    });
+
+    it("throws on unknown action", () => {
+      expect(() => helpers.mapToolToMessage("record", { action: "pause" })).toThrow(
+        "Unknown record action",
+      );
+    });
+  });
+
+  describe("locator fallbacks", () => {
+    it("passes selector, role and name with ref clicks", () => {
+      const msg = helpers.mapToolToMessage("left_click", {
+        ref: "e4",
+        selector: "#save",
+        role: "button",
+        name: "Save",
+      });
+      expect(msg).toMatchObject({
+        type: "CLICK_REF",
+        ref: "e4",
+        selector: "#save",
+        role: "button",
+        name: "Save",
+      });
+    });
+
+    it("passes fallbacks with ref typing", () => {
+      const msg = helpers.mapToolToMessage("type", {
+        ref: "e5",
+        selector: 'input[name="q"]',
+        role: "searchbox",
+        text: "surf",
+      });
+      expect(msg.type).toBe("FORM_FILL");
+      expect(msg.data[0]).toMatchObject({
+        ref: "e5",
+        selector: 'input[name="q"]',
+        role: "searchbox",
+        value: "surf",
+      });
+    });
+  });
+
+  describe("semantic locators", () => {
+    it("clicks by role and name", () => {
+      expect(helpers.mapToolToMessage("click", { role: "button", name: "Save" }, 2)).toEqual({
+        type: "CLICK_REF",
+        locator: [{ by: "role", value: "button", name: "Save" }],
+        button: "left",
+        tabId: 2,
+      });
+    });
+
+    it("applies --exact and --nth to the last step of --within", () => {
+      const msg = helpers.mapToolToMessage("click", {
+        text: "Delete",
+        exact: true,
+        nth: 1,
+        within: 'role=dialog[name="Confirm"] >> testid=body',
+      });
+      expect(msg.locator).toEqual([
+        { by: "role", value: "dialog", name: "Confirm", exact: true },
+        { by: "testid", value: "body" },
+        { by: "text", value: "Delete", exact: true, nth: 1 },
+      ]);
+    });
+
+    it("types by label without treating the text as a locator", () => {
+      const msg = helpers.mapToolToMessage("type", { text: "me@a.test", label: "Email" });
+      expect(msg).toMatchObject({
+        type: "FORM_FILL",
+        data: [{ locator: [{ by: "label", value: "Email" }], value: "me@a.test" }],
+      });
+    });
+
+    it("hovers and scrolls by locator", () => {
+      expect(helpers.mapToolToMessage("hover", { placeholder: "Search" })).toMatchObject({
+        type: "HOVER_REF",
+        locator: [{ by: "placeholder", value: "Search" }],
+      });
+      expect(helpers.mapToolToMessage("scroll.to", { text: "Pricing" })).toMatchObject({
+        type: "SCROLL_TO_ELEMENT",
+        locator: [{ by: "text", value: "Pricing" }],
+      });
+    });
+
+    it("scopes a ref or selector with --within", () => {
+      expect(
+        helpers.mapToolToMessage("click", { selector: ".save", within: "e7" }).locator,
+      ).toEqual([
+        { by: "ref", value: "e7" },
+        { by: "css", value: ".save" },
+      ]);
+    });
+
+    it("rejects conflicting or incomplete locators", () => {
+      expect(() => helpers.mapToolToMessage("click", { text: "a", label: "b" })).toThrow(
+        "Use only one of --text, --label",
+      );
+      expect(() => helpers.mapToolToMessage("click", { name: "Save" })).toThrow(
+        "--name requires --role",
+      );
+    });
+  });
+
+  describe("actionability options", () => {
+    it("passes timeout and force to clicks, typing and hovers", () => {
+      expect(helpers.mapToolToMessage("click", { ref: "e1", timeout: 1000 })).toMatchObject({
+        type: "CLICK_REF",
+        timeout: 1000,
+      });
+      expect(helpers.mapToolToMessage("type", { text: "hi", force: true })).toMatchObject({
+        type: "EXECUTE_TYPE",
+        force: true,
+      });
+      expect(helpers.mapToolToMessage("hover", { x: 1, y: 2, timeout: 300 })).toMatchObject({
+        type: "EXECUTE_HOVER",
+        timeout: 300,
+      });
+    });
+  });
+
+  describe("parseLocator", () => {
+    it("parses chains, quoted values and nth", () => {
+      expect(helpers.parseLocator("css=nav >> nth=-1 >> text='Sign in' >> #menu")).toEqual([
+        { by: "css", value: "nav", nth: -1 },
+        { by: "text", value: "Sign in", exact: true },
+        { by: "css", value: "#menu" },
+      ]);
+    });
+
+    it("rejects nth without a locator", () => {
+      expect(() => helpers.parseLocator("nth=0")).toThrow("nth= needs a locator");
+    });
+  });
+
+  describe("batch", () => {
+    it("accepts a workflow object with vars", () => {
+      const msg = helpers.mapToolToMessage("batch", {
+        actions: JSON.stringify({ vars: { q: "a" }, actions: [{ type: "key", key: "Enter" }] }),
+      });
+      expect(msg.type).toBe("BATCH_EXECUTE");
+      expect(msg.actions).toHaveLength(1);
+      expect(msg.vars).toEqual({ q: "a" });
+    });
+
+    it("lets --vars override workflow vars", () => {
+      const msg = helpers.mapToolToMessage("batch", {
+        actions: { vars: { q: "a", n: 1 }, actions: [] },
+        vars: '{"q":"b"}',
+      });
+      expect(msg.vars).toEqual({ q: "b", n: 1 });
+    });
+
+    it("throws on invalid --vars", () => {
+      expect(() => helpers.mapToolToMessage("batch", { actions: "[]", vars: "{" })).toThrow(
+        "invalid --vars JSON",
+      );
+    });
+  });
+
+  describe("smoke and screenshot.diff", () => {
+    it("maps screenshot.diff with split ignore targets", () => {
+      const msg = helpers.mapToolToMessage("screenshot.diff", {
+        baseline: "/b.png",
+        current: "/c.png",
+        threshold: 1,
+        ignore: ".ad, e12",
+      });
+      expect(msg).toMatchObject({
+        type: "SCREENSHOT_DIFF",
+        baseline: "/b.png",
+        current: "/c.png",
+        threshold: 1,
+        ignore: [".ad", "e12"],
+      });
+    });
+
+    it("captures smoke screenshots under the baseline by default", () => {
+      const msg = helpers.mapToolToMessage("smoke", {
+        urls: ["https://a.test"],
+        baseline: "/base",
+      });
+      expect(msg.savePath).toBe("/base/current");
+      expect(msg.ignore).toEqual([]);
+    });
+
+    it("maps crawl options with defaults", () => {
+      const msg = mapValidated("crawl", {
+        url: "https://a.test",
+        "same-origin": true,
+        exclude: "*/blog/*,*/tag/*",
+      });
+      expect(msg).toMatchObject({
+        type: "CRAWL",
+        url: "https://a.test",
+        depth: 2,
+        sameOrigin: true,
+        include: [],
+        exclude: ["*/blog/*", "*/tag/*"],
+        maxPages: 100,
+        concurrency: 1,
+      });
+    });
+
+    it("maps smoke concurrency and a dedicated window", () => {
+      const msg = helpers.mapToolToMessage("smoke", {
+        urls: ["https://a.test", "https://b.test"],
+        concurrency: 4,
+        "new-window": true,
+      });
+      expect(msg).toMatchObject({ type: "SMOKE_TEST", concurrency: 4, newWindow: true });
+      expect(mapValidated("smoke", { urls: ["https://a.test"] }).concurrency).toBe(1);
+    });
+
+    it("captures smoke screenshots for HTML reports", () => {
+      const msg = helpers.mapToolToMessage("smoke", {
+        urls: ["https://a.test"],
+        report: "junit,html",
+        "report-path": "/out",
+        "fail-on": "network",
+      });
+      expect(msg).toMatchObject({
+        savePath: "/out/screenshots",
+        report: ["junit", "html"],
+        reportPath: "/out",
+        failOn: "network",
+      });
+    });
+  });
+
+  describe("storage", () => {
+    it("maps storage.set with a session scope", () => {
+      expect(
+        helpers.mapToolToMessage("storage.set", { key: "n", value: 42, session: true }, 5),
+      ).toEqual({
+        type: "STORAGE_SET",
+        key: "n",
+        value: "42",
+        session: true,
+        origin: undefined,
+        tabId: 5,
+      });
+    });
+
+    it("maps storage.idb.dump with paging defaults", () => {
+      expect(mapValidated("storage.idb.dump", { database: "app-db" })).toMatchObject({
+        type: "IDB_DUMP",
+        database: "app-db",
+        limit: 100,
+        skip: 0,
+      });
+    });
+
+    it("requires a key", () => {
+      expect(() => helpers.mapToolToMessage("storage.get", {})).toThrow("key required");
+    });
+  });
+
+  describe("session", () => {
+    it("maps session.save with split origins", () => {
+      expect(
+        helpers.mapToolToMessage("session.save", {
+          name: "admin",
+          origins: "https://a.test, https://b.test",
+        }),
+      ).toEqual({
+        type: "SESSION_SAVE",
+        name: "admin",
+        origins: ["https://a.test", "https://b.test"],
+      });
+    });
+
+    it("maps session.load to a focused window by default", () => {
+      expect(helpers.mapToolToMessage("session.load", { name: "admin" })).toEqual({
+        type: "SESSION_LOAD",
+        name: "admin",
+        focused: true,
+      });
+    });
+  });
+
+  describe("a11y.audit", () => {
+    it("reports every severity by default", () => {
+      expect(mapValidated("a11y.audit", {}, 3)).toEqual({
+        type: "A11Y_AUDIT",
+        severity: "info",
+        tabId: 3,
+      });
+    });
+
+    it("passes the severity filter", () => {
+      expect(helpers.mapToolToMessage("a11y.audit", { severity: "error" })).toMatchObject({
+        severity: "error",
+      });
+    });
+  });
+
+  describe("search", () => {
+    it("passes regex, fuzzy and scope options", () => {
+      expect(
+        helpers.mapToolToMessage(
+          "search",
+          { term: "acount", fuzzy: true, threshold: 0.7, within: "e4", highlight: true },
+          3,
+        ),
+      ).toEqual({
+        type: "SEARCH_PAGE",
+        term: "acount",
+        caseSensitive: false,
+        limit: 10,
+        regex: undefined,
+        fuzzy: true,
+        threshold: 0.7,
+        within: "e4",
+        highlight: true,
+        tabId: 3,
+      });
+    });
+
+    it("rejects invalid regexes before reaching the page", () => {
+      expect(() => helpers.mapToolToMessage("search", { term: "order (", regex: true })).toThrow(
+        "Invalid regex",
+      );
+    });
+
+    it("rejects --regex with --fuzzy and out-of-range thresholds", () => {
+      expect(() =>
+        helpers.mapToolToMessage("search", { term: "a", regex: true, fuzzy: true }),
+      ).toThrow("either --regex or --fuzzy");
+      expect(() =>
+        helpers.mapToolToMessage("search", { term: "a", fuzzy: true, threshold: 2 }),
+      ).toThrow("--threshold must be between 0 and 1");
+    });
+  });
+
+  describe("extract", () => {
+    it("resolves schema targets to locator steps", () => {
+      const message = helpers.mapToolToMessage(
+        "extract",
+        {
+          schema: {
+            items: "li.product",
+            fields: {
+              title: "h2",
+              price: { selector: ".price", type: "number" },
+              url: { locator: "role=link >> nth=0", attr: "href" },
+              buy: { role: "button", name: "Add to cart", type: "boolean" },
+              name: {},
+            },
+          },
+        },
+        3,
+      );
+      expect(message).toEqual({
+        type: "EXTRACT",
+        schema: {
+          items: [{ by: "css", value: "li.product" }],
+          fields: {
+            title: { target: [{ by: "css", value: "h2" }] },
+            price: { target: [{ by: "css", value: ".price" }], type: "number" },
+            url: { target: [{ by: "role", value: "link", nth: 0 }], attr: "href" },
+            buy: {
+              target: [{ by: "role", value: "button", name: "Add to cart" }],
+              type: "boolean",
+            },
+            name: {},
+          },
+        },
+        pagination: undefined,
+        tabId: 3,
+      });
+    });
+
+    it("accepts a JSON string and pagination with a page limit", () => {
+      const message = helpers.mapToolToMessage("extract", {
+        schema: JSON.stringify({
+          items: ".row",
+          fields: { cells: { selector: "td", all: true } },
+          pagination: { next: "a[rel=next]", maxPages: 3 },
+        }),
+        "max-pages": 2,
+      });
+      expect(message.schema.fields.cells).toEqual({
+        target: [{ by: "css", value: "td" }],
+        all: true,
+      });
+      expect(message.pagination).toEqual({
+        next: [{ by: "css", value: "a[rel=next]" }],
+        maxPages: 2,
+      });
+    });
+
+    it("names the field in schema errors", () => {
+      const map = (schema: unknown) => () => helpers.mapToolToMessage("extract", { schema });
+      expect(map({ fields: { price: { selector: ".p", type: "money" } } })).toThrow(
+        "schema.price: type must be one of string, number, boolean",
+      );
+      expect(map({ fields: { seller: { name: "Acme" } } })).toThrow(
+        "schema.seller: name requires role",
+      );
+      expect(map({ fields: { a: "h1" }, pagination: { next: ".next" } })).toThrow(
+        "schema.pagination needs items",
+      );
+      expect(map({ title: "h1" })).toThrow("Schema needs a fields object");
+      expect(() => helpers.mapToolToMessage("extract", {})).toThrow("--schema required");
+    });
+  });
+
+  describe("table", () => {
+    it("lists tables", () => {
+      expect(helpers.mapToolToMessage("table.list", {}, 3)).toEqual({
+        type: "TABLE_LIST",
+        tabId: 3,
+      });
+    });
+
+    it("reads a table, scrolling virtualized grids unless told not to", () => {
+      expect(helpers.mapToolToMessage("table.get", { ref: "f2:e5", "max-rows": 100 }, 3)).toEqual({
+        type: "TABLE_GET",
+        ref: "f2:e5",
+        scroll: true,
+        maxRows: 100,
+        tabId: 3,
+      });
+      expect(helpers.mapToolToMessage("table.get", { ref: "e5", "no-scroll": true })).toMatchObject(
+        {
+          scroll: false,
+        },
+      );
+    });
+
+    it("requires a ref", () => {
+      expect(() => helpers.mapToolToMessage("table.get", {})).toThrow("table ref required");
+    });
+  });
+
   describe("error cases", () => {
     it("returns null for unknown tool", () => {
       expect(helpers.mapToolToMessage("unknown.command", {})).toBeNull();
@@ -114,6 +618,115 @@ describe("formatToolContent", () => {
     });
   });
 
+  describe("network mock responses", () => {
+    it("formats mock rule list", () => {
+      const result = helpers.formatToolContent({
+        mockRules: [{ id: "m1", urlPattern: "/api/*", status: 200, body: "[]", hits: 3 }],
+      });
+      expect(result[0].text).toContain("m1");
+      expect(result[0].text).toContain("/api/* -> 200");
+      expect(result[0].text).toContain("hits: 3");
+    });
+
+    it("shows the last error of a mock rule", () => {
+      const result = helpers.formatToolContent({
+        mockRules: [
+          {
+            id: "m1",
+            urlPattern: "/api/*",
+            status: 200,
+            body: "",
+            hits: 0,
+            error: "Invalid header value",
+          },
+        ],
+      });
+      expect(result[0].text).toContain("hits: 0  error: Invalid header value");
+    });
+
+    it("formats empty mock rule list", () => {
+      expect(helpers.formatToolContent({ mockRules: [] })[0].text).toBe("No mock rules");
+    });
+
+    it("marks mocked requests in network output", () => {
+      const result = helpers.formatToolContent({
+        requests: [{ method: "GET", url: "https://example.com/api", status: 200, mocked: true }],
+      });
+      expect(result[0].text).toContain("[mocked]");
+    });
+  });
+
+  describe("batch responses", () => {
+    it("marks continued failures and captures", () => {
+      const result = helpers.formatToolContent({
+        success: true,
+        completedActions: 2,
+        totalActions: 2,
+        results: [
+          { index: 0, type: "js", success: true, captured: "title" },
+          { index: 1, type: "click", success: false, continued: true, error: "gone" },
+        ],
+      });
+      expect(result[0].text).toContain(`[0] js: OK -> \${title}`);
+      expect(result[0].text).toContain("[1] click: FAILED (continued) - gone");
+    });
+
+    it("prints step output under each step", () => {
+      const result = helpers.formatToolContent({
+        success: true,
+        completedActions: 1,
+        totalActions: 1,
+        results: [{ index: 0, type: "tab.new", success: true, output: { tabId: 5 } }],
+      });
+      expect(result[0].text).toContain('[0] tab.new: OK\n      {\n        "tabId": 5\n      }');
+    });
+  });
+
+  describe("record responses", () => {
+    it("formats recorded steps as a batch actions array", () => {
+      const steps = [
+        { type: "navigate", url: "https://example.com/" },
+        { type: "click", ref: "e1", selector: "#go" },
+      ];
+      const result = helpers.formatToolContent({ success: true, steps });
+      expect(JSON.parse(result[0].text)).toEqual(steps);
+    });
+  });
+
+  describe("search responses", () => {
+    it("notes where attribute matches came from and fuzzy scores", () => {
+      const result = helpers.formatToolContent({
+        query: "acount",
+        count: 2,
+        matches: [
+          {
+            ref: "m1",
+            text: "accoun",
+            context: "Your account",
+            source: "text",
+            score: 0.86,
+            elementRef: null,
+          },
+          {
+            ref: "f2:m2",
+            text: "Account",
+            context: "Account number",
+            source: "placeholder",
+            score: 0.86,
+            elementRef: "f2:e3",
+          },
+        ],
+      });
+      expect(result[0].text).toBe(
+        [
+          'Found 2 matches for "acount":',
+          '  m1: "accoun" in "...Your account..." score 0.86',
+          '  f2:m2: "Account" in "...Account number..." (placeholder) [f2:e3] score 0.86',
+        ].join("\n"),
+      );
+    });
+  });
+
   describe("basic responses", () => {
     it("returns OK for simple success", () => {
       const result = helpers.formatToolContent({ success: true });
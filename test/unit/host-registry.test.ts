@@ -0,0 +1,113 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+// @ts-expect-error - CommonJS module without type definitions
+import * as registry from "../../native/host-registry.cjs";
+
+// Above the kernel's maximum pid, so never alive
+const DEAD_PID = 4194305;
+
+describe("host registry", () => {
+  let dir: string;
+  let defaultPath: string;
+
+  beforeEach(() => {
+    const tmp = fs.mkdtempSync(`${os.tmpdir()}/surf-registry-`);
+    dir = `${tmp}/hosts`;
+    defaultPath = `${tmp}/surf.sock`;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir.replace(/\/hosts$/, ""), { recursive: true, force: true });
+  });
+
+  // Registers a live host; a plain file stands in for its socket
+  const start = (browser: string, profile?: string, pid?: number) => {
+    const entry = registry.register({ browser, profile, pid }, { dir });
+    fs.writeFileSync(entry.socket, "");
+    return entry;
+  };
+
+  it("keys sockets by browser and profile", () => {
+    const entry = start("Brave", "Work Stuff");
+    expect(entry.key).toBe("brave-work_stuff");
+    expect(entry.socket).toBe(`${dir}/brave-work_stuff.sock`);
+    expect(registry.instanceKey("chrome")).toBe("chrome");
+  });
+
+  it("lists live hosts and prunes dead ones", () => {
+    start("chrome", "a1");
+    const dead = start("brave", "b2", DEAD_PID);
+    const instances = registry.listInstances({ dir });
+    expect(instances.map((e: { key: string }) => e.key)).toEqual(["chrome-a1"]);
+    expect(fs.existsSync(dead.socket)).toBe(false);
+  });
+
+  it("matches selectors by browser, browser:profile and profile", () => {
+    start("chrome", "work");
+    start("chrome", "home");
+    start("brave", "x9");
+    const keys = (selector: string) =>
+      registry.findInstances(selector, { dir }).map((e: { key: string }) => e.key);
+    expect(keys("brave")).toEqual(["brave-x9"]);
+    expect(keys("chrome:home")).toEqual(["chrome-home"]);
+    expect(keys("work")).toEqual(["chrome-work"]);
+    expect(keys("edge")).toEqual([]);
+  });
+
+  describe("resolveSocketPath", () => {
+    it("prefers SURF_SOCKET", () => {
+      start("brave");
+      expect(
+        registry.resolveSocketPath({
+          browser: "brave",
+          env: { SURF_SOCKET: "/tmp/x.sock" },
+          dir,
+          defaultPath,
+        }),
+      ).toBe("/tmp/x.sock");
+    });
+
+    it("resolves a selector from --browser or SURF_BROWSER", () => {
+      const brave = start("brave", "p1");
+      expect(registry.resolveSocketPath({ browser: "brave", env: {}, dir, defaultPath })).toBe(
+        brave.socket,
+      );
+      expect(
+        registry.resolveSocketPath({ env: { SURF_BROWSER: "brave:p1" }, dir, defaultPath }),
+      ).toBe(brave.socket);
+    });
+
+    it("throws when no browser matches", () => {
+      expect(() =>
+        registry.resolveSocketPath({ browser: "edge", env: {}, dir, defaultPath }),
+      ).toThrow('No running browser matches "edge"');
+    });
+
+    it("uses the default link, then the latest host", () => {
+      expect(registry.resolveSocketPath({ env: {}, dir, defaultPath })).toBe(defaultPath);
+      const chrome = start("chrome");
+      expect(registry.resolveSocketPath({ env: {}, dir, defaultPath })).toBe(chrome.socket);
+      registry.claimDefault(chrome.socket, { defaultPath });
+      expect(registry.resolveSocketPath({ env: {}, dir, defaultPath })).toBe(defaultPath);
+    });
+  });
+
+  it("hands the default link to the next host on release", () => {
+    const chrome = start("chrome");
+    const brave = start("brave");
+    registry.claimDefault(brave.socket, { defaultPath });
+    expect(registry.getDefaultTarget({ defaultPath })).toBe(brave.socket);
+
+    registry.unregister(brave, { dir });
+    registry.releaseDefault(brave.socket, { defaultPath, dir });
+    expect(registry.getDefaultTarget({ defaultPath })).toBe(chrome.socket);
+    expect(fs.existsSync(brave.socket)).toBe(false);
+  });
+
+  it("leaves an entry taken over by another host", () => {
+    const old = start("chrome", "p", DEAD_PID);
+    start("chrome", "p");
+    registry.unregister(old, { dir });
+    expect(registry.findInstances("chrome", { dir })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,328 @@
+import * as fs from "node:fs";
+import * as http from "node:http";
+import * as net from "node:net";
+import * as os from "node:os";
+// @ts-expect-error - CommonJS module without type definitions
+import * as httpServer from "../../native/http-server.cjs";
+
+const TOKEN = "test-token";
+
+const tools = {
+  nav: {
+    desc: "Navigation",
+    commands: {
+      navigate: { desc: "Go to URL", args: ["url"], opts: {} },
+      go: { desc: "Alias", alias: "navigate" },
+    },
+  },
+  cookie: {
+    desc: "Cookies",
+    commands: {
+      "cookie.set": { desc: "Set a cookie", args: [], opts: { name: "Cookie name" } },
+    },
+  },
+  local: {
+    desc: "Local only",
+    commands: { install: { desc: "Install host", args: [], opts: {} } },
+  },
+};
+
+type HostMessage = Record<string, any>;
+
+describe("http server", () => {
+  let tmpDir: string;
+  let socketPath: string;
+  let host: any;
+  let server: any;
+  let baseUrl: string;
+  let received: HostMessage[];
+  let hostSockets: any[];
+  let reply: (msg: HostMessage, sock: any) => void;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(`${os.tmpdir()}/surf-serve-`);
+    socketPath = `${tmpDir}/surf.sock`;
+    received = [];
+    hostSockets = [];
+    reply = (msg, sock) => {
+      sock.write(
+        `${JSON.stringify({ type: "tool_response", id: msg.id, result: { content: [{ type: "text", text: "OK" }] } })}\n`,
+      );
+    };
+    host = net.createServer((sock: any) => {
+      hostSockets.push(sock);
+      let buf = "";
+      sock.on("data", (d: any) => {
+        buf += d.toString();
+        const lines = buf.split("\n");
+        buf = lines.pop() || "";
+        for (const line of lines) {
+          const msg = JSON.parse(line);
+          received.push(msg);
+          reply(msg, sock);
+        }
+      });
+    });
+    await new Promise<void>((resolve) => host.listen(socketPath, resolve));
+
+    server = httpServer.createServer({
+      socketPath,
+      token: TOKEN,
+      tools,
+      include: ["navigate", "cookie.set"],
+      aliases: { go: "navigate" },
+      version: "1.2.3",
+    });
+    await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    for (const sock of hostSockets) {
+      sock.destroy();
+    }
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => host.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const openStream = (
+    onError: (err: Error) => void,
+    onUpgrade: (res: any, sock: any, head: any) => void,
+  ) => {
+    const req = http.request(`${baseUrl}/v1/stream?streamType=STREAM_CONSOLE&token=${TOKEN}`, {
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Key": "dGhlIHNhbXBsZSBub25jZQ==",
+        "Sec-WebSocket-Version": "13",
+      },
+    });
+    req.on("upgrade", onUpgrade);
+    req.on("error", onError);
+    req.end();
+  };
+
+  const post = (path: string, body: unknown, token: string | null = TOKEN) =>
+    fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: JSON.stringify(body),
+    });
+
+  it("serves /health without a token", async () => {
+    const res = await fetch(`${baseUrl}/health`);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ ok: true, version: "1.2.3" });
+  });
+
+  it("rejects requests without a valid token", async () => {
+    expect((await post("/v1/tools/navigate", {}, null)).status).toBe(401);
+    expect((await post("/v1/tools/navigate", {}, "wrong")).status).toBe(401);
+  });
+
+  it("accepts the token as a query parameter", async () => {
+    const res = await fetch(`${baseUrl}/openapi.json?token=${TOKEN}`);
+    expect(res.status).toBe(200);
+  });
+
+  it("forwards tool calls as tool_request messages", async () => {
+    const res = await post("/v1/tools/go", { url: "https://example.com", tabId: 12 });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.type).toBe("tool_response");
+    expect(body.result.content[0].text).toBe("OK");
+    expect(received[0]).toMatchObject({
+      type: "tool_request",
+      method: "execute_tool",
+      params: { tool: "navigate", args: { url: "https://example.com", tabId: 12 } },
+      tabId: 12,
+    });
+  });
+
+  it("forwards raw tool_request messages", async () => {
+    const res = await post("/v1/tool_request", { params: { tool: "cookie.list", args: {} } });
+    expect(res.status).toBe(200);
+    expect(received[0]).toMatchObject({
+      type: "tool_request",
+      method: "execute_tool",
+      params: { tool: "cookie.list" },
+    });
+  });
+
+  it("returns 422 for tool errors", async () => {
+    reply = (msg, sock) => {
+      sock.write(
+        `${JSON.stringify({ type: "tool_response", id: msg.id, error: { content: [{ type: "text", text: "boom" }] } })}\n`,
+      );
+    };
+    const res = await post("/v1/tools/navigate", {});
+    expect(res.status).toBe(422);
+    expect((await res.json()).error.content[0].text).toBe("boom");
+  });
+
+  it("returns 404 for tools outside the socket tool list", async () => {
+    const res = await post("/v1/tools/install", {});
+    expect(res.status).toBe(404);
+    expect(received).toHaveLength(0);
+  });
+
+  it("returns 400 for invalid JSON", async () => {
+    const res = await fetch(`${baseUrl}/v1/tools/navigate`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${TOKEN}` },
+      body: "{",
+    });
+    expect(res.status).toBe(400);
+  });
+
+  it("returns 503 when the host socket is missing", async () => {
+    await new Promise((resolve) => host.close(resolve));
+    host = { close: (cb: () => void) => cb() };
+    const res = await post("/v1/tools/navigate", {});
+    expect(res.status).toBe(503);
+    expect((await res.json()).error).toContain("Socket not found");
+  });
+
+  it("streams host events over a WebSocket", async () => {
+    reply = (msg, sock) => {
+      if (msg.type !== "stream_request") {
+        return;
+      }
+      sock.write(`${JSON.stringify({ type: "stream_started", streamId: 1 })}\n`);
+      sock.write(`${JSON.stringify({ type: "console_event", level: "log", text: "hi" })}\n`);
+    };
+    const frames: HostMessage[] = [];
+    let accept = "";
+    await new Promise<void>((resolve, reject) => {
+      openStream(reject, (res, sock, head) => {
+        accept = res.headers["sec-websocket-accept"];
+        const parse = httpServer.createFrameParser((opcode: number, payload: any) => {
+          if (opcode !== 1) {
+            return;
+          }
+          frames.push(JSON.parse(payload.toString()));
+          if (frames.length === 2) {
+            sock.destroy();
+            resolve();
+          }
+        });
+        sock.on("data", parse);
+        parse(head);
+      });
+    });
+    expect(accept).toBe("s3pPLMBiTxaQ9kYGzzhZRbK+xOo=");
+    expect(received[0]).toMatchObject({ type: "stream_request", streamType: "STREAM_CONSOLE" });
+    expect(frames[1]).toEqual({ type: "console_event", level: "log", text: "hi" });
+  });
+
+  it("closes the stream with 1003 on fragmented messages", async () => {
+    reply = (msg, sock) => {
+      if (msg.type === "stream_request") {
+        sock.write(`${JSON.stringify({ type: "stream_started", streamId: 1 })}\n`);
+      }
+    };
+    const closeCode = await new Promise<number>((resolve, reject) => {
+      openStream(reject, (_res, sock, head) => {
+        const parse = httpServer.createFrameParser((opcode: number, payload: any) => {
+          if (opcode === 0x8) {
+            sock.destroy();
+            resolve(payload.readUInt16BE(0));
+          }
+        });
+        sock.on("data", parse);
+        parse(head);
+        // Masked text frame without FIN: the first part of a fragmented message
+        sock.write(Buffer.from([0x01, 0x82, 0, 0, 0, 0, 0x7b, 0x22]));
+      });
+    });
+    expect(closeCode).toBe(1003);
+  });
+
+  it("reads caller-side files before forwarding tool requests", async () => {
+    const file = `${tmpDir}/script.js`;
+    fs.writeFileSync(file, "return document.title");
+    const res = await post("/v1/tool_request", { params: { tool: "js", args: { file } } });
+    expect(res.status).toBe(200);
+    expect(received[0].params).toEqual({ tool: "js", args: { code: "return document.title" } });
+  });
+
+  it("returns 400 when a caller-side file can't be read", async () => {
+    const res = await post("/v1/tool_request", {
+      params: { tool: "js", args: { file: `${tmpDir}/missing.js` } },
+    });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toContain("Failed to read file");
+    expect(received).toHaveLength(0);
+  });
+});
+
+describe("buildOpenApi", () => {
+  it("generates a path per socket tool from TOOLS", () => {
+    const doc = httpServer.buildOpenApi(tools, {
+      version: "1.2.3",
+      include: ["navigate", "cookie.set"],
+    });
+    expect(doc.openapi).toBe("3.1.0");
+    expect(doc.info.version).toBe("1.2.3");
+    expect(Object.keys(doc.paths)).toEqual(
+      expect.arrayContaining(["/v1/tools/navigate", "/v1/tools/cookie.set", "/v1/stream"]),
+    );
+    expect(doc.paths["/v1/tools/go"]).toBeUndefined();
+    expect(doc.paths["/v1/tools/install"]).toBeUndefined();
+
+    const op = doc.paths["/v1/tools/cookie.set"].post;
+    expect(op.operationId).toBe("cookie_set");
+    expect(op.tags).toEqual(["cookie"]);
+    expect(op.requestBody.content["application/json"].schema.properties.name.description).toBe(
+      "Cookie name",
+    );
+    const navigate = doc.paths["/v1/tools/navigate"].post.requestBody.content["application/json"];
+    expect(navigate.schema.properties.url.type).toBe("string");
+  });
+
+  it("leaves CLI-only params out of request schemas", () => {
+    const doc = httpServer.buildOpenApi(
+      {
+        rec: {
+          desc: "Recording",
+          commands: {
+            record: {
+              desc: "Record",
+              args: [],
+              opts: { output: { desc: "Save to file", cliOnly: true }, name: "Name" },
+            },
+          },
+        },
+      },
+      { include: ["record"] },
+    );
+    const schema =
+      doc.paths["/v1/tools/record"].post.requestBody.content["application/json"].schema;
+    expect(schema.properties.name).toBeDefined();
+    expect(schema.properties.output).toBeUndefined();
+  });
+});
+
+describe("WebSocket frames", () => {
+  it("round-trips masked and unmasked frames", () => {
+    const frames: string[] = [];
+    const parse = httpServer.createFrameParser((_opcode: number, payload: any) => {
+      frames.push(payload.toString());
+    });
+    parse(httpServer.encodeFrame("hello"));
+
+    const mask = [1, 2, 3, 4];
+    const data = new TextEncoder().encode("x".repeat(200));
+    const masked = new Uint8Array(8 + data.length);
+    masked.set([0x81, 0x80 | 126, 0, data.length, ...mask]);
+    data.forEach((b, i) => {
+      masked[8 + i] = b ^ mask[i % 4];
+    });
+    parse(masked.subarray(0, 5));
+    parse(masked.subarray(5));
+
+    expect(frames).toEqual(["hello", "x".repeat(200)]);
+  });
+});
@@ -0,0 +1,124 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+// @ts-expect-error - CommonJS module without type definitions
+import * as imageDiff from "../../native/image-diff.cjs";
+// @ts-expect-error - CommonJS module without type definitions
+import { decodePng, encodePng } from "../../native/png.cjs";
+// @ts-expect-error - CommonJS module without type definitions
+import { screenshotNames } from "../../native/smoke-report.cjs";
+
+// Solid white image with optional colored blocks
+const image = (
+  width: number,
+  height: number,
+  blocks: Array<{ x: number; y: number; width: number; height: number }> = [],
+) => {
+  const data = new Uint8Array(width * height * 4).fill(255);
+  for (const b of blocks) {
+    for (let y = b.y; y < b.y + b.height; y++) {
+      for (let x = b.x; x < b.x + b.width; x++) {
+        data.set([0, 0, 0], (y * width + x) * 4);
+      }
+    }
+  }
+  return { width, height, data };
+};
+
+describe("image diff", () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(`${os.tmpdir()}/surf-diff-`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name: string, img: ReturnType<typeof image>) => {
+    const file = `${dir}/${name}`;
+    fs.writeFileSync(file, encodePng(img));
+    return file;
+  };
+
+  it("round-trips PNGs", () => {
+    const img = image(5, 3, [{ x: 1, y: 1, width: 2, height: 1 }]);
+    const decoded = decodePng(encodePng(img));
+    expect(decoded.width).toBe(5);
+    expect(decoded.height).toBe(3);
+    expect(Array.from(decoded.data)).toEqual(Array.from(img.data));
+    expect(() => decodePng(new TextEncoder().encode("nope"))).toThrow("Not a PNG file");
+  });
+
+  it("counts differing pixels and skips ignored regions", () => {
+    const block = { x: 0, y: 0, width: 2, height: 5 };
+    const result = imageDiff.diffImages(image(10, 10), image(10, 10, [block]));
+    expect(result.diffPixels).toBe(10);
+    expect(result.mismatch).toBe(10);
+
+    const masked = imageDiff.diffImages(image(10, 10), image(10, 10, [block]), { ignore: [block] });
+    expect(masked.diffPixels).toBe(0);
+    expect(masked.comparedPixels).toBe(90);
+  });
+
+  it("counts pixels outside the smaller image as different", () => {
+    const result = imageDiff.diffImages(image(10, 10), image(10, 12));
+    expect(result.diffPixels).toBe(20);
+  });
+
+  it("writes a diff image and checks the threshold", () => {
+    const baseline = write("base.png", image(10, 10));
+    const current = write("now.png", image(10, 10, [{ x: 0, y: 0, width: 1, height: 1 }]));
+
+    const result = imageDiff.compareFiles(baseline, current);
+    expect(result).toMatchObject({ mismatch: 1, diffPixels: 1, passed: false });
+    expect(result.diffPath).toBe(`${dir}/now.diff.png`);
+    const diff = decodePng(fs.readFileSync(result.diffPath));
+    expect(Array.from(diff.data.slice(0, 4))).toEqual([255, 0, 0, 255]);
+
+    expect(imageDiff.compareFiles(baseline, current, { threshold: 1 }).passed).toBe(true);
+    expect(imageDiff.formatDiffResult(result)).toContain(
+      "FAIL: 1% of pixels differ (threshold 0.1%)",
+    );
+  });
+
+  it("scales ignore regions from CSS pixels", () => {
+    expect(imageDiff.scaleRects([{ x: 1.5, y: 2, width: 3, height: 4 }], 100, 200)).toEqual([
+      { x: 3, y: 4, width: 6, height: 8 },
+    ]);
+    const baseline = write("base.png", image(20, 20));
+    const current = write("now.png", image(20, 20, [{ x: 0, y: 0, width: 4, height: 4 }]));
+    const result = imageDiff.compareFiles(baseline, current, {
+      ignore: [{ x: 0, y: 0, width: 2, height: 2 }],
+      viewportWidth: 10,
+    });
+    expect(result.diffPixels).toBe(0);
+  });
+
+  it("creates a missing baseline from the screenshot", () => {
+    const current = write("site.png", image(4, 4));
+    const result = imageDiff.compareToBaseline(current, `${dir}/baseline`);
+    expect(result).toMatchObject({ created: true, passed: true });
+    expect(fs.existsSync(`${dir}/baseline/site.png`)).toBe(true);
+    expect(imageDiff.compareToBaseline(current, `${dir}/baseline`).mismatch).toBe(0);
+  });
+
+  it("keeps a baseline per route on the same host", () => {
+    const [home, docs] = screenshotNames(["https://a.test/", "https://a.test/docs"]);
+    imageDiff.compareToBaseline(write(home, image(4, 4)), `${dir}/baseline`);
+    imageDiff.compareToBaseline(
+      write(docs, image(4, 4, [{ x: 0, y: 0, width: 4, height: 4 }])),
+      `${dir}/baseline`,
+    );
+
+    // Same pages again: each matches its own baseline
+    expect(imageDiff.compareToBaseline(write(home, image(4, 4)), `${dir}/baseline`).passed).toBe(
+      true,
+    );
+    const changed = write(docs, image(4, 4));
+    expect(imageDiff.compareToBaseline(changed, `${dir}/baseline`)).toMatchObject({
+      passed: false,
+      mismatch: 100,
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import * as fs from "node:fs";
+import * as net from "node:net";
+import * as os from "node:os";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { vi } from "vitest";
+// @ts-expect-error - CommonJS module without type definitions
+import { PiChromeMcpServer } from "../../native/mcp-server.cjs";
+
+type HostMessage = Record<string, any>;
+
+describe("mcp server", () => {
+  let tmpDir: string;
+  let host: any;
+  let client: Client;
+  let received: HostMessage[];
+  let reply: (msg: HostMessage) => HostMessage;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(`${os.tmpdir()}/surf-mcp-`);
+    const socketPath = `${tmpDir}/surf.sock`;
+    vi.stubEnv("SURF_SOCKET", socketPath);
+    received = [];
+    reply = () => ({ result: { content: [{ type: "text", text: "OK" }] } });
+    host = net.createServer((sock: any) => {
+      sock.on("data", (d: any) => {
+        const msg = JSON.parse(d.toString().trim());
+        received.push(msg);
+        sock.write(`${JSON.stringify({ type: "tool_response", id: msg.id, ...reply(msg) })}\n`);
+      });
+    });
+    await new Promise<void>((resolve) => host.listen(socketPath, resolve));
+
+    const server = new PiChromeMcpServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.server.connect(serverTransport);
+    client = new Client({ name: "test", version: "1.0.0" });
+    await client.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await new Promise((resolve) => host.close(resolve));
+    vi.unstubAllEnvs();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("exposes every registry command that goes through the socket", async () => {
+    const { tools } = await client.listTools();
+    const names = tools.map((t) => t.name);
+    expect(names).toEqual(
+      expect.arrayContaining([
+        "cookie.set",
+        "bookmark.add",
+        "history.search",
+        "window.new",
+        "chatgpt",
+        "network.body",
+        "batch",
+        "search",
+        "zoom",
+        "tab.group",
+      ]),
+    );
+    expect(names).not.toContain("go");
+    expect(names).not.toContain("form_input");
+  });
+
+  it("derives input schemas from the registry", async () => {
+    const { tools } = await client.listTools();
+    const navigate = tools.find((t) => t.name === "navigate");
+    expect(Object.keys(navigate?.inputSchema.properties || {})).toEqual(
+      expect.arrayContaining(["url", "tabId", "windowId"]),
+    );
+    const reload = tools.find((t) => t.name === "tab.reload");
+    expect((reload?.inputSchema.properties as HostMessage).hard.type).toBe("boolean");
+    expect(navigate?.inputSchema.required).toEqual(["url"]);
+    const resize = tools.find((t) => t.name === "window.resize");
+    expect((resize?.inputSchema.properties as HostMessage).width.type).toBe("number");
+    expect((resize?.inputSchema.properties as HostMessage).state.enum).toContain("maximized");
+    const consoleTool = tools.find((t) => t.name === "console");
+    expect(consoleTool?.inputSchema.properties).not.toHaveProperty("stream");
+    const record = tools.find((t) => t.name === "record");
+    expect(record?.inputSchema.properties).not.toHaveProperty("output");
+  });
+
+  it("reads files named in tool args before calling the host", async () => {
+    fs.writeFileSync(`${tmpDir}/users.json`, '[{"id":1}]');
+    await client.callTool({
+      name: "network.mock",
+      arguments: {
+        action: "add",
+        "url-pattern": "/api/users",
+        "body-file": `${tmpDir}/users.json`,
+      },
+    });
+    expect(received[0].params.args).toEqual({
+      action: "add",
+      "url-pattern": "/api/users",
+      body: '[{"id":1}]',
+      "content-type": "application/json",
+    });
+
+    const missing = await client.callTool({
+      name: "js",
+      arguments: { file: `${tmpDir}/missing.js` },
+    });
+    expect(missing.isError).toBe(true);
+    expect(received).toHaveLength(1);
+  });
+
+  it("forwards tool calls with tab targeting", async () => {
+    const result = await client.callTool({
+      name: "cookie.set",
+      arguments: { name: "sid", value: "1", tabId: 7 },
+    });
+    expect(result.content).toEqual([{ type: "text", text: "OK" }]);
+    expect(received[0]).toMatchObject({
+      type: "tool_request",
+      params: { tool: "cookie.set", args: { name: "sid", value: "1" } },
+      tabId: 7,
+    });
+  });
+
+  it("reports tool errors", async () => {
+    reply = () => ({ error: { content: [{ type: "text", text: "No cookie" }] } });
+    const result = await client.callTool({ name: "cookie.get", arguments: { name: "x" } });
+    expect(result.isError).toBe(true);
+    expect(result.content).toEqual([{ type: "text", text: "No cookie" }]);
+  });
+
+  it("serves screenshots and network bodies as resources", async () => {
+    reply = (msg) =>
+      msg.params.tool === "screenshot"
+        ? { result: { content: [{ type: "image", data: "iVBORw0", mimeType: "image/png" }] } }
+        : { result: { content: [{ type: "text", text: '{"ok":true}' }] } };
+
+    const shot = await client.readResource({ uri: "screenshot://current" });
+    expect(shot.contents[0]).toMatchObject({ blob: "iVBORw0", mimeType: "image/png" });
+
+    const body = await client.readResource({ uri: "network://requests/r12/body" });
+    expect(body.contents[0]).toMatchObject({ text: '{"ok":true}' });
+    expect(received[1].params).toEqual({ tool: "network.body", args: { id: "r12" } });
+  });
+});
@@ -0,0 +1,219 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+// @ts-expect-error - CommonJS module without type definitions
+import * as store from "../../native/network-store.cjs";
+
+const sampleHar = {
+  log: {
+    version: "1.2",
+    creator: { name: "test", version: "1.0" },
+    entries: [
+      {
+        startedDateTime: "2025-01-01T00:00:00.000Z",
+        time: 120,
+        request: {
+          method: "POST",
+          url: "https://api.example.com/v1/items?page=2",
+          httpVersion: "HTTP/2",
+          headers: [{ name: "Content-Type", value: "application/json" }],
+          postData: { mimeType: "application/json", text: '{"name":"a"}' },
+        },
+        response: {
+          status: 201,
+          statusText: "Created",
+          headers: [
+            { name: "content-type", value: "application/json" },
+            { name: "set-cookie", value: "a=1" },
+            { name: "set-cookie", value: "b=2" },
+          ],
+          content: { size: 11, mimeType: "application/json", text: '{"ok":true}' },
+        },
+        timings: { send: 0, wait: 80, receive: 40 },
+        _resourceType: "fetch",
+      },
+      {
+        startedDateTime: "2025-01-01T00:00:01.000Z",
+        time: 10,
+        request: { method: "GET", url: "https://example.com/logo.png", headers: [] },
+        response: {
+          status: 200,
+          headers: [],
+          content: { mimeType: "image/png", text: "iVBORw0KGgo=", encoding: "base64" },
+        },
+        timings: { wait: 5, receive: 5 },
+      },
+      { startedDateTime: "2025-01-01T00:00:02.000Z", request: {} },
+    ],
+  },
+};
+
+describe("network store HAR", () => {
+  let tmpDir: string;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(`${os.tmpdir()}/surf-har-`);
+    store.setBasePath(tmpDir);
+  });
+
+  afterEach(() => {
+    store.setBasePath(null);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("entryToHar", () => {
+    it("maps timing fields", () => {
+      const har = store.entryToHar({
+        id: "r_1_1",
+        ts: Date.parse("2025-01-01T00:00:00.000Z"),
+        duration: 150,
+        ttfb: 100,
+        method: "GET",
+        url: "https://example.com/",
+        status: 200,
+      });
+      expect(har.startedDateTime).toBe("2025-01-01T00:00:00.000Z");
+      expect(har.time).toBe(150);
+      expect(har.timings.wait).toBe(100);
+      expect(har.timings.receive).toBe(50);
+      expect(har.timings.dns).toBe(-1);
+    });
+
+    it("pulls bodies from the hashed body store", () => {
+      const hash = store.storeBody('{"ok":true}', false);
+      const har = store.entryToHar({
+        id: "r_1_1",
+        ts: 1,
+        method: "GET",
+        url: "https://example.com/api",
+        mimeType: "application/json",
+        responseBodyHash: hash,
+      });
+      expect(har.response.content.text).toBe('{"ok":true}');
+      expect(har.response.content.encoding).toBeUndefined();
+    });
+
+    it("base64-encodes binary bodies", () => {
+      const har = store.entryToHar({
+        id: "r_1_1",
+        ts: 1,
+        method: "GET",
+        url: "https://example.com/a.png",
+        mimeType: "image/png",
+        responseBody: "png",
+      });
+      expect(har.response.content.encoding).toBe("base64");
+      expect(har.response.content.text).toBe(btoa("png"));
+    });
+
+    it("splits newline-joined headers", () => {
+      const har = store.entryToHar({
+        id: "r_1_1",
+        ts: 1,
+        url: "https://example.com/",
+        responseHeaders: { "set-cookie": "a=1\nb=2" },
+      });
+      expect(har.response.headers).toEqual([
+        { name: "set-cookie", value: "a=1" },
+        { name: "set-cookie", value: "b=2" },
+      ]);
+    });
+  });
+
+  describe("importHar", () => {
+    it("imports entries and skips ones without a request url", async () => {
+      const result = await store.importHar(sampleHar);
+      expect(result).toEqual({ imported: 2, skipped: 1, duplicates: 0 });
+      expect(store.readEntriesSync()).toHaveLength(2);
+    });
+
+    it("skips entries that are already in the store", async () => {
+      await store.importHar(sampleHar);
+      const result = await store.importHar(sampleHar);
+      expect(result).toEqual({ imported: 0, skipped: 1, duplicates: 2 });
+      expect(store.readEntriesSync()).toHaveLength(2);
+    });
+
+    it("accepts HAR JSON text", async () => {
+      const result = await store.importHar(JSON.stringify(sampleHar));
+      expect(result.imported).toBe(2);
+    });
+
+    it("throws on documents without log.entries", async () => {
+      await expect(store.importHar({ foo: 1 })).rejects.toThrow("Invalid HAR");
+    });
+
+    it("stores bodies by hash and maps fields for network.get", async () => {
+      await store.importHar(sampleHar);
+      const [post] = store.readEntriesSync({ method: "POST" });
+      expect(post.status).toBe(201);
+      expect(post.origin).toBe("https://api.example.com");
+      expect(post.ttfb).toBe(80);
+      expect(post.duration).toBe(120);
+      expect(post.type).toBe("fetch");
+      expect(post.requestHeaders["content-type"]).toBe("application/json");
+      expect(post.responseHeaders["set-cookie"]).toBe("a=1\nb=2");
+      expect(post.requestBody).toBeUndefined();
+
+      const full = store.withBodies(post);
+      expect(full.requestBody).toBe('{"name":"a"}');
+      expect(full.responseBody).toBe('{"ok":true}');
+    });
+
+    it("decodes base64 bodies", async () => {
+      await store.importHar(sampleHar);
+      const [png] = store.readEntriesSync({ urlPattern: "logo.png" });
+      const body = store.getEntryBody(png, false);
+      expect(body.toString("base64")).toBe("iVBORw0KGgo=");
+    });
+  });
+
+  describe("round trip", () => {
+    it("exports imported entries back to equivalent HAR", async () => {
+      await store.importHar(sampleHar);
+      const har = await store.exportHar();
+      expect(har.log.version).toBe("1.2");
+      expect(har.log.entries).toHaveLength(2);
+
+      const [post, png] = har.log.entries;
+      expect(post.request.method).toBe("POST");
+      expect(post.request.postData.text).toBe('{"name":"a"}');
+      expect(post.request.queryString).toEqual([{ name: "page", value: "2" }]);
+      expect(post.response.content.text).toBe('{"ok":true}');
+      expect(post.timings.wait).toBe(80);
+      expect(post.time).toBe(120);
+      expect(png.response.content.encoding).toBe("base64");
+      expect(png.response.content.text).toBe("iVBORw0KGgo=");
+    });
+
+    it("keeps entry IDs stable across export and import", async () => {
+      await store.importHar(sampleHar);
+      const ids = store.readEntriesSync().map((e: { id: string }) => e.id);
+      const har = await store.exportHar();
+
+      await store.clear();
+      await store.importHar(har);
+      expect(store.readEntriesSync().map((e: { id: string }) => e.id)).toEqual(ids);
+    });
+  });
+
+  describe("export", () => {
+    it("filters entries with the CLI's options", async () => {
+      await store.importHar(sampleHar);
+      const urls = async (opts: Record<string, unknown>) =>
+        (await store.queryEntries(opts)).map((e: { url: string }) => e.url);
+      expect(await urls({ origin: "api.example" })).toEqual([
+        "https://api.example.com/v1/items?page=2",
+      ]);
+      expect(await urls({ last: "1" })).toEqual(["https://example.com/logo.png"]);
+    });
+
+    it("serializes as HAR or JSONL", async () => {
+      await store.importHar(sampleHar);
+      const entries = await store.queryEntries();
+      expect(JSON.parse(store.formatExport(entries, "har")).log.entries).toHaveLength(2);
+      expect(store.formatExport(entries, "jsonl").trim().split("\n")).toHaveLength(2);
+      expect(store.formatExport([], "jsonl")).toBe("");
+      expect(() => store.formatExport(entries, "csv")).toThrow("Unknown export format: csv");
+    });
+  });
+});
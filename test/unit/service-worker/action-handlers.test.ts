@@ -0,0 +1,94 @@
+import { vi } from "vitest";
+import { createChromeMock, resetChromeMock } from "../../mocks/chrome";
+
+vi.mock("../../../src/native/port-manager", () => ({
+  initNativeMessaging: vi.fn(),
+  postToNativeHost: vi.fn(),
+}));
+
+let handleMessage: (message: any, sender: any) => Promise<any>;
+
+beforeAll(async () => {
+  (globalThis as any).chrome = createChromeMock();
+  const mod = await import("../../../src/service-worker/index");
+  handleMessage = mod.handleMessage;
+});
+
+describe("actionability waits", () => {
+  beforeEach(() => {
+    (globalThis as any).chrome = createChromeMock();
+  });
+
+  afterEach(() => {
+    resetChromeMock();
+  });
+
+  const sentTypes = () =>
+    (globalThis as any).chrome.tabs.sendMessage.mock.calls.map((call: any[]) => call[1].type);
+
+  it("waits for the target before clicking a ref", async () => {
+    const chrome = (globalThis as any).chrome;
+    chrome.tabs.sendMessage.mockResolvedValue({ success: true });
+
+    const result = await handleMessage(
+      { type: "CLICK_REF", ref: "e5", tabId: 3, timeout: 2000 },
+      {},
+    );
+
+    expect(result).toEqual({ success: true });
+    expect(sentTypes()).toEqual(["WAIT_FOR_ACTIONABLE", "CLICK_ELEMENT"]);
+    expect(chrome.tabs.sendMessage.mock.calls[0][1]).toEqual({
+      type: "WAIT_FOR_ACTIONABLE",
+      target: { ref: "e5" },
+      action: "click",
+      timeout: 2000,
+    });
+  });
+
+  it("fails with the reason the target wasn't actionable", async () => {
+    const chrome = (globalThis as any).chrome;
+    chrome.tabs.sendMessage.mockResolvedValue({
+      success: false,
+      error:
+        "Timed out after 5000ms waiting for e5 to be ready to click: covered by div.modal-backdrop",
+    });
+
+    await expect(handleMessage({ type: "CLICK_REF", ref: "e5", tabId: 3 }, {})).rejects.toThrow(
+      "covered by div.modal-backdrop",
+    );
+    expect(sentTypes()).toEqual(["WAIT_FOR_ACTIONABLE"]);
+  });
+
+  it("skips the checks with force", async () => {
+    const chrome = (globalThis as any).chrome;
+    chrome.tabs.sendMessage.mockResolvedValue({ success: true });
+
+    await handleMessage({ type: "CLICK_REF", ref: "e5", tabId: 3, force: true }, {});
+
+    expect(sentTypes()).toEqual(["CLICK_ELEMENT"]);
+  });
+
+  it("waits for each field before filling a form", async () => {
+    const chrome = (globalThis as any).chrome;
+    chrome.tabs.sendMessage.mockResolvedValue({ success: true });
+
+    await handleMessage(
+      {
+        type: "FORM_FILL",
+        tabId: 3,
+        data: [
+          { ref: "e1", value: "a" },
+          { selector: "#b", value: "b" },
+        ],
+      },
+      {},
+    );
+
+    expect(sentTypes()).toEqual(["WAIT_FOR_ACTIONABLE", "WAIT_FOR_ACTIONABLE", "FORM_FILL"]);
+    expect(chrome.tabs.sendMessage.mock.calls[1][1]).toMatchObject({
+      target: { selector: "#b" },
+      action: "type",
+      timeout: 5000,
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { vi } from "vitest";
+import { createChromeMock, resetChromeMock } from "../../mocks/chrome";
+
+vi.mock("../../../src/native/port-manager", () => ({
+  initNativeMessaging: vi.fn(),
+  postToNativeHost: vi.fn(),
+}));
+
+let handleMessage: (message: any, sender: any) => Promise<any>;
+
+beforeAll(async () => {
+  (globalThis as any).chrome = createChromeMock();
+  const mod = await import("../../../src/service-worker/index");
+  handleMessage = mod.handleMessage;
+});
+
+const schema = { items: [{ by: "css", value: "li" }], fields: { title: {} } };
+const next = [{ by: "css", value: "a.next" }];
+
+// Pages of a listing; each links to the next until the last
+function fakeListing(chrome: any, pages: Array<{ url: string; titles: string[]; next?: any }>) {
+  let current = 0;
+  chrome.webNavigation.onCompleted.addListener.mockImplementation((listener: any) => {
+    setTimeout(() => listener({ tabId: 1, frameId: 0 }), 0);
+  });
+  chrome.tabs.update.mockImplementation(async (_tabId: number, { url }: { url: string }) => {
+    current = pages.findIndex((p) => p.url === url);
+    return {};
+  });
+  chrome.tabs.sendMessage.mockImplementation(async (_tabId: number, message: any) => {
+    const page = pages[current];
+    if (message.type === "CLICK_ELEMENT") {
+      current++;
+      return { success: true };
+    }
+    if (message.type === "EXTRACT") {
+      return { url: page.url, data: page.titles.map((title) => ({ title })), next: page.next };
+    }
+    return { success: true };
+  });
+}
+
+describe("extract", () => {
+  beforeEach(() => {
+    (globalThis as any).chrome = createChromeMock();
+  });
+
+  afterEach(() => {
+    resetChromeMock();
+  });
+
+  it("extracts the current page without pagination", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeListing(chrome, [{ url: "https://a.test/1", titles: ["A", "B"] }]);
+
+    const result = await handleMessage({ type: "EXTRACT", tabId: 1, schema }, {});
+
+    expect(result).toEqual({
+      url: "https://a.test/1",
+      pages: 1,
+      records: 2,
+      data: [{ title: "A" }, { title: "B" }],
+    });
+    expect(chrome.tabs.sendMessage.mock.calls[0][1]).toEqual({
+      type: "EXTRACT",
+      schema,
+      next: undefined,
+    });
+  });
+
+  it("follows next links and concatenates the items", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeListing(chrome, [
+      { url: "https://a.test/1", titles: ["A"], next: { url: "https://a.test/2" } },
+      { url: "https://a.test/2", titles: ["B"], next: { click: true } },
+      { url: "https://a.test/2", titles: ["C"], next: { url: "https://a.test/1" } },
+    ]);
+
+    const result = await handleMessage(
+      { type: "EXTRACT", tabId: 1, schema, pagination: { next, maxPages: 10 } },
+      {},
+    );
+
+    expect(result).toMatchObject({
+      pages: 3,
+      records: 3,
+      data: [{ title: "A" }, { title: "B" }, { title: "C" }],
+    });
+    expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: "https://a.test/2" });
+    const click = chrome.tabs.sendMessage.mock.calls.find(
+      (call: any[]) => call[1].type === "CLICK_ELEMENT",
+    );
+    expect(click[1].locator).toEqual([{ by: "css", value: "a.next", nth: 0 }]);
+  });
+
+  it("stops at maxPages", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeListing(chrome, [
+      { url: "https://a.test/1", titles: ["A"], next: { url: "https://a.test/2" } },
+      { url: "https://a.test/2", titles: ["B"], next: { url: "https://a.test/3" } },
+    ]);
+
+    const result = await handleMessage(
+      { type: "EXTRACT", tabId: 1, schema, pagination: { next, maxPages: 1 } },
+      {},
+    );
+
+    expect(result).toMatchObject({ pages: 1, records: 1 });
+    expect(chrome.tabs.update).not.toHaveBeenCalled();
+  });
+
+  it("waits for a clicked next button to load a new page", async () => {
+    const chrome = (globalThis as any).chrome;
+    const committed: any[] = [];
+    const completed: any[] = [];
+    chrome.webNavigation.onCommitted.addListener.mockImplementation((l: any) => committed.push(l));
+    chrome.webNavigation.onCompleted.addListener.mockImplementation((l: any) => completed.push(l));
+    let current = 0;
+    let loaded = true;
+    // A full navigation: the new page's script only arrives once it loads
+    const navigate = () => {
+      current++;
+      loaded = false;
+      for (const l of committed) {
+        l({ tabId: 1, frameId: 0 });
+      }
+      setTimeout(() => {
+        loaded = true;
+        for (const l of completed) {
+          l({ tabId: 1, frameId: 0 });
+        }
+      }, 3000);
+    };
+    chrome.tabs.sendMessage.mockImplementation(async (_tabId: number, message: any) => {
+      if (message.type === "CLICK_ELEMENT") {
+        navigate();
+        return { success: true };
+      }
+      if (!loaded) {
+        throw new Error("Could not establish connection. Receiving end does not exist.");
+      }
+      if (message.type === "EXTRACT") {
+        const title = ["A", "B"][current];
+        return {
+          url: "https://a.test/",
+          data: [{ title }],
+          next: current === 0 ? { click: true } : null,
+        };
+      }
+      return { success: true };
+    });
+
+    vi.useFakeTimers();
+    const run = handleMessage(
+      { type: "EXTRACT", tabId: 1, schema, pagination: { next, maxPages: 10 } },
+      {},
+    );
+    await vi.advanceTimersByTimeAsync(5000);
+    const result = await run;
+    vi.useRealTimers();
+
+    expect(result).toMatchObject({ pages: 2, data: [{ title: "A" }, { title: "B" }] });
+  });
+
+  it("stops when a clicked next button leaves the page unchanged", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeListing(chrome, [
+      { url: "https://a.test/", titles: ["A"], next: { click: true } },
+      { url: "https://a.test/", titles: ["A"], next: { click: true } },
+      { url: "https://a.test/", titles: ["B"] },
+    ]);
+
+    const result = await handleMessage(
+      { type: "EXTRACT", tabId: 1, schema, pagination: { next, maxPages: 10 } },
+      {},
+    );
+
+    expect(result).toMatchObject({ pages: 1, records: 1, data: [{ title: "A" }] });
+  });
+
+  it("fails on schema errors from the page", async () => {
+    const chrome = (globalThis as any).chrome;
+    chrome.tabs.sendMessage.mockResolvedValue({
+      url: "https://a.test/",
+      data: null,
+      error: "Invalid CSS selector: li[",
+    });
+
+    await expect(handleMessage({ type: "EXTRACT", tabId: 1, schema }, {})).rejects.toThrow(
+      "Invalid CSS selector: li[",
+    );
+  });
+});
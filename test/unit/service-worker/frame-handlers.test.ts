@@ -0,0 +1,259 @@
+import { vi } from "vitest";
+import { createChromeMock, resetChromeMock } from "../../mocks/chrome";
+
+vi.mock("../../../src/native/port-manager", () => ({
+  initNativeMessaging: vi.fn(),
+  postToNativeHost: vi.fn(),
+}));
+
+let handleMessage: (message: any, sender: any) => Promise<any>;
+
+beforeAll(async () => {
+  (globalThis as any).chrome = createChromeMock();
+  const mod = await import("../../../src/service-worker/index");
+  handleMessage = mod.handleMessage;
+});
+
+// A page with one iframe (frame 2) at (100, 50) holding another (frame 3) at (10, 20)
+const FRAMES: Record<number, { parentFrameId: number; rect: { x: number; y: number } }> = {
+  2: { parentFrameId: 0, rect: { x: 100, y: 50 } },
+  3: { parentFrameId: 2, rect: { x: 10, y: 20 } },
+};
+
+const TREES: Record<number, string> = {
+  0: 'main\n  button "Pay" [e1]\n  iframe "Checkout" [e2] [frame=2]',
+  2: 'textbox "Card number" [e1]\n  iframe [e2] [frame=3]',
+  3: 'button "Confirm" [e1]',
+};
+
+function fakeFrames(chrome: any, handle: (message: any, frameId: number) => any = () => ({})) {
+  chrome.webNavigation.getFrame.mockImplementation(async ({ frameId }: { frameId: number }) =>
+    FRAMES[frameId] ? { frameId, parentFrameId: FRAMES[frameId].parentFrameId } : null,
+  );
+  chrome.webNavigation.getAllFrames.mockResolvedValue([
+    { frameId: 3, parentFrameId: 2 },
+    { frameId: 0, parentFrameId: -1 },
+    { frameId: 2, parentFrameId: 0 },
+  ]);
+  chrome.tabs.sendMessage.mockImplementation(
+    async (_tabId: number, message: any, { frameId }: { frameId: number }) => {
+      if (message.type === "GENERATE_ACCESSIBILITY_TREE") {
+        return { pageContent: `${TREES[frameId]}\n\n[Viewport: 800x600]`, viewport: {} };
+      }
+      if (message.type === "GET_FRAME_RECT") {
+        return FRAMES[message.frameId].rect;
+      }
+      return handle(message, frameId);
+    },
+  );
+}
+
+const sentTo = (chrome: any, type: string) =>
+  chrome.tabs.sendMessage.mock.calls
+    .filter((call: any[]) => call[1].type === type)
+    .map((call: any[]) => ({ ...call[1], frameId: call[2]?.frameId }));
+
+describe("iframes", () => {
+  beforeEach(() => {
+    (globalThis as any).chrome = createChromeMock();
+  });
+
+  afterEach(() => {
+    resetChromeMock();
+  });
+
+  it("merges frame trees into page.read with frame-qualified refs", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome);
+
+    const result = await handleMessage({ type: "READ_PAGE", tabId: 1, options: {} }, {});
+
+    expect(result.pageContent).toBe(
+      [
+        "main",
+        '  button "Pay" [e1]',
+        '  iframe "Checkout" [e2]',
+        '    textbox "Card number" [f2:e1]',
+        "      iframe [f2:e2]",
+        '        button "Confirm" [f3:e1]',
+        "",
+        "[Viewport: 800x600]",
+      ].join("\n"),
+    );
+  });
+
+  it("leaves frames without a content script as bare iframe lines", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome);
+    const send = chrome.tabs.sendMessage.getMockImplementation();
+    chrome.tabs.sendMessage.mockImplementation(
+      async (tabId: number, message: any, options: any) => {
+        if (options?.frameId === 2) {
+          throw new Error("Could not establish connection");
+        }
+        return send(tabId, message, options);
+      },
+    );
+
+    const result = await handleMessage({ type: "READ_PAGE", tabId: 1, options: {} }, {});
+
+    expect(result.pageContent).toContain('  iframe "Checkout" [e2]\n\n[Viewport');
+  });
+
+  it("clicks a frame-qualified ref in its own frame", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome, () => ({ success: true }));
+
+    const result = await handleMessage({ type: "CLICK_REF", ref: "f3:e1", tabId: 1 }, {});
+
+    expect(result).toEqual({ success: true });
+    expect(sentTo(chrome, "WAIT_FOR_ACTIONABLE")[0]).toMatchObject({
+      target: { ref: "e1" },
+      frameId: 3,
+    });
+    expect(sentTo(chrome, "CLICK_ELEMENT")[0]).toMatchObject({ ref: "e1", frameId: 3 });
+  });
+
+  it("offsets element coordinates by each enclosing iframe", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome, () => ({ x: 5, y: 6 }));
+
+    const result = await handleMessage(
+      { type: "GET_ELEMENT_COORDINATES", ref: "f3:e1", tabId: 1 },
+      {},
+    );
+
+    expect(result).toEqual({ x: 115, y: 76 });
+    expect(sentTo(chrome, "GET_FRAME_RECT").map((m: any) => [m.frameId, m.type])).toEqual([
+      [2, "GET_FRAME_RECT"],
+      [0, "GET_FRAME_RECT"],
+    ]);
+  });
+
+  it("fills fields in several frames and keeps their refs", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome, (message) => ({
+      results: message.data.map((item: any) => ({ ref: item.ref, success: true })),
+    }));
+
+    const result = await handleMessage(
+      {
+        type: "FORM_FILL",
+        tabId: 1,
+        force: true,
+        data: [
+          { ref: "e4", value: "Ada" },
+          { ref: "f2:e1", value: "4242" },
+        ],
+      },
+      {},
+    );
+
+    expect(result).toEqual({
+      success: true,
+      filled: 2,
+      failed: 0,
+      results: [
+        { ref: "e4", success: true },
+        { ref: "f2:e1", success: true },
+      ],
+    });
+    expect(sentTo(chrome, "FORM_FILL").map((m: any) => m.frameId)).toEqual([0, 2]);
+  });
+
+  it("searches every frame and qualifies child matches", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome, (_message, frameId) => ({
+      matches:
+        frameId === 2
+          ? [
+              {
+                ref: "m1",
+                text: "Pay",
+                elementRef: "e1",
+                bounds: { x: 1, y: 2, width: 10, height: 10 },
+              },
+            ]
+          : [],
+    }));
+
+    const result = await handleMessage(
+      { type: "SEARCH_PAGE", term: "pay", tabId: 1, limit: 5 },
+      {},
+    );
+
+    expect(sentTo(chrome, "SEARCH_PAGE").map((m: any) => m.frameId)).toEqual([0, 2, 3]);
+    expect(result).toEqual({
+      query: "pay",
+      count: 1,
+      matches: [
+        {
+          ref: "f2:m1",
+          text: "Pay",
+          elementRef: "f2:e1",
+          bounds: { x: 101, y: 52, width: 10, height: 10 },
+        },
+      ],
+    });
+  });
+
+  it("searches only the frame of a --within ref", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome, () => ({ matches: [] }));
+
+    await handleMessage(
+      { type: "SEARCH_PAGE", term: "pay", tabId: 1, within: "f2:e4", regex: true },
+      {},
+    );
+
+    expect(sentTo(chrome, "SEARCH_PAGE")).toEqual([
+      expect.objectContaining({ within: "e4", regex: true, frameId: 2 }),
+    ]);
+  });
+
+  it("fails when the page rejects the search", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome, () => ({ error: "No element matches --within #nope" }));
+
+    await expect(
+      handleMessage({ type: "SEARCH_PAGE", term: "pay", tabId: 1, within: "#nope" }, {}),
+    ).rejects.toThrow("No element matches --within #nope");
+  });
+
+  it("lists tables in every frame with frame-qualified refs", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome, (_message, frameId) => ({
+      tables: frameId === 2 ? [{ ref: "e4", role: "grid", rows: 3, columns: 2, headers: [] }] : [],
+    }));
+
+    const result = await handleMessage({ type: "TABLE_LIST", tabId: 1 }, {});
+
+    expect(result.tables).toEqual([
+      { ref: "f2:e4", frame: 2, role: "grid", rows: 3, columns: 2, headers: [] },
+    ]);
+  });
+
+  it("reads a table from the frame its ref lives in", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome, (message) => ({ ref: message.ref, headers: ["Name"], rows: [["Ada"]] }));
+
+    const result = await handleMessage(
+      { type: "TABLE_GET", tabId: 1, ref: "f2:e4", scroll: true, maxRows: 50 },
+      {},
+    );
+
+    expect(sentTo(chrome, "TABLE_GET")).toEqual([
+      { type: "TABLE_GET", ref: "e4", scroll: true, maxRows: 50, frameId: 2 },
+    ]);
+    expect(result).toEqual({ ref: "f2:e4", headers: ["Name"], rows: [["Ada"]] });
+  });
+
+  it("fails when the ref isn't a table", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeFrames(chrome, () => ({ error: "e1 is a button, not a table or grid" }));
+
+    await expect(handleMessage({ type: "TABLE_GET", tabId: 1, ref: "e1" }, {})).rejects.toThrow(
+      "e1 is a button, not a table or grid",
+    );
+  });
+});
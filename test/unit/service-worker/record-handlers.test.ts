@@ -0,0 +1,87 @@
+import { vi } from "vitest";
+import { createChromeMock, resetChromeMock } from "../../mocks/chrome";
+
+vi.mock("../../../src/native/port-manager", () => ({
+  initNativeMessaging: vi.fn(),
+  postToNativeHost: vi.fn(),
+}));
+
+let handleMessage: (message: any, sender: any) => Promise<any>;
+
+beforeAll(async () => {
+  (globalThis as any).chrome = createChromeMock();
+  const mod = await import("../../../src/service-worker/index");
+  handleMessage = mod.handleMessage;
+});
+
+describe("record command handlers", () => {
+  beforeEach(() => {
+    (globalThis as any).chrome = createChromeMock();
+    (globalThis as any).chrome.tabs.get.mockResolvedValue({ id: 7, url: "https://example.com/" });
+  });
+
+  afterEach(() => {
+    resetChromeMock();
+  });
+
+  it("starts with a navigate step and collects content script events", async () => {
+    const chrome = (globalThis as any).chrome;
+    const started = await handleMessage({ type: "RECORD_START", tabId: 7 }, {});
+    expect(started).toEqual({ success: true, recording: true, url: "https://example.com/" });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+      7,
+      { type: "RECORD_START" },
+      { frameId: 0 },
+    );
+
+    const step = { type: "click", ref: "e3", selector: "#go", role: "button", name: "Go" };
+    await handleMessage({ type: "RECORD_EVENT", step }, { tab: { id: 7 } });
+    await handleMessage({ type: "RECORD_EVENT", step }, { tab: { id: 8 } });
+
+    chrome.tabs.sendMessage.mockResolvedValue({
+      success: true,
+      pendingStep: { type: "type", ref: "e4", text: "hi" },
+    });
+    const stopped = await handleMessage({ type: "RECORD_STOP", tabId: 7 }, {});
+    expect(stopped.steps).toEqual([
+      { type: "navigate", url: "https://example.com/" },
+      step,
+      { type: "type", ref: "e4", text: "hi" },
+    ]);
+  });
+
+  it("reports recording status to the sending tab", async () => {
+    await handleMessage({ type: "RECORD_START", tabId: 7 }, {});
+    expect(await handleMessage({ type: "RECORD_STATUS" }, { tab: { id: 7 } })).toEqual({
+      recording: true,
+    });
+    expect(await handleMessage({ type: "RECORD_STATUS" }, { tab: { id: 9 } })).toEqual({
+      recording: false,
+    });
+    await handleMessage({ type: "RECORD_STOP", tabId: 7 }, {});
+  });
+
+  it("rejects a second start on the same tab", async () => {
+    await handleMessage({ type: "RECORD_START", tabId: 7 }, {});
+    await expect(handleMessage({ type: "RECORD_START", tabId: 7 }, {})).rejects.toThrow(
+      "Already recording",
+    );
+    await handleMessage({ type: "RECORD_STOP", tabId: 7 }, {});
+  });
+
+  it("throws on stop without a recording", async () => {
+    await expect(handleMessage({ type: "RECORD_STOP", tabId: 7 }, {})).rejects.toThrow(
+      "No recording in progress",
+    );
+  });
+
+  it("drops the recording when the content script is missing", async () => {
+    const chrome = (globalThis as any).chrome;
+    chrome.tabs.sendMessage.mockRejectedValue(new Error("no receiver"));
+    const result = await handleMessage({ type: "RECORD_START", tabId: 7 }, {});
+    expect(result.error).toContain("Content script not loaded");
+    expect(await handleMessage({ type: "RECORD_STATUS" }, { tab: { id: 7 } })).toEqual({
+      recording: false,
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { vi } from "vitest";
+import { createChromeMock, resetChromeMock } from "../../mocks/chrome";
+
+vi.mock("../../../src/native/port-manager", () => ({
+  initNativeMessaging: vi.fn(),
+  postToNativeHost: vi.fn(),
+}));
+
+let handleMessage: (message: any, sender: any) => Promise<any>;
+let debuggerEvent: (source: any, method: string, params: any) => void;
+
+beforeAll(async () => {
+  (globalThis as any).chrome = createChromeMock();
+  const mod = await import("../../../src/service-worker/index");
+  handleMessage = mod.handleMessage;
+});
+
+// Each route opens its own blank tab; tab N finishes loading its route
+// loadTimes[N - 1] ms after it is navigated
+function fakeRoutes(chrome: any, loadTimes: number[]) {
+  const listeners = new Set<any>();
+  let created = 0;
+  chrome.webNavigation.onCompleted.addListener.mockImplementation((l: any) => listeners.add(l));
+  chrome.webNavigation.onCompleted.removeListener.mockImplementation((l: any) =>
+    listeners.delete(l),
+  );
+  chrome.tabs.create.mockImplementation(async () => ({ id: ++created }));
+  chrome.tabs.update.mockImplementation(async (tabId: number) => {
+    setTimeout(
+      () => {
+        for (const listener of [...listeners]) {
+          listener({ tabId, frameId: 0 });
+        }
+      },
+      loadTimes[tabId - 1],
+    );
+    return { id: tabId };
+  });
+}
+
+describe("SMOKE_TEST", () => {
+  beforeEach(() => {
+    (globalThis as any).chrome = createChromeMock();
+    // The CDP controller subscribes to debugger events once, on its first attach
+    (globalThis as any).chrome.debugger.onEvent.addListener.mockImplementation((l: any) => {
+      debuggerEvent = l;
+    });
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    resetChromeMock();
+  });
+
+  it("doesn't report a navigation timeout on routes that already loaded", async () => {
+    const chrome = (globalThis as any).chrome;
+    // The first route is done long before the second, and both are held
+    // until the run ends, past the first route's 30s timeout
+    fakeRoutes(chrome, [10, 40000]);
+
+    const run = handleMessage(
+      {
+        type: "SMOKE_TEST",
+        urls: ["https://a.test/", "https://a.test/slow"],
+        settle: 0,
+        concurrency: 2,
+      },
+      {},
+    );
+    await vi.advanceTimersByTimeAsync(45000);
+    const result = await run;
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(result.results.map((r: any) => [r.url, r.status, r.errors])).toEqual([
+      ["https://a.test/", "pass", []],
+      ["https://a.test/slow", "fail", ["Navigation timeout (30s)"]],
+    ]);
+  });
+
+  it("attaches network tracking before loading the route", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeRoutes(chrome, [10]);
+
+    const run = handleMessage({ type: "SMOKE_TEST", urls: ["https://a.test/"], settle: 0 }, {});
+    await vi.advanceTimersByTimeAsync(5000);
+    await run;
+
+    expect(chrome.tabs.create).toHaveBeenCalledWith(
+      expect.objectContaining({ url: "about:blank" }),
+    );
+    expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: "https://a.test/" });
+    const enable = chrome.debugger.sendCommand.mock.calls.findIndex(
+      (call: any[]) => call[1] === "Network.enable",
+    );
+    expect(enable).toBeGreaterThanOrEqual(0);
+    expect(chrome.debugger.sendCommand.mock.invocationCallOrder[enable]).toBeLessThan(
+      chrome.tabs.update.mock.invocationCallOrder[0],
+    );
+  });
+
+  it("fails noFailedRequests on a request that errors as the route starts loading", async () => {
+    const chrome = (globalThis as any).chrome;
+    fakeRoutes(chrome, [10]);
+    const navigate = chrome.tabs.update.getMockImplementation();
+    chrome.tabs.update.mockImplementation(async (tabId: number, props: any) => {
+      debuggerEvent({ tabId }, "Network.requestWillBeSent", {
+        requestId: "r1",
+        type: "XHR",
+        request: { url: "https://a.test/api", method: "GET", headers: {} },
+      });
+      debuggerEvent({ tabId }, "Network.responseReceived", {
+        requestId: "r1",
+        type: "XHR",
+        response: { status: 500, headers: {}, mimeType: "application/json" },
+      });
+      return navigate(tabId, props);
+    });
+
+    const run = handleMessage(
+      {
+        type: "SMOKE_TEST",
+        urls: [{ url: "https://a.test/", checks: { noFailedRequests: true } }],
+        settle: 0,
+      },
+      {},
+    );
+    await vi.advanceTimersByTimeAsync(5000);
+    const result = await run;
+
+    expect(result.results[0].status).toBe("fail");
+    expect(result.results[0].checks).toEqual([
+      expect.objectContaining({ check: "noFailedRequests", passed: false }),
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+// @ts-expect-error - CommonJS module without type definitions
+import * as sessionStore from "../../native/session-store.cjs";
+
+const snapshot = {
+  origins: ["https://app.test"],
+  cookies: [{ name: "sid", value: "1", domain: "app.test", path: "/", hostOnly: true }],
+  storage: { "https://app.test": { localStorage: { theme: "dark" }, indexedDB: [] } },
+  tabs: [
+    { url: "https://app.test/inbox", active: true, pinned: false, sessionStorage: { draft: "hi" } },
+  ],
+  warnings: ["ignored"],
+};
+
+describe("session store", () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(`${os.tmpdir()}/surf-sessions-`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("saves a snapshot readable only by the owner and loads it back", () => {
+    const saved = sessionStore.saveSession("admin", snapshot, { dir: `${dir}/nested` });
+    expect(saved.path).toBe(`${dir}/nested/admin.json`);
+    expect(fs.statSync(saved.path).mode & 0o777).toBe(0o600);
+
+    const loaded = sessionStore.loadSession("admin", { dir: `${dir}/nested` });
+    expect(loaded).toMatchObject({
+      version: 1,
+      name: "admin",
+      cookies: snapshot.cookies,
+      tabs: snapshot.tabs,
+    });
+    expect(loaded).not.toHaveProperty("warnings");
+  });
+
+  it("tightens the mode of a session file that already existed", () => {
+    fs.writeFileSync(`${dir}/admin.json`, "{}", { mode: 0o644 });
+    fs.chmodSync(`${dir}/admin.json`, 0o644);
+
+    const saved = sessionStore.saveSession("admin", snapshot, { dir });
+    expect(fs.statSync(saved.path).mode & 0o777).toBe(0o600);
+  });
+
+  it("lists and deletes sessions", () => {
+    sessionStore.saveSession("b", snapshot, { dir });
+    sessionStore.saveSession("a", { ...snapshot, tabs: [] }, { dir });
+    fs.writeFileSync(`${dir}/junk.json`, "not json");
+
+    expect(sessionStore.listSessions({ dir })).toEqual([
+      expect.objectContaining({ name: "a", cookies: 1, tabs: 0, origins: ["https://app.test"] }),
+      expect.objectContaining({ name: "b", cookies: 1, tabs: 1 }),
+    ]);
+    expect(sessionStore.deleteSession("a", { dir })).toEqual({ deleted: "a" });
+    expect(sessionStore.listSessions({ dir }).map((s: { name: string }) => s.name)).toEqual(["b"]);
+  });
+
+  it("rejects names that would escape the session directory", () => {
+    expect(() => sessionStore.sessionPath("../evil", dir)).toThrow("Invalid session name");
+    expect(() => sessionStore.sessionPath(".hidden", dir)).toThrow("Invalid session name");
+  });
+
+  it("reports missing sessions", () => {
+    expect(() => sessionStore.loadSession("nope", { dir })).toThrow('No saved session "nope"');
+    expect(() => sessionStore.deleteSession("nope", { dir })).toThrow('No saved session "nope"');
+  });
+});
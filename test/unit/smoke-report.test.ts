@@ -0,0 +1,125 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+// @ts-expect-error - CommonJS module without type definitions
+import { encodePng } from "../../native/png.cjs";
+// @ts-expect-error - CommonJS module without type definitions
+import * as report from "../../native/smoke-report.cjs";
+
+const run = () => ({
+  results: [
+    { url: "https://a.test/", status: "pass", time: 1200, errors: [], consoleErrors: [] },
+    {
+      url: "https://b.test/?x=<1>&y=2",
+      status: "fail",
+      time: 800,
+      errors: [],
+      consoleErrors: ["[error] boom"],
+      failedRequests: [{ id: "r1", method: "GET", url: "https://b.test/api", status: 500 }],
+    },
+  ],
+  summary: { pass: 1, fail: 1, total: 2 },
+});
+
+describe("smoke report", () => {
+  it("applies the fail policy by category", () => {
+    const strict = report.applyFailPolicy(run(), ["network"]);
+    expect(strict.results.map((r: { status: string }) => r.status)).toEqual(["pass", "fail"]);
+
+    const lenient = report.applyFailPolicy(run(), report.parseFailOn("none"));
+    expect(lenient.summary).toMatchObject({ pass: 2, fail: 0, total: 2 });
+    expect(lenient.failOn).toEqual([]);
+  });
+
+  it("fails on failed route checks by default", () => {
+    const data = run();
+    Object.assign(data.results[0], {
+      checks: [
+        { check: "text", passed: true, message: 'Text "Hi" is visible' },
+        { check: "budget:lcp", passed: false, message: "lcp 3100 > 2500" },
+      ],
+    });
+    const result = report.applyFailPolicy(data).results[0];
+    expect(result.status).toBe("fail");
+    expect(report.resultIssues(result).checks).toEqual(["lcp 3100 > 2500"]);
+  });
+
+  it("rejects unknown categories and formats", () => {
+    expect(report.parseFailOn(undefined)).toEqual(report.DEFAULT_FAIL_ON);
+    expect(() => report.parseFailOn("console,typos")).toThrow("Unknown --fail-on category: typos");
+    expect(() => report.parseFormats("junit,pdf")).toThrow("Unknown report format: pdf");
+  });
+
+  it("writes JUnit with failures and informational output", () => {
+    const xml = report.toJUnit(report.applyFailPolicy(run()), {
+      timestamp: "2026-01-01T00:00:00Z",
+    });
+    expect(xml).toContain('<testsuite name="surf smoke" tests="2" failures="1"');
+    expect(xml).toContain('name="https://b.test/?x=&lt;1&gt;&amp;y=2" time="0.800"');
+    expect(xml).toContain('<failure message="[console] [error] boom" type="smoke">');
+    expect(xml).toContain(
+      "<system-out>[network] Request failed: 500 GET https://b.test/api</system-out>",
+    );
+  });
+
+  it("names screenshots by host, path and query", () => {
+    expect(
+      report.screenshotNames([
+        "https://a.test/",
+        "https://a.test/docs/intro?page=2",
+        "http://localhost:3000/",
+        "https://a.test/docs_intro?page=2",
+      ]),
+    ).toEqual([
+      "a.test.png",
+      "a.test_docs_intro_page_2.png",
+      "localhost_3000.png",
+      "a.test_docs_intro_page_2-4.png",
+    ]);
+  });
+
+  it("skips suffixes that another URL already produced", () => {
+    expect(
+      report.screenshotNames(["https://a.test/p", "https://a.test/p-3", "https://a.test/p"]),
+    ).toEqual(["a.test_p.png", "a.test_p-3.png", "a.test_p-4.png"]);
+  });
+
+  it("writes JSON and HTML reports with thumbnails", () => {
+    const dir = fs.mkdtempSync(`${os.tmpdir()}/surf-report-`);
+    try {
+      const data = run();
+      const screenshot = `${dir}/shots/a.test.png`;
+      fs.mkdirSync(`${dir}/shots`);
+      const pixels = new Uint8Array(640 * 20 * 4).fill(200);
+      fs.writeFileSync(screenshot, encodePng({ width: 640, height: 20, data: pixels }));
+      Object.assign(data.results[0], { screenshot });
+
+      const files = report.writeReports(report.applyFailPolicy(data), ["json", "html"], dir);
+      expect(files).toEqual([`${dir}/smoke-report.json`, `${dir}/smoke-report.html`]);
+
+      const json = JSON.parse(fs.readFileSync(files[0], "utf8"));
+      expect(json.summary).toEqual({ pass: 1, fail: 1, total: 2 });
+      expect(json.failOn).toEqual(["navigation", "console", "checks", "visual"]);
+
+      const html = fs.readFileSync(files[1], "utf8");
+      expect(html).toContain('<a href="shots/a.test.png"><img src="data:image/png;base64,');
+      expect(html).toContain("1 passed, 1 failed, 2 total");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("downscales thumbnails", () => {
+    const dir = fs.mkdtempSync(`${os.tmpdir()}/surf-report-`);
+    try {
+      const file = `${dir}/big.png`;
+      fs.writeFileSync(file, encodePng({ width: 1000, height: 10, data: new Uint8Array(40000) }));
+      const uri = report.thumbnail(file, 100);
+      const png = atob(uri.replace("data:image/png;base64,", ""));
+      // IHDR width sits at byte 16
+      expect(png.charCodeAt(18) * 256 + png.charCodeAt(19)).toBe(100);
+      expect(report.thumbnail(`${dir}/missing.png`)).toBeNull();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
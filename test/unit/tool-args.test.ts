@@ -0,0 +1,72 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+// @ts-expect-error - CommonJS module without type definitions
+import { prepareToolArgs } from "../../native/tool-args.cjs";
+
+describe("prepareToolArgs", () => {
+  let tmpDir: string;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(`${os.tmpdir()}/surf-args-`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reads mock bodies and guesses their content type", () => {
+    fs.writeFileSync(`${tmpDir}/page.html`, "<p>hi</p>");
+    expect(prepareToolArgs("network.mock", { "body-file": `${tmpDir}/page.html` })).toEqual({
+      body: "<p>hi</p>",
+      "content-type": "text/html",
+    });
+    expect(
+      prepareToolArgs("network.mock", {
+        "body-file": `${tmpDir}/page.html`,
+        "content-type": "text/plain",
+      }),
+    ).toMatchObject({ "content-type": "text/plain" });
+  });
+
+  it("reads scripts, schemas and workflows", () => {
+    fs.writeFileSync(`${tmpDir}/a.js`, "1 + 1");
+    fs.writeFileSync(`${tmpDir}/schema.json`, '{"fields":{"title":"h1"}}');
+    fs.writeFileSync(`${tmpDir}/flow.json`, '{"vars":{"q":"x"},"actions":[]}');
+    expect(prepareToolArgs("js", { file: `${tmpDir}/a.js` })).toEqual({ code: "1 + 1" });
+    expect(prepareToolArgs("extract", { schema: `${tmpDir}/schema.json` })).toEqual({
+      schema: { fields: { title: "h1" } },
+    });
+    expect(prepareToolArgs("extract", { schema: '{"fields":{}}' })).toEqual({
+      schema: '{"fields":{}}',
+    });
+    expect(prepareToolArgs("batch", { file: `${tmpDir}/flow.json` })).toEqual({
+      actions: { vars: { q: "x" }, actions: [] },
+    });
+  });
+
+  it("fails on files it can't read", () => {
+    fs.writeFileSync(`${tmpDir}/bad.json`, "{");
+    expect(() => prepareToolArgs("js", { file: `${tmpDir}/none.js` })).toThrow(
+      "Failed to read file",
+    );
+    expect(() => prepareToolArgs("batch", { file: `${tmpDir}/bad.json` })).toThrow(
+      `invalid JSON in ${tmpDir}/bad.json`,
+    );
+  });
+
+  it("resolves paths the host reads or writes", () => {
+    expect(prepareToolArgs("smoke", { urls: ["https://a.test/"], baseline: "shots" })).toEqual({
+      urls: ["https://a.test/"],
+      baseline: path.resolve("shots"),
+      "report-path": path.resolve("surf-report"),
+    });
+    expect(prepareToolArgs("network.import", { file: "a.har" })).toEqual({
+      file: path.resolve("a.har"),
+    });
+    expect(
+      prepareToolArgs("screenshot.diff", { baseline: "/abs/a.png", current: "b.png" }),
+    ).toEqual({ baseline: "/abs/a.png", current: path.resolve("b.png") });
+    expect(prepareToolArgs("navigate", { url: "a.test" })).toEqual({ url: "a.test" });
+  });
+});